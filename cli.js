@@ -0,0 +1,900 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * CRUISE SHIPS CLI
+ * ========================================
+ *
+ * Single entry point for all tasks. Flags override the values from .env.
+ *
+ * Usage:
+ *   node cli.js <command> [options]
+ *
+ * Commands:
+ *   ships              Scrape master data and ship details
+ *   media              Download ship images
+ *   all                ships, normalize, then media
+ *   normalize          Map ships.jsonl to the canonical ship model and validate it
+ *   export             Export ships, cruise lines, images and amenities (CSV, Parquet, SQLite)
+ *   diff <old> <new>   Compare two snapshots (output directories or ships.jsonl files)
+ *   validate           Check the scraped data in the output directory
+ *   report             Data quality report: validate, plus fill rates and every problem found
+ *   taxonomy           Split master.jsonl into one entity file per taxonomy
+ *   sailings           Scrape the sailings (itineraries) of every ship
+ *   snapshot           Archive the output directory as a snapshot
+ *   snapshots          List the archived snapshots
+ *   serve              Serve the dataset as a read-only REST API
+ *
+ * Run `node cli.js --help` for all options.
+ *
+ * @requires ./get-ships.js - Ship scraper
+ * @requires ./download-media.js - Media downloader
+ * @requires ./get-sailings.js - Sailings scraper
+ * @requires ./libs/api-server.js - Dataset API server
+ */
+
+import dotenv from "dotenv";
+dotenv.config({ path: "./.env" });
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { once } from "events";
+import {
+  getShips,
+  snapshotOutput,
+  RUN_MODE_FRESH,
+  RUN_MODE_RESUME,
+  RUN_MODE_RETRY_FAILED,
+  RUN_MODE_INCREMENTAL,
+} from "./get-ships.js";
+import { downloadMedia } from "./download-media.js";
+import { getSailings } from "./get-sailings.js";
+import {
+  loadConfig,
+  parsePositiveInt,
+  parseNonNegativeInt,
+  parseRatio,
+  parseList,
+} from "./libs/config.js";
+import {
+  readMasterData,
+  resolveJsonlPath,
+  flushJsonlWritersOnShutdown,
+} from "./libs/jsonl.js";
+import { validateOutput, parseThresholds, hasProblems } from "./libs/validate.js";
+import { diffSnapshots, CHANGE_ADDED, CHANGE_REMOVED } from "./libs/diff.js";
+import { exportTables, EXPORT_FORMATS } from "./libs/export.js";
+import { normalizeShipsFile } from "./libs/normalize.js";
+import { listSnapshots } from "./libs/snapshots.js";
+import { createMediaLayout } from "./libs/media.js";
+import { updateTaxonomies } from "./libs/taxonomy.js";
+import { resolveDateRange, parseSailingFilters } from "./libs/sailings.js";
+import { resolveStorefronts } from "./libs/storefronts.js";
+import { parseLanguages } from "./libs/languages.js";
+import { startApiServer } from "./libs/api-server.js";
+
+// ========================================
+// CONSTANTS & CONFIGURATION
+// ========================================
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  ships              Scrape master data and ship details
+  media              Download ship images
+  all                ships, normalize, then media
+  normalize          Map ships.jsonl to the canonical ship model and validate it
+  export             Export ships, cruise lines, images and amenities (CSV, Parquet, SQLite)
+  diff <old> <new>   Compare two snapshots (output directories or ships.jsonl files)
+  validate           Check the scraped data in the output directory
+  report             Data quality report: validate, plus fill rates and every problem found
+  taxonomy           Split master.jsonl into one entity file per taxonomy
+  sailings           Scrape the sailings (itineraries) of every ship
+  snapshot           Archive the output directory as a snapshot
+  snapshots          List the archived snapshots
+  serve              Serve the dataset as a read-only REST API (reloads after each run)
+
+Selection (ships, media, all, sailings):
+  --ids <list>            Comma-separated ship IDs
+  --cruiseline <id|name>  Only ships of this cruise line
+  --limit <n>             At most n ships
+
+Options:
+  --output-dir <dir>      Output directory (env: OUTPUT_DIR, default: output)
+  --threads <n>           Parallel requests (env: SCRAPERAPI_MAX_THREADS / MEDIA_MAX_THREADS)
+  --dry-run               Show what would be done without fetching or writing (ships, media, all,
+                          sailings)
+  --resume                Skip ships completed on a previous run (ships, all)
+  --retry-failed          Only re-fetch ships that failed last time (ships, all)
+  --incremental           Only fetch new, stale and sampled ships; mark removed ones retired (ships, all)
+  --max-age <days>        Incremental: refresh details older than this, 0 = never
+                          (env: OD_REFRESH_MAX_AGE_DAYS, default: 30)
+  --sample <ratio>        Incremental: also refresh this share (0-1) of the other ships
+                          (env: OD_REFRESH_SAMPLE, default: 0)
+  --refresh-cookies       Ignore the cached session cookies (ships, all, sailings)
+  --verify                Check downloaded images and re-download corrupt or empty ones (media, all)
+  --image-types <list>    Image types to download, "*" for all (media, all;
+                          env: MEDIA_IMAGE_TYPES, default: Gallery)
+  --exclude-image-types <list>
+                          Image types to skip (media, all; env: MEDIA_EXCLUDE_IMAGE_TYPES)
+  --layout <template>     Media path template: {shipId}, {shipSlug}, {imageType}, {filename}
+                          (media, all; env: MEDIA_LAYOUT, default: {shipId}/{filename})
+  --derivatives           Also create thumbnails and web-optimized variants (media, all;
+                          env: MEDIA_DERIVATIVES, sizes and formats: MEDIA_DERIVATIVE_*)
+  --no-snapshot           Don't archive this run as a snapshot (ships, all)
+  --storefront <list>     Only these of the storefronts in OD_STOREFRONTS (ships, all)
+  --languages <list>      Languages to fetch ship details in, e.g. 1:en,2:es; the first is the
+                          primary one (ships, all; env: OD_LANGUAGES, default: 1:en)
+  --gzip                  Write ships.jsonl.gz / sailings.jsonl.gz (ships, all, sailings; env: OUTPUT_GZIP)
+  --from <date>           First departure date, YYYY-MM-DD (sailings; env: SAILINGS_FROM, default: today)
+  --to <date>             Last departure date, YYYY-MM-DD (sailings; env: SAILINGS_TO,
+                          default: 12 months after --from)
+  --filter <list>         Extra search filters, e.g. destinationId=1,minNights=7
+                          (sailings; env: SAILINGS_FILTERS)
+  --out <path>            Output file (normalize, default: <output-dir>/ships.normalized.jsonl)
+                          or directory (export, default: <output-dir>/exports)
+  --format <list>         Comma-separated export formats: csv, parquet, sqlite (export, default: all)
+  --thresholds <list>     Quality thresholds, e.g. missing-images=0,ships-without-images=5%,fill:name=100%
+                          (validate, report; env: QUALITY_THRESHOLDS)
+  --port <n>              Port of the API, 0 = random (serve; env: API_PORT, default: 3000)
+  --host <addr>           Interface the API listens on (serve; env: API_HOST, default: 127.0.0.1)
+  --json                  Machine-readable output (normalize, diff, validate, report, taxonomy,
+                          snapshots)
+  -h, --help              Show this help
+`;
+
+const OPTIONS = {
+  ids: { type: "string" },
+  cruiseline: { type: "string" },
+  limit: { type: "string" },
+  "output-dir": { type: "string" },
+  threads: { type: "string" },
+  "dry-run": { type: "boolean" },
+  resume: { type: "boolean" },
+  "retry-failed": { type: "boolean" },
+  incremental: { type: "boolean" },
+  "max-age": { type: "string" },
+  sample: { type: "string" },
+  "refresh-cookies": { type: "boolean" },
+  verify: { type: "boolean" },
+  "image-types": { type: "string" },
+  "exclude-image-types": { type: "string" },
+  layout: { type: "string" },
+  derivatives: { type: "boolean" },
+  "no-snapshot": { type: "boolean" },
+  storefront: { type: "string" },
+  languages: { type: "string" },
+  gzip: { type: "boolean" },
+  out: { type: "string" },
+  format: { type: "string" },
+  thresholds: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  filter: { type: "string" },
+  port: { type: "string" },
+  host: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const SELECTION_FLAGS = ["ids", "cruiseline", "limit", "dry-run"];
+const MEDIA_FLAGS = ["verify", "image-types", "exclude-image-types", "layout", "derivatives"];
+const SCRAPE_FLAGS = [
+  "resume",
+  "retry-failed",
+  "incremental",
+  "max-age",
+  "sample",
+  "refresh-cookies",
+  "no-snapshot",
+  "gzip",
+  "storefront",
+  "languages",
+];
+
+// Command -> handler, accepted flags and number of positional arguments
+const COMMANDS = {
+  ships: { run: runShips, flags: [...SELECTION_FLAGS, ...SCRAPE_FLAGS, "threads"], positionals: 0 },
+  media: { run: runMedia, flags: [...SELECTION_FLAGS, ...MEDIA_FLAGS, "threads"], positionals: 0 },
+  all: {
+    run: runAll,
+    flags: [...SELECTION_FLAGS, ...SCRAPE_FLAGS, ...MEDIA_FLAGS, "threads"],
+    positionals: 0,
+  },
+  normalize: { run: runNormalize, flags: ["out", "json"], positionals: 0 },
+  export: { run: runExport, flags: ["out", "format"], positionals: 0 },
+  diff: { run: runDiff, flags: ["json"], positionals: 2 },
+  validate: { run: runValidate, flags: ["json", "thresholds"], positionals: 0 },
+  report: { run: runReport, flags: ["json", "thresholds"], positionals: 0 },
+  taxonomy: { run: runTaxonomy, flags: ["json"], positionals: 0 },
+  sailings: {
+    run: runSailings,
+    flags: [...SELECTION_FLAGS, "threads", "refresh-cookies", "gzip", "from", "to", "filter"],
+    positionals: 0,
+  },
+  snapshot: { run: runSnapshot, flags: [], positionals: 0 },
+  snapshots: { run: runSnapshots, flags: ["json"], positionals: 0 },
+  serve: { run: runServe, flags: ["port", "host"], positionals: 0 },
+};
+
+/**
+ * Error caused by wrong usage; printed with the usage text instead of a stack trace.
+ */
+class UsageError extends Error {}
+
+// ========================================
+// ARGUMENT PARSING
+// ========================================
+
+/**
+ * Parses the command line.
+ * @param {Array<string>} args - Command-line arguments (without node and script path)
+ * @returns {{command: string|null, positionals: Array<string>, values: object}} Parsed arguments
+ * @throws {UsageError} On unknown commands, flags or wrong argument counts
+ */
+function parseCommandLine(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command = null, ...rest] = positionals;
+  if (values.help || command === null) {
+    return { command: null, positionals: [], values };
+  }
+
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new UsageError(`Unknown command "${command}".`);
+  }
+  if (rest.length !== definition.positionals) {
+    throw new UsageError(
+      `"${command}" expects ${definition.positionals} argument(s), got ${rest.length}.`
+    );
+  }
+
+  const allowed = new Set([...definition.flags, "output-dir", "help"]);
+  const unsupported = Object.keys(values).filter((flag) => !allowed.has(flag));
+  if (unsupported.length > 0) {
+    throw new UsageError(
+      `Option(s) not supported by "${command}": ${unsupported.map((flag) => `--${flag}`).join(", ")}`
+    );
+  }
+  const modes = ["resume", "retry-failed", "incremental"].filter((flag) => values[flag]);
+  if (modes.length > 1) {
+    throw new UsageError(`${modes.map((flag) => `--${flag}`).join(" and ")} cannot be used together.`);
+  }
+  if (!values.incremental && (values["max-age"] !== undefined || values.sample !== undefined)) {
+    throw new UsageError("--max-age and --sample require --incremental.");
+  }
+
+  return { command, positionals: rest, values };
+}
+
+/**
+ * Turns parsed flags into run options, on top of the .env configuration.
+ * @param {object} values - Parsed flag values
+ * @param {Array<string>} [threadsKeys=[]] - Config keys --threads applies to
+ *   ("shipThreads" and/or "mediaThreads")
+ * @returns {object} Run options
+ * @throws {UsageError} If a numeric flag is not a positive integer
+ */
+function buildOptions(values, threadsKeys = []) {
+  const threads = parseNumberFlag(values, "threads");
+  const mode = values.resume
+    ? RUN_MODE_RESUME
+    : values["retry-failed"]
+      ? RUN_MODE_RETRY_FAILED
+      : values.incremental
+        ? RUN_MODE_INCREMENTAL
+        : RUN_MODE_FRESH;
+
+  const options = loadConfig({
+    outputDir: values["output-dir"],
+    ...Object.fromEntries(threadsKeys.map((key) => [key, threads])),
+    ids: values.ids?.split(",").map((id) => id.trim()).filter(Boolean),
+    cruiseline: values.cruiseline,
+    limit: parseNumberFlag(values, "limit"),
+    dryRun: values["dry-run"] || false,
+    mode,
+    refreshCookies: values["refresh-cookies"] || false,
+    skipSnapshot: values["no-snapshot"] || false,
+    gzip: values.gzip || undefined, // Without the flag, OUTPUT_GZIP applies
+    verify: values.verify || false,
+  });
+  // Refresh flags override the .env values one by one
+  options.refresh = {
+    ...options.refresh,
+    ...(values["max-age"] !== undefined && { maxAgeDays: parseMaxAge(values["max-age"]) }),
+    ...(values.sample !== undefined && { sampleRatio: parseSample(values.sample) }),
+  };
+  // Media flags, likewise
+  options.media = {
+    ...options.media,
+    ...(values["image-types"] !== undefined && {
+      imageTypes: parseListFlag(values, "image-types"),
+    }),
+    ...(values["exclude-image-types"] !== undefined && {
+      excludeImageTypes: parseListFlag(values, "exclude-image-types"),
+    }),
+    ...(values.layout !== undefined && { layout: parseLayout(values.layout) }),
+  };
+  if (values.derivatives) {
+    options.derivatives = { ...options.derivatives, enabled: true };
+  }
+  // Threshold flags are added to QUALITY_THRESHOLDS and win over the same names there
+  if (values.thresholds !== undefined) {
+    options.quality = {
+      ...options.quality,
+      thresholds: [...(options.quality?.thresholds || []), ...parseThresholdsFlag(values)],
+    };
+  }
+  // Sailing flags override SAILINGS_FROM / SAILINGS_TO; filters are added to SAILINGS_FILTERS
+  if (values.from !== undefined || values.to !== undefined || values.filter !== undefined) {
+    options.sailings = {
+      ...options.sailings,
+      ...(values.from !== undefined && { from: values.from.trim() }),
+      ...(values.to !== undefined && { to: values.to.trim() }),
+      ...(values.filter !== undefined && {
+        filters: [...(options.sailings?.filters || []), ...parseListFlag(values, "filter")],
+      }),
+    };
+    parseSailingsFlags(options.sailings);
+  }
+  if (values.languages !== undefined) {
+    options.languages = parseLanguagesFlag(values);
+  }
+  if (values.storefront !== undefined) {
+    options.storefrontNames = parseStorefrontFlag(options.storefronts, values);
+  }
+  // --threads also wins over OD_STOREFRONT_<NAME>_MAX_THREADS
+  if (threads && threadsKeys.includes("shipThreads") && options.storefronts) {
+    options.storefronts = options.storefronts.map((storefront) => ({
+      ...storefront,
+      shipThreads: threads,
+    }));
+  }
+  return options;
+}
+
+function parseStorefrontFlag(storefronts, values) {
+  if (!storefronts) {
+    throw new UsageError("--storefront needs the storefronts to be configured in OD_STOREFRONTS.");
+  }
+  const names = parseListFlag(values, "storefront");
+  try {
+    resolveStorefronts(storefronts, names);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return names;
+}
+
+function parseLanguagesFlag(values) {
+  const items = parseListFlag(values, "languages");
+  try {
+    parseLanguages(items);
+  } catch (error) {
+    throw new UsageError(`--languages: ${error.message}`);
+  }
+  return items;
+}
+
+function parseSailingsFlags(sailings) {
+  try {
+    resolveDateRange(sailings);
+    parseSailingFilters(sailings.filters);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function parsePort(value) {
+  const port = parseNonNegativeInt(value);
+  if (port === undefined || port > 65535 || String(port) !== value.trim()) {
+    throw new UsageError(`--port expects a port number (0 for a random free port), got "${value}".`);
+  }
+  return port;
+}
+
+function parseMaxAge(value) {
+  const days = parseNonNegativeInt(value);
+  if (days === undefined || String(days) !== value.trim()) {
+    throw new UsageError(`--max-age expects a number of days, got "${value}".`);
+  }
+  return days;
+}
+
+function parseSample(value) {
+  const ratio = parseRatio(value);
+  if (ratio === undefined) {
+    throw new UsageError(`--sample expects a ratio between 0 and 1, got "${value}".`);
+  }
+  return ratio;
+}
+
+function parseNumberFlag(values, flag) {
+  if (values[flag] === undefined) return undefined;
+  const number = parsePositiveInt(values[flag]);
+  if (number === undefined || String(number) !== values[flag].trim()) {
+    throw new UsageError(`--${flag} expects a positive integer, got "${values[flag]}".`);
+  }
+  return number;
+}
+
+function parseListFlag(values, flag) {
+  const items = parseList(values[flag]);
+  if (items === undefined) {
+    throw new UsageError(`--${flag} expects a comma-separated list, got "${values[flag]}".`);
+  }
+  return items;
+}
+
+function parseThresholdsFlag(values) {
+  const specs = parseListFlag(values, "thresholds");
+  try {
+    parseThresholds(specs);
+  } catch (error) {
+    throw new UsageError(`--thresholds: ${error.message}`);
+  }
+  return specs;
+}
+
+function parseLayout(value) {
+  try {
+    createMediaLayout(value);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return value;
+}
+
+/**
+ * Resolves a diff argument to a snapshot.
+ * @param {string} target - Output directory or ships.jsonl(.gz) file; master.jsonl
+ *   is taken from the same directory when it exists
+ * @returns {{shipsFile: string, masterFile: string}} Snapshot files
+ * @throws {UsageError} If ships.jsonl doesn't exist
+ */
+function resolveSnapshot(target) {
+  const resolved = path.resolve(process.cwd(), target);
+  const shipsFile = fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()
+    ? resolveJsonlPath(path.join(resolved, "ships.jsonl"))
+    : resolved;
+  if (!fs.existsSync(shipsFile)) {
+    throw new UsageError(`Not found: ${shipsFile}`);
+  }
+  return { shipsFile, masterFile: path.join(path.dirname(shipsFile), "master.jsonl") };
+}
+
+// ========================================
+// COMMANDS
+// ========================================
+
+async function runShips(values) {
+  await getShips(buildOptions(values, ["shipThreads"]));
+  return 0;
+}
+
+async function runSailings(values) {
+  await getSailings(buildOptions(values, ["shipThreads"]));
+  return 0;
+}
+
+async function runMedia(values) {
+  await downloadMedia(buildOptions(values, ["mediaThreads"]));
+  return 0;
+}
+
+async function runAll(values) {
+  // --threads applies to both stages
+  const options = buildOptions(values, ["shipThreads", "mediaThreads"]);
+  // Archived once at the end, with the images of this run
+  const run = await getShips({ ...options, skipSnapshot: true });
+  if (!options.dryRun) {
+    console.log("");
+    await normalizeOutput(options.outputDir, null, false);
+  }
+  const media = await downloadMedia(options);
+  if (!options.dryRun && !options.skipSnapshot) {
+    await snapshotOutput(options, {
+      ...run,
+      command: "all",
+      finishedAt: new Date().toISOString(),
+      media,
+    });
+  }
+  return 0;
+}
+
+async function runNormalize(values) {
+  const { outputDir } = buildOptions(values);
+  await normalizeOutput(outputDir, values.out, values.json);
+  return 0;
+}
+
+/**
+ * Normalizes ships.jsonl in an output directory and prints the report.
+ * @param {string} outputDir - Output directory
+ * @param {string|undefined|null} out - Output file (default: <output-dir>/ships.normalized.jsonl)
+ * @param {boolean} json - Print the report as JSON
+ * @returns {Promise<void>}
+ * @throws {Error} If ships.jsonl is missing
+ */
+async function normalizeOutput(outputDir, out, json) {
+  const shipsFile = resolveJsonlPath(path.join(outputDir, "ships.jsonl"));
+  if (!fs.existsSync(shipsFile)) {
+    throw new Error(`ships.jsonl not found at: ${shipsFile}`);
+  }
+  const outFile = path.resolve(
+    process.cwd(),
+    out || path.join(outputDir, "ships.normalized.jsonl")
+  );
+
+  const report = await normalizeShipsFile(
+    shipsFile,
+    readMasterData(path.join(outputDir, "master.jsonl")),
+    outFile
+  );
+
+  if (json) {
+    console.log(JSON.stringify({ outFile, ...report }, null, 2));
+    return;
+  }
+  const invalid = report.invalidShipIds;
+  console.log(`Ship records:       ${report.recordCount}`);
+  console.log(`Valid:              ${report.validCount}`);
+  console.log(`Schema violations:  ${invalid.length}${formatIds(invalid)}`);
+  console.log(`Missing fields:     ${formatCounts(report.missingFields)}`);
+  console.log(`Unknown fields:     ${formatCounts(report.unknownFields)}`);
+  console.log(`Unusable values:    ${formatCounts(report.invalidFields)}`);
+  console.log(`✓ Normalized ${report.recordCount} ships to ${outFile}`);
+}
+
+async function runExport(values) {
+  const { outputDir } = buildOptions(values);
+  const shipsFile = resolveJsonlPath(path.join(outputDir, "ships.jsonl"));
+  if (!fs.existsSync(shipsFile)) {
+    throw new Error(`ships.jsonl not found at: ${shipsFile}`);
+  }
+  const formats = values.format === undefined
+    ? EXPORT_FORMATS
+    : values.format.split(",").map((format) => format.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter((format) => !EXPORT_FORMATS.includes(format));
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new UsageError(
+      `--format expects a list of ${EXPORT_FORMATS.join(", ")}, got "${values.format}".`
+    );
+  }
+  const outDir = path.resolve(process.cwd(), values.out || path.join(outputDir, "exports"));
+
+  const result = await exportTables(
+    shipsFile,
+    readMasterData(path.join(outputDir, "master.jsonl")),
+    { outDir, formats }
+  );
+  for (const [table, rows] of Object.entries(result.rowCounts)) {
+    console.log(`${(table + ":").padEnd(14)}${rows} rows`);
+  }
+  if (result.skippedShipIds.length > 0) {
+    console.warn(
+      `⚠️  Skipped ${result.skippedShipIds.length} ship(s) without usable data${formatIds(result.skippedShipIds)}`
+    );
+  }
+  console.log(`✓ Exported ${formats.join(", ")} to ${outDir}`);
+  return 0;
+}
+
+async function runDiff(values, [oldTarget, newTarget]) {
+  const result = await diffSnapshots(resolveSnapshot(oldTarget), resolveSnapshot(newTarget));
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printDiff(result);
+  }
+  return 0;
+}
+
+async function runValidate(values) {
+  return await checkOutput(values, false);
+}
+
+async function runReport(values) {
+  return await checkOutput(values, true);
+}
+
+/**
+ * Validates the output directory against the quality thresholds and prints
+ * the result.
+ * @param {object} values - Parsed flag values
+ * @param {boolean} detailed - Also print every fill rate and every broken or
+ *   missing image (report), not just the counts (validate)
+ * @returns {Promise<number>} Exit code: 1 if a threshold is not met
+ */
+async function checkOutput(values, detailed) {
+  const { outputDir, media, quality } = buildOptions(values);
+  const report = await validateOutput(outputDir, { thresholds: quality?.thresholds, media });
+  const failed = hasProblems(report);
+
+  if (values.json) {
+    console.log(JSON.stringify({ ok: !failed, ...report }, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  const shipsWithData = report.shipCount - report.emptyShipIds.length;
+  console.log(`Master ships:         ${report.masterShipCount}`);
+  console.log(`Ship records:         ${report.recordCount}`);
+  console.log(`Unreadable lines:     ${report.invalidLines.length}${formatIds(report.invalidLines)}`);
+  console.log(`Missing ships:        ${report.missingShipIds.length}${formatIds(report.missingShipIds)}`);
+  console.log(`Records without data: ${report.emptyShipIds.length}${formatIds(report.emptyShipIds)}`);
+  console.log(`Duplicate ship IDs:   ${report.duplicateShipIds.length}${formatIds(report.duplicateShipIds)}`);
+  console.log(
+    `Without images:       ${report.shipsWithoutImages.length} of ${shipsWithData}` +
+    formatIds(report.shipsWithoutImages)
+  );
+  console.log(
+    `Without description:  ${report.shipsWithoutDescription.length} of ${shipsWithData}` +
+    formatIds(report.shipsWithoutDescription)
+  );
+  console.log(`Broken image paths:   ${report.brokenImagePaths.length} of ${report.imageCount} images`);
+  console.log(
+    `Images not on disk:   ` +
+    (report.mediaChecked
+      ? `${report.missingImages.length} of ${report.selectedImageCount} selected`
+      : "not checked (no media directory)")
+  );
+
+  if (detailed) {
+    console.log("\nFill rates:");
+    for (const [field, rate] of Object.entries(report.fillRates)) {
+      console.log(`  ${field.padEnd(20)}${formatPercent(rate).padStart(7)}`);
+    }
+    for (const image of report.brokenImagePaths) {
+      console.log(`  ✗ ship ${image.shipId}: ${JSON.stringify(image.path)} (${image.reason})`);
+    }
+    for (const image of report.missingImages) {
+      console.log(`  ✗ ship ${image.shipId}: ${image.path} not at ${image.file}`);
+    }
+  } else {
+    const lowest = Object.entries(report.fillRates).sort((a, b) => a[1] - b[1]).slice(0, 3);
+    console.log(
+      `Lowest fill rates:    ${lowest.map(([field, rate]) => `${field} (${formatPercent(rate)})`).join(", ")}`
+    );
+  }
+
+  if (failed) {
+    console.log("\n✗ Validation failed");
+    report.failures.forEach((failure) => console.log(`  ✗ ${failure.message}`));
+  } else {
+    console.log("\n✓ Validation passed");
+  }
+  return failed ? 1 : 0;
+}
+
+async function runTaxonomy(values) {
+  const { outputDir } = buildOptions(values);
+  const masterFile = path.join(outputDir, "master.jsonl");
+  const masterData = readMasterData(masterFile);
+  if (!masterData) {
+    throw new Error(`master.jsonl not found at: ${masterFile}`);
+  }
+  const result = await updateTaxonomies(outputDir, masterData);
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+  for (const [fileName, count] of Object.entries(result.counts)) {
+    console.log(`${fileName.padEnd(24)}${String(count).padStart(6)}`);
+  }
+  console.log(`Dangling references:  ${result.unresolved.length}`);
+  result.unresolved.forEach(({ taxonomy, id, field, value }) =>
+    console.log(`  ✗ ${taxonomy} ${id}: ${field} ${value} not found`)
+  );
+  if (result.firstRun) {
+    console.log("Master keys:          baseline recorded (first run)");
+  } else {
+    console.log(`New master keys:      ${result.newKeys.length}${formatIds(result.newKeys)}`);
+    console.log(`Missing master keys:  ${result.missingKeys.length}${formatIds(result.missingKeys)}`);
+  }
+  console.log(`✓ Taxonomies written to ${result.taxonomyDir}`);
+  return 0;
+}
+
+async function runSnapshot(values) {
+  const options = buildOptions(values);
+  // Archive even if SNAPSHOTS=false: this command is an explicit request
+  const snapshot = await snapshotOutput(
+    { ...options, snapshots: { ...options.snapshots, enabled: true } },
+    { command: "snapshot", finishedAt: new Date().toISOString() }
+  );
+  return snapshot ? 0 : 1;
+}
+
+async function runSnapshots(values) {
+  const { outputDir } = buildOptions(values);
+  const snapshots = listSnapshots(outputDir);
+
+  if (values.json) {
+    console.log(JSON.stringify(snapshots, null, 2));
+    return 0;
+  }
+  if (snapshots.length === 0) {
+    console.log(`No snapshots in ${outputDir}`);
+    return 0;
+  }
+  for (const { id, manifest } of snapshots) {
+    const run = manifest?.run || {};
+    const counts = manifest?.counts || {};
+    console.log(
+      `${id}  ${[run.command, run.mode].filter(Boolean).join(" ").padEnd(18)}` +
+      `ships: ${counts.shipRecords ?? "?"}  retired: ${counts.retiredShips ?? "?"}  ` +
+      `failures: ${manifest?.failures?.length ?? "?"}  images: ${manifest?.media?.files ?? "?"}`
+    );
+  }
+  console.log(`\n${snapshots.length} snapshot(s); latest: ${snapshots[snapshots.length - 1].id}`);
+  return 0;
+}
+
+async function runServe(values) {
+  const { outputDir, api: settings = {} } = buildOptions(values);
+  const api = await startApiServer({
+    ...settings,
+    outputDir,
+    ...(values.port !== undefined && { port: parsePort(values.port) }),
+    ...(values.host !== undefined && { host: values.host.trim() }),
+  });
+  const dataset = api.getDataset();
+
+  console.log(`🛰️  Dataset API listening on ${api.baseUrl}`);
+  console.log(`   Source:   ${dataset.source}`);
+  console.log(`   Ships:    ${dataset.ships.length}`);
+  console.log(`   Images:   ${[...dataset.media.values()].flat().length}`);
+  console.log(
+    api.reloadIntervalSeconds > 0
+      ? `   Reload:   every ${api.reloadIntervalSeconds}s once a new run is finished`
+      : "   Reload:   off"
+  );
+  console.log(`
+   curl ${api.baseUrl}/ships?pageSize=10
+`);
+
+  // Runs until Ctrl+C
+  await once(api.server, "close");
+  return 0;
+}
+
+/**
+ * Prints a snapshot diff as text: one line per ship, indented field and image changes.
+ * @param {object} result - Diff (see libs/diff.js)
+ */
+function printDiff(result) {
+  const { summary } = result;
+  console.log(
+    `Ships: ${summary.added} added, ${summary.removed} removed, ${summary.retired} retired, ` +
+    `${summary.changed} changed, ${summary.unchanged} unchanged`
+  );
+
+  for (const ship of result.added) {
+    console.log(`+ ${ship.shipId}\t${ship.name ?? ""}`);
+  }
+  for (const ship of result.removed) {
+    console.log(`- ${ship.shipId}\t${ship.name ?? ""}`);
+  }
+  for (const ship of result.retired) {
+    console.log(`⚑ ${ship.shipId}\t${ship.name ?? ""} (retired ${ship.retiredAt})`);
+  }
+  for (const ship of result.changed) {
+    console.log(`~ ${ship.shipId}\t${ship.name ?? ""}`);
+    printChanges([...ship.changes, ...ship.images.changes], "    ");
+    ship.images.added.forEach((image) => console.log(`    + image ${image}`));
+    ship.images.removed.forEach((image) => console.log(`    - image ${image}`));
+  }
+
+  if (!result.master) {
+    console.log("\nMaster data: not compared (master.jsonl missing in one of the snapshots)");
+    return;
+  }
+  const lists = Object.entries(result.master);
+  console.log(`\nMaster data:${lists.length === 0 ? " no changes" : ""}`);
+  for (const [key, list] of lists) {
+    console.log(
+      `  ${key}: ${list.added.length} added, ${list.removed.length} removed, ${list.changed.length} changed`
+    );
+    list.added.forEach((entry) => console.log(`  + ${entry.id}\t${entry.name ?? ""}`));
+    list.removed.forEach((entry) => console.log(`  - ${entry.id}\t${entry.name ?? ""}`));
+    for (const entry of list.changed) {
+      console.log(`  ~ ${entry.id}\t${entry.name ?? ""}`);
+      printChanges(entry.changes, "      ");
+    }
+  }
+}
+
+function printChanges(changes, indent) {
+  for (const change of changes) {
+    if (change.type === CHANGE_ADDED) {
+      console.log(`${indent}${change.path}: added ${formatValue(change.new)}`);
+    } else if (change.type === CHANGE_REMOVED) {
+      console.log(`${indent}${change.path}: removed (was ${formatValue(change.old)})`);
+    } else {
+      console.log(`${indent}${change.path}: ${formatValue(change.old)} → ${formatValue(change.new)}`);
+    }
+  }
+}
+
+// Shortens long values (descriptions, nested objects) to one readable line
+function formatValue(value, max = 60) {
+  const text = JSON.stringify(value) ?? "undefined";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats a short list of IDs for a summary line.
+ * @param {Array<string|number>} ids - IDs to show
+ * @param {number} [max=10] - Maximum number of IDs to list
+ * @returns {string} e.g. " (1, 2, 3 ... +12 more)" or "" for an empty list
+ */
+function formatIds(ids, max = 10) {
+  if (ids.length === 0) return "";
+  const shown = ids.slice(0, max).join(", ");
+  return ids.length > max ? ` (${shown} ... +${ids.length - max} more)` : ` (${shown})`;
+}
+
+/**
+ * Formats per-field counts for a summary line, most frequent first.
+ * @param {object} counts - Count by field name
+ * @param {number} [max=10] - Maximum number of fields to list
+ * @returns {string} e.g. "shipClass (12), length (3)" or "none"
+ */
+function formatCounts(counts, max = 10) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return "none";
+  const shown = entries.slice(0, max).map(([field, count]) => `${field} (${count})`).join(", ");
+  return entries.length > max ? `${shown} ... +${entries.length - max} more` : shown;
+}
+
+// ========================================
+// ENTRY POINT
+// ========================================
+
+/**
+ * Application entry point with error handling.
+ * Catches and logs any unhandled errors, then exits with appropriate code.
+ */
+flushJsonlWritersOnShutdown();
+(async () => {
+  try {
+    const { command, positionals, values } = parseCommandLine(process.argv.slice(2));
+    if (command === null) {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    const exitCode = await COMMANDS[command].run(values, positionals);
+    process.exit(exitCode);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+
+    // Log error with details
+    console.error("\n" + "=".repeat(60));
+    console.error("❌ FATAL ERROR");
+    console.error("=".repeat(60));
+    console.error(`Message: ${error.message}`);
+    if (error.stack) {
+      console.error(`\nStack trace:\n${error.stack}`);
+    }
+    console.error("=".repeat(60) + "\n");
+
+    process.exit(1); // Failure
+  }
+})();
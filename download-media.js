@@ -3,50 +3,84 @@
  * CRUISE SHIPS MEDIA DOWNLOADER
  * ========================================
  *
- * Downloads ship gallery images from scraped ship data.
- * Reads ships.jsonl and downloads all gallery images for each ship.
+ * Downloads ship images from scraped ship data.
+ * Reads ships.jsonl and downloads the images of each ship, gallery images
+ * by default (MEDIA_IMAGE_TYPES / MEDIA_EXCLUDE_IMAGE_TYPES select others).
  *
  * Features:
- * - Parallel downloads with configurable concurrency
+ * - Parallel downloads with configurable concurrency and rate limit
  * - Resume capability (skips already downloaded files)
- * - Direct downloads (does NOT use ScraperAPI)
- * - Organized output by ship ID
+ * - Atomic, verified downloads (temp file + rename; HTML error pages and
+ *   truncated files are rejected) and a verify pass for files on disk
+ * - media-manifest.jsonl with hash, MIME type and size of every image;
+ *   identical images are stored once (hard links)
+ * - Optional derivatives: resized WebP/AVIF/JPEG variants without metadata,
+ *   re-created only when the image or the size settings change
+ * - Direct downloads by default (MEDIA_TRANSPORT can route them through a proxy)
+ * - Organized output by ship ID, or any MEDIA_LAYOUT (e.g. by image type)
+ * - Report of every image type found and its count
  * - Progress tracking and error reporting
  *
+ * The downloads themselves live in libs/media.js and libs/scraper.js (see
+ * index.js to embed them); this script adds ships.jsonl loading and console
+ * reporting.
+ *
  * @requires dotenv - Environment variable management
  * @requires fs - File system operations
  * @requires path - Path manipulation
- * @requires stream/promises - Stream pipeline for downloads
+ * @requires ./libs/scraper.js - Scraper API
+ * @requires ./libs/config.js - Run configuration
+ * @requires ./libs/selection.js - Ship selection
+ * @requires ./libs/media.js - Image type filters and media layout
+ * @requires ./libs/media-manifest.js - Media manifest and deduplication
+ * @requires ./libs/derivatives.js - Thumbnails and web-optimized variants
  */
 
 import dotenv from "dotenv";
 dotenv.config({ path: "./.env" });
 import fs from "fs";
 import path from "path";
-import { pipeline } from "stream/promises";
-import { Readable } from "stream";
+import { createScraper } from "./libs/scraper.js";
+import { describeTransport } from "./libs/transport.js";
+import { loadConfig } from "./libs/config.js";
+import { readJsonl, readMasterData, resolveJsonlPath } from "./libs/jsonl.js";
+import { createDerivatives, resolveDerivativeSettings } from "./libs/derivatives.js";
+import {
+  MEDIA_MANIFEST_FILE_NAME,
+  buildMediaManifest,
+  readMediaManifest,
+  writeMediaManifest,
+} from "./libs/media-manifest.js";
+import { selectShipRecords, hasSelection } from "./libs/selection.js";
+import {
+  ALL_IMAGE_TYPES,
+  DEFAULT_IMAGE_TYPES,
+  DEFAULT_MEDIA_LAYOUT,
+  createImageTypeFilter,
+  createMediaLayout,
+  countImageTypes,
+} from "./libs/media.js";
+import { fileURLToPath } from "url";
 
 // ========================================
 // CONSTANTS & CONFIGURATION
 // ========================================
 
-const DEFAULT_MAX_DOWNLOADS = 10; // Default concurrent downloads if not configured
-const OUTPUT_DIR_NAME = "output";
+const MASTER_FILE_NAME = "master.jsonl";
 const SHIPS_FILE_NAME = "ships.jsonl";
 const MEDIA_DIR_NAME = "media";
-const GALLERY_IMAGE_TYPE = "Gallery"; // Filter for gallery images only
 
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
 
 /**
- * Validates that all required environment variables are present.
- * @throws {Error} If any required environment variable is missing
+ * Validates that all required settings are present.
+ * @param {object} config - Run configuration
+ * @throws {Error} If any required setting is missing
  */
-function validateEnvironment() {
-  const required = ["OD_BASE_URL"];
-  const missing = required.filter((key) => !process.env[key]);
+function validateEnvironment(config) {
+  const missing = config.baseUrl ? [] : ["OD_BASE_URL"];
 
   if (missing.length > 0) {
     throw new Error(
@@ -57,13 +91,14 @@ function validateEnvironment() {
 }
 
 /**
- * Ensures a directory exists, creating it if necessary.
- * @param {string} dirPath - Path to the directory
+ * Checks whether this file is the script node was started with.
+ * @returns {boolean} True when executed directly, false when imported
  */
-function ensureDirectory(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
+function isMainModule() {
+  return (
+    Boolean(process.argv[1]) &&
+    fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+  );
 }
 
 /**
@@ -106,50 +141,12 @@ function logSection(message) {
 // ========================================
 
 /**
- * Downloads a single image from URL to local file.
- * Uses streaming to handle large files efficiently.
- *
- * @param {string} url - URL of the image to download
- * @param {string} filepath - Local file path to save the image
- * @returns {Promise<object>} Result object with success status
- */
-async function downloadImage(url, filepath) {
-  try {
-    // Fetch the image
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    // Ensure parent directory exists
-    const dir = path.dirname(filepath);
-    ensureDirectory(dir);
-
-    // Download and save the file using streaming for efficiency
-    await pipeline(
-      Readable.fromWeb(response.body),
-      fs.createWriteStream(filepath)
-    );
-
-    return { success: true, url, filepath };
-  } catch (error) {
-    return {
-      success: false,
-      url,
-      filepath,
-      error: error.message,
-    };
-  }
-}
-
-/**
- * Reads and parses the ships.jsonl file.
+ * Reads and parses the ships.jsonl (or ships.jsonl.gz) file.
  * @param {string} shipsFile - Path to ships.jsonl file
- * @returns {Array<object>} Array of ship objects
+ * @returns {Promise<Array<object>>} Array of ship objects
  * @throws {Error} If file doesn't exist or parsing fails
  */
-function loadShipsData(shipsFile) {
+async function loadShipsData(shipsFile) {
   if (!fs.existsSync(shipsFile)) {
     throw new Error(
       `ships.jsonl not found at: ${shipsFile}\n` +
@@ -157,126 +154,167 @@ function loadShipsData(shipsFile) {
     );
   }
 
-  const fileContent = fs.readFileSync(shipsFile, "utf-8");
-
   // Parse JSONL (one JSON object per line)
-  const ships = fileContent
-    .trim()
-    .split("\n")
-    .map((line, index) => {
-      try {
-        return JSON.parse(line);
-      } catch (error) {
-        console.warn(`Warning: Failed to parse line ${index + 1}, skipping...`);
-        return null;
-      }
-    })
-    .filter((ship) => ship !== null);
-
+  const ships = [];
+  for await (const ship of readJsonl(shipsFile)) {
+    ships.push(ship);
+  }
   return ships;
 }
 
 /**
- * Collects all image download tasks from ship data.
- * Filters for gallery images and skips already downloaded files.
- *
- * @param {Array<object>} ships - Array of ship objects
- * @param {string} baseUrl - Base URL for constructing image URLs
- * @param {string} mediaDir - Directory to save media files
- * @returns {Array<object>} Array of download task objects
+ * Logs every image type found in the ship data, its count and whether it
+ * is downloaded.
+ * @param {Array<object>} imageTypes - Counts per type (see countImageTypes)
  */
-function collectDownloadTasks(ships, baseUrl, mediaDir) {
-  const downloadTasks = [];
-  let totalImages = 0;
-  let alreadyDownloaded = 0;
-
-  for (const ship of ships) {
-    const shipId = ship.shipId;
-    const shipName = ship.data?.data?.name || `Ship ${shipId}`;
-    const images = ship.data?.data?.images || [];
-
-    // Filter for gallery images only
-    const galleryImages = images.filter(
-      (img) => img.path && img.imageType === GALLERY_IMAGE_TYPE
+function logImageTypes(imageTypes) {
+  if (imageTypes.length === 0) {
+    console.log("No images found in the ship data.");
+    return;
+  }
+  console.log("Image types found (✓ = downloaded):");
+  const width = Math.max(...imageTypes.map(({ imageType }) => String(imageType ?? "(none)").length));
+  for (const { imageType, images, ships, selected } of imageTypes) {
+    console.log(
+      `  ${selected ? "✓" : "✗"} ${String(imageType ?? "(none)").padEnd(width)}  ` +
+      `${images} image(s) on ${ships} ship(s)`
     );
+  }
+}
 
-    totalImages += galleryImages.length;
-
-    for (const image of galleryImages) {
-      const imageUrl = `${baseUrl}${image.path}`;
-      const filename = path.basename(image.path);
-      const filepath = path.join(mediaDir, `${shipId}`, filename);
-
-      // Skip if already downloaded (resume capability)
-      if (fs.existsSync(filepath)) {
-        alreadyDownloaded++;
-        continue;
-      }
-
-      downloadTasks.push({
-        url: imageUrl,
-        filepath,
-        shipId,
-        shipName,
-        filename,
-      });
+/**
+ * Logs how many images were found, are already on disk and are left to download.
+ * @param {object} plan - Download plan (see libs/media.js)
+ */
+function logPlan({ tasks, totalImages, alreadyDownloaded, corrupt }, verify) {
+  console.log(`Total matching images found: ${totalImages}`);
+  console.log(`Already downloaded: ${alreadyDownloaded}${verify ? " (verified)" : ""}`);
+  if (verify) {
+    console.log(`Corrupt on disk (re-downloaded): ${corrupt}`);
+    for (const task of tasks.filter((task) => task.corrupt)) {
+      console.log(`  🩹 ${task.shipId}/${task.filename} - ${task.corrupt}`);
     }
   }
+  console.log(`New images to download: ${tasks.length}`);
+}
 
-  console.log(`Total gallery images found: ${totalImages}`);
-  console.log(`Already downloaded: ${alreadyDownloaded}`);
-  console.log(`New images to download: ${downloadTasks.length}`);
+/**
+ * Logs the scraper's download events.
+ * @param {object} scraper - Scraper (see libs/scraper.js)
+ */
+function logDownloadEvents(scraper) {
+  scraper.on("image", ({ task, completed, total }) => {
+    console.log(`✓ [${completed}/${total}] ${task.shipName} - ${task.filename}`);
+  });
+  scraper.on("imageError", ({ task, error, completed, failed, total }) => {
+    console.error(
+      `✗ [${completed + failed}/${total}] Failed: ${task.filename} - ${error}`
+    );
+  });
+}
 
-  return downloadTasks;
+/**
+ * Rebuilds media-manifest.jsonl for the given ships (entries of other ships
+ * are kept) and links identical images to a single file.
+ * @param {Array<object>} ships - Ship records
+ * @param {object} options - baseUrl, outputDir, mediaDir, filter and layout
+ * @returns {Promise<{manifestFile: string, entries: Array<object>, stats: object}>}
+ *   Manifest file, entries and counts (see libs/media-manifest.js)
+ */
+async function updateMediaManifest(ships, { baseUrl, outputDir, mediaDir, filter, layout }) {
+  const manifestFile = path.join(outputDir, MEDIA_MANIFEST_FILE_NAME);
+  const { entries, stats } = buildMediaManifest(ships, {
+    baseUrl,
+    outputDir,
+    mediaDir,
+    filter,
+    layout,
+    previousEntries: await readMediaManifest(manifestFile),
+  });
+  await writeMediaManifest(manifestFile, entries);
+
+  console.log(`✓ ${stats.images} image(s) in ${MEDIA_MANIFEST_FILE_NAME}`);
+  console.log(`  Unique files:      ${stats.unique}`);
+  console.log(
+    `  Duplicates:        ${stats.duplicates} (${formatBytes(stats.savedBytes)} saved, ` +
+    `${stats.linked} newly linked)`
+  );
+  if (stats.missing > 0) {
+    console.log(`  Not downloaded:    ${stats.missing}`);
+  }
+  return { manifestFile, entries, stats };
 }
 
 /**
- * Downloads all images in parallel batches.
- * @param {Array<object>} downloadTasks - Array of download task objects
- * @param {number} maxConcurrent - Maximum concurrent downloads
- * @returns {Promise<object>} Results object with statistics
+ * Creates the missing and outdated image derivatives and records them in
+ * the media manifest.
+ * @param {{manifestFile: string, entries: Array<object>}} manifest - Media manifest
+ * @param {object} options - outputDir, mediaDir and the resolved derivative settings
+ * @returns {Promise<object>} Variant counts and failures (see libs/derivatives.js)
  */
-async function downloadInBatches(downloadTasks, maxConcurrent) {
-  const counters = { completed: 0, failed: 0 };
-  const startTime = Date.now();
-
-  logSection(`Downloading ${downloadTasks.length} images with ${maxConcurrent} parallel downloads...`);
-
-  // Process downloads in batches for controlled concurrency
-  for (let i = 0; i < downloadTasks.length; i += maxConcurrent) {
-    const batch = downloadTasks.slice(i, i + maxConcurrent);
-
-    // Create promises for all downloads in this batch
-    const promises = batch.map(async (task) => {
-      const result = await downloadImage(task.url, task.filepath);
-
-      if (result.success) {
-        counters.completed++;
-        console.log(
-          `✓ [${counters.completed}/${downloadTasks.length}] ${task.shipName} - ${task.filename}`
-        );
-      } else {
-        counters.failed++;
-        console.error(
-          `✗ [${counters.completed + counters.failed}/${downloadTasks.length}] ` +
-          `Failed: ${task.filename} - ${result.error}`
-        );
+async function updateDerivatives({ manifestFile, entries }, { outputDir, mediaDir, settings }) {
+  const results = await createDerivatives(entries, {
+    outputDir,
+    mediaDir,
+    settings,
+    onImage: ({ entry, created, error }) => {
+      if (error) {
+        console.error(`✗ ${entry.file} - ${error}`);
+      } else if (created > 0) {
+        console.log(`✓ ${entry.file} - ${created} variant(s)`);
       }
-
-      return result;
-    });
-
-    // Wait for all downloads in batch to complete before moving to next batch
-    await Promise.all(promises);
+    },
+  });
+  await writeMediaManifest(manifestFile, entries);
+
+  console.log(`✓ Variants created:  ${results.created}`);
+  console.log(`  Up to date:        ${results.upToDate}`);
+  console.log(`  Linked duplicates: ${results.linked}`);
+  if (results.removed > 0) {
+    console.log(`  Removed (no longer configured): ${results.removed}`);
+  }
+  if (results.failed > 0) {
+    console.warn(`⚠️  ${results.failed} image(s) could not be processed:`);
+    for (const { file, error } of results.failures) {
+      console.warn(`   ${file}: ${error}`);
+    }
   }
+  return results;
+}
 
-  const elapsedTime = Date.now() - startTime;
+/**
+ * Describes the derivative settings.
+ * @param {object} settings - Resolved settings (see resolveDerivativeSettings)
+ * @returns {string} e.g. "thumb 320x240, web 1200w as webp, jpeg (quality 80)"
+ */
+function describeDerivatives({ sizes, formats, quality }) {
+  const sizeList = sizes
+    .map(({ name, width, height }) => `${name} ${height ? `${width}x${height}` : `${width}w`}`)
+    .join(", ");
+  return `${sizeList} as ${formats.join(", ")} (quality ${quality})`;
+}
 
-  return {
-    completed: counters.completed,
-    failed: counters.failed,
-    elapsedTime,
-  };
+/**
+ * Describes the image type selection.
+ * @param {object} [media] - imageTypes / excludeImageTypes
+ * @returns {string} e.g. "Gallery, DeckPlan (excluding Logo)"
+ */
+function describeImageTypes({ imageTypes = DEFAULT_IMAGE_TYPES, excludeImageTypes = [] } = {}) {
+  const included = imageTypes.includes(ALL_IMAGE_TYPES) ? "all" : imageTypes.join(", ");
+  return excludeImageTypes.length > 0
+    ? `${included} (excluding ${excludeImageTypes.join(", ")})`
+    : included;
+}
+
+/**
+ * Formats a byte count in human-readable format.
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 /**
@@ -314,50 +352,148 @@ function displaySummary(results, totalTasks, mediaDir) {
 /**
  * Main download workflow.
  * Orchestrates the entire media download process.
+ *
+ * @param {object} options - Run configuration (see libs/config.js), plus:
+ * @param {Array<number|string>} [options.ids] - Only download images of these ship IDs
+ * @param {string} [options.cruiseline] - Only ships of this cruise line (ID or name)
+ * @param {number} [options.limit] - At most this many ships
+ * @param {boolean} [options.dryRun=false] - Only count what would be downloaded
+ * @param {boolean} [options.verify=false] - Check the images already on disk and
+ *   download corrupt or empty ones again
+ * @param {object} [options.media] - imageTypes / excludeImageTypes filters and
+ *   the directory layout (see libs/media.js)
+ * @param {object} [options.derivatives] - enabled, sizes, formats and quality of
+ *   the image derivatives (see libs/derivatives.js)
+ * @returns {Promise<object>} Image counts: totalImages, alreadyDownloaded,
+ *   corrupt, downloaded, failed, the media manifest counts (`manifest`,
+ *   absent on dry runs) and the derivative counts and failures (`derivatives`,
+ *   only when enabled)
  */
-async function main() {
-  // Validate environment before starting
-  validateEnvironment();
+async function downloadMedia(options) {
+  const {
+    baseUrl,
+    outputDir,
+    mediaThreads: maxConcurrent,
+    dryRun = false,
+    verify = false,
+  } = options;
+  const selection = {
+    ids: options.ids,
+    cruiseline: options.cruiseline,
+    limit: options.limit,
+  };
+
+  // Validate configuration before starting
+  validateEnvironment(options);
+  const filter = createImageTypeFilter(options.media);
+  const layout = options.media?.layout ?? DEFAULT_MEDIA_LAYOUT;
+  createMediaLayout(layout); // Throws on an invalid MEDIA_LAYOUT
+  const derivativeSettings = options.derivatives?.enabled
+    ? resolveDerivativeSettings(options.derivatives) // Throws on invalid sizes/formats
+    : null;
 
   // Setup file paths
-  const outputDir = path.resolve(process.cwd(), OUTPUT_DIR_NAME);
-  const shipsFile = path.join(outputDir, SHIPS_FILE_NAME);
+  const shipsFile = resolveJsonlPath(path.join(outputDir, SHIPS_FILE_NAME));
+  const masterFile = path.join(outputDir, MASTER_FILE_NAME);
   const mediaDir = path.join(outputDir, MEDIA_DIR_NAME);
 
-  // Ensure media directory exists
-  ensureDirectory(mediaDir);
-
-  // Get configuration
-  const baseUrl = process.env.OD_BASE_URL;
-  const maxConcurrent = parseInt(process.env.MEDIA_MAX_THREADS) || DEFAULT_MAX_DOWNLOADS;
+  const scraper = createScraper(options);
+  logDownloadEvents(scraper);
 
   logHeader("CRUISE SHIPS MEDIA DOWNLOADER");
   console.log(`Configuration:`);
   console.log(`  Base URL:          ${baseUrl}`);
   console.log(`  Max Concurrent:    ${maxConcurrent}`);
+  console.log(`  Transport:         ${describeTransport(scraper.getMediaTransport())}`);
+  console.log(`  Rate Limit:        ${scraper.getMediaRateLimiter().describe()}`);
   console.log(`  Ships File:        ${shipsFile}`);
   console.log(`  Media Directory:   ${mediaDir}`);
+  console.log(`  Image Types:       ${describeImageTypes(options.media)}`);
+  console.log(`  Layout:            ${layout}`);
+  if (derivativeSettings) {
+    console.log(`  Derivatives:       ${describeDerivatives(derivativeSettings)}`);
+  }
+  if (dryRun) {
+    console.log(`  Dry Run:           yes (nothing is downloaded)`);
+  }
+  if (verify) {
+    console.log(`  Verify:            yes (images on disk are checked)`);
+  }
 
   // Step 1: Load ship data
   logSection("Step 1: Loading Ship Data");
-  const ships = loadShipsData(shipsFile);
-  console.log(`✓ Loaded ${ships.length} ships from ${SHIPS_FILE_NAME}`);
+  const allShips = await loadShipsData(shipsFile);
+  console.log(`✓ Loaded ${allShips.length} ships from ${path.basename(shipsFile)}`);
+  const ships = selectShipRecords(allShips, readMasterData(masterFile), selection);
+  if (hasSelection(selection)) {
+    console.log(`Selected ${ships.length} of ${allShips.length} ships`);
+  }
 
   // Step 2: Collect download tasks
   logSection("Step 2: Collecting Image URLs");
-  const downloadTasks = collectDownloadTasks(ships, baseUrl, mediaDir);
+  logImageTypes(countImageTypes(ships, filter));
+  const plan = scraper.planMedia({ ships, mediaDir, filter, layout, verify });
+  logPlan(plan, verify);
+
+  const summary = {
+    totalImages: plan.totalImages,
+    alreadyDownloaded: plan.alreadyDownloaded,
+    corrupt: plan.corrupt,
+    downloaded: 0,
+    failed: 0,
+  };
+  if (dryRun) {
+    console.log(`\n${plan.tasks.length} images would be downloaded.`);
+    return summary;
+  }
 
-  if (downloadTasks.length === 0) {
+  // Step 3: Download images
+  let results = null;
+  if (plan.tasks.length === 0) {
     console.log("\n✓ All images already downloaded. Nothing to do!");
-    return;
+  } else {
+    logSection("Step 3: Downloading Images");
+    console.log(
+      `Downloading ${plan.tasks.length} images with ${maxConcurrent} parallel downloads ` +
+      `(rate limit: ${scraper.getMediaRateLimiter().describe()})...`
+    );
+    results = await scraper.downloadMedia({ plan, concurrency: maxConcurrent });
   }
 
-  // Step 3: Download images
-  logSection("Step 3: Downloading Images");
-  const results = await downloadInBatches(downloadTasks, maxConcurrent);
+  // Step 4: Describe the images in the media manifest
+  logSection("Step 4: Writing Media Manifest");
+  const manifest = await updateMediaManifest(ships, { baseUrl, outputDir, mediaDir, filter, layout });
+
+  // Step 5: Create thumbnails and web-optimized variants (optional)
+  let derivatives;
+  if (derivativeSettings) {
+    logSection("Step 5: Creating Image Derivatives");
+    derivatives = await updateDerivatives(manifest, {
+      outputDir,
+      mediaDir,
+      settings: derivativeSettings,
+    });
+  }
 
-  // Step 4: Display final summary
-  displaySummary(results, downloadTasks.length, mediaDir);
+  // Step 6: Display final summary
+  if (results) {
+    displaySummary(results, results.total, mediaDir);
+  }
+  return {
+    ...summary,
+    downloaded: results?.completed ?? 0,
+    failed: results?.failed ?? 0,
+    manifest: manifest.stats,
+    ...(derivatives && { derivatives }),
+  };
+}
+
+/**
+ * Runs the download with configuration from the environment.
+ * For ship selection, dry runs and other options use the CLI (cli.js media).
+ */
+async function main() {
+  await downloadMedia(loadConfig());
 }
 
 // ========================================
@@ -367,22 +503,27 @@ async function main() {
 /**
  * Application entry point with error handling.
  * Catches and logs any unhandled errors, then exits with appropriate code.
+ * Only runs when this file is executed directly, not when it is imported.
  */
-(async () => {
-  try {
-    await main();
-    process.exit(0); // Success
-  } catch (error) {
-    // Log error with details
-    console.error("\n" + "=".repeat(60));
-    console.error("❌ FATAL ERROR");
-    console.error("=".repeat(60));
-    console.error(`Message: ${error.message}`);
-    if (error.stack) {
-      console.error(`\nStack trace:\n${error.stack}`);
+if (isMainModule()) {
+  (async () => {
+    try {
+      await main();
+      process.exit(0); // Success
+    } catch (error) {
+      // Log error with details
+      console.error("\n" + "=".repeat(60));
+      console.error("❌ FATAL ERROR");
+      console.error("=".repeat(60));
+      console.error(`Message: ${error.message}`);
+      if (error.stack) {
+        console.error(`\nStack trace:\n${error.stack}`);
+      }
+      console.error("=".repeat(60) + "\n");
+
+      process.exit(1); // Failure
     }
-    console.error("=".repeat(60) + "\n");
+  })();
+}
 
-    process.exit(1); // Failure
-  }
-})();
+export { downloadMedia };
@@ -0,0 +1,386 @@
+/**
+ * ========================================
+ * CRUISE SAILINGS EXTRACTOR
+ * ========================================
+ *
+ * Scrapes the sailings of every ship from the Ody cruise search: departure
+ * dates, durations and ports of call, one itinerary per line of
+ * sailings.jsonl, each linked to its ship by `shipId`.
+ *
+ * Features:
+ * - Searches ship by ship, filtered by ship, cruise line and departure date
+ *   range (SAILINGS_FROM / SAILINGS_TO), plus any SAILINGS_FILTERS
+ * - Pages through the results (SAILINGS_PAGE_SIZE, at most SAILINGS_MAX_PAGES per ship)
+ * - Same session cookies, transport, rate limit and retries as get-ships
+ * - Ships selected with --ids / --cruiseline / --limit replace only their own
+ *   sailings; the sailings of the other ships are kept
+ * - Gzipped output with OUTPUT_GZIP=true
+ *
+ * The search itself lives in libs/scraper.js and libs/sailings.js (see
+ * index.js to embed it); this script adds the output file and console
+ * reporting.
+ *
+ * @requires dotenv - Environment variable management
+ * @requires fs - File system operations
+ * @requires path - Path manipulation
+ * @requires ./libs/scraper.js - Scraper API
+ * @requires ./libs/config.js - Run configuration
+ * @requires ./libs/selection.js - Ship selection
+ * @requires ./libs/sailings.js - Search filters and itineraries
+ * @requires ./libs/jsonl.js - JSONL reading and writing
+ */
+
+import dotenv from "dotenv";
+dotenv.config({ path: "./.env" });
+import fs from "fs";
+import path from "path";
+import { createScraper } from "./libs/scraper.js";
+import { logClientEvents, OdyError } from "./libs/ody.js";
+import { describeTransport } from "./libs/transport.js";
+import { loadConfig } from "./libs/config.js";
+import { selectShips, hasSelection } from "./libs/selection.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  resolveDateRange,
+  parseSailingFilters,
+} from "./libs/sailings.js";
+import {
+  readJsonl,
+  readMasterData,
+  resolveJsonlPath,
+  isGzipPath,
+  writeJsonlFile,
+} from "./libs/jsonl.js";
+import { fileURLToPath } from "url";
+
+// ========================================
+// CONSTANTS & CONFIGURATION
+// ========================================
+
+const MASTER_FILE_NAME = "master.jsonl";
+const SAILINGS_FILE_NAME = "sailings.jsonl";
+const DATA_SOURCE = "ody";
+
+// ========================================
+// UTILITY FUNCTIONS
+// ========================================
+
+/**
+ * Validates that all required settings are present.
+ * @param {object} config - Run configuration
+ * @throws {Error} If any required setting is missing
+ */
+function validateEnvironment(config) {
+  const missing = config.baseUrl ? [] : ["OD_BASE_URL"];
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing required environment variables: ${missing.join(", ")}\n` +
+      `Please check your .env file and ensure all required variables are set.`
+    );
+  }
+}
+
+/**
+ * Checks whether this file is the script node was started with.
+ * @returns {boolean} True when executed directly, false when imported
+ */
+function isMainModule() {
+  return (
+    Boolean(process.argv[1]) &&
+    fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+  );
+}
+
+/**
+ * Builds a one-line failure reason, prefixed with the error type for Ody
+ * API errors.
+ * @param {Error} error - Error to describe
+ * @returns {string} Failure reason
+ */
+function describeError(error) {
+  return error instanceof OdyError
+    ? `${error.name}: ${error.message}`
+    : error.message;
+}
+
+/**
+ * Formats elapsed time in a human-readable format.
+ * @param {number} milliseconds - Time in milliseconds
+ * @returns {string} Formatted time string
+ */
+function formatElapsedTime(milliseconds) {
+  const seconds = Math.floor(milliseconds / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = seconds % 60;
+
+  if (minutes > 0) {
+    return `${minutes}m ${remainingSeconds}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Logs a formatted header message.
+ * @param {string} message - Header message to display
+ */
+function logHeader(message) {
+  console.log("\n" + "=".repeat(60));
+  console.log(message);
+  console.log("=".repeat(60));
+}
+
+/**
+ * Logs a formatted section message.
+ * @param {string} message - Section message to display
+ */
+function logSection(message) {
+  console.log("\n" + message);
+  console.log("-".repeat(60));
+}
+
+// ========================================
+// CORE FUNCTIONS
+// ========================================
+
+/**
+ * Creates the sailings.jsonl record of an itinerary.
+ * @param {{itinerary: object, data: object}} sailing - Itinerary and raw search result
+ * @param {number|string} shipId - Ship the sailing was searched for
+ * @returns {object} Record, one line of the JSONL file
+ */
+function createSailingRecord({ itinerary, data }, shipId) {
+  return {
+    timestamp: new Date().toISOString(),
+    source: DATA_SOURCE,
+    type: "sailing",
+    shipId,
+    sailingId: itinerary.sailingId,
+    itinerary,
+    data,
+  };
+}
+
+/**
+ * Logs the scraper's progress events.
+ * @param {object} scraper - Scraper (see libs/scraper.js)
+ */
+function logScraperEvents(scraper) {
+  logClientEvents(scraper);
+  scraper.on("sailings", ({ ship, sailings, processed, total }) => {
+    console.log(`✓ Ship ${ship.id}: ${sailings.length} sailing(s) (${processed}/${total})`);
+  });
+  scraper.on("sailingsError", ({ ship, error }) => {
+    console.error(`✗ Failed to search sailings of ship ${ship.id}: ${describeError(error)}`);
+  });
+}
+
+/**
+ * Writes sailings.jsonl (temp file + rename): the sailings found in this
+ * run, plus the previous sailings of every ship not searched successfully.
+ * A file in the other format (plain / gzipped) is replaced.
+ * @param {string} sailingsFile - Path to sailings.jsonl or sailings.jsonl.gz
+ * @param {Map<string, Array<object>>} recordsByShip - New records by ship ID
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeSailingsFile(sailingsFile, recordsByShip) {
+  const plainFile = isGzipPath(sailingsFile) ? sailingsFile.slice(0, -3) : sailingsFile;
+  const previousFile = resolveJsonlPath(plainFile);
+  const otherFile = isGzipPath(sailingsFile) ? plainFile : `${plainFile}.gz`;
+
+  async function* records() {
+    if (fs.existsSync(previousFile)) {
+      for await (const record of readJsonl(previousFile)) {
+        if (!recordsByShip.has(String(record.shipId))) {
+          yield record;
+        }
+      }
+    }
+    for (const shipRecords of recordsByShip.values()) {
+      yield* shipRecords;
+    }
+  }
+
+  const count = await writeJsonlFile(sailingsFile, records());
+  fs.rmSync(otherFile, { force: true });
+  return count;
+}
+
+/**
+ * Displays the final summary report.
+ * @param {object} results - Results of scrapeSailings
+ * @param {string} sailingsFile - Path to the sailings output file
+ * @param {number} recordCount - Records in the file, including kept ones
+ */
+function displaySummary(results, sailingsFile, recordCount) {
+  logHeader("SAILINGS COMPLETED");
+  console.log(`Ships searched:         ${results.total}`);
+  console.log(`Successfully processed: ${results.processed}`);
+  console.log(`Failed:                 ${results.failed}`);
+  console.log(`Sailings found:         ${results.sailings}`);
+  console.log(`Sailings in file:       ${recordCount}`);
+  console.log(`Time elapsed:           ${formatElapsedTime(results.elapsedTime)}`);
+  console.log(`Output file:            ${sailingsFile}`);
+  console.log("=".repeat(60) + "\n");
+
+  if (results.truncated.length > 0) {
+    console.warn(
+      `⚠️  ${results.truncated.length} ship(s) have more sailings than SAILINGS_MAX_PAGES ` +
+      `pages: ${results.truncated.join(", ")}`
+    );
+  }
+  if (results.failed > 0) {
+    console.warn(
+      `⚠️  ${results.failed} ship(s) failed. Their previous sailings were kept; ` +
+      `run again with --ids to retry them.`
+    );
+  }
+}
+
+// ========================================
+// MAIN EXECUTION
+// ========================================
+
+/**
+ * Main sailings workflow: fetches the master list, searches the sailings
+ * of the selected ships and writes sailings.jsonl.
+ *
+ * @param {object} options - Run configuration (see libs/config.js), plus:
+ * @param {Array<number|string>} [options.ids] - Only search these ship IDs
+ * @param {string} [options.cruiseline] - Only ships of this cruise line (ID or name)
+ * @param {number} [options.limit] - At most this many ships
+ * @param {boolean} [options.dryRun=false] - Only print the ships and filters;
+ *   uses the existing master.jsonl when there is one
+ * @param {boolean} [options.refreshCookies=false] - Ignore the cached session cookies
+ * @param {object} [options.sailings] - Cruise search settings (apiPath,
+ *   pageSize, maxPages, from, to, filters)
+ * @returns {Promise<object|null>} Counts (total, processed, failed, sailings,
+ *   records, truncated) and the file written, or null on a dry run
+ */
+async function getSailings(options) {
+  const { baseUrl, outputDir, shipThreads: maxThreads, dryRun = false } = options;
+  const selection = { ids: options.ids, cruiseline: options.cruiseline, limit: options.limit };
+
+  // Validate configuration before starting
+  validateEnvironment(options);
+  const dateRange = resolveDateRange(options.sailings); // Throws on invalid dates
+  const filters = parseSailingFilters(options.sailings?.filters); // Throws on invalid filters
+
+  const masterFile = path.join(outputDir, MASTER_FILE_NAME);
+  const sailingsFile = path.join(outputDir, SAILINGS_FILE_NAME + (options.gzip ? ".gz" : ""));
+
+  const scraper = createScraper(options);
+  logScraperEvents(scraper);
+
+  logHeader("CRUISE SAILINGS EXTRACTOR");
+  console.log("Configuration:");
+  console.log(`  Base URL:       ${baseUrl}`);
+  console.log(`  Transport:      ${describeTransport(scraper.client.getTransport())}`);
+  console.log(`  Max Threads:    ${maxThreads}`);
+  console.log(`  Rate Limit:     ${scraper.client.getRateLimiter().describe()}`);
+  console.log(`  Departures:     ${dateRange.from} to ${dateRange.to}`);
+  console.log(`  Page Size:      ${options.sailings?.pageSize ?? DEFAULT_PAGE_SIZE}`);
+  if (filters.length > 0) {
+    console.log(`  Filters:        ${filters.map(({ key, value }) => `${key}=${value}`).join(", ")}`);
+  }
+  console.log(`  Output File:    ${sailingsFile}`);
+
+  // Step 1: Fetch the master list to select ships and name ports
+  logSection("Step 1: Fetching Master Data");
+  let masterData = dryRun ? readMasterData(masterFile) : null;
+  if (masterData) {
+    console.log(`Using existing master data: ${masterFile}`);
+  } else {
+    await scraper.ensureSession({ forceRefresh: options.refreshCookies });
+    masterData = await scraper.fetchMasterData();
+    console.log(`✓ Received master data with ${masterData.ship.length} ships`);
+  }
+  const ships = selectShips(masterData.ship, masterData, selection);
+  if (hasSelection(selection)) {
+    console.log(`Selected ${ships.length} of ${masterData.ship.length} ships`);
+  }
+
+  if (dryRun) {
+    logSection("Dry Run: Ships Whose Sailings Would Be Searched");
+    for (const ship of ships) {
+      console.log(`  ${ship.id}\t${ship.name ?? ""}`);
+    }
+    console.log(`\n${ships.length} of ${masterData.ship.length} ships would be searched.`);
+    return null;
+  }
+
+  // Step 2: Search the sailings ship by ship
+  logSection("Step 2: Searching Sailings");
+  console.log(`Searching ${ships.length} ships with ${maxThreads} parallel threads...`);
+  const recordsByShip = new Map();
+  const results = await scraper.scrapeSailings({
+    ships,
+    masterData,
+    dateRange,
+    filters,
+    concurrency: maxThreads,
+    onSailings: async (ship, sailings) => {
+      recordsByShip.set(
+        String(ship.id),
+        sailings.map((sailing) => createSailingRecord(sailing, ship.id))
+      );
+    },
+  });
+
+  // Step 3: Write sailings.jsonl
+  logSection("Step 3: Writing Sailings");
+  fs.mkdirSync(outputDir, { recursive: true });
+  const recordCount = await writeSailingsFile(sailingsFile, recordsByShip);
+  console.log(`✓ ${recordCount} sailing(s) saved to: ${sailingsFile}`);
+
+  displaySummary(results, sailingsFile, recordCount);
+  return {
+    total: results.total,
+    processed: results.processed,
+    failed: results.failed,
+    sailings: results.sailings,
+    records: recordCount,
+    truncated: results.truncated,
+    sailingsFile,
+  };
+}
+
+/**
+ * Runs the search with configuration from the environment.
+ * For ship selection, date ranges and dry runs use the CLI (cli.js sailings).
+ */
+async function main() {
+  await getSailings(loadConfig());
+}
+
+// ========================================
+// ENTRY POINT
+// ========================================
+
+/**
+ * Application entry point with error handling.
+ * Catches and logs any unhandled errors, then exits with appropriate code.
+ * Only runs when this file is executed directly, not when it is imported.
+ */
+if (isMainModule()) {
+  (async () => {
+    try {
+      await main();
+      process.exit(0); // Success
+    } catch (error) {
+      // Log error with details
+      console.error("\n" + "=".repeat(60));
+      console.error("❌ FATAL ERROR");
+      console.error("=".repeat(60));
+      console.error(`Message: ${error.message}`);
+      if (error.stack) {
+        console.error(`\nStack trace:\n${error.stack}`);
+      }
+      console.error("=".repeat(60) + "\n");
+
+      process.exit(1); // Failure
+    }
+  })();
+}
+
+export { getSailings };
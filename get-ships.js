@@ -7,46 +7,117 @@
  * Extracts detailed information for ~1,155 ships across all major cruise lines.
  *
  * Features:
- * - Fetches master list of all ships
- * - Retrieves detailed ship information in parallel
- * - Outputs data in JSONL (JSON Lines) format
- * - Uses ScraperAPI for reliable data extraction
+ * - Fetches master list of all ships and splits it into taxonomy files
+ * - Retrieves detailed ship information in parallel (sliding window + rate limit)
+ * - Outputs data in JSONL (JSON Lines) format, optionally gzipped (OUTPUT_GZIP=true)
+ * - Requests go direct, through ScraperAPI or through an HTTP proxy (OD_TRANSPORT)
+ * - Checkpointing with --resume and --retry-failed modes
+ * - Incremental runs: only new, stale and sampled ships are fetched, removed
+ *   ships are marked as retired
+ * - Every run is archived as a snapshot with a manifest (SNAPSHOTS=false to disable)
+ * - Several storefronts (OD_STOREFRONTS) in one run, merged into one record
+ *   per ship with the storefront of every field
+ * - Ship details in several languages (OD_LANGUAGES), merged into one record
+ *   per ship, with missing and untranslated fields reported
+ * - Ctrl+C flushes the ships file before exiting, so a resumed run picks up
+ *   exactly where the interrupted one stopped
+ *
+ * Usage:
+ *   node get-ships.js                 Fresh run (replaces ships.jsonl)
+ *   node get-ships.js --resume        Skip ships completed on a previous run
+ *   node get-ships.js --retry-failed  Re-fetch only ships that failed last time
+ *   node get-ships.js --incremental   Fetch new ships, refresh stale ones (OD_REFRESH_*)
+ *
+ * Add --refresh-cookies to any of these to ignore the cached session cookies.
+ * For ship selection, dry runs and other options use the CLI (cli.js ships).
+ *
+ * The scraping itself lives in libs/scraper.js (see index.js to embed it);
+ * this script adds the output files, checkpoints and console reporting.
  *
  * @requires dotenv - Environment variable management
- * @requires ./libs/ody.js - Ody API service module
+ * @requires ./libs/scraper.js - Scraper API
+ * @requires ./libs/checkpoint.js - Scrape checkpoint tracking
+ * @requires ./libs/incremental.js - Incremental run planning
+ * @requires ./libs/snapshots.js - Snapshot archive
+ * @requires ./libs/config.js - Run configuration
+ * @requires ./libs/selection.js - Ship selection
+ * @requires ./libs/jsonl.js - JSONL reading and writing
+ * @requires ./libs/taxonomy.js - Master data taxonomies and key changes
+ * @requires ./libs/storefronts.js - Multi-storefront runs and reconciliation
  */
 
 import dotenv from "dotenv";
 dotenv.config({ path: "./.env" });
-import { getService } from "./libs/ody.js";
+import { createScraper } from "./libs/scraper.js";
+import { logClientEvents, OdyError } from "./libs/ody.js";
+import { describeTransport } from "./libs/transport.js";
+import {
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  markCompleted,
+  markFailed,
+  isCompleted,
+  isFailed,
+} from "./libs/checkpoint.js";
+import {
+  DEFAULT_REFRESH_MAX_AGE_DAYS,
+  DEFAULT_REFRESH_SAMPLE,
+  planIncrementalRun,
+  compactShipsFile,
+  findChangedShips,
+} from "./libs/incremental.js";
+import { createSnapshot } from "./libs/snapshots.js";
+import { loadConfig } from "./libs/config.js";
+import {
+  readJsonl,
+  readRecordsByShipId,
+  readMasterData,
+  resolveJsonlPath,
+  isGzipPath,
+  createJsonlWriter,
+  writeJsonlFile,
+  flushJsonlWritersOnShutdown,
+} from "./libs/jsonl.js";
+import { selectShips, hasSelection } from "./libs/selection.js";
+import { updateTaxonomies } from "./libs/taxonomy.js";
+import { countLocalizationIssues } from "./libs/languages.js";
+import {
+  resolveStorefronts,
+  createStorefrontConfig,
+  mergeMasterData,
+  mergeShipRecords,
+} from "./libs/storefronts.js";
 import fs from "fs";
 import path from "path";
+import { fileURLToPath } from "url";
 
 // ========================================
 // CONSTANTS & CONFIGURATION
 // ========================================
 
 const DATA_SOURCE = "ody"; // Data source identifier
-const DEFAULT_MAX_THREADS = 5; // Default concurrency if not configured
-const OUTPUT_DIR_NAME = "output";
 const MASTER_FILE_NAME = "master.jsonl";
-const SHIPS_FILE_NAME = "ships.jsonl";
+const SHIPS_FILE_NAME = "ships.jsonl"; // ships.jsonl.gz with OUTPUT_GZIP=true
+const CHECKPOINT_FILE_NAME = "ships.checkpoint.json";
 
-// API endpoints
-const MASTER_API_PATH = "/nitroapi/v2/master/allswift?requestSource=1";
-const SHIP_DETAILS_API_PATH = "/nitroapi/v2/ship/GetDetails";
+// Run modes
+const RUN_MODE_FRESH = "fresh"; // Start over, replacing ships.jsonl
+const RUN_MODE_RESUME = "resume"; // Skip ships completed on a previous run
+const RUN_MODE_RETRY_FAILED = "retry-failed"; // Only re-fetch failed ships
+const RUN_MODE_INCREMENTAL = "incremental"; // Only fetch new, stale and sampled ships
 
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
 
 /**
- * Validates that all required environment variables are present.
- * @throws {Error} If any required environment variable is missing
+ * Validates that all required settings are present.
+ * @param {object} config - Run configuration
+ * @throws {Error} If any required setting is missing
  */
-function validateEnvironment() {
-  const required = ["OD_BASE_URL", "SCRAPEAPI_KEY"];
-  const missing = required.filter((key) => !process.env[key]);
+function validateEnvironment(config) {
+  const missing = config.baseUrl ? [] : ["OD_BASE_URL"];
 
   if (missing.length > 0) {
     throw new Error(
@@ -56,6 +127,62 @@ function validateEnvironment() {
   }
 }
 
+/**
+ * Parses command-line arguments.
+ * @param {Array<string>} args - Command-line arguments (without node and script path)
+ * @returns {{mode: string, refreshCookies: boolean}} Run mode (one of the
+ *   RUN_MODE_* constants) and whether to force a cookie refresh
+ * @throws {Error} If conflicting or unknown flags are given
+ */
+function parseArguments(args) {
+  const knownFlags = ["--resume", "--retry-failed", "--incremental", "--refresh-cookies"];
+  const modeFlags = {
+    "--resume": RUN_MODE_RESUME,
+    "--retry-failed": RUN_MODE_RETRY_FAILED,
+    "--incremental": RUN_MODE_INCREMENTAL,
+  };
+  const unknown = args.filter((arg) => !knownFlags.includes(arg));
+  const modes = Object.keys(modeFlags).filter((flag) => args.includes(flag));
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown argument(s): ${unknown.join(", ")}\n` +
+      `Usage: node get-ships.js [--resume | --retry-failed | --incremental] [--refresh-cookies]`
+    );
+  }
+  if (modes.length > 1) {
+    throw new Error(`${modes.join(" and ")} cannot be used together.`);
+  }
+
+  const mode = modes.length > 0 ? modeFlags[modes[0]] : RUN_MODE_FRESH;
+
+  return { mode, refreshCookies: args.includes("--refresh-cookies") };
+}
+
+/**
+ * Checks whether this file is the script node was started with.
+ * @returns {boolean} True when executed directly, false when imported
+ */
+function isMainModule() {
+  return (
+    Boolean(process.argv[1]) &&
+    fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+  );
+}
+
+/**
+ * Describes a ship selection for logs.
+ * @param {object} selection - Ship selection (see libs/selection.js)
+ * @returns {string} e.g. "ids 1,2,3; cruise line Carnival; limit 10"
+ */
+function describeSelection({ ids, cruiseline, limit }) {
+  const parts = [];
+  if (ids && ids.length > 0) parts.push(`ids ${ids.join(",")}`);
+  if (cruiseline) parts.push(`cruise line ${cruiseline}`);
+  if (limit > 0) parts.push(`limit ${limit}`);
+  return parts.join("; ");
+}
+
 /**
  * Ensures the output directory exists, creating it if necessary.
  * @param {string} dirPath - Path to the output directory
@@ -72,17 +199,30 @@ function ensureOutputDirectory(dirPath) {
  * @param {string} type - Record type (e.g., "master", "ship")
  * @param {object} data - Ship data object
  * @param {number} [shipId] - Optional ship ID for individual ship records
- * @returns {string} JSONL formatted string
+ * @param {string} [storefront] - Storefront the data came from (multi-storefront runs)
+ * @returns {object} Record, one line of the JSONL file
  */
-function createJsonlRecord(type, data, shipId = null) {
-  const record = {
+function createJsonlRecord(type, data, shipId = null, storefront = null) {
+  return {
     timestamp: new Date().toISOString(),
     source: DATA_SOURCE,
     type,
     ...(shipId && { shipId }),
+    ...(storefront && { storefront }),
     data,
   };
-  return JSON.stringify(record) + "\n";
+}
+
+/**
+ * Builds a one-line failure reason, prefixed with the error type for Ody
+ * API errors (e.g. "HttpError: HTTP 503 Service Unavailable for GET ...").
+ * @param {Error} error - Error to describe
+ * @returns {string} Failure reason
+ */
+function describeError(error) {
+  return error instanceof OdyError
+    ? `${error.name}: ${error.message}`
+    : error.message;
 }
 
 /**
@@ -126,122 +266,141 @@ function logSection(message) {
 
 /**
  * Fetches the master list of all ships from the Ody API.
- * @param {string} baseUrl - Base URL for the Ody API
+ * @param {object} scraper - Scraper (see libs/scraper.js)
  * @returns {Promise<object>} Master data containing all ships
  * @throws {Error} If master data fetch fails or no ships found
  */
-async function fetchMasterData(baseUrl) {
+async function fetchMasterData(scraper) {
   console.log("🌐 Fetching master data from Ody API...");
-
-  const masterUrl = `${baseUrl}${MASTER_API_PATH}`;
-  const masterResult = await getService(masterUrl);
-
-  if (!masterResult || !masterResult.ship || masterResult.ship.length === 0) {
-    throw new Error(
-      "No ships found in master data. The API response may be invalid or empty."
-    );
-  }
-
-  console.log(`✓ Received master data with ${masterResult.ship.length} ships`);
-  return masterResult;
+  const masterData = await scraper.fetchMasterData();
+  console.log(`✓ Received master data with ${masterData.ship.length} ships`);
+  return masterData;
 }
 
 /**
- * Saves the master data to a JSONL file.
+ * Saves the master data to a JSONL file (temp file + rename).
  * @param {string} filePath - Path to save the master file
  * @param {object} masterData - Master data to save
+ * @param {string} [storefront] - Storefront the data came from
+ * @returns {Promise<void>}
  */
-function saveMasterData(filePath, masterData) {
-  const jsonLine = createJsonlRecord("master", masterData);
-  fs.writeFileSync(filePath, jsonLine);
+async function saveMasterData(filePath, masterData, storefront = null) {
+  await writeJsonlFile(filePath, [createJsonlRecord("master", masterData, null, storefront)]);
   console.log(`✓ Master data saved to: ${filePath}`);
 }
 
 /**
- * Fetches detailed information for a single ship.
- * @param {string} baseUrl - Base URL for the Ody API
- * @param {number} shipId - ID of the ship to fetch
- * @returns {Promise<object>} Ship details data
+ * Splits the master data into one entity file per taxonomy and warns about
+ * keys the master endpoint didn't return before.
+ * @param {string} outputDir - Output directory
+ * @param {object} masterData - Master data
+ * @returns {Promise<object>} Result of updateTaxonomies (see libs/taxonomy.js)
  */
-async function fetchShipDetails(baseUrl, shipId) {
-  const url = `${baseUrl}${SHIP_DETAILS_API_PATH}/${shipId}?requestSource=1`;
-  return await getService(url, "get", [], true); // true = decrypt response
+async function saveTaxonomies(outputDir, masterData) {
+  const result = await updateTaxonomies(outputDir, masterData);
+  const summary = Object.entries(result.counts)
+    .map(([fileName, count]) => `${path.basename(fileName, ".jsonl")} ${count}`)
+    .join(", ");
+  console.log(`✓ Taxonomies saved to: ${result.taxonomyDir} (${summary})`);
+  logTaxonomyWarnings(result);
+  return result;
 }
 
 /**
- * Processes a single ship: fetches details and saves to file.
- * @param {object} ship - Ship object from master list
- * @param {string} baseUrl - Base URL for the Ody API
- * @param {string} shipsFile - Path to the ships output file
- * @param {number} totalShips - Total number of ships for progress tracking
- * @param {object} counters - Object containing processed/failed counters
- * @returns {Promise<object>} Result object with success status
+ * Logs the key changes and dangling references found by updateTaxonomies.
+ * @param {object} result - Result of updateTaxonomies
  */
-async function processShip(ship, baseUrl, shipsFile, totalShips, counters) {
-  try {
-    // Fetch ship details from API
-    const result = await fetchShipDetails(baseUrl, ship.id);
-
-    // Create JSONL record and append to file
-    const jsonLine = createJsonlRecord("ship", result, ship.id);
-    fs.appendFileSync(shipsFile, jsonLine);
-
-    // Update counters and log progress
-    counters.processed++;
-    console.log(
-      `✓ Ship ${ship.id} (${counters.processed}/${totalShips})`
+function logTaxonomyWarnings({ newKeys, missingKeys, unresolved }) {
+  if (newKeys.length > 0) {
+    console.warn(
+      `⚠️  Master data has ${newKeys.length} new key(s): ${newKeys.join(", ")}`
     );
-
-    return { success: true, shipId: ship.id };
-  } catch (error) {
-    // Log error and update failed counter
-    counters.failed++;
-    console.error(
-      `✗ Failed to fetch ship ${ship.id}: ${error.message}`
+  }
+  if (missingKeys.length > 0) {
+    console.warn(
+      `⚠️  Master data no longer has ${missingKeys.length} key(s): ${missingKeys.join(", ")}`
+    );
+  }
+  if (unresolved.length > 0) {
+    const examples = unresolved
+      .slice(0, 5)
+      .map(({ taxonomy, id, field, value }) => `${taxonomy} ${id}: ${field}=${value}`);
+    console.warn(
+      `⚠️  ${unresolved.length} master reference(s) point at nothing: ${examples.join(", ")}` +
+      (unresolved.length > examples.length ? ", ..." : "")
     );
-
-    return {
-      success: false,
-      shipId: ship.id,
-      error: error.message,
-    };
   }
 }
 
 /**
- * Processes all ships in parallel batches.
+ * Fetches all ships with a sliding window of parallel requests, appending
+ * each one to the ships file and recording every outcome in the checkpoint.
+ * A ship is only marked completed once its record is in the file, so the
+ * checkpoint never claims more than the file holds. This relies on the file
+ * being plain JSONL: with OUTPUT_GZIP=true the run appends to ships.jsonl and
+ * finalizeShipsFile compresses it at the end.
+ * The request rate itself is capped by the scraper's API rate limiter.
+ * @param {object} scraper - Scraper (see libs/scraper.js)
  * @param {Array<object>} ships - Array of ship objects to process
- * @param {string} baseUrl - Base URL for the Ody API
- * @param {string} shipsFile - Path to the ships output file
+ * @param {string} shipsFile - Path to the plain ships file to append to
  * @param {number} maxThreads - Maximum concurrent requests
- * @returns {Promise<object>} Object with processed and failed counts
+ * @param {object} checkpoint - Checkpoint object to record outcomes in
+ * @param {string} checkpointFile - Path to the checkpoint file
+ * @param {string} [storefront] - Storefront to tag the records with
+ * @returns {Promise<object>} Object with processed and failed counts, plus
+ *   the localization issues by locale when several languages are configured
+ *   (see countLocalizationIssues)
  */
-async function processShipsInBatches(ships, baseUrl, shipsFile, maxThreads) {
-  const counters = { processed: 0, failed: 0 };
-  const startTime = Date.now();
-
-  logSection(`Processing ${ships.length} ships with ${maxThreads} parallel threads...`);
-
-  // Process ships in batches for controlled concurrency
-  for (let i = 0; i < ships.length; i += maxThreads) {
-    const batch = ships.slice(i, i + maxThreads);
-
-    // Create promises for all ships in this batch
-    const promises = batch.map((ship) =>
-      processShip(ship, baseUrl, shipsFile, ships.length, counters)
-    );
+async function processShipsInPool(
+  scraper,
+  ships,
+  shipsFile,
+  maxThreads,
+  checkpoint,
+  checkpointFile,
+  storefront = null
+) {
+  logSection(
+    `Processing ${ships.length} ships with ${maxThreads} parallel threads ` +
+    `(rate limit: ${scraper.client.getRateLimiter().describe()})...`
+  );
 
-    // Wait for all ships in batch to complete before moving to next batch
-    await Promise.all(promises);
+  const writer = createJsonlWriter(shipsFile, { append: true });
+  const localization = {};
+  try {
+    const results = await scraper.scrapeShips({
+      ships,
+      concurrency: maxThreads,
+      onShip: async (ship, details) => {
+        await writer.write(createJsonlRecord("ship", details, ship.id, storefront));
+        countLocalizationIssues(localization, details.localizationIssues);
+        // Record success so a resumed run can skip this ship
+        markCompleted(checkpoint, ship.id);
+        saveCheckpoint(checkpointFile, checkpoint);
+      },
+      onShipError: (ship, error) => {
+        markFailed(checkpoint, ship.id, describeError(error));
+        saveCheckpoint(checkpointFile, checkpoint);
+      },
+    });
+    return scraper.languages.length > 1 ? { ...results, localization } : results;
+  } finally {
+    await writer.close();
   }
+}
 
-  const elapsedTime = Date.now() - startTime;
-
-  return {
-    processed: counters.processed,
-    failed: counters.failed,
-    elapsedTime,
-  };
+/**
+ * Logs the scraper's progress events.
+ * @param {object} scraper - Scraper (see libs/scraper.js)
+ */
+function logScraperEvents(scraper) {
+  logClientEvents(scraper);
+  scraper.on("ship", ({ ship, processed, total }) => {
+    console.log(`✓ Ship ${ship.id} (${processed}/${total})`);
+  });
+  scraper.on("shipError", ({ ship, error }) => {
+    console.error(`✗ Failed to fetch ship ${ship.id}: ${describeError(error)}`);
+  });
 }
 
 /**
@@ -265,9 +424,217 @@ function displaySummary(results, totalShips, shipsFile) {
   if (results.failed > 0) {
     console.warn(
       `⚠️  ${results.failed} ship(s) failed to process. ` +
-      `Check the logs above for details.`
+      `Check the logs above for details.\n` +
+      `   Run with --retry-failed to re-fetch only the failed ships.`
     );
   }
+  if (results.localization) {
+    displayLocalizationIssues(results.localization);
+  }
+}
+
+/**
+ * Warns about the fields that were missing or left untranslated in a
+ * language, with the number of ships for each field.
+ * @param {object} localization - Issues by locale (see countLocalizationIssues)
+ */
+function displayLocalizationIssues(localization) {
+  const locales = Object.entries(localization);
+  if (locales.length === 0) {
+    console.log("🌐 All configured languages have every text field translated");
+    return;
+  }
+  const describe = (counts) =>
+    Object.entries(counts)
+      .map(([field, ships]) => `${field} (${ships})`)
+      .join(", ");
+  for (const [locale, { ships, missing, fallback }] of locales) {
+    console.warn(`⚠️  Language ${locale}: ${ships} ship(s) with incomplete translations`);
+    if (Object.keys(missing).length > 0) {
+      console.warn(`   Missing:        ${describe(missing)}`);
+    }
+    if (Object.keys(fallback).length > 0) {
+      console.warn(`   Not translated: ${describe(fallback)}`);
+    }
+  }
+}
+
+/**
+ * Prepares the checkpoint and the list of ships to process for a run mode.
+ * A fresh run clears the ships file and starts a new checkpoint; resume and
+ * retry-failed runs keep both and only select the ships still to do. An
+ * incremental run keeps the ships file and starts a new checkpoint in which
+ * the up-to-date ships already count as completed, so it can be resumed too.
+ *
+ * @param {string} mode - One of the RUN_MODE_* constants
+ * @param {Array<object>} allShips - Ship list from the master data
+ * @param {string} shipsFile - Path to the ships output file
+ * @param {string} checkpointFile - Path to the checkpoint file
+ * @param {object} [plan] - Incremental run plan (see libs/incremental.js)
+ * @returns {object} Object with the checkpoint and the ships to process
+ * @throws {Error} If a resume/retry run finds no checkpoint
+ */
+function prepareRun(mode, allShips, shipsFile, checkpointFile, plan = null) {
+  if (mode === RUN_MODE_INCREMENTAL) {
+    const checkpoint = createCheckpoint();
+    plan.upToDate.forEach((shipId) => markCompleted(checkpoint, shipId));
+    saveCheckpoint(checkpointFile, checkpoint);
+    return { checkpoint, ships: plan.ships };
+  }
+
+  if (mode === RUN_MODE_FRESH) {
+    // Clear existing ships file (plain or gzipped) for fresh run
+    const existing = [shipsFile, otherShipsFile(shipsFile)].filter((file) => fs.existsSync(file));
+    existing.forEach((file) => fs.unlinkSync(file));
+    if (existing.length > 0) {
+      console.log(`🗑️  Cleared existing ships file`);
+    }
+    const checkpoint = createCheckpoint();
+    saveCheckpoint(checkpointFile, checkpoint);
+    return { checkpoint, ships: allShips };
+  }
+
+  const checkpoint = loadCheckpoint(checkpointFile);
+  if (!checkpoint) {
+    throw new Error(
+      `No checkpoint found at: ${checkpointFile}\n` +
+      `Run without --${mode} first to start a fresh scrape.`
+    );
+  }
+
+  const ships =
+    mode === RUN_MODE_RESUME
+      ? allShips.filter((ship) => !isCompleted(checkpoint, ship.id))
+      : allShips.filter((ship) => isFailed(checkpoint, ship.id));
+
+  console.log(
+    `↻ ${mode === RUN_MODE_RESUME ? "Resuming" : "Retrying failed ships"}: ` +
+    `${ships.length} of ${allShips.length} ships to process ` +
+    `(appending to existing ships file)`
+  );
+
+  return { checkpoint, ships };
+}
+
+/**
+ * Returns the ships file in the other format: ships.jsonl.gz for
+ * ships.jsonl and vice versa.
+ * @param {string} shipsFile - Path to the ships file
+ * @returns {string} Path of the other form
+ */
+function otherShipsFile(shipsFile) {
+  return isGzipPath(shipsFile) ? shipsFile.slice(0, -".gz".length) : `${shipsFile}.gz`;
+}
+
+/**
+ * Converts a ships file written by earlier runs to the given format, so
+ * resume, retry and incremental runs continue it. Runs always append to the
+ * plain file (see finalizeShipsFile).
+ * @param {string} shipsFile - Path to the ships file in the wanted format
+ * @returns {Promise<void>}
+ * @throws {Error} If both ships.jsonl and ships.jsonl.gz exist
+ */
+async function convertShipsFile(shipsFile) {
+  const other = otherShipsFile(shipsFile);
+  if (!fs.existsSync(other)) {
+    return;
+  }
+  if (fs.existsSync(shipsFile)) {
+    throw new Error(
+      `Both ${path.basename(shipsFile)} and ${path.basename(other)} exist in ` +
+      `${path.dirname(shipsFile)}; remove the one that is out of date.`
+    );
+  }
+  const count = await writeJsonlFile(shipsFile, readJsonl(other));
+  fs.unlinkSync(other);
+  console.log(`↻ Converted ${count} records from ${path.basename(other)} to ${path.basename(shipsFile)}`);
+}
+
+/**
+ * Plans an incremental run against the previous snapshot and logs the plan.
+ * @param {Array<object>} ships - Selected ships from the current master data
+ * @param {object} snapshot - masterShips, previousMasterShips and previousRecords
+ *   (see libs/incremental.js)
+ * @param {object} [refresh] - Refresh settings: maxAgeDays, sampleRatio
+ * @returns {object} Incremental run plan
+ */
+function planIncremental(ships, snapshot, refresh = {}) {
+  const {
+    maxAgeDays = DEFAULT_REFRESH_MAX_AGE_DAYS,
+    sampleRatio = DEFAULT_REFRESH_SAMPLE,
+  } = refresh;
+  const plan = planIncrementalRun(ships, snapshot, { maxAgeDays, sampleRatio });
+
+  if (!snapshot.previousMasterShips) {
+    console.log(`No previous master data; new ships cannot be told apart from missing ones`);
+  }
+  console.log(`New ships:          ${plan.added.length}`);
+  console.log(`Missing details:    ${plan.missing.length}`);
+  console.log(
+    `Stale:              ${plan.stale.length}` +
+    (maxAgeDays > 0 ? ` (older than ${maxAgeDays} days)` : ` (age refresh disabled)`)
+  );
+  console.log(`Sampled:            ${plan.sampled.length} (${(sampleRatio * 100).toFixed(1)}% of the rest)`);
+  console.log(`Up to date:         ${plan.upToDate.length}`);
+  console.log(`Retired:            ${plan.retired.length}`);
+  return plan;
+}
+
+/**
+ * Keeps one record per ship in the ships file, marks ships that left the
+ * master list as retired and gzips the file if configured.
+ * @param {string} workingFile - Path to the plain ships file the run appended to
+ * @param {Array<object>} masterShips - Full current master ship list
+ * @param {string} [shipsFile=workingFile] - Path to the final ships file
+ *   (ships.jsonl.gz with OUTPUT_GZIP=true)
+ * @returns {Promise<Map<string, object>>} Records by ship ID
+ */
+async function finalizeShipsFile(workingFile, masterShips, shipsFile = workingFile) {
+  if (!fs.existsSync(workingFile)) {
+    return new Map();
+  }
+  const { records, retired } = await compactShipsFile(
+    workingFile,
+    masterShips,
+    undefined,
+    shipsFile
+  );
+  if (retired.length > 0) {
+    console.log(
+      `🏁 Marked ${retired.length} ship(s) no longer in the master list as retired: ` +
+      retired.join(", ")
+    );
+  }
+  return records;
+}
+
+/**
+ * Archives the output directory as a snapshot (see libs/snapshots.js),
+ * unless disabled with SNAPSHOTS=false.
+ * @param {object} options - Run configuration (see libs/config.js)
+ * @param {object} run - Run summary to store in the manifest
+ * @returns {Promise<object|null>} Snapshot, or null if disabled
+ */
+async function snapshotOutput(options, run) {
+  const { enabled = true, keep, maxAgeDays } = options.snapshots || {};
+  if (!enabled) {
+    return null;
+  }
+
+  logSection("Archiving Snapshot");
+  const snapshot = await createSnapshot(options.outputDir, {
+    run,
+    config: options,
+    keep,
+    maxAgeDays,
+  });
+  const { media } = snapshot.manifest;
+  console.log(`📦 Snapshot ${snapshot.id} saved to: ${snapshot.dir}`);
+  console.log(`   ${media.files} image(s) archived, ${media.newObjects} new in the media store`);
+  if (snapshot.pruned.length > 0) {
+    console.log(`🧹 Pruned ${snapshot.pruned.length} old snapshot(s): ${snapshot.pruned.join(", ")}`);
+  }
+  return snapshot;
 }
 
 // ========================================
@@ -277,51 +644,390 @@ function displaySummary(results, totalShips, shipsFile) {
 /**
  * Main scraping workflow.
  * Orchestrates the entire ship data extraction process.
+ *
+ * @param {object} options - Run configuration (see libs/config.js), plus:
+ * @param {string} [options.mode="fresh"] - One of the RUN_MODE_* constants
+ * @param {object} [options.refresh] - Incremental refresh settings: maxAgeDays, sampleRatio
+ * @param {boolean} [options.refreshCookies=false] - Force a cookie refresh first
+ * @param {Array<number|string>} [options.ids] - Only fetch these ship IDs
+ * @param {string} [options.cruiseline] - Only fetch ships of this cruise line (ID or name)
+ * @param {number} [options.limit] - Fetch at most this many ships
+ * @param {boolean} [options.dryRun=false] - Only list the ships that would be fetched
+ * @param {boolean} [options.skipSnapshot=false] - Don't archive the run as a snapshot
+ * @param {Array<object>} [options.storefronts] - Scrape these storefronts and merge
+ *   them (see getShipsFromStorefronts)
+ * @param {Array<string>} [options.storefrontNames] - Only scrape these of the storefronts
+ * @param {string} [options.storefront] - Storefront this run scrapes, tagged on its records
+ * @returns {Promise<object|null>} Run summary (as stored in the snapshot
+ *   manifest), or null for a dry run
  */
-async function main() {
-  // Validate environment before starting
-  validateEnvironment();
+async function getShips(options) {
+  if (options.storefronts?.length > 0) {
+    return await getShipsFromStorefronts(options);
+  }
 
-  // Setup file paths
-  const outputDir = path.resolve(process.cwd(), OUTPUT_DIR_NAME);
-  const masterFile = path.join(outputDir, MASTER_FILE_NAME);
-  const shipsFile = path.join(outputDir, SHIPS_FILE_NAME);
+  const {
+    baseUrl,
+    outputDir,
+    shipThreads: maxThreads,
+    mode = RUN_MODE_FRESH,
+    refreshCookies = false,
+    dryRun = false,
+    skipSnapshot = false,
+    gzip = false,
+    storefront = null,
+  } = options;
+  const startedAt = new Date().toISOString();
+  const selection = {
+    ids: options.ids,
+    cruiseline: options.cruiseline,
+    limit: options.limit,
+  };
 
-  // Ensure output directory exists
-  ensureOutputDirectory(outputDir);
+  // Validate configuration before starting
+  validateEnvironment(options);
+  const scraper = createScraper(options);
+  logScraperEvents(scraper);
+  const client = scraper.client;
 
-  // Get configuration
-  const baseUrl = process.env.OD_BASE_URL;
-  const maxThreads = parseInt(process.env.SCRAPERAPI_MAX_THREADS) || DEFAULT_MAX_THREADS;
+  // Setup file paths
+  const masterFile = path.join(outputDir, MASTER_FILE_NAME);
+  const shipsFile = path.join(outputDir, gzip ? `${SHIPS_FILE_NAME}.gz` : SHIPS_FILE_NAME);
+  // Ships are appended to plain JSONL while the run is in progress and only
+  // gzipped at the end: a gzip stream cut off by a crash can't be read or appended to
+  const workingFile = path.join(outputDir, SHIPS_FILE_NAME);
+  const checkpointFile = path.join(outputDir, CHECKPOINT_FILE_NAME);
 
   logHeader("CRUISE SHIPS DATA EXTRACTOR");
   console.log(`Configuration:`);
+  if (storefront) {
+    console.log(`  Storefront:     ${storefront}`);
+  }
   console.log(`  Base URL:       ${baseUrl}`);
+  // Creating the transport also checks its settings (SCRAPEAPI_KEY, OD_PROXY_URL, ...)
+  console.log(`  Transport:      ${describeTransport(client.getTransport())}`);
+  if (client.getCassette()) {
+    console.log(`  Cassette:       ${client.getCassette().mode} (${client.getCassette().dir})`);
+  }
+  if (scraper.languages.length > 1) {
+    console.log(
+      `  Languages:      ${scraper.languages.map(({ id, locale }) => `${locale} (${id})`).join(", ")}`
+    );
+  }
   console.log(`  Max Threads:    ${maxThreads}`);
+  console.log(`  Rate Limit:     ${client.getRateLimiter().describe()}`);
   console.log(`  Output Dir:     ${outputDir}`);
+  console.log(`  Run Mode:       ${mode}${dryRun ? " (dry run)" : ""}`);
+  if (hasSelection(selection)) {
+    console.log(`  Selection:      ${describeSelection(selection)}`);
+  }
 
-  // Step 1: Fetch and save master data
-  logSection("Step 1: Fetching Master Data");
-  const masterData = await fetchMasterData(baseUrl);
-  saveMasterData(masterFile, masterData);
+  if (dryRun) {
+    if (mode === RUN_MODE_INCREMENTAL) {
+      await listIncrementalPlan(
+        scraper,
+        masterFile,
+        resolveJsonlPath(path.join(outputDir, SHIPS_FILE_NAME)),
+        selection,
+        options.refresh
+      );
+    } else {
+      await listSelectedShips(scraper, masterFile, selection);
+    }
+    return null;
+  }
 
-  // Step 2: Clear existing ships file for fresh run
-  if (fs.existsSync(shipsFile)) {
-    fs.unlinkSync(shipsFile);
-    console.log(`🗑️  Cleared existing ships file`);
+  // Ensure output directory exists
+  ensureOutputDirectory(outputDir);
+  if (mode !== RUN_MODE_FRESH) {
+    await convertShipsFile(workingFile);
   }
 
-  // Step 3: Process all ships
+  // The previous snapshot, before this run replaces it
+  const previousMasterShips = readMasterData(masterFile)?.ship || null;
+  const previousRecords =
+    mode === RUN_MODE_INCREMENTAL ? await readRecordsByShipId(workingFile) : new Map();
+
+  // Step 1: Check the session, then fetch and save master data
+  logSection("Step 1: Fetching Master Data");
+  await scraper.ensureSession({ forceRefresh: refreshCookies });
+  const masterData = await fetchMasterData(scraper);
+  await saveMasterData(masterFile, masterData, storefront);
+  await saveTaxonomies(outputDir, masterData);
+
+  // Step 2: Select ships to process for this run mode
   logSection("Step 2: Fetching Ship Details");
-  const results = await processShipsInBatches(
-    masterData.ship,
-    baseUrl,
-    shipsFile,
-    maxThreads
+  const selectedShips = selectShips(masterData.ship, masterData, selection);
+  if (hasSelection(selection)) {
+    console.log(`Selected ${selectedShips.length} of ${masterData.ship.length} ships`);
+  }
+  const plan = mode === RUN_MODE_INCREMENTAL
+    ? planIncremental(
+      selectedShips,
+      { masterShips: masterData.ship, previousMasterShips, previousRecords },
+      options.refresh
+    )
+    : null;
+  const { checkpoint, ships } = prepareRun(
+    mode,
+    selectedShips,
+    workingFile,
+    checkpointFile,
+    plan
   );
 
-  // Step 4: Display final summary
-  displaySummary(results, masterData.ship.length, shipsFile);
+  // Step 3: Process selected ships
+  const results = ships.length > 0
+    ? await processShipsInPool(
+      scraper,
+      ships,
+      workingFile,
+      maxThreads,
+      checkpoint,
+      checkpointFile,
+      storefront
+    )
+    : null;
+
+  // Step 4: One record per ship, retired ships marked
+  const records = await finalizeShipsFile(workingFile, masterData.ship, shipsFile);
+
+  // Step 5: Display final summary
+  let changed = [];
+  if (!results) {
+    console.log("\n✓ No ships left to process. Nothing to do!");
+  } else {
+    displaySummary(results, ships.length, shipsFile);
+  }
+  if (plan && results) {
+    const refreshed = [...plan.stale, ...plan.sampled];
+    changed = findChangedShips(previousRecords, records, refreshed).changed;
+    console.log(
+      `🔍 ${changed.length} of ${refreshed.length} refreshed ship(s) changed` +
+      (changed.length > 0 ? `: ${changed.join(", ")}` : "")
+    );
+  }
+
+  const run = {
+    command: "ships",
+    ...(storefront && { storefront }),
+    mode,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    selectedShips: selectedShips.length,
+    fetchedShips: ships.length,
+    processed: results?.processed ?? 0,
+    failed: results?.failed ?? 0,
+    ...(scraper.languages.length > 1 && {
+      languages: scraper.languages.map(({ locale }) => locale),
+      ...(results && { localization: results.localization }),
+    }),
+    ...(plan && {
+      incremental: {
+        added: plan.added.length,
+        missing: plan.missing.length,
+        stale: plan.stale.length,
+        sampled: plan.sampled.length,
+        upToDate: plan.upToDate.length,
+        retired: plan.retired.length,
+        changed: changed.length,
+      },
+    }),
+  };
+
+  // Step 6: Archive the run
+  if (!skipSnapshot) {
+    await snapshotOutput(options, run);
+  }
+  return run;
+}
+
+/**
+ * Multi-storefront run: scrapes each selected storefront in turn into
+ * <outputDir>/storefronts/<name> (see getShips; each with its own session
+ * cookies, threads, checkpoint and the same run mode), then merges all
+ * configured storefronts into master.jsonl and ships.jsonl of the output
+ * directory. Storefronts that were not selected or failed are merged from
+ * the files of earlier runs, if there are any.
+ *
+ * @param {object} options - Run configuration with `storefronts` (see getShips)
+ * @returns {Promise<object|null>} Run summary with the summary of every
+ *   storefront under `storefronts`, or null for a dry run
+ * @throws {Error} If a storefront is misconfigured or every storefront failed
+ */
+async function getShipsFromStorefronts(options) {
+  const { outputDir, mode = RUN_MODE_FRESH, dryRun = false, skipSnapshot = false } = options;
+  const startedAt = new Date().toISOString();
+  const storefronts = resolveStorefronts(options.storefronts);
+  const selected = resolveStorefronts(options.storefronts, options.storefrontNames);
+
+  const runs = [];
+  for (const [index, storefront] of selected.entries()) {
+    console.log(`\n🏪 Storefront ${storefront.name} (${index + 1}/${selected.length})`);
+    try {
+      const run = await getShips({
+        ...createStorefrontConfig(options, storefront),
+        skipSnapshot: true,
+      });
+      runs.push(run ?? { storefront: storefront.name });
+    } catch (error) {
+      console.error(`❌ Storefront ${storefront.name} failed: ${describeError(error)}`);
+      runs.push({ storefront: storefront.name, error: describeError(error) });
+    }
+  }
+
+  if (dryRun) {
+    return null;
+  }
+  if (runs.every((run) => run.error)) {
+    throw new Error(`All ${selected.length} storefront(s) failed, see the errors above.`);
+  }
+
+  logHeader("MERGING STOREFRONTS");
+  const merged = await mergeStorefronts(options, storefronts);
+
+  const failedStorefronts = runs.filter((run) => run.error).map((run) => run.storefront);
+  if (failedStorefronts.length > 0) {
+    console.warn(
+      `⚠️  ${failedStorefronts.length} storefront(s) failed: ${failedStorefronts.join(", ")}. ` +
+      `Their ships from earlier runs were merged, if any.`
+    );
+  }
+
+  const total = (key) => runs.reduce((sum, run) => sum + (run[key] ?? 0), 0);
+  const run = {
+    command: "ships",
+    mode,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    selectedShips: total("selectedShips"),
+    fetchedShips: total("fetchedShips"),
+    processed: total("processed"),
+    failed: total("failed"),
+    mergedShips: merged.ships,
+    sharedShips: merged.shared,
+    storefronts: runs,
+  };
+
+  if (!skipSnapshot) {
+    await snapshotOutput(options, run);
+  }
+  return run;
+}
+
+/**
+ * Merges the master and ships files of every storefront directory into the
+ * output directory (see libs/storefronts.js), then rebuilds the taxonomies.
+ * @param {object} options - Run configuration (outputDir, gzip)
+ * @param {Array<object>} storefronts - Storefronts, in priority order
+ * @returns {Promise<{ships: number, shared: number}>} Number of merged ships,
+ *   and how many of them were found on more than one storefront
+ */
+async function mergeStorefronts(options, storefronts) {
+  const { outputDir, gzip = false } = options;
+  const masters = [];
+  const records = [];
+  for (const storefront of storefronts) {
+    const dir = createStorefrontConfig(options, storefront).outputDir;
+    const masterData = readMasterData(path.join(dir, MASTER_FILE_NAME));
+    if (!masterData) {
+      console.warn(`⚠️  Storefront ${storefront.name} has no master data yet, skipping it`);
+      continue;
+    }
+    masters.push([storefront.name, masterData]);
+    records.push([
+      storefront.name,
+      await readRecordsByShipId(resolveJsonlPath(path.join(dir, SHIPS_FILE_NAME))),
+    ]);
+  }
+
+  ensureOutputDirectory(outputDir);
+  const masterData = mergeMasterData(masters);
+  await saveMasterData(path.join(outputDir, MASTER_FILE_NAME), masterData);
+  await saveTaxonomies(outputDir, masterData);
+
+  const baseUrls = Object.fromEntries(storefronts.map(({ name, baseUrl }) => [name, baseUrl]));
+  const merged = mergeShipRecords(records, baseUrls);
+  const shipsFile = path.join(outputDir, gzip ? `${SHIPS_FILE_NAME}.gz` : SHIPS_FILE_NAME);
+  await writeJsonlFile(shipsFile, merged);
+  if (fs.existsSync(otherShipsFile(shipsFile))) {
+    fs.unlinkSync(otherShipsFile(shipsFile));
+  }
+
+  const shared = merged.filter((record) => Object.keys(record.storefronts).length > 1).length;
+  console.log(
+    `✓ Merged ${merged.length} ships from ${masters.length} storefront(s) into: ${shipsFile}`
+  );
+  console.log(`   ${shared} ship(s) found on more than one storefront`);
+  return { ships: merged.length, shared };
+}
+
+/**
+ * Dry run: prints the ships a run would fetch without fetching any details
+ * or writing any files. Uses the existing master.jsonl when there is one,
+ * so the dry run itself costs no API calls.
+ * @param {object} scraper - Scraper (see libs/scraper.js)
+ * @param {string} masterFile - Path to an existing master file
+ * @param {object} selection - Ship selection (see libs/selection.js)
+ */
+async function listSelectedShips(scraper, masterFile, selection) {
+  logSection("Dry Run: Ships That Would Be Fetched");
+
+  let masterData = readMasterData(masterFile);
+  if (masterData) {
+    console.log(`Using existing master data: ${masterFile}`);
+  } else {
+    await scraper.ensureSession();
+    masterData = await fetchMasterData(scraper);
+  }
+
+  const ships = selectShips(masterData.ship, masterData, selection);
+  for (const ship of ships) {
+    console.log(`  ${ship.id}\t${ship.name ?? ""}`);
+  }
+  console.log(`\n${ships.length} of ${masterData.ship.length} ships would be fetched.`);
+}
+
+/**
+ * Dry run of an incremental run: fetches the current master list (one
+ * request) and prints what the run would fetch and retire, without fetching
+ * any details or writing any files.
+ * @param {object} scraper - Scraper (see libs/scraper.js)
+ * @param {string} masterFile - Path to the previous master file
+ * @param {string} shipsFile - Path to the previous ships file
+ * @param {object} selection - Ship selection (see libs/selection.js)
+ * @param {object} [refresh] - Refresh settings: maxAgeDays, sampleRatio
+ */
+async function listIncrementalPlan(scraper, masterFile, shipsFile, selection, refresh) {
+  logSection("Dry Run: Incremental Plan");
+
+  await scraper.ensureSession();
+  const masterData = await fetchMasterData(scraper);
+  const ships = selectShips(masterData.ship, masterData, selection);
+  const plan = planIncremental(
+    ships,
+    {
+      masterShips: masterData.ship,
+      previousMasterShips: readMasterData(masterFile)?.ship || null,
+      previousRecords: await readRecordsByShipId(shipsFile),
+    },
+    refresh
+  );
+
+  console.log("");
+  for (const ship of plan.ships) {
+    console.log(`  ${ship.id}\t${ship.name ?? ""}`);
+  }
+  console.log(`\n${plan.ships.length} of ${ships.length} ships would be fetched.`);
+}
+
+/**
+ * Parses the script's own command-line arguments into run options.
+ * For the full set of flags, use the CLI (cli.js).
+ */
+async function main() {
+  const { mode, refreshCookies } = parseArguments(process.argv.slice(2));
+  await getShips(loadConfig({ mode, refreshCookies }));
 }
 
 // ========================================
@@ -331,22 +1037,35 @@ async function main() {
 /**
  * Application entry point with error handling.
  * Catches and logs any unhandled errors, then exits with appropriate code.
+ * Only runs when this file is executed directly, not when it is imported.
  */
-(async () => {
-  try {
-    await main();
-    process.exit(0); // Success
-  } catch (error) {
-    // Log error with details
-    console.error("\n" + "=".repeat(60));
-    console.error("❌ FATAL ERROR");
-    console.error("=".repeat(60));
-    console.error(`Message: ${error.message}`);
-    if (error.stack) {
-      console.error(`\nStack trace:\n${error.stack}`);
+if (isMainModule()) {
+  flushJsonlWritersOnShutdown();
+  (async () => {
+    try {
+      await main();
+      process.exit(0); // Success
+    } catch (error) {
+      // Log error with details
+      console.error("\n" + "=".repeat(60));
+      console.error("❌ FATAL ERROR");
+      console.error("=".repeat(60));
+      console.error(`Message: ${error.message}`);
+      if (error.stack) {
+        console.error(`\nStack trace:\n${error.stack}`);
+      }
+      console.error("=".repeat(60) + "\n");
+
+      process.exit(1); // Failure
     }
-    console.error("=".repeat(60) + "\n");
+  })();
+}
 
-    process.exit(1); // Failure
-  }
-})();
+export {
+  getShips,
+  snapshotOutput,
+  RUN_MODE_FRESH,
+  RUN_MODE_RESUME,
+  RUN_MODE_RETRY_FAILED,
+  RUN_MODE_INCREMENTAL,
+};
@@ -0,0 +1,126 @@
+/**
+ * ========================================
+ * CRUISE SHIPS DATA EXTRACTOR - LIBRARY API
+ * ========================================
+ *
+ * Entry point for embedding the scraper in other services. Importing this
+ * module has no side effects: it does not read .env or process.env, does
+ * not write to the console and never exits the process.
+ *
+ * Example:
+ *   import { createScraper } from "cruise-ships-data-extractor";
+ *
+ *   const scraper = createScraper({
+ *     baseUrl: "https://www.example-cruises.com",
+ *     systemId: "12345",
+ *     transport: { mode: "direct" },
+ *   });
+ *   scraper.on("progress", ({ stage, done, total }) => { ... });
+ *
+ *   await scraper.scrapeShips({ ids: [1, 2], onShip: (ship, details) => { ... } });
+ *
+ * Use loadConfig() to build the same configuration from environment
+ * variables, the way the scripts and the CLI do.
+ */
+
+export { createScraper } from "./libs/scraper.js";
+export { createOdyClient } from "./libs/ody.js";
+export { loadConfig } from "./libs/config.js";
+export { selectShips, selectShipRecords } from "./libs/selection.js";
+export {
+  SCHEMA_VERSION,
+  SHIP_SCHEMA,
+  normalizeShip,
+  validateShip,
+  normalizeRecord,
+} from "./libs/normalize.js";
+export { EXPORT_FORMATS, exportTables } from "./libs/export.js";
+export { diffSnapshots } from "./libs/diff.js";
+export {
+  FILL_RATE_FIELDS,
+  validateOutput,
+  parseThresholds,
+  hasProblems,
+} from "./libs/validate.js";
+export {
+  extractTaxonomies,
+  writeTaxonomies,
+  updateTaxonomies,
+  listMasterKeys,
+  checkMasterKeys,
+  readMasterKeys,
+  writeMasterKeys,
+} from "./libs/taxonomy.js";
+export {
+  resolveStorefronts,
+  createStorefrontConfig,
+  mergeMasterData,
+  mergeShipRecords,
+} from "./libs/storefronts.js";
+export { createApiServer, startApiServer, loadApiDataset } from "./libs/api-server.js";
+export {
+  parseLanguages,
+  collectLocalizedText,
+  mergeLocalizedDetails,
+  countLocalizationIssues,
+} from "./libs/languages.js";
+export {
+  resolveDateRange,
+  buildSailingFilters,
+  parseSailingFilters,
+  parseSailingsPage,
+  normalizeSailing,
+} from "./libs/sailings.js";
+export {
+  createSnapshot,
+  listSnapshots,
+  pruneSnapshots,
+  resolveSnapshotDir,
+} from "./libs/snapshots.js";
+export { planIncrementalRun, compactShipsFile, findChangedShips } from "./libs/incremental.js";
+export {
+  GALLERY_IMAGE_TYPE,
+  isGalleryImage,
+  createImageTypeFilter,
+  countImageTypes,
+  createMediaLayout,
+  verifyImageFile,
+} from "./libs/media.js";
+export {
+  MEDIA_MANIFEST_FILE_NAME,
+  buildMediaManifest,
+  readMediaManifest,
+  writeMediaManifest,
+} from "./libs/media-manifest.js";
+export {
+  DERIVATIVE_FORMATS,
+  resolveDerivativeSettings,
+  createDerivatives,
+} from "./libs/derivatives.js";
+export {
+  JsonlLineError,
+  readJsonl,
+  readJsonlFile,
+  readRecordsByShipId,
+  readMasterData,
+  resolveJsonlPath,
+  createJsonlWriter,
+  writeJsonlFile,
+  closeAllJsonlWriters,
+} from "./libs/jsonl.js";
+export {
+  TRANSPORT_DIRECT,
+  TRANSPORT_SCRAPERAPI,
+  TRANSPORT_PROXY,
+  createTransport,
+} from "./libs/transport.js";
+export { CASSETTE_OFF, CASSETTE_RECORD, CASSETTE_REPLAY } from "./libs/cassette.js";
+export { createRateLimiter, runPool } from "./libs/pool.js";
+export {
+  OdyError,
+  HttpError,
+  NetworkError,
+  DecryptionError,
+  ParseError,
+  CassetteMissError,
+} from "./libs/errors.js";
@@ -0,0 +1,475 @@
+/**
+ * ========================================
+ * DATASET API SERVER
+ * ========================================
+ *
+ * A read-only HTTP API over the scraped dataset, so other tools can use it
+ * without parsing JSONL. Ships are served in the canonical ship model (see
+ * libs/normalize.js), cruise lines as they appear in the master data.
+ *
+ * Endpoints (GET only, JSON unless noted):
+ *   /                                  Dataset info: source, snapshot, counts, endpoints
+ *   /ships                             Ships, paged; filters: cruiseline (ID or name),
+ *                                      name (part of it), minCapacity, maxCapacity,
+ *                                      includeRetired=true; paging: page, pageSize
+ *   /ships/:id                         One ship: normalized record plus its media
+ *   /cruiselines                       Cruise lines with their number of ships
+ *   /cruiselines/:id/ships             Ships of a cruise line (same filters and paging)
+ *   /media/:shipId/:path               A downloaded image (binary); path is the
+ *                                      file below the ship's media directory
+ *
+ * Lists are answered as {data, page, pageSize, total, totalPages}, errors
+ * as {error} with status 400, 404 or 405.
+ *
+ * Data comes from the latest snapshot (see libs/snapshots.js), i.e. the
+ * last finished run, or from the output directory itself when there are no
+ * snapshots. Media come from the output directory's media-manifest.jsonl.
+ * The server checks for a newer run every few seconds and swaps the whole
+ * dataset once the files have stopped changing, so requests never see a
+ * half-written run; if the new data cannot be loaded, the old data stays.
+ */
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { pipeline } from "stream/promises";
+import { readMasterData, readRecordsByShipId, resolveJsonlPath } from "./jsonl.js";
+import { normalizeRecord } from "./normalize.js";
+import { resolveCruiseLineIds } from "./selection.js";
+import { resolveSnapshotDir } from "./snapshots.js";
+import { MEDIA_MANIFEST_FILE_NAME, MIME_TYPES, readMediaManifest } from "./media-manifest.js";
+import { parsePositiveInt, parseNonNegativeInt } from "./config.js";
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 3000;
+const DEFAULT_RELOAD_INTERVAL_SECONDS = 5;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Creates the API server (not yet listening) and loads the dataset.
+ * @param {object} options
+ * @param {string} options.outputDir - Output directory to serve
+ * @param {number} [options.reloadIntervalSeconds=5] - How often to check for
+ *   a newer run, 0 = never
+ * @param {boolean} [options.quiet=false] - Don't log requests
+ * @returns {Promise<{server: http.Server, reloadIntervalSeconds: number,
+ *   getDataset: Function, reload: Function, stopWatching: Function}>} Server,
+ *   reload interval, current dataset, a forced reload and the stop of the
+ *   reload checks
+ * @throws {Error} If the output directory has no master.jsonl or ships.jsonl
+ */
+async function createApiServer(options) {
+  const { outputDir, reloadIntervalSeconds = DEFAULT_RELOAD_INTERVAL_SECONDS } = options;
+  let dataset = await loadApiDataset(outputDir);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (!options.quiet) {
+      console.log(`${req.method} ${url.pathname}${url.search}`);
+    }
+    try {
+      await handleRequest({ req, res, url, dataset });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      console.error(`✗ API error on ${req.url}: ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      } else {
+        res.destroy();
+      }
+    }
+  });
+
+  const reload = async () => {
+    dataset = await loadApiDataset(outputDir);
+    return dataset;
+  };
+
+  // A new run is only picked up once its files look the same on two checks in a row
+  let pendingVersion = null;
+  let failedVersion = null;
+  let checking = false;
+  const check = async () => {
+    if (checking) return;
+    checking = true;
+    let version = null;
+    try {
+      version = readDatasetVersion(outputDir);
+      if (version === dataset.version || version === failedVersion || version !== pendingVersion) {
+        pendingVersion = version;
+        return;
+      }
+      const previous = dataset;
+      await reload();
+      console.log(
+        `🔄 Reloaded dataset from ${dataset.source}: ${dataset.ships.length} ships ` +
+        `(was ${previous.ships.length})`
+      );
+    } catch (error) {
+      failedVersion = version; // Tried again once the files change
+      console.warn(`⚠️  Could not reload the dataset, still serving the old one: ${error.message}`);
+    } finally {
+      checking = false;
+    }
+  };
+  const timer =
+    reloadIntervalSeconds > 0 ? setInterval(check, reloadIntervalSeconds * 1000) : null;
+
+  return {
+    server,
+    reloadIntervalSeconds,
+    getDataset: () => dataset,
+    reload,
+    stopWatching: () => clearInterval(timer),
+  };
+}
+
+/**
+ * Creates the API server and starts listening.
+ * @param {object} options - See createApiServer, plus:
+ * @param {number} [options.port=3000] - Port to listen on (0 = random free port)
+ * @param {string} [options.host="127.0.0.1"] - Interface to bind
+ * @returns {Promise<object>} Server handle with `baseUrl` and `close()`
+ */
+async function startApiServer(options) {
+  const api = await createApiServer(options);
+  await new Promise((resolve, reject) => {
+    api.server.once("error", reject);
+    api.server.listen(options.port ?? DEFAULT_PORT, options.host ?? DEFAULT_HOST, resolve);
+  });
+
+  const { address, port } = api.server.address();
+  return {
+    ...api,
+    baseUrl: `http://${address.includes(":") ? `[${address}]` : address}:${port}`,
+    close: async () => {
+      api.stopWatching();
+      api.server.closeAllConnections();
+      api.server.close();
+      await once(api.server, "close");
+    },
+  };
+}
+
+// ========================================
+// DATASET
+// ========================================
+
+/**
+ * Loads the dataset served by the API.
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<object>} Dataset: source directory, snapshot ID (or null),
+ *   version, loadedAt, master data, normalized ship records (`ships`, in
+ *   file order, and `shipsById`) and the media manifest entries by ship ID
+ * @throws {Error} If master.jsonl or ships.jsonl is missing
+ */
+async function loadApiDataset(outputDir) {
+  const version = readDatasetVersion(outputDir);
+  const snapshotDir = resolveSnapshotDir(outputDir, "latest");
+  const source = snapshotDir ?? outputDir;
+
+  const masterData = readMasterData(path.join(source, "master.jsonl"));
+  const shipsFile = resolveJsonlPath(path.join(source, "ships.jsonl"));
+  if (!masterData || !fs.existsSync(shipsFile)) {
+    throw new Error(`No master.jsonl and ships.jsonl in ${source}. Run the ships command first.`);
+  }
+
+  const ships = [];
+  for (const record of (await readRecordsByShipId(shipsFile)).values()) {
+    if (record.type === "ship" && record.data) {
+      ships.push(normalizeRecord(record, masterData));
+    }
+  }
+
+  const media = new Map();
+  for (const entry of await readMediaManifest(path.join(outputDir, MEDIA_MANIFEST_FILE_NAME))) {
+    if (!entry.file) continue;
+    const key = String(entry.shipId);
+    if (!media.has(key)) media.set(key, []);
+    media.get(key).push(entry);
+  }
+
+  return {
+    source,
+    snapshot: snapshotDir ? path.basename(snapshotDir) : null,
+    version,
+    loadedAt: new Date().toISOString(),
+    outputDir,
+    masterData,
+    ships,
+    shipsById: new Map(ships.map((record) => [String(record.shipId), record])),
+    media,
+  };
+}
+
+/**
+ * Describes the state of the served files: the latest snapshot, plus the
+ * size and modification time of the data files. Changes when a run finishes
+ * (or, without snapshots, while one is writing).
+ * @param {string} outputDir - Output directory
+ * @returns {string} Version string
+ */
+function readDatasetVersion(outputDir) {
+  const snapshotDir = resolveSnapshotDir(outputDir, "latest");
+  const source = snapshotDir ?? outputDir;
+  const files = [
+    path.join(source, "master.jsonl"),
+    resolveJsonlPath(path.join(source, "ships.jsonl")),
+    path.join(outputDir, MEDIA_MANIFEST_FILE_NAME),
+  ];
+  const stats = files.map((file) => {
+    const stat = fs.statSync(file, { throwIfNoEntry: false });
+    return stat ? `${stat.size}@${stat.mtimeMs}` : "-";
+  });
+  return [snapshotDir ? path.basename(snapshotDir) : "", ...stats].join("|");
+}
+
+// ========================================
+// ROUTING
+// ========================================
+
+/**
+ * Error answered with a status code and message.
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+async function handleRequest({ req, res, url, dataset }) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    throw new ApiError(405, "The API is read-only.");
+  }
+
+  const segments = url.pathname.split("/").filter(Boolean).map(decodeSegment);
+  const [resource, id, sub, ...rest] = segments;
+
+  if (segments.length === 0) {
+    return sendJson(res, 200, describeDataset(dataset));
+  }
+  if (resource === "ships" && segments.length === 1) {
+    return sendJson(res, 200, listShips(dataset, url.searchParams));
+  }
+  if (resource === "ships" && segments.length === 2) {
+    return sendJson(res, 200, getShip(dataset, id));
+  }
+  if (resource === "cruiselines" && segments.length === 1) {
+    return sendJson(res, 200, listCruiseLines(dataset));
+  }
+  if (resource === "cruiselines" && sub === "ships" && rest.length === 0) {
+    const line = findCruiseLine(dataset, id);
+    return sendJson(res, 200, listShips(dataset, url.searchParams, line.id));
+  }
+  if (resource === "media" && segments.length >= 3) {
+    return await sendMediaFile(res, dataset, id, segments.slice(2).join("/"));
+  }
+  throw new ApiError(404, `Not found: ${url.pathname}`);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new ApiError(400, `Malformed path segment "${segment}".`);
+  }
+}
+
+// ========================================
+// HANDLERS
+// ========================================
+
+function describeDataset(dataset) {
+  return {
+    source: dataset.source,
+    snapshot: dataset.snapshot,
+    loadedAt: dataset.loadedAt,
+    counts: {
+      ships: dataset.ships.filter((record) => !record.retiredAt).length,
+      retiredShips: dataset.ships.filter((record) => record.retiredAt).length,
+      cruiseLines: (dataset.masterData.cruiseline || []).length,
+      images: [...dataset.media.values()].reduce((sum, entries) => sum + entries.length, 0),
+    },
+    endpoints: [
+      "/ships",
+      "/ships/:id",
+      "/cruiselines",
+      "/cruiselines/:id/ships",
+      "/media/:shipId/:path",
+    ],
+  };
+}
+
+/**
+ * Filters and pages the ships.
+ * @param {object} dataset - Dataset (see loadApiDataset)
+ * @param {URLSearchParams} query - Filters and paging (see the module comment)
+ * @param {number|string} [cruiseLineId] - Only ships of this cruise line
+ * @returns {object} Page of canonical ships: {data, page, pageSize, total, totalPages}
+ * @throws {ApiError} If a filter or paging value is invalid
+ */
+function listShips(dataset, query, cruiseLineId) {
+  const page = readNumber(query, "page", parsePositiveInt) ?? 1;
+  const pageSize = readNumber(query, "pageSize", parsePositiveInt) ?? DEFAULT_PAGE_SIZE;
+  if (pageSize > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `pageSize can be at most ${MAX_PAGE_SIZE}.`);
+  }
+  const minCapacity = readNumber(query, "minCapacity", parseNonNegativeInt);
+  const maxCapacity = readNumber(query, "maxCapacity", parseNonNegativeInt);
+  const name = query.get("name")?.trim().toLowerCase();
+  const includeRetired = query.get("includeRetired") === "true";
+
+  let lineIds = cruiseLineId === undefined ? null : new Set([String(cruiseLineId)]);
+  if (query.get("cruiseline")) {
+    let matches;
+    try {
+      matches = resolveCruiseLineIds(dataset.masterData, query.get("cruiseline"));
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+    lineIds = lineIds ? new Set([...lineIds].filter((lineId) => matches.has(lineId))) : matches;
+  }
+
+  const ships = dataset.ships.filter(({ data: ship, retiredAt }) => {
+    if (!ship || (retiredAt && !includeRetired)) return false;
+    if (lineIds && !lineIds.has(String(ship.cruiseLine.id))) return false;
+    if (name && !String(ship.name ?? "").toLowerCase().includes(name)) return false;
+    const capacity = ship.passengerCapacity;
+    if (minCapacity !== undefined && !(capacity >= minCapacity)) return false;
+    if (maxCapacity !== undefined && !(capacity !== null && capacity <= maxCapacity)) return false;
+    return true;
+  });
+
+  return {
+    data: ships
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map((record) => ({
+        ...record.data,
+        ...(record.retiredAt && { retiredAt: record.retiredAt }),
+      })),
+    page,
+    pageSize,
+    total: ships.length,
+    totalPages: Math.ceil(ships.length / pageSize),
+  };
+}
+
+function getShip(dataset, id) {
+  const record = dataset.shipsById.get(id);
+  if (!record) {
+    throw new ApiError(404, `No ship with ID ${id}.`);
+  }
+  return {
+    ...record,
+    media: (dataset.media.get(id) || []).map((entry) => ({
+      path: entry.path,
+      imageType: entry.imageType,
+      url: getMediaUrl(entry),
+      mimeType: entry.mimeType,
+      width: entry.width,
+      height: entry.height,
+      bytes: entry.bytes,
+    })),
+  };
+}
+
+function listCruiseLines(dataset) {
+  const shipCounts = new Map();
+  for (const { data: ship, retiredAt } of dataset.ships) {
+    if (!ship || retiredAt) continue;
+    const lineId = String(ship.cruiseLine.id);
+    shipCounts.set(lineId, (shipCounts.get(lineId) ?? 0) + 1);
+  }
+  const lines = (dataset.masterData.cruiseline || []).map((line) => ({
+    ...line,
+    shipCount: shipCounts.get(String(line.id)) ?? 0,
+  }));
+  return { data: lines, total: lines.length };
+}
+
+function findCruiseLine(dataset, id) {
+  const line = (dataset.masterData.cruiseline || []).find((entry) => String(entry.id) === id);
+  if (!line) {
+    throw new ApiError(404, `No cruise line with ID ${id}.`);
+  }
+  return line;
+}
+
+/**
+ * Streams a downloaded image. Only files listed in the media manifest are
+ * served, so a request can never reach outside the media directory.
+ */
+async function sendMediaFile(res, dataset, shipId, mediaKey) {
+  const entry = (dataset.media.get(shipId) || []).find(
+    (candidate) => getMediaKey(candidate) === mediaKey
+  );
+  const file = entry && path.join(dataset.outputDir, entry.file);
+  const stat = file && fs.statSync(file, { throwIfNoEntry: false });
+  if (!stat?.isFile()) {
+    throw new ApiError(404, `No downloaded image ${mediaKey} for ship ${shipId}.`);
+  }
+
+  const extension = path.extname(file).slice(1).toLowerCase();
+  res.writeHead(200, {
+    "Content-Type":
+      entry.mimeType ?? MIME_TYPES[extension === "jpg" ? "jpeg" : extension] ?? "application/octet-stream",
+    "Content-Length": stat.size,
+  });
+  if (res.req.method === "HEAD") {
+    res.end();
+    return;
+  }
+  await pipeline(fs.createReadStream(file), res);
+}
+
+/**
+ * Returns the path of an image below its ship's media directory, e.g.
+ * "Gallery/pool.jpg" for media/1/Gallery/pool.jpg, or below the media
+ * directory for layouts that don't start with the ship ID. Unlike the file
+ * name it is unique per ship, whatever the media layout.
+ * @param {object} entry - Media manifest entry
+ * @returns {string} Path with forward slashes
+ */
+function getMediaKey(entry) {
+  const segments = entry.file.split("/").slice(1); // Below media/
+  return (segments[0] === String(entry.shipId) ? segments.slice(1) : segments).join("/");
+}
+
+function getMediaUrl(entry) {
+  const segments = ["media", String(entry.shipId), ...getMediaKey(entry).split("/")];
+  return segments.map((segment) => `/${encodeURIComponent(segment)}`).join("");
+}
+
+function readNumber(query, name, parse) {
+  const value = query.get(name);
+  if (value === null) return undefined;
+  const number = parse(value);
+  if (number === undefined || String(number) !== value.trim()) {
+    const expected = parse === parsePositiveInt ? "a positive integer" : "a non-negative integer";
+    throw new ApiError(400, `${name} expects ${expected}, got "${value}".`);
+  }
+  return number;
+}
+
+// ========================================
+// HTTP HELPERS
+// ========================================
+
+function sendJson(res, status, value) {
+  const body = JSON.stringify(value);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(res.req.method === "HEAD" ? undefined : body);
+}
+
+export { createApiServer, startApiServer, loadApiDataset };
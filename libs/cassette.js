@@ -0,0 +1,170 @@
+/**
+ * ========================================
+ * RECORD & REPLAY CASSETTES
+ * ========================================
+ *
+ * Records Ody API interactions to disk and serves them back later, so data
+ * transformations can be developed and tested fully offline.
+ *
+ * - record  Every request is sent normally and written to the cassette
+ *           directory with its raw (encrypted) response body and, for
+ *           encrypted endpoints, the decrypted payload.
+ * - replay  Requests are answered from the cassette directory only. The raw
+ *           body still goes through the regular XOR decryption, and the
+ *           result is compared against the recorded payload so decryption
+ *           regressions are caught. Unrecorded requests fail with a
+ *           CassetteMissError.
+ *
+ * One JSON file per request, named after the method, the URL path and a
+ * hash of method + URL + body (+ the languageid header, unless it is the
+ * default "1", so recordings made before languages existed still match):
+ *
+ *   cassettes/get-nitroapi-v2-ship-GetDetails-1-3f2a9c1b0d.json
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { CassetteMissError } from "./errors.js";
+
+const CASSETTE_OFF = "off";
+const CASSETTE_RECORD = "record";
+const CASSETTE_REPLAY = "replay";
+const CASSETTE_MODES = [CASSETTE_OFF, CASSETTE_RECORD, CASSETTE_REPLAY];
+
+const MAX_SLUG_LENGTH = 80;
+
+// Statuses whose responses can't have a body, not even an empty one (Fetch spec)
+const NULL_BODY_STATUSES = new Set([101, 103, 204, 205, 304]);
+
+/**
+ * Creates a cassette.
+ * @param {object} config - Cassette configuration
+ * @param {string} config.mode - One of "off", "record" or "replay"
+ * @param {string} config.dir - Directory holding the recordings
+ * @returns {object|null} Cassette, or null when the mode is "off"
+ * @throws {Error} If the mode is unknown or the replay directory is missing
+ */
+function createCassette({ mode, dir }) {
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown cassette mode "${mode}". Expected one of: ${CASSETTE_MODES.join(", ")}.`
+    );
+  }
+  if (mode === CASSETTE_OFF) {
+    return null;
+  }
+  if (mode === CASSETTE_REPLAY && !fs.existsSync(dir)) {
+    throw new Error(
+      `Cassette directory not found: ${dir}\n` +
+      `Record one first with OD_CASSETTE_MODE=record.`
+    );
+  }
+
+  return {
+    mode,
+    dir,
+
+    /**
+     * Returns the file a request is (or would be) recorded in.
+     * @param {string} url - Ody URL
+     * @param {object} options - fetch options (method and body are used)
+     * @returns {string} Absolute cassette file path
+     */
+    fileFor(url, options) {
+      return path.join(dir, getCassetteFileName(url, options));
+    },
+
+    /**
+     * Loads the recording for a request.
+     * @param {string} url - Ody URL
+     * @param {object} options - fetch options
+     * @returns {object} Recorded interaction
+     * @throws {CassetteMissError} If the request was never recorded
+     */
+    load(url, options) {
+      const file = this.fileFor(url, options);
+      if (!fs.existsSync(file)) {
+        throw new CassetteMissError({
+          url,
+          method: options.method || "get",
+          file,
+        });
+      }
+      return JSON.parse(fs.readFileSync(file, "utf-8"));
+    },
+
+    /**
+     * Writes the recording for a request, replacing any earlier one.
+     * @param {string} url - Ody URL
+     * @param {object} options - fetch options
+     * @param {object} response - Status, status text, headers and raw body
+     * @param {any} decrypted - Decrypted payload (null for plain responses or failures)
+     */
+    save(url, options, response, decrypted) {
+      fs.mkdirSync(dir, { recursive: true });
+      const interaction = {
+        recordedAt: new Date().toISOString(),
+        request: {
+          method: (options.method || "get").toLowerCase(),
+          url,
+          body: options.body ?? null,
+        },
+        response,
+        decrypted: decrypted ?? null,
+      };
+      fs.writeFileSync(this.fileFor(url, options), JSON.stringify(interaction, null, 2));
+    },
+
+    /**
+     * A transport (see libs/transport.js) answering from recordings only.
+     * @returns {{mode: string, proxyUrl: null, fetch: Function}} Replay transport
+     */
+    toTransport() {
+      return {
+        mode: CASSETTE_REPLAY,
+        proxyUrl: null,
+        fetch: async (url, options = {}) => {
+          const { response } = this.load(url, options);
+          const body = NULL_BODY_STATUSES.has(response.status) ? null : response.body;
+          return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+          });
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Builds the file name for a request.
+ * @param {string} url - Ody URL
+ * @param {object} options - fetch options
+ * @returns {string} File name, e.g. "get-nitroapi-v2-master-allswift-1a2b3c4d5e.json"
+ */
+function getCassetteFileName(url, options) {
+  const method = (options.method || "get").toLowerCase();
+  const languageId = options.headers?.languageid;
+  const language = languageId && languageId !== "1" ? `\nlanguageid=${languageId}` : "";
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${method} ${url}\n${options.body ?? ""}${language}`)
+    .digest("hex")
+    .slice(0, 10);
+  const slug = new URL(url).pathname
+    .replace(/[^A-Za-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, MAX_SLUG_LENGTH);
+
+  return `${method}-${slug}-${hash}.json`;
+}
+
+export {
+  CASSETTE_OFF,
+  CASSETTE_RECORD,
+  CASSETTE_REPLAY,
+  CASSETTE_MODES,
+  createCassette,
+};
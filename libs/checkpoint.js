@@ -0,0 +1,133 @@
+/**
+ * ========================================
+ * SCRAPE CHECKPOINT
+ * ========================================
+ *
+ * Keeps track of which ship IDs were fetched successfully and which failed,
+ * so an interrupted or partially failed run can be resumed without paying
+ * for the same API calls twice.
+ *
+ * The checkpoint is a small JSON file stored next to ships.jsonl:
+ *
+ *   {
+ *     "startedAt": "2025-10-26T23:17:41.131Z",
+ *     "updatedAt": "2025-10-26T23:27:22.677Z",
+ *     "completed": { "1": "2025-10-26T23:27:22.677Z", ... },
+ *     "failed": { "42": { "error": "...", "attempts": 2, "lastAttemptAt": "..." } }
+ *   }
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * Creates an empty checkpoint.
+ * @returns {object} New checkpoint object
+ */
+function createCheckpoint() {
+  const now = new Date().toISOString();
+  return {
+    startedAt: now,
+    updatedAt: now,
+    completed: {},
+    failed: {},
+  };
+}
+
+/**
+ * Loads a checkpoint from disk.
+ * @param {string} filePath - Path to the checkpoint file
+ * @returns {object|null} Checkpoint object, or null if none exists
+ * @throws {Error} If the file exists but cannot be parsed
+ */
+function loadCheckpoint(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return {
+      ...createCheckpoint(),
+      ...checkpoint,
+    };
+  } catch (error) {
+    throw new Error(
+      `Checkpoint file is corrupt: ${filePath} (${error.message})\n` +
+      `Delete it and run without --resume/--retry-failed to start over.`
+    );
+  }
+}
+
+/**
+ * Writes a checkpoint to disk atomically (temp file + rename), so a crash
+ * mid-write never leaves a truncated checkpoint behind.
+ * @param {string} filePath - Path to the checkpoint file
+ * @param {object} checkpoint - Checkpoint object to save
+ */
+function saveCheckpoint(filePath, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.partial`;
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Records a successfully processed ship.
+ * @param {object} checkpoint - Checkpoint object
+ * @param {number|string} shipId - ID of the ship
+ */
+function markCompleted(checkpoint, shipId) {
+  const key = String(shipId);
+  checkpoint.completed[key] = new Date().toISOString();
+  delete checkpoint.failed[key];
+}
+
+/**
+ * Records a ship that failed to process.
+ * @param {object} checkpoint - Checkpoint object
+ * @param {number|string} shipId - ID of the ship
+ * @param {string} errorMessage - Failure reason
+ */
+function markFailed(checkpoint, shipId, errorMessage) {
+  const key = String(shipId);
+  const previous = checkpoint.failed[key];
+  checkpoint.failed[key] = {
+    error: errorMessage,
+    attempts: (previous?.attempts || 0) + 1,
+    lastAttemptAt: new Date().toISOString(),
+  };
+  delete checkpoint.completed[key];
+}
+
+/**
+ * Checks whether a ship was already processed successfully.
+ * @param {object} checkpoint - Checkpoint object
+ * @param {number|string} shipId - ID of the ship
+ * @returns {boolean} True if the ship is marked as completed
+ */
+function isCompleted(checkpoint, shipId) {
+  return Object.hasOwn(checkpoint.completed, String(shipId));
+}
+
+/**
+ * Checks whether a ship failed on a previous run.
+ * @param {object} checkpoint - Checkpoint object
+ * @param {number|string} shipId - ID of the ship
+ * @returns {boolean} True if the ship is marked as failed
+ */
+function isFailed(checkpoint, shipId) {
+  return Object.hasOwn(checkpoint.failed, String(shipId));
+}
+
+export {
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  markCompleted,
+  markFailed,
+  isCompleted,
+  isFailed,
+};
@@ -0,0 +1,221 @@
+/**
+ * ========================================
+ * RUN CONFIGURATION
+ * ========================================
+ *
+ * Resolves the settings shared by all commands. Precedence, lowest first:
+ * built-in defaults, environment variables (.env), explicit overrides
+ * (e.g. CLI flags).
+ *
+ * This is the only module that reads process.env. The result is a plain
+ * object that can be passed to createScraper / createOdyClient; code
+ * embedding the scraper can build the same object itself instead.
+ */
+
+import path from "path";
+import { storefrontEnvPrefix } from "./storefronts.js";
+
+const DEFAULT_OUTPUT_DIR = "output";
+const DEFAULT_SHIP_THREADS = 5;
+const DEFAULT_MEDIA_THREADS = 10;
+const DEFAULT_TRANSPORT = "scraperapi";
+const DEFAULT_MEDIA_TRANSPORT = "direct";
+const DEFAULT_CASSETTE_MODE = "off";
+const DEFAULT_CASSETTE_DIR = "cassettes";
+
+/**
+ * Builds the run configuration.
+ * @param {object} [overrides] - Values taking precedence over the environment;
+ *   undefined values are ignored. Nested objects (transport, retry, ...)
+ *   replace the environment values as a whole.
+ * @param {object} [env=process.env] - Environment to read from
+ * @returns {object} Configuration, plus any other override keys:
+ *   - connection: baseUrl, systemId (both from the first storefront when
+ *     OD_BASE_URL is unset), storefronts, transport, mediaTransport, cassette,
+ *     cookies, refresh, sessionCheckPath, headless
+ *   - output: outputDir (absolute), gzip, snapshots
+ *   - concurrency: shipThreads, mediaThreads, rateLimit, mediaRateLimit, retry
+ *   - per feature: media, derivatives, quality (validation thresholds), sailings
+ *     (cruise search), languages, api (serve command)
+ */
+function loadConfig(overrides = {}, env = process.env) {
+  const transportCredentials = {
+    scraperApiBaseUrl: env.SCRAPEAPI_BASE_URL,
+    scraperApiKey: env.SCRAPEAPI_KEY,
+    proxyUrl: env.OD_PROXY_URL,
+  };
+
+  const config = {
+    baseUrl: env.OD_BASE_URL,
+    systemId: env.OD_SYSTEMID,
+    storefronts: readStorefronts(env),
+    outputDir: env.OUTPUT_DIR || DEFAULT_OUTPUT_DIR,
+    gzip: env.OUTPUT_GZIP?.toLowerCase() === "true",
+    shipThreads: parsePositiveInt(env.SCRAPERAPI_MAX_THREADS) ?? DEFAULT_SHIP_THREADS,
+    mediaThreads: parsePositiveInt(env.MEDIA_MAX_THREADS) ?? DEFAULT_MEDIA_THREADS,
+    transport: definedOnly({
+      mode: (env.OD_TRANSPORT || DEFAULT_TRANSPORT).toLowerCase(),
+      ...transportCredentials,
+    }),
+    mediaTransport: definedOnly({
+      mode: (env.MEDIA_TRANSPORT || DEFAULT_MEDIA_TRANSPORT).toLowerCase(),
+      ...transportCredentials,
+    }),
+    cassette: {
+      mode: (env.OD_CASSETTE_MODE || DEFAULT_CASSETTE_MODE).toLowerCase(),
+      dir: path.resolve(process.cwd(), env.OD_CASSETTE_DIR || DEFAULT_CASSETTE_DIR),
+    },
+    rateLimit: readRateLimit(env, "OD"),
+    mediaRateLimit: readRateLimit(env, "MEDIA"),
+    retry: definedOnly({
+      maxRetries: parseNonNegativeInt(env.OD_MAX_RETRIES),
+      baseDelayMs: parseNonNegativeInt(env.OD_RETRY_BASE_DELAY_MS),
+      maxDelayMs: parseNonNegativeInt(env.OD_RETRY_MAX_DELAY_MS),
+    }),
+    cookies: definedOnly({
+      maxAgeMinutes: parseNonNegativeInt(env.OD_COOKIE_MAX_AGE_MINUTES),
+    }),
+    refresh: definedOnly({
+      maxAgeDays: parseNonNegativeInt(env.OD_REFRESH_MAX_AGE_DAYS),
+      sampleRatio: parseRatio(env.OD_REFRESH_SAMPLE),
+    }),
+    snapshots: definedOnly({
+      enabled: env.SNAPSHOTS === undefined ? undefined : env.SNAPSHOTS.toLowerCase() !== "false",
+      keep: parseNonNegativeInt(env.SNAPSHOT_KEEP),
+      maxAgeDays: parseNonNegativeInt(env.SNAPSHOT_MAX_AGE_DAYS),
+    }),
+    media: definedOnly({
+      imageTypes: parseList(env.MEDIA_IMAGE_TYPES),
+      excludeImageTypes: parseList(env.MEDIA_EXCLUDE_IMAGE_TYPES),
+      layout: env.MEDIA_LAYOUT || undefined,
+    }),
+    derivatives: definedOnly({
+      enabled:
+        env.MEDIA_DERIVATIVES === undefined
+          ? undefined
+          : env.MEDIA_DERIVATIVES.toLowerCase() === "true",
+      sizes: parseList(env.MEDIA_DERIVATIVE_SIZES),
+      formats: parseList(env.MEDIA_DERIVATIVE_FORMATS),
+      quality: parsePositiveInt(env.MEDIA_DERIVATIVE_QUALITY),
+    }),
+    quality: definedOnly({
+      thresholds: parseList(env.QUALITY_THRESHOLDS),
+    }),
+    sailings: definedOnly({
+      apiPath: env.OD_SAILINGS_API_PATH || undefined,
+      pageSize: parsePositiveInt(env.SAILINGS_PAGE_SIZE),
+      maxPages: parsePositiveInt(env.SAILINGS_MAX_PAGES),
+      from: env.SAILINGS_FROM || undefined,
+      to: env.SAILINGS_TO || undefined,
+      filters: parseList(env.SAILINGS_FILTERS),
+    }),
+    languages: parseList(env.OD_LANGUAGES),
+    api: definedOnly({
+      host: env.API_HOST || undefined,
+      port: parseNonNegativeInt(env.API_PORT),
+      reloadIntervalSeconds: parseNonNegativeInt(env.API_RELOAD_INTERVAL_SECONDS),
+    }),
+    sessionCheckPath: env.OD_SESSION_CHECK_PATH || undefined,
+    headless: env.HIDE_PUPPETEER === "true",
+  };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) {
+      config[key] = value;
+    }
+  }
+
+  if (!config.baseUrl && config.storefronts?.length > 0) {
+    // Commands that talk to a single site use the first storefront
+    config.baseUrl = config.storefronts[0].baseUrl;
+    config.systemId = config.storefronts[0].systemId;
+  }
+  config.outputDir = path.resolve(process.cwd(), config.outputDir);
+  return definedOnly(config);
+}
+
+/**
+ * Reads a requests-per-second / requests-per-minute ceiling.
+ * @param {object} env - Environment to read from
+ * @param {string} prefix - Variable prefix, e.g. "OD" reads OD_MAX_REQUESTS_PER_SECOND
+ *   and OD_MAX_REQUESTS_PER_MINUTE
+ * @returns {{perSecond: number, perMinute: number}} Limits, 0 meaning none
+ */
+function readRateLimit(env, prefix) {
+  return {
+    perSecond: parseFloat(env[`${prefix}_MAX_REQUESTS_PER_SECOND`]) || 0,
+    perMinute: parseFloat(env[`${prefix}_MAX_REQUESTS_PER_MINUTE`]) || 0,
+  };
+}
+
+/**
+ * Reads the storefronts named in OD_STOREFRONTS, each configured through
+ * OD_STOREFRONT_<NAME>_BASE_URL, _SYSTEMID and _MAX_THREADS.
+ * @param {object} env - Environment to read from
+ * @returns {Array<object>|undefined} Storefronts {name, baseUrl, systemId, shipThreads},
+ *   or undefined if none are configured
+ */
+function readStorefronts(env) {
+  return parseList(env.OD_STOREFRONTS)?.map((name) => {
+    const prefix = storefrontEnvPrefix(name);
+    return definedOnly({
+      name,
+      baseUrl: env[`${prefix}BASE_URL`] || undefined,
+      systemId: env[`${prefix}SYSTEMID`] || undefined,
+      shipThreads: parsePositiveInt(env[`${prefix}MAX_THREADS`]),
+    });
+  });
+}
+
+/**
+ * Parses a positive integer.
+ * @param {string|number|undefined} value - Value to parse
+ * @returns {number|undefined} Parsed number, or undefined if not a positive integer
+ */
+function parsePositiveInt(value) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+function parseNonNegativeInt(value) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+/**
+ * Parses a ratio between 0 and 1.
+ * @param {string|number|undefined} value - Value to parse
+ * @returns {number|undefined} Parsed ratio, or undefined if not a number in [0, 1]
+ */
+function parseRatio(value) {
+  const parsed = Number(value);
+  return value !== undefined && String(value).trim() !== "" && parsed >= 0 && parsed <= 1
+    ? parsed
+    : undefined;
+}
+
+/**
+ * Parses a comma-separated list.
+ * @param {string|undefined} value - Value to parse
+ * @returns {Array<string>|undefined} Trimmed, non-empty items, or undefined if none
+ */
+function parseList(value) {
+  const items = (value ?? "").split(",").map((item) => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : undefined;
+}
+
+// Drops unset keys so the consumers' own defaults apply
+function definedOnly(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
+
+export {
+  DEFAULT_OUTPUT_DIR,
+  loadConfig,
+  parsePositiveInt,
+  parseNonNegativeInt,
+  parseRatio,
+  parseList,
+};
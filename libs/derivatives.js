@@ -0,0 +1,296 @@
+/**
+ * ========================================
+ * IMAGE DERIVATIVES
+ * ========================================
+ *
+ * Optional stage after the download: renders each image of the media
+ * manifest in fixed sizes and web formats for the front end, e.g.
+ *
+ *   output/derivatives/thumb/1/gallery-1.webp   (320x240, cropped)
+ *   output/derivatives/web/1/gallery-1.jpg      (1200 px wide)
+ *
+ * Sizes are `name:width` (scaled to that width, never enlarged) or
+ * `name:widthxheight` (cropped to fill exactly that box). Formats are webp,
+ * avif and jpeg. Images are rotated according to their EXIF orientation and
+ * written without metadata (EXIF, GPS, ICC comments, ...).
+ *
+ * The variants are recorded on the manifest entries (`variants`), each with
+ * a key derived from the source image's SHA-256 and the variant settings.
+ * An image is only processed again when that key changes, i.e. when the
+ * source image or the size/format/quality configuration changes.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { runPool } from "./pool.js";
+import { linkFile, toPosix } from "./media.js";
+
+const DERIVATIVES_DIR_NAME = "derivatives";
+const DERIVATIVE_FORMATS = ["webp", "avif", "jpeg"];
+const DEFAULT_DERIVATIVE_SIZES = ["thumb:320x240", "web:1200"];
+const DEFAULT_DERIVATIVE_FORMATS = ["webp", "jpeg"];
+const DEFAULT_DERIVATIVE_QUALITY = 80;
+const DEFAULT_DERIVATIVE_CONCURRENCY = 2; // sharp uses several threads per image already
+
+// Output format -> file extension
+const FORMAT_EXTENSIONS = { webp: ".webp", avif: ".avif", jpeg: ".jpg" };
+
+/**
+ * Validates and completes the derivative settings. Settings that are already
+ * resolved pass through unchanged.
+ * @param {object} [settings] - config.derivatives
+ * @param {Array<string|object>} [settings.sizes] - Size specs ("thumb:320x240", "web:1200")
+ *   or resolved sizes
+ * @param {Array<string>} [settings.formats] - Any of "webp", "avif", "jpeg" ("jpg" works too)
+ * @param {number} [settings.quality] - Encoder quality, 1-100
+ * @returns {{sizes: Array<{name: string, width: number, height: number|null}>,
+ *   formats: Array<string>, quality: number}} Resolved settings
+ * @throws {Error} On malformed sizes, duplicate size names, unknown formats or bad quality
+ */
+function resolveDerivativeSettings({
+  sizes = DEFAULT_DERIVATIVE_SIZES,
+  formats = DEFAULT_DERIVATIVE_FORMATS,
+  quality = DEFAULT_DERIVATIVE_QUALITY,
+} = {}) {
+  const parsedSizes = sizes.map((size) => parseSize(typeof size === "object" ? formatSize(size) : size));
+  const names = parsedSizes.map((size) => size.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Derivative size "${duplicate}" is defined more than once.`);
+  }
+
+  const parsedFormats = [...new Set(formats.map((format) => {
+    const normalized = format.toLowerCase() === "jpg" ? "jpeg" : format.toLowerCase();
+    if (!DERIVATIVE_FORMATS.includes(normalized)) {
+      throw new Error(
+        `Unknown derivative format "${format}". Expected: ${DERIVATIVE_FORMATS.join(", ")}.`
+      );
+    }
+    return normalized;
+  }))];
+
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new Error(`Derivative quality must be between 1 and 100, got ${quality}.`);
+  }
+  return { sizes: parsedSizes, formats: parsedFormats, quality };
+}
+
+/**
+ * Parses a size spec.
+ * @param {string} spec - "name:width" or "name:widthxheight"
+ * @returns {{name: string, width: number, height: number|null}} Size
+ * @throws {Error} If the spec is malformed
+ */
+function parseSize(spec) {
+  const match = /^([a-z0-9_-]+):(\d+)(?:x(\d+))?$/i.exec(String(spec).trim());
+  const width = match ? Number(match[2]) : 0;
+  const height = match?.[3] ? Number(match[3]) : null;
+  if (!match || width < 1 || height === 0) {
+    throw new Error(
+      `Invalid derivative size "${spec}": expected name:width or name:widthxheight, e.g. thumb:320x240.`
+    );
+  }
+  return { name: match[1], width, height };
+}
+
+/**
+ * Formats a resolved size as a size spec.
+ * @param {{name: string, width: number, height: number|null}} size - Resolved size
+ * @returns {string} "name:width" or "name:widthxheight"
+ */
+function formatSize({ name, width, height }) {
+  return height ? `${name}:${width}x${height}` : `${name}:${width}`;
+}
+
+/**
+ * Creates the missing and outdated derivatives of the manifest entries and
+ * records them in `entry.variants`. Variants of sizes or formats no longer
+ * configured are deleted. Duplicate images (`duplicateOf`) get links to the
+ * variants of the first copy instead of being processed again.
+ *
+ * @param {Array<object>} entries - Media manifest entries (updated in place)
+ * @param {object} options
+ * @param {string} options.outputDir - Output directory (manifest paths are relative to it)
+ * @param {string} [options.mediaDir] - Directory of the downloaded images
+ *   (default: <outputDir>/media)
+ * @param {object} [options.settings] - Sizes, formats and quality, raw or resolved
+ *   (see resolveDerivativeSettings)
+ * @param {number} [options.concurrency=2] - Images processed in parallel
+ * @param {Function} [options.onImage] - ({entry, created, error}) => void, after each image
+ * @returns {Promise<{created: number, upToDate: number, linked: number, removed: number,
+ *   failed: number, failures: Array<{file: string, error: string}>}>} Variant counts
+ *   and the images that could not be processed
+ */
+async function createDerivatives(
+  entries,
+  {
+    outputDir,
+    mediaDir = path.join(outputDir, "media"),
+    settings,
+    concurrency = DEFAULT_DERIVATIVE_CONCURRENCY,
+    onImage,
+  }
+) {
+  const { sizes, formats, quality } = resolveDerivativeSettings(settings);
+  const { default: sharp } = await import("sharp");
+  const derivativesDir = path.join(outputDir, DERIVATIVES_DIR_NAME);
+  const result = { created: 0, upToDate: 0, linked: 0, removed: 0, failed: 0, failures: [] };
+
+  // Every variant an entry should have, with its file and key
+  const plan = (entry) =>
+    sizes.flatMap((size) =>
+      formats.map((format) => {
+        const relative = path.relative(mediaDir, path.join(outputDir, entry.file));
+        const file = path.join(
+          derivativesDir,
+          size.name,
+          replaceExtension(relative, FORMAT_EXTENSIONS[format])
+        );
+        return {
+          size: size.name,
+          format,
+          file: toPosix(path.relative(outputDir, file)),
+          key: variantKey(entry.sha256, size, format, quality),
+          spec: size,
+        };
+      })
+    );
+
+  const withFiles = entries.filter((entry) => entry.file && entry.sha256);
+  const originals = withFiles.filter((entry) => !entry.duplicateOf);
+  const duplicates = withFiles.filter((entry) => entry.duplicateOf);
+  const variantsByFile = new Map();
+
+  await runPool(
+    originals,
+    async (entry) => {
+      const previous = new Map((entry.variants || []).map((variant) => [variant.file, variant]));
+      const variants = [];
+      let created = 0;
+      try {
+        for (const { spec, ...target } of plan(entry)) {
+          const cached = previous.get(target.file);
+          if (cached?.key === target.key && fs.existsSync(path.join(outputDir, target.file))) {
+            variants.push(cached);
+            result.upToDate++;
+            continue;
+          }
+          variants.push(
+            await renderVariant(sharp, path.join(outputDir, entry.file), target, spec, {
+              outputDir,
+              quality,
+            })
+          );
+          created++;
+        }
+        result.created += created;
+        result.removed += removeStaleVariants(entry.variants, variants, outputDir);
+        entry.variants = variants;
+        variantsByFile.set(entry.file, variants);
+        onImage?.({ entry, created });
+      } catch (error) {
+        result.failed++;
+        result.failures.push({ file: entry.file, error: error.message });
+        onImage?.({ entry, created, error: error.message });
+      }
+    },
+    { concurrency }
+  );
+
+  for (const entry of duplicates) {
+    const sourceVariants = variantsByFile.get(entry.duplicateOf);
+    if (!sourceVariants) {
+      continue; // The first copy failed, or belongs to a ship outside this run
+    }
+    const variants = plan(entry).map(({ spec, ...target }, index) => {
+      const source = sourceVariants[index];
+      const targetPath = path.join(outputDir, target.file);
+      const previous = (entry.variants || []).find((variant) => variant.file === target.file);
+      if (previous?.key === target.key && fs.existsSync(targetPath)) {
+        result.upToDate++;
+      } else {
+        linkFile(path.join(outputDir, source.file), targetPath);
+        result.linked++;
+      }
+      const { width, height, bytes } = source;
+      return { ...target, width, height, bytes };
+    });
+    result.removed += removeStaleVariants(entry.variants, variants, outputDir);
+    entry.variants = variants;
+  }
+
+  return result;
+}
+
+/**
+ * Renders one variant of an image (temp file + rename).
+ * @param {Function} sharp - The sharp module
+ * @param {string} source - Source image file
+ * @param {{size: string, format: string, file: string, key: string}} target - Variant to create
+ * @param {{width: number, height: number|null}} spec - Size
+ * @param {{outputDir: string, quality: number}} options
+ * @returns {Promise<object>} Variant: size, format, file, key, width, height, bytes
+ */
+async function renderVariant(sharp, source, target, spec, { outputDir, quality }) {
+  // Metadata is stripped unless withMetadata() is called; rotate() applies
+  // the EXIF orientation first so the pixels end up upright without it
+  let image = sharp(source, { failOn: "truncated" })
+    .rotate()
+    .resize(
+      spec.height
+        ? { width: spec.width, height: spec.height, fit: "cover", withoutEnlargement: true }
+        : { width: spec.width, fit: "inside", withoutEnlargement: true }
+    );
+  if (target.format === "webp") image = image.webp({ quality });
+  if (target.format === "avif") image = image.avif({ quality });
+  if (target.format === "jpeg") {
+    // JPEG has no alpha channel: transparent areas become white, not black
+    image = image.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true });
+  }
+
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  const file = path.join(outputDir, target.file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempPath = `${file}.partial`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, file);
+
+  return { ...target, width: info.width, height: info.height, bytes: data.length };
+}
+
+// Deletes the files of variants that are no longer configured
+function removeStaleVariants(previousVariants, variants, outputDir) {
+  const current = new Set(variants.map((variant) => variant.file));
+  let removed = 0;
+  for (const variant of previousVariants || []) {
+    if (!current.has(variant.file)) {
+      fs.rmSync(path.join(outputDir, variant.file), { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Changes whenever the source image or anything that affects the output changes
+function variantKey(sha256, size, format, quality) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([sha256, size.width, size.height, format, quality]))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function replaceExtension(file, extension) {
+  return file.slice(0, file.length - path.extname(file).length) + extension;
+}
+
+export {
+  DERIVATIVES_DIR_NAME,
+  DERIVATIVE_FORMATS,
+  DEFAULT_DERIVATIVE_SIZES,
+  DEFAULT_DERIVATIVE_FORMATS,
+  DEFAULT_DERIVATIVE_QUALITY,
+  resolveDerivativeSettings,
+  createDerivatives,
+};
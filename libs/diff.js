@@ -0,0 +1,271 @@
+/**
+ * ========================================
+ * SNAPSHOT DIFF
+ * ========================================
+ *
+ * Compares two snapshots (ships.jsonl keyed by shipId, and master.jsonl)
+ * down to the field level, for change logs:
+ *
+ * - ships added, removed and retired (see libs/incremental.js)
+ * - changed fields of each ship, as JSON paths into the ship details (the
+ *   `data` object of the GetDetails payload), e.g. `$.name` or
+ *   `$.contentInfo.longDescription`
+ * - images added and removed per ship, matched by path so a reordered
+ *   gallery doesn't show up as a change
+ * - entries added, removed and changed in the master data lists
+ *   (cruiseline, ship, ...), matched by id
+ */
+
+import fs from "fs";
+import { readRecordsByShipId, readMasterData } from "./jsonl.js";
+
+// Change types
+const CHANGE_ADDED = "added";
+const CHANGE_REMOVED = "removed";
+const CHANGE_CHANGED = "changed";
+
+/**
+ * Compares two snapshots.
+ *
+ * @param {{shipsFile: string, masterFile?: string}} oldSnapshot - Older snapshot
+ * @param {{shipsFile: string, masterFile?: string}} newSnapshot - Newer snapshot
+ * @returns {Promise<object>} Diff: `summary` counts, `added`, `removed` and `retired`
+ *   ships ({shipId, name}), `changed` ships ({shipId, name, changes, images}),
+ *   the `unchanged` count and the `master` list diffs (null unless both
+ *   snapshots have a master.jsonl)
+ */
+async function diffSnapshots(oldSnapshot, newSnapshot) {
+  const oldMaster = readOptionalMaster(oldSnapshot.masterFile);
+  const newMaster = readOptionalMaster(newSnapshot.masterFile);
+  const ships = diffShipRecords(
+    await readRecordsByShipId(oldSnapshot.shipsFile),
+    await readRecordsByShipId(newSnapshot.shipsFile)
+  );
+  const master = oldMaster && newMaster ? diffMasterData(oldMaster, newMaster) : null;
+
+  return {
+    summary: {
+      added: ships.added.length,
+      removed: ships.removed.length,
+      retired: ships.retired.length,
+      changed: ships.changed.length,
+      unchanged: ships.unchanged,
+      ...(master && {
+        master: Object.fromEntries(
+          Object.entries(master).map(([key, list]) => [
+            key,
+            { added: list.added.length, removed: list.removed.length, changed: list.changed.length },
+          ])
+        ),
+      }),
+    },
+    ...ships,
+    master,
+  };
+}
+
+/**
+ * Compares two sets of ship records.
+ * @param {Map<string, object>} oldShips - Older records by ship ID
+ * @param {Map<string, object>} newShips - Newer records by ship ID
+ * @returns {{added: Array<object>, removed: Array<object>, retired: Array<object>,
+ *   changed: Array<object>, unchanged: number}} Ship-level diff
+ */
+function diffShipRecords(oldShips, newShips) {
+  const added = [];
+  const removed = [];
+  const retired = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [id, record] of newShips) {
+    const previous = oldShips.get(id);
+    if (!previous) {
+      added.push(describeShip(id, record));
+      continue;
+    }
+    if (record.retiredAt && !previous.retiredAt) {
+      retired.push({ ...describeShip(id, record), retiredAt: record.retiredAt });
+    }
+
+    const { images: oldImages, ...oldData } = getDetails(previous);
+    const { images: newImages, ...newData } = getDetails(record);
+    const changes = diffValues(oldData, newData);
+    const images = diffImages(oldImages, newImages);
+    const imagesChanged =
+      images.added.length > 0 || images.removed.length > 0 || images.changes.length > 0;
+    if (changes.length > 0 || imagesChanged) {
+      changed.push({ ...describeShip(id, record), changes, images });
+    } else {
+      unchanged++;
+    }
+  }
+  for (const [id, record] of oldShips) {
+    if (!newShips.has(id)) {
+      removed.push(describeShip(id, record));
+    }
+  }
+
+  return { added, removed, retired, changed, unchanged };
+}
+
+/**
+ * Lists the differences between two JSON values.
+ * @param {any} oldValue - Older value
+ * @param {any} newValue - Newer value
+ * @param {string} [path="$"] - JSON path of the values
+ * @param {Array<object>} [changes=[]] - List to add the changes to
+ * @returns {Array<{path: string, type: string, old?: any, new?: any}>} Changes,
+ *   type being "added", "removed" or "changed"
+ */
+function diffValues(oldValue, newValue, path = "$", changes = []) {
+  if (oldValue === undefined && newValue === undefined) {
+    return changes;
+  }
+  if (oldValue === undefined) {
+    changes.push({ path, type: CHANGE_ADDED, new: newValue });
+  } else if (newValue === undefined) {
+    changes.push({ path, type: CHANGE_REMOVED, old: oldValue });
+  } else if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+    const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+    for (const key of keys) {
+      diffValues(oldValue[key], newValue[key], childPath(path, key), changes);
+    }
+  } else if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    const length = Math.max(oldValue.length, newValue.length);
+    for (let i = 0; i < length; i++) {
+      diffValues(oldValue[i], newValue[i], `${path}[${i}]`, changes);
+    }
+  } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+    changes.push({ path, type: CHANGE_CHANGED, old: oldValue, new: newValue });
+  }
+  return changes;
+}
+
+/**
+ * Compares two image lists, matching images by path.
+ * @param {Array<object>|undefined} oldImages - Older images
+ * @param {Array<object>|undefined} newImages - Newer images
+ * @returns {{added: Array<string>, removed: Array<string>, changes: Array<object>}}
+ *   Paths of added and removed images, and field changes of the images in
+ *   both lists (JSON paths use the image's index in the newer list)
+ */
+function diffImages(oldImages, newImages) {
+  const oldByKey = indexImages(oldImages);
+  const newByKey = indexImages(newImages);
+  const result = { added: [], removed: [], changes: [] };
+
+  for (const [key, { image, index }] of newByKey) {
+    const previous = oldByKey.get(key);
+    if (!previous) {
+      result.added.push(key);
+    } else {
+      diffValues(previous.image, image, `$.images[${index}]`, result.changes);
+    }
+  }
+  for (const key of oldByKey.keys()) {
+    if (!newByKey.has(key)) {
+      result.removed.push(key);
+    }
+  }
+  return result;
+}
+
+/**
+ * Compares the lists in two master data objects (cruiseline, ship, ...).
+ * @param {object} oldMaster - Older master data
+ * @param {object} newMaster - Newer master data
+ * @returns {object} Per list name: {added, removed, changed}; entries are
+ *   {id, name}, changed ones also carry `changes`. Lists without differences
+ *   are left out.
+ */
+function diffMasterData(oldMaster, newMaster) {
+  const result = {};
+  const keys = new Set([...Object.keys(oldMaster), ...Object.keys(newMaster)]);
+
+  for (const key of keys) {
+    const oldList = Array.isArray(oldMaster[key]) ? oldMaster[key] : [];
+    const newList = Array.isArray(newMaster[key]) ? newMaster[key] : [];
+    const oldById = indexEntries(oldList);
+    const newById = indexEntries(newList);
+    const list = { added: [], removed: [], changed: [] };
+
+    for (const [id, entry] of newById) {
+      const previous = oldById.get(id);
+      if (!previous) {
+        list.added.push(describeEntry(id, entry));
+      } else {
+        const changes = diffValues(previous, entry);
+        if (changes.length > 0) {
+          list.changed.push({ ...describeEntry(id, entry), changes });
+        }
+      }
+    }
+    for (const [id, entry] of oldById) {
+      if (!newById.has(id)) {
+        list.removed.push(describeEntry(id, entry));
+      }
+    }
+
+    if (list.added.length > 0 || list.removed.length > 0 || list.changed.length > 0) {
+      result[key] = list;
+    }
+  }
+  return result;
+}
+
+function readOptionalMaster(masterFile) {
+  return masterFile && fs.existsSync(masterFile) ? readMasterData(masterFile) : null;
+}
+
+// The GetDetails payload stored in a record wraps the ship in `data`
+function getDetails(record) {
+  return record.data?.data ?? {};
+}
+
+function describeShip(id, record) {
+  return { shipId: id, name: getDetails(record).name ?? null };
+}
+
+function describeEntry(id, entry) {
+  return { id, name: isPlainObject(entry) ? entry.name ?? null : null };
+}
+
+// Images by path (falling back to id, then the whole image), with their index
+function indexImages(images) {
+  const index = new Map();
+  (Array.isArray(images) ? images : []).forEach((image, position) => {
+    const key = image?.path ?? image?.url ?? image?.imagePath ?? image?.id ?? JSON.stringify(image);
+    index.set(String(key), { image, index: position });
+  });
+  return index;
+}
+
+// Master list entries by id (falling back to the whole entry)
+function indexEntries(list) {
+  const index = new Map();
+  for (const entry of list) {
+    const id = isPlainObject(entry) && entry.id != null ? entry.id : JSON.stringify(entry);
+    index.set(String(id), entry);
+  }
+  return index;
+}
+
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export {
+  CHANGE_ADDED,
+  CHANGE_REMOVED,
+  CHANGE_CHANGED,
+  diffSnapshots,
+  diffShipRecords,
+  diffValues,
+  diffImages,
+  diffMasterData,
+};
@@ -0,0 +1,151 @@
+/**
+ * ========================================
+ * ODY API ERRORS
+ * ========================================
+ *
+ * Typed errors thrown by the Ody service module, so callers can tell an
+ * HTTP failure from a response that could not be decrypted or parsed and
+ * record a meaningful failure reason.
+ */
+
+/**
+ * Base class for all errors raised while talking to the Ody API.
+ */
+class OdyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [details] - Additional error details
+   * @param {string} [details.url] - Ody URL that was requested
+   * @param {Error} [details.cause] - Underlying error, if any
+   */
+  constructor(message, { url, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.url = url;
+  }
+
+  /**
+   * Whether repeating the same request may succeed.
+   * @returns {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The server answered with a non-2xx status code.
+ */
+class HttpError extends OdyError {
+  /**
+   * @param {object} details - Error details
+   * @param {string} details.url - Ody URL that was requested
+   * @param {string} details.method - HTTP method used
+   * @param {number} details.status - HTTP status code
+   * @param {string} [details.statusText] - HTTP status text
+   * @param {number|null} [details.retryAfterMs] - Parsed Retry-After header
+   * @param {string} [details.body] - Beginning of the response body
+   */
+  constructor({ url, method, status, statusText = "", retryAfterMs = null, body = "" }) {
+    super(
+      `HTTP ${status}${statusText ? ` ${statusText}` : ""} for ${method.toUpperCase()} ${url}`,
+      { url }
+    );
+    this.method = method;
+    this.status = status;
+    this.statusText = statusText;
+    this.retryAfterMs = retryAfterMs;
+    this.body = body;
+  }
+
+  /**
+   * True for 401/403, which usually means the session cookies are stale.
+   * @returns {boolean}
+   */
+  get isAuthError() {
+    return this.status === 401 || this.status === 403;
+  }
+
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * The request never produced a response (DNS failure, reset connection,
+ * timeout, ...).
+ */
+class NetworkError extends OdyError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * An encrypted response did not decrypt into JSON-looking text, e.g. because
+ * the server sent an HTML error page or an unencrypted body.
+ */
+class DecryptionError extends OdyError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Error details
+   * @param {string} details.url - Ody URL that was requested
+   * @param {string} [details.body] - Beginning of the raw response body
+   */
+  constructor(message, { url, body = "" }) {
+    super(message, { url });
+    this.body = body;
+  }
+}
+
+/**
+ * A response body (decrypted or plain) was not valid JSON, or a plain body
+ * was not a JSON object.
+ */
+class ParseError extends OdyError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Error details
+   * @param {string} details.url - Ody URL that was requested
+   * @param {string} [details.body] - Beginning of the body that failed to parse
+   * @param {Error} [details.cause] - Underlying JSON.parse error
+   */
+  constructor(message, { url, body = "", cause }) {
+    super(message, { url, cause });
+    this.body = body;
+  }
+
+  // Truncated bodies are usually transient (dropped connection, proxy hiccup)
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * A request was made while replaying a cassette, but no recording exists for it.
+ */
+class CassetteMissError extends OdyError {
+  /**
+   * @param {object} details - Error details
+   * @param {string} details.url - Ody URL that was requested
+   * @param {string} details.method - HTTP method used
+   * @param {string} details.file - Cassette file that was looked up
+   */
+  constructor({ url, method, file }) {
+    super(
+      `Cassette miss: no recording for ${method.toUpperCase()} ${url} (expected ${file})`,
+      { url }
+    );
+    this.method = method;
+    this.file = file;
+  }
+}
+
+export {
+  OdyError,
+  HttpError,
+  NetworkError,
+  DecryptionError,
+  ParseError,
+  CassetteMissError,
+};
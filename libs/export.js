@@ -0,0 +1,337 @@
+/**
+ * ========================================
+ * DATA EXPORT
+ * ========================================
+ *
+ * Flattens the scraped JSONL envelopes into tables for analysis tools:
+ *
+ * - cruise_lines  One row per cruise line in master.jsonl
+ * - ships         One row per ship (latest record), cruise_line_id -> cruise_lines
+ * - images        One row per ship image, ship_id -> ships
+ * - amenities     One row per ship amenity, ship_id -> ships
+ *
+ * Ships are read through the canonical ship model (libs/normalize.js), so
+ * the columns don't depend on the raw Ody field names. Column names are part
+ * of the export contract: add columns at the end, never rename them.
+ *
+ * Formats: one CSV and one Parquet file per table, and a SQLite database
+ * holding all four tables with primary and foreign keys.
+ */
+
+import fs from "fs";
+import path from "path";
+import initSqlJs from "sql.js";
+import { parquetWriteBuffer } from "hyparquet-writer";
+import { readRecordsByShipId } from "./jsonl.js";
+import { normalizeRecord } from "./normalize.js";
+
+const FORMAT_CSV = "csv";
+const FORMAT_PARQUET = "parquet";
+const FORMAT_SQLITE = "sqlite";
+const EXPORT_FORMATS = [FORMAT_CSV, FORMAT_PARQUET, FORMAT_SQLITE];
+
+const SQLITE_FILE_NAME = "ships.sqlite";
+
+// Column type -> SQLite and Parquet types
+const COLUMN_TYPES = {
+  integer: { sql: "INTEGER", parquet: "INT32" },
+  real: { sql: "REAL", parquet: "DOUBLE" },
+  text: { sql: "TEXT", parquet: "STRING" },
+};
+
+// Tables in insertion order (referenced tables first)
+const TABLES = {
+  cruise_lines: {
+    columns: [
+      ["cruise_line_id", "integer"],
+      ["name", "text"],
+      ["code", "text"],
+    ],
+    primaryKey: ["cruise_line_id"],
+    foreignKeys: [],
+  },
+  ships: {
+    columns: [
+      ["ship_id", "integer"],
+      ["name", "text"],
+      ["cruise_line_id", "integer"],
+      ["cruise_line_name", "text"],
+      ["image_count", "integer"],
+      ["scraped_at", "text"],
+      ["ship_class", "text"],
+      ["tonnage", "real"],
+      ["passenger_capacity", "integer"],
+      ["crew_capacity", "integer"],
+      ["year_built", "integer"],
+      ["year_refurbished", "integer"],
+      ["decks", "integer"],
+      ["length", "real"],
+      ["short_description", "text"],
+      ["long_description", "text"],
+      ["amenity_count", "integer"],
+      ["retired_at", "text"],
+    ],
+    primaryKey: ["ship_id"],
+    foreignKeys: [["cruise_line_id", "cruise_lines", "cruise_line_id"]],
+  },
+  images: {
+    columns: [
+      ["ship_id", "integer"],
+      ["position", "integer"],
+      ["image_id", "text"],
+      ["path", "text"],
+      ["image_type", "text"],
+      ["caption", "text"],
+    ],
+    primaryKey: ["ship_id", "position"],
+    foreignKeys: [["ship_id", "ships", "ship_id"]],
+  },
+  amenities: {
+    columns: [
+      ["ship_id", "integer"],
+      ["position", "integer"],
+      ["amenity_id", "text"],
+      ["name", "text"],
+      ["category", "text"],
+    ],
+    primaryKey: ["ship_id", "position"],
+    foreignKeys: [["ship_id", "ships", "ship_id"]],
+  },
+};
+
+/**
+ * Builds the export tables from ships.jsonl and the master data.
+ * Cruise lines referenced by a ship but absent from the master data get a
+ * row built from the ship, so every foreign key resolves.
+ *
+ * @param {string} shipsFile - Path to ships.jsonl (or ships.jsonl.gz)
+ * @param {object|null} masterData - Master data
+ * @returns {Promise<{tables: object, skippedShipIds: Array<string>}>} Rows by table name,
+ *   and the ships left out because their record could not be normalized
+ */
+async function buildTables(shipsFile, masterData) {
+  const cruiseLines = new Map();
+  for (const line of masterData?.cruiseline || []) {
+    const id = toId(line.id);
+    if (id !== null) {
+      cruiseLines.set(id, {
+        cruise_line_id: id,
+        name: line.name ?? null,
+        code: line.code ?? null,
+      });
+    }
+  }
+
+  const ships = [];
+  const images = [];
+  const amenities = [];
+  const skippedShipIds = [];
+
+  for (const record of (await readRecordsByShipId(shipsFile)).values()) {
+    const { data: ship } = normalizeRecord(record, masterData);
+    const shipId = toId(ship?.id ?? record.shipId);
+    if (!ship || shipId === null) {
+      skippedShipIds.push(String(record.shipId));
+      continue;
+    }
+
+    const cruiseLineId = ship.cruiseLine.id;
+    if (cruiseLineId !== null && !cruiseLines.has(cruiseLineId)) {
+      cruiseLines.set(cruiseLineId, {
+        cruise_line_id: cruiseLineId,
+        name: ship.cruiseLine.name,
+        code: null,
+      });
+    }
+
+    ships.push({
+      ship_id: shipId,
+      name: ship.name,
+      cruise_line_id: cruiseLineId,
+      cruise_line_name: cruiseLines.get(cruiseLineId)?.name ?? ship.cruiseLine.name,
+      image_count: ship.images.length,
+      scraped_at: record.timestamp ?? null,
+      ship_class: ship.shipClass,
+      tonnage: ship.tonnage,
+      passenger_capacity: ship.passengerCapacity,
+      crew_capacity: ship.crewCapacity,
+      year_built: ship.yearBuilt,
+      year_refurbished: ship.yearRefurbished,
+      decks: ship.decks,
+      length: ship.length,
+      short_description: ship.descriptions.short,
+      long_description: ship.descriptions.long,
+      amenity_count: ship.amenities.length,
+      retired_at: record.retiredAt ?? null,
+    });
+
+    ship.images.forEach((image, index) => {
+      images.push({
+        ship_id: shipId,
+        position: index + 1,
+        image_id: image.id === null ? null : String(image.id),
+        path: image.path,
+        image_type: image.type,
+        caption: image.caption,
+      });
+    });
+
+    ship.amenities.forEach((amenity, index) => {
+      amenities.push({
+        ship_id: shipId,
+        position: index + 1,
+        amenity_id: amenity.id === null ? null : String(amenity.id),
+        name: amenity.name,
+        category: amenity.category,
+      });
+    });
+  }
+
+  return {
+    tables: {
+      cruise_lines: [...cruiseLines.values()],
+      ships,
+      images,
+      amenities,
+    },
+    skippedShipIds,
+  };
+}
+
+/**
+ * Exports master.jsonl and ships.jsonl as flat tables.
+ *
+ * @param {string} shipsFile - Path to ships.jsonl
+ * @param {object|null} masterData - Master data
+ * @param {object} options
+ * @param {string} options.outDir - Directory to write the files to
+ * @param {Array<string>} [options.formats] - Any of "csv", "parquet", "sqlite" (default: all)
+ * @returns {Promise<{rowCounts: object, files: Array<string>, skippedShipIds: Array<string>}>}
+ *   Rows per table, files written and ships that could not be exported
+ * @throws {Error} If a format is unknown
+ */
+async function exportTables(shipsFile, masterData, { outDir, formats = EXPORT_FORMATS }) {
+  const unknown = formats.filter((format) => !EXPORT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown export format(s): ${unknown.join(", ")}. Expected: ${EXPORT_FORMATS.join(", ")}.`
+    );
+  }
+
+  const { tables, skippedShipIds } = await buildTables(shipsFile, masterData);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const files = [];
+  for (const [name, rows] of Object.entries(tables)) {
+    const columns = TABLES[name].columns.map(([column]) => column);
+    if (formats.includes(FORMAT_CSV)) {
+      const file = path.join(outDir, `${name}.csv`);
+      fs.writeFileSync(file, toCsv(columns, rows));
+      files.push(file);
+    }
+    if (formats.includes(FORMAT_PARQUET)) {
+      const file = path.join(outDir, `${name}.parquet`);
+      fs.writeFileSync(file, toParquet(name, rows));
+      files.push(file);
+    }
+  }
+  if (formats.includes(FORMAT_SQLITE)) {
+    const file = path.join(outDir, SQLITE_FILE_NAME);
+    fs.writeFileSync(file, await toSqlite(tables));
+    files.push(file);
+  }
+
+  const rowCounts = Object.fromEntries(
+    Object.entries(tables).map(([name, rows]) => [name, rows.length])
+  );
+  return { rowCounts, files, skippedShipIds };
+}
+
+/**
+ * Serializes rows as CSV (RFC 4180 quoting).
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<object>} rows - Rows keyed by column name
+ * @returns {string} CSV text with a header line
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvValue(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Serializes a table as a Parquet file.
+ * @param {string} name - Table name (see TABLES)
+ * @param {Array<object>} rows - Rows keyed by column name
+ * @returns {Buffer} Parquet file contents
+ */
+function toParquet(name, rows) {
+  const columnData = TABLES[name].columns.map(([column, type]) => ({
+    name: column,
+    data: rows.map((row) => row[column] ?? null),
+    type: COLUMN_TYPES[type].parquet,
+  }));
+  return Buffer.from(parquetWriteBuffer({ columnData }));
+}
+
+/**
+ * Builds a SQLite database holding all tables, with primary and foreign keys.
+ * Foreign keys are enforced while inserting, so a dangling reference fails
+ * the export instead of producing an inconsistent database.
+ * @param {object} tables - Rows by table name
+ * @returns {Promise<Buffer>} Database file contents
+ */
+async function toSqlite(tables) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  try {
+    db.run("PRAGMA foreign_keys = ON");
+    db.run("BEGIN");
+    for (const [name, definition] of Object.entries(TABLES)) {
+      db.run(createTableStatement(name, definition));
+
+      const columns = definition.columns.map(([column]) => column);
+      const insert = db.prepare(
+        `INSERT INTO ${name} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+      );
+      for (const row of tables[name]) {
+        insert.run(columns.map((column) => row[column] ?? null));
+      }
+      insert.free();
+    }
+    db.run("COMMIT");
+    return Buffer.from(db.export());
+  } finally {
+    db.close();
+  }
+}
+
+function createTableStatement(name, { columns, primaryKey, foreignKeys }) {
+  const lines = columns.map(([column, type]) => `  ${column} ${COLUMN_TYPES[type].sql}`);
+  lines.push(`  PRIMARY KEY (${primaryKey.join(", ")})`);
+  for (const [column, table, referenced] of foreignKeys) {
+    lines.push(`  FOREIGN KEY (${column}) REFERENCES ${table} (${referenced})`);
+  }
+  return `CREATE TABLE ${name} (\n${lines.join(",\n")}\n)`;
+}
+
+function toId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) ? id : null;
+}
+
+export {
+  EXPORT_FORMATS,
+  TABLES,
+  buildTables,
+  exportTables,
+  toCsv,
+};
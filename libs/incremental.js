@@ -0,0 +1,177 @@
+/**
+ * ========================================
+ * INCREMENTAL SCRAPING
+ * ========================================
+ *
+ * Decides which ships an incremental run fetches, by comparing the current
+ * master ship list with the previous snapshot (master.jsonl and ships.jsonl):
+ *
+ * - added     In the master list for the first time (or back after retirement)
+ * - missing   Listed before, but without details yet (e.g. failed last time)
+ * - stale     Details older than the maximum age
+ * - sampled   A random share of the remaining ships, to catch silent changes
+ * - upToDate  Everything else; not fetched
+ * - retired   Ships with details that left the master list
+ *
+ * Retired ships are kept in ships.jsonl with a `retiredAt` timestamp on the
+ * record instead of being dropped. A ship that reappears in the master list
+ * is fetched again, and its new record no longer carries `retiredAt`.
+ */
+
+import fs from "fs";
+import { readRecordsByShipId, writeJsonlFile } from "./jsonl.js";
+
+const DEFAULT_REFRESH_MAX_AGE_DAYS = 30;
+const DEFAULT_REFRESH_SAMPLE = 0;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Plans an incremental run.
+ *
+ * @param {Array<object>} ships - Ships to consider (current master list, after selection)
+ * @param {object} snapshot - Previous state and current master list
+ * @param {Array<object>} snapshot.masterShips - Full current master ship list
+ * @param {Array<object>|null} snapshot.previousMasterShips - Master ship list of the
+ *   previous run, or null if there was none
+ * @param {Map<string, object>} snapshot.previousRecords - Previous ship records by ship ID
+ * @param {object} [options]
+ * @param {number} [options.maxAgeDays=30] - Refresh details older than this; 0 never does
+ * @param {number} [options.sampleRatio=0] - Share (0-1) of the other ships to refresh anyway
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @param {Function} [options.random=Math.random] - Random number source for sampling
+ * @returns {object} Ship IDs per category (added, missing, stale, sampled,
+ *   upToDate, retired) and `ships`, the ship objects to fetch
+ */
+function planIncrementalRun(
+  ships,
+  { masterShips, previousMasterShips, previousRecords },
+  {
+    maxAgeDays = DEFAULT_REFRESH_MAX_AGE_DAYS,
+    sampleRatio = DEFAULT_REFRESH_SAMPLE,
+    now = Date.now(),
+    random = Math.random,
+  } = {}
+) {
+  const previousIds = previousMasterShips
+    ? new Set(previousMasterShips.map((ship) => String(ship.id)))
+    : null;
+  const plan = { added: [], missing: [], stale: [], sampled: [], upToDate: [], retired: [] };
+  const toFetch = new Set();
+  const candidates = [];
+
+  for (const ship of ships) {
+    const id = String(ship.id);
+    const record = previousRecords.get(id);
+
+    if ((previousIds && !previousIds.has(id)) || record?.retiredAt) {
+      plan.added.push(id);
+      toFetch.add(id);
+    } else if (!record || record.data == null) {
+      plan.missing.push(id);
+      toFetch.add(id);
+    } else if (maxAgeDays > 0 && isOlderThan(record.timestamp, maxAgeDays * DAY_MS, now)) {
+      plan.stale.push(id);
+      toFetch.add(id);
+    } else {
+      candidates.push(id);
+    }
+  }
+
+  // Partial Fisher-Yates shuffle: the first `sampleSize` candidates are the sample
+  const sampleSize = Math.min(candidates.length, Math.ceil(candidates.length * sampleRatio));
+  for (let i = 0; i < sampleSize; i++) {
+    const j = i + Math.floor(random() * (candidates.length - i));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+  plan.sampled = candidates.slice(0, sampleSize);
+  plan.upToDate = candidates.slice(sampleSize);
+  plan.sampled.forEach((id) => toFetch.add(id));
+
+  const currentIds = new Set(masterShips.map((ship) => String(ship.id)));
+  for (const [id, record] of previousRecords) {
+    if (!currentIds.has(id) && !record.retiredAt) {
+      plan.retired.push(id);
+    }
+  }
+
+  plan.ships = ships.filter((ship) => toFetch.has(String(ship.id)));
+  return plan;
+}
+
+/**
+ * Rewrites ships.jsonl with one record per ship (the latest wins) and marks
+ * ships that are no longer in the master list as retired. Written to a temp
+ * file and renamed, so a crash never leaves a truncated ships.jsonl behind.
+ *
+ * @param {string} shipsFile - Path to ships.jsonl (or ships.jsonl.gz, which stays gzipped)
+ * @param {Array<object>} masterShips - Full current master ship list
+ * @param {string} [retiredAt] - Timestamp for newly retired ships (default: now)
+ * @param {string} [outputFile=shipsFile] - Write the result here instead, e.g.
+ *   ships.jsonl.gz for a plain ships.jsonl; `shipsFile` is then removed
+ * @returns {Promise<{records: Map<string, object>, retired: Array<string>}>} Records
+ *   by ship ID after compaction, and the ship IDs retired by this call
+ */
+async function compactShipsFile(
+  shipsFile,
+  masterShips,
+  retiredAt = new Date().toISOString(),
+  outputFile = shipsFile
+) {
+  const records = await readRecordsByShipId(shipsFile);
+  const currentIds = new Set(masterShips.map((ship) => String(ship.id)));
+  const retired = [];
+
+  for (const [id, record] of records) {
+    if (!currentIds.has(id) && !record.retiredAt) {
+      const { data, ...envelope } = record;
+      records.set(id, { ...envelope, retiredAt, data });
+      retired.push(id);
+    }
+  }
+
+  await writeJsonlFile(outputFile, records.values());
+  if (outputFile !== shipsFile) {
+    fs.unlinkSync(shipsFile);
+  }
+
+  return { records, retired };
+}
+
+/**
+ * Finds the ships whose details differ between two snapshots.
+ * @param {Map<string, object>} previousRecords - Previous ship records by ship ID
+ * @param {Map<string, object>} records - Current ship records by ship ID
+ * @param {Array<string>} shipIds - Ship IDs to compare (e.g. the ones refreshed)
+ * @returns {{changed: Array<string>, unchanged: Array<string>}} Ship IDs with and
+ *   without changes; ships missing from either snapshot are in neither list
+ */
+function findChangedShips(previousRecords, records, shipIds) {
+  const changed = [];
+  const unchanged = [];
+  for (const id of shipIds) {
+    const before = previousRecords.get(id);
+    const after = records.get(id);
+    if (!before?.data || !after?.data || after.timestamp === before.timestamp) {
+      continue;
+    }
+    if (JSON.stringify(before.data) === JSON.stringify(after.data)) {
+      unchanged.push(id);
+    } else {
+      changed.push(id);
+    }
+  }
+  return { changed, unchanged };
+}
+
+function isOlderThan(timestamp, maxAgeMs, now) {
+  const time = Date.parse(timestamp);
+  return Number.isNaN(time) || now - time > maxAgeMs;
+}
+
+export {
+  DEFAULT_REFRESH_MAX_AGE_DAYS,
+  DEFAULT_REFRESH_SAMPLE,
+  planIncrementalRun,
+  compactShipsFile,
+  findChangedShips,
+};
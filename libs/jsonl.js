@@ -0,0 +1,389 @@
+/**
+ * ========================================
+ * JSONL HELPERS
+ * ========================================
+ *
+ * Reading and writing of the JSON Lines files in the output directory
+ * (master.jsonl, ships.jsonl, ...).
+ *
+ * - readJsonl() streams a file line by line as an async iterator, so a large
+ *   ships.jsonl is never held in memory as one string. Malformed lines are
+ *   reported with their line number (JsonlLineError) and skipped, or abort
+ *   the read in strict mode.
+ * - createJsonlWriter() appends records through a buffered write stream.
+ *   `write()` resolves once the record has been handed to the file, so a
+ *   caller can safely record progress (e.g. a checkpoint) afterwards. Only
+ *   plain files can be appended to; gzipped ones are written in one go.
+ *   flushJsonlWritersOnShutdown() makes SIGINT/SIGTERM close every open
+ *   writer before the process exits, so an interrupted run never leaves a
+ *   half-written last line behind.
+ * - Files ending in `.gz` are gunzipped on read and gzipped on write.
+ *   resolveJsonlPath() finds `ships.jsonl.gz` when `ships.jsonl` is missing.
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import zlib from "zlib";
+
+const GZIP_EXTENSION = ".gz";
+const WRITE_BATCH_SIZE = 500; // Records buffered by writeJsonlFile before waiting for the file
+
+// Exit codes for a process ended by a signal (128 + signal number)
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+// Writers not closed yet, flushed on shutdown
+const openWriters = new Set();
+
+// Temporary files of writeJsonlFile not renamed yet, removed on shutdown
+const tempFiles = new Set();
+
+// ========================================
+// ERRORS
+// ========================================
+
+/**
+ * A line of a JSONL file that is not valid JSON.
+ * @property {string} filePath - File the line belongs to
+ * @property {number} lineNumber - 1-based line number
+ * @property {string} line - Start of the offending line (at most 200 characters)
+ */
+class JsonlLineError extends Error {
+  constructor({ filePath, lineNumber, line, cause }) {
+    super(`${filePath}:${lineNumber}: ${cause.message}`, { cause });
+    this.name = "JsonlLineError";
+    this.filePath = filePath;
+    this.lineNumber = lineNumber;
+    this.line = line.slice(0, 200);
+  }
+}
+
+// ========================================
+// READING
+// ========================================
+
+/**
+ * Streams the records of a JSONL file (gzipped if the name ends in `.gz`).
+ * Empty lines are ignored. Malformed lines are passed to `onInvalidLine` and
+ * skipped, unless `strict` is set.
+ *
+ * @example
+ *   for await (const record of readJsonl("output/ships.jsonl")) { ... }
+ *
+ * @param {string} filePath - Path to the JSONL file
+ * @param {object} [options]
+ * @param {Function} [options.onInvalidLine] - (lineNumber, error) => void, with a
+ *   JsonlLineError; defaults to a process warning (type "JsonlWarning")
+ *   naming file and line
+ * @param {boolean} [options.strict=false] - Throw the JsonlLineError instead
+ * @returns {AsyncGenerator<object>} Parsed records, in file order
+ * @throws {JsonlLineError} On the first malformed line in strict mode
+ */
+async function* readJsonl(filePath, { onInvalidLine = warnInvalidLine, strict = false } = {}) {
+  const source = fs.createReadStream(filePath);
+  const input = isGzipPath(filePath) ? source.pipe(zlib.createGunzip()) : source;
+  if (input !== source) {
+    source.on("error", (error) => input.destroy(error));
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  try {
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      const record = parseLine(filePath, line, lineNumber, { onInvalidLine, strict });
+      if (record !== undefined) {
+        yield record;
+      }
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+    source.destroy();
+  }
+}
+
+/**
+ * Reads a whole JSONL file synchronously (gzipped if the name ends in `.gz`).
+ * Meant for small files such as master.jsonl; use readJsonl() for ships.jsonl.
+ * Malformed lines are skipped and reported through `onInvalidLine`, so one
+ * bad line never discards the whole file.
+ * @param {string} filePath - Path to the JSONL file
+ * @param {object} [options]
+ * @param {Function} [options.onInvalidLine] - (lineNumber, error) => void, with a
+ *   JsonlLineError; defaults to a process warning (type "JsonlWarning")
+ *   naming file and line
+ * @param {boolean} [options.strict=false] - Throw the JsonlLineError instead
+ * @returns {Array<object>} Parsed records
+ * @throws {JsonlLineError} On the first malformed line in strict mode
+ */
+function readJsonlFile(filePath, { onInvalidLine = warnInvalidLine, strict = false } = {}) {
+  const contents = fs.readFileSync(filePath);
+  const text = (isGzipPath(filePath) ? zlib.gunzipSync(contents) : contents).toString("utf-8");
+
+  const records = [];
+  text.split("\n").forEach((line, index) => {
+    const record = parseLine(filePath, line, index + 1, { onInvalidLine, strict });
+    if (record !== undefined) {
+      records.push(record);
+    }
+  });
+  return records;
+}
+
+/**
+ * Reads ship records into a map by shipId. Later records win, matching how
+ * resumed and retried runs append newer data for the same ship.
+ * @param {string} filePath - Path to a ships.jsonl file
+ * @param {object} [options] - Passed to readJsonl()
+ * @returns {Promise<Map<string, object>>} Records by ship ID, empty if the file does not exist
+ */
+async function readRecordsByShipId(filePath, options) {
+  const records = new Map();
+  if (!fs.existsSync(filePath)) {
+    return records;
+  }
+  for await (const record of readJsonl(filePath, options)) {
+    records.set(String(record.shipId), record);
+  }
+  return records;
+}
+
+/**
+ * Reads the master record (first line) of a master.jsonl file.
+ * @param {string} filePath - Path to master.jsonl (or master.jsonl.gz)
+ * @returns {object|null} Master data, or null if the file does not exist
+ */
+function readMasterData(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const [record] = readJsonlFile(filePath);
+  return record?.data ?? null;
+}
+
+/**
+ * Returns the path of an existing JSONL file, accepting its gzipped form:
+ * `ships.jsonl` if it exists, otherwise `ships.jsonl.gz` if that exists.
+ * @param {string} filePath - Path of the plain file
+ * @returns {string} Existing path, or `filePath` if neither exists
+ */
+function resolveJsonlPath(filePath) {
+  if (fs.existsSync(filePath) || isGzipPath(filePath)) {
+    return filePath;
+  }
+  const gzipPath = filePath + GZIP_EXTENSION;
+  return fs.existsSync(gzipPath) ? gzipPath : filePath;
+}
+
+/**
+ * Tells whether a path names a gzipped file.
+ * @param {string} filePath - File path
+ * @returns {boolean} True if it ends in `.gz`
+ */
+function isGzipPath(filePath) {
+  return filePath.endsWith(GZIP_EXTENSION);
+}
+
+// Parses one line; undefined for empty and (non-strict) malformed lines
+function parseLine(filePath, line, lineNumber, { onInvalidLine, strict }) {
+  if (!line.trim()) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(line);
+  } catch (cause) {
+    const error = new JsonlLineError({ filePath, lineNumber, line, cause });
+    if (strict) {
+      throw error;
+    }
+    onInvalidLine(lineNumber, error);
+    return undefined;
+  }
+}
+
+// A process warning rather than the console: library code never logs on its
+// own, and Node prints unhandled warnings to stderr for the scripts
+function warnInvalidLine(lineNumber, error) {
+  process.emitWarning(
+    `Skipping malformed line ${lineNumber} of ${error.filePath}: ${error.cause.message}`,
+    "JsonlWarning"
+  );
+}
+
+// ========================================
+// WRITING
+// ========================================
+
+/**
+ * Opens a JSONL file for writing through a buffered stream. Records written
+ * in the same tick go to the file in one system call.
+ *
+ * @param {string} filePath - Path to the JSONL file; gzipped if it ends in `.gz`
+ * @param {object} [options]
+ * @param {boolean} [options.append=false] - Append instead of truncating;
+ *   plain files only
+ * @returns {{filePath: string, write: Function, close: Function}} Writer:
+ *   `write(record)` returns a promise resolved once the record has been
+ *   handed to the file (only to the compressor for `.gz`, so a gzipped file
+ *   holds nothing for sure before `close()`); `close()` flushes everything
+ *   and returns a promise resolved once the file is closed
+ * @throws {Error} If asked to append to a gzipped file: a gzip stream cut off
+ *   by a crash would make everything appended behind it unreadable
+ */
+function createJsonlWriter(filePath, { append = false } = {}) {
+  if (append && isGzipPath(filePath)) {
+    throw new Error(`Cannot append to gzipped file ${filePath}; append to the plain file instead.`);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const file = fs.createWriteStream(filePath, { flags: append ? "a" : "w" });
+  const stream = isGzipPath(filePath) ? zlib.createGzip() : file;
+  if (stream !== file) {
+    stream.pipe(file);
+  }
+
+  let failure = null;
+  let closing = null;
+  const fail = (error) => {
+    failure ??= error;
+    file.destroy(); // A failed compressor never ends the file stream
+  };
+  file.on("error", fail);
+  stream.on("error", fail);
+
+  const writer = {
+    filePath,
+
+    /**
+     * Writes one record as a line.
+     * @param {object} record - Record to write
+     * @returns {Promise<void>} Resolved once written
+     * @throws {Error} If the writer is closed or the file cannot be written
+     */
+    write(record) {
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      if (closing) {
+        return Promise.reject(new Error(`JSONL writer for ${filePath} is closed`));
+      }
+      const line = JSON.stringify(record) + "\n";
+      if (!stream.writableCorked) {
+        stream.cork();
+        process.nextTick(() => stream.uncork());
+      }
+      return new Promise((resolve, reject) => {
+        stream.write(line, (error) => (error ? reject(error) : resolve()));
+      });
+    },
+
+    /**
+     * Flushes the buffered records and closes the file.
+     * @returns {Promise<void>} Resolved once the file is closed
+     * @throws {Error} If the file could not be written
+     */
+    close() {
+      closing ??= new Promise((resolve, reject) => {
+        file.once("close", () => {
+          openWriters.delete(writer);
+          failure ? reject(failure) : resolve();
+        });
+        if (file.closed) {
+          openWriters.delete(writer);
+          failure ? reject(failure) : resolve();
+          return;
+        }
+        stream.end();
+      });
+      return closing;
+    },
+  };
+
+  openWriters.add(writer);
+  return writer;
+}
+
+/**
+ * Writes records to a JSONL file as a whole: they go to a temporary file
+ * first, which replaces the target once complete, so readers never see a
+ * partial file.
+ * @param {string} filePath - Path to the JSONL file; gzipped if it ends in `.gz`
+ * @param {Iterable<object>|AsyncIterable<object>} records - Records to write
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeJsonlFile(filePath, records) {
+  const tempPath = `${filePath}.${process.pid}.partial`;
+  // Keep the .gz suffix last so the temp file is compressed the same way
+  const writer = createJsonlWriter(
+    isGzipPath(filePath) ? `${tempPath}${GZIP_EXTENSION}` : tempPath
+  );
+  tempFiles.add(writer.filePath);
+  let count = 0;
+  try {
+    for await (const record of records) {
+      const written = writer.write(record);
+      written.catch(() => {}); // Failures surface through close()
+      if (++count % WRITE_BATCH_SIZE === 0) {
+        await written; // Keeps the buffer from growing without bound
+      }
+    }
+    await writer.close();
+  } catch (error) {
+    await writer.close().catch(() => {});
+    fs.rmSync(writer.filePath, { force: true });
+    throw error;
+  } finally {
+    tempFiles.delete(writer.filePath);
+  }
+  fs.renameSync(writer.filePath, filePath);
+  return count;
+}
+
+/**
+ * Closes every writer that is still open.
+ * @returns {Promise<void>} Resolved once all of them are closed (errors are ignored)
+ */
+async function closeAllJsonlWriters() {
+  await Promise.allSettled([...openWriters].map((writer) => writer.close()));
+}
+
+/**
+ * Makes SIGINT and SIGTERM close every open JSONL writer before the process
+ * exits (with 130 or 143), and delete the temporary files of writeJsonlFile
+ * calls still running, whose targets keep their old contents. For scripts;
+ * library code never exits the process on its own. Calling it more than
+ * once has no further effect.
+ */
+function flushJsonlWritersOnShutdown() {
+  if (flushJsonlWritersOnShutdown.installed) {
+    return;
+  }
+  flushJsonlWritersOnShutdown.installed = true;
+
+  for (const signal of Object.keys(SIGNAL_EXIT_CODES)) {
+    process.once(signal, async () => {
+      if (openWriters.size > 0) {
+        console.warn(`\n⚠️  ${signal} received, flushing ${openWriters.size} open JSONL file(s)...`);
+      }
+      await closeAllJsonlWriters();
+      for (const tempFile of tempFiles) {
+        fs.rmSync(tempFile, { force: true });
+      }
+      process.exit(SIGNAL_EXIT_CODES[signal]);
+    });
+  }
+}
+
+export {
+  JsonlLineError,
+  readJsonl,
+  readJsonlFile,
+  readRecordsByShipId,
+  readMasterData,
+  resolveJsonlPath,
+  isGzipPath,
+  createJsonlWriter,
+  writeJsonlFile,
+  closeAllJsonlWriters,
+  flushJsonlWritersOnShutdown,
+};
@@ -0,0 +1,187 @@
+/**
+ * ========================================
+ * LOCALIZED CONTENT
+ * ========================================
+ *
+ * The Ody API answers in the language given by the `languageid` header
+ * (1 = English). With several languages configured (OD_LANGUAGES, e.g.
+ * "1:en,2:es"), the details of each ship are fetched once per language and
+ * merged into one payload: `data` stays the payload of the first (primary)
+ * language, and the text fields of all languages are added next to it,
+ * keyed by field and then locale:
+ *
+ *   {"data": {...},
+ *    "localized": {"contentInfo.longDescription": {"en": "...", "es": "..."},
+ *                  "amenities[3].name": {"en": "Main Pool", "es": "Piscina principal"}},
+ *    "localizationIssues": {"es": {"missing": [...], "fallback": [...]}}}
+ *
+ * A field is "missing" in a locale when the primary language has text for
+ * it and the locale has none, and a "fallback" when the locale returned the
+ * primary language's text unchanged.
+ */
+
+const DEFAULT_LANGUAGE = { id: "1", locale: "en" };
+const DEFAULT_ACCEPT_LANGUAGE = "en-US,en;q=0.9,es;q=0.8";
+
+// Objects whose string fields are all translated
+const LOCALIZED_OBJECT_KEYS = ["contentInfo", "content"];
+
+// Translated fields of list items, matched across languages by item id
+const LOCALIZED_LIST_FIELDS = {
+  amenities: ["name", "description"],
+  facilities: ["name", "description"],
+  images: ["caption"],
+};
+
+/**
+ * Parses the configured languages.
+ * @param {Array<string|object>} [items] - `<languageid>:<locale>` items (e.g. "2:es")
+ *   or {id, locale} objects; the first one is the primary language
+ * @returns {Array<{id: string, locale: string}>} Languages (English only when none are given)
+ * @throws {Error} If an item is malformed or an ID or locale is used twice
+ */
+function parseLanguages(items) {
+  if (!items || items.length === 0) {
+    return [DEFAULT_LANGUAGE];
+  }
+
+  const languages = items.map((item) => {
+    const [id, locale] =
+      typeof item === "string" ? item.split(":").map((part) => part.trim()) : [item?.id, item?.locale];
+    if (!/^\d+$/.test(String(id ?? "")) || !/^[a-z]{2,3}([_-][a-z0-9]+)*$/i.test(locale ?? "")) {
+      throw new Error(
+        `Invalid language "${typeof item === "string" ? item : JSON.stringify(item)}", ` +
+        `expected <languageid>:<locale>, e.g. 2:es.`
+      );
+    }
+    return { id: String(id), locale };
+  });
+
+  for (const key of ["id", "locale"]) {
+    const values = languages.map((language) => language[key].toLowerCase());
+    const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+    if (duplicate !== undefined) {
+      throw new Error(`Language ${key} "${duplicate}" is configured twice.`);
+    }
+  }
+  return languages;
+}
+
+/**
+ * Builds the accept-language header for a language. English keeps the
+ * header the scraper has always sent.
+ * @param {{locale: string}} [language] - Language, default English
+ * @returns {string} Header value
+ */
+function getAcceptLanguage(language) {
+  const locale = language?.locale;
+  if (!locale || locale.toLowerCase().startsWith("en")) {
+    return DEFAULT_ACCEPT_LANGUAGE;
+  }
+  return `${locale},en;q=0.8`;
+}
+
+/**
+ * Collects the translated text of a ship details payload.
+ * @param {object} payload - GetDetails payload ({data: {...}})
+ * @returns {Map<string, string>} Text by field path, e.g. "contentInfo.longDescription"
+ *   or "amenities[3].name"
+ */
+function collectLocalizedText(payload) {
+  const raw = payload?.data || {};
+  const text = new Map();
+
+  for (const key of LOCALIZED_OBJECT_KEYS) {
+    if (raw[key] && typeof raw[key] === "object" && !Array.isArray(raw[key])) {
+      for (const [field, value] of Object.entries(raw[key])) {
+        if (typeof value === "string") text.set(`${key}.${field}`, value);
+      }
+    }
+  }
+  for (const [key, fields] of Object.entries(LOCALIZED_LIST_FIELDS)) {
+    if (!Array.isArray(raw[key])) continue;
+    raw[key].forEach((item, index) => {
+      for (const field of fields) {
+        if (typeof item?.[field] === "string") {
+          text.set(`${key}[${item.id ?? index}].${field}`, item[field]);
+        }
+      }
+    });
+  }
+  return text;
+}
+
+/**
+ * Merges the payloads of one ship in several languages.
+ * @param {Array<[{id: string, locale: string}, object]>} payloads - [language, payload]
+ *   pairs, primary language first
+ * @returns {object} The primary payload plus `localized` (text by field path
+ *   and locale) and `localizationIssues` (missing and fallback field paths by
+ *   locale, only for locales that have any)
+ */
+function mergeLocalizedDetails(payloads) {
+  const [[primaryLanguage, primaryPayload]] = payloads;
+  const primaryText = collectLocalizedText(primaryPayload);
+  const localized = {};
+  const localizationIssues = {};
+
+  for (const [language, payload] of payloads) {
+    const text = collectLocalizedText(payload);
+    for (const [field, value] of text) {
+      (localized[field] ??= {})[language.locale] = value;
+    }
+    if (language === primaryLanguage) continue;
+
+    const missing = [];
+    const fallback = [];
+    for (const [field, primaryValue] of primaryText) {
+      if (!primaryValue.trim()) continue;
+      const value = text.get(field);
+      if (!value?.trim()) {
+        missing.push(field);
+      } else if (value === primaryValue) {
+        fallback.push(field);
+      }
+    }
+    if (missing.length > 0 || fallback.length > 0) {
+      localizationIssues[language.locale] = { missing, fallback };
+    }
+  }
+
+  return { ...primaryPayload, localized, localizationIssues };
+}
+
+/**
+ * Adds the localization issues of one ship to a run report.
+ * @param {object} report - Report to update: {locale: {missing: {field: ships},
+ *   fallback: {field: ships}, ships: number}}
+ * @param {object} [localizationIssues] - `localizationIssues` of a merged payload
+ * @returns {object} The report
+ */
+function countLocalizationIssues(report, localizationIssues = {}) {
+  for (const [locale, { missing, fallback }] of Object.entries(localizationIssues)) {
+    const entry = (report[locale] ??= { ships: 0, missing: {}, fallback: {} });
+    entry.ships++;
+    // "amenities[3].name" and "amenities[7].name" count as one field
+    for (const field of new Set(missing.map(toGenericPath))) {
+      entry.missing[field] = (entry.missing[field] ?? 0) + 1;
+    }
+    for (const field of new Set(fallback.map(toGenericPath))) {
+      entry.fallback[field] = (entry.fallback[field] ?? 0) + 1;
+    }
+  }
+  return report;
+}
+
+function toGenericPath(field) {
+  return field.replace(/\[[^\]]*\]/g, "[]");
+}
+
+export {
+  DEFAULT_LANGUAGE,
+  parseLanguages,
+  getAcceptLanguage,
+  collectLocalizedText,
+  mergeLocalizedDetails,
+  countLocalizationIssues,
+};
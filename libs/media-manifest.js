@@ -0,0 +1,333 @@
+/**
+ * ========================================
+ * MEDIA MANIFEST
+ * ========================================
+ *
+ * Describes every downloaded image in media-manifest.jsonl, one line per
+ * image of a ship:
+ *
+ *   {shipId, path, url, imageType, file, bytes, sha256, mimeType, width,
+ *    height, duplicateOf, fileModifiedAt, [variants]}
+ *
+ * `path` is the image path from the ship details and `file` the local file,
+ * relative to the output directory. `sha256` is the join key with the
+ * content-addressed media store of the snapshots (see libs/snapshots.js).
+ * Images listed in the ship data but not on disk have `file: null` and no
+ * file details.
+ *
+ * Identical images (same SHA-256) on several ships or under several paths
+ * are stored once: every later copy is replaced by a hard link to the first
+ * one, which its entry names in `duplicateOf`. Files keep their paths in
+ * the media layout, so nothing that reads the media directory has to change.
+ *
+ * Hashes are reused from the previous manifest while a file's size and
+ * modification time are unchanged, so only new or changed images are read.
+ * `variants` (resized copies, see libs/derivatives.js) are carried over from
+ * the previous manifest; the derivatives stage decides whether they are
+ * still current.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { readJsonl, writeJsonlFile } from "./jsonl.js";
+import { listMediaImages, inspectImage, linkFile, toPosix } from "./media.js";
+
+const MEDIA_MANIFEST_FILE_NAME = "media-manifest.jsonl";
+
+// Image format (see inspectImage) -> MIME type
+const MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  heic: "image/heic",
+  bmp: "image/bmp",
+  tiff: "image/tiff",
+  svg: "image/svg+xml",
+};
+
+/**
+ * Builds the media manifest for a list of ship records and deduplicates
+ * identical image files.
+ *
+ * @param {Array<object>} ships - Ship records as stored in ships.jsonl ({shipId, data})
+ * @param {object} options
+ * @param {string} options.baseUrl - Base URL the image paths are relative to
+ * @param {string} options.outputDir - Output directory (manifest paths are relative to it)
+ * @param {string} options.mediaDir - Directory the images are saved in
+ * @param {Function} [options.filter] - (image, ship) => boolean, gallery images by default
+ * @param {string} [options.layout] - Path template (see createMediaLayout in libs/media.js)
+ * @param {Array<object>} [options.previousEntries=[]] - Entries of the previous manifest;
+ *   used as hash cache. Entries of ships not in `ships` are kept (without
+ *   file details once their file is gone), and so are entries of images the
+ *   filter leaves out whose file still exists
+ * @returns {{entries: Array<object>, stats: object}} Manifest entries and counts
+ *   (images, missing, unique, duplicates, linked, savedBytes)
+ */
+function buildMediaManifest(
+  ships,
+  { baseUrl, outputDir, mediaDir, filter, layout, previousEntries = [] }
+) {
+  const shipIds = new Set(ships.map((ship) => String(ship.shipId)));
+  const cache = new Map(
+    previousEntries.filter((entry) => entry.file).map((entry) => [entry.file, entry])
+  );
+  const images = listMediaImages(ships, { baseUrl, mediaDir, filter, layout });
+  const listed = new Set(images.map(({ shipId, image }) => imageKey(shipId, image.path)));
+
+  // Other ships stay listed, as missing once their file is gone; images
+  // downloaded before with other filters stay listed while their file exists
+  const entries = previousEntries
+    .filter(
+      (entry) =>
+        !shipIds.has(String(entry.shipId)) ||
+        (!listed.has(imageKey(entry.shipId, entry.path)) &&
+          entry.file &&
+          fs.existsSync(path.join(outputDir, entry.file)))
+    )
+    .map((entry) => {
+      if (!entry.file || fs.existsSync(path.join(outputDir, entry.file))) {
+        return entry;
+      }
+      const { variants, ...rest } = entry;
+      return { ...rest, ...describeFile(path.join(outputDir, entry.file), outputDir, cache) };
+    });
+
+  for (const { shipId, image, url, filepath } of images) {
+    entries.push({
+      shipId,
+      path: image.path,
+      url,
+      imageType: image.imageType ?? null,
+      ...describeFile(filepath, outputDir, cache),
+    });
+  }
+
+  const stats = deduplicate(entries, outputDir);
+  return { entries, stats: { images: entries.length, ...stats } };
+}
+
+/**
+ * Reads the file details of an image, from the cache when size and
+ * modification time match.
+ * @param {string} filepath - Local image file
+ * @param {string} outputDir - Output directory
+ * @param {Map<string, object>} cache - Previous entries by file
+ * @returns {object} file, bytes, sha256, mimeType, width, height, duplicateOf,
+ *   fileModifiedAt and the previous variants, if any
+ */
+function describeFile(filepath, outputDir, cache) {
+  if (!fs.existsSync(filepath)) {
+    return {
+      file: null,
+      bytes: null,
+      sha256: null,
+      mimeType: null,
+      width: null,
+      height: null,
+      duplicateOf: null,
+      fileModifiedAt: null,
+    };
+  }
+
+  const file = toPosix(path.relative(outputDir, filepath));
+  const stat = fs.statSync(filepath);
+  const fileModifiedAt = stat.mtime.toISOString();
+  const cached = cache.get(file);
+  const variants = cached?.variants ? { variants: cached.variants } : {};
+  if (cached && cached.bytes === stat.size && cached.fileModifiedAt === fileModifiedAt) {
+    const { sha256, mimeType, width, height } = cached;
+    return {
+      file,
+      bytes: stat.size,
+      sha256,
+      mimeType,
+      width,
+      height,
+      duplicateOf: null,
+      fileModifiedAt,
+      ...variants,
+    };
+  }
+
+  const buffer = fs.readFileSync(filepath);
+  const { format } = inspectImage(buffer.subarray(0, 32), buffer.subarray(-32), buffer.length);
+  const { width, height } = readImageDimensions(buffer, format);
+  return {
+    file,
+    bytes: stat.size,
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    mimeType: MIME_TYPES[format] ?? null,
+    width,
+    height,
+    duplicateOf: null,
+    fileModifiedAt,
+    ...variants,
+  };
+}
+
+/**
+ * Links every image file to the first file with the same content and sets
+ * `duplicateOf` on the entries of the later files.
+ * @param {Array<object>} entries - Manifest entries (updated in place)
+ * @param {string} outputDir - Output directory
+ * @returns {{missing: number, unique: number, duplicates: number, linked: number,
+ *   savedBytes: number}} Counts; `linked` are the files replaced by a link
+ *   during this call, `savedBytes` the size of all duplicates
+ */
+function deduplicate(entries, outputDir) {
+  const firstByHash = new Map();
+  const stats = { missing: 0, unique: 0, duplicates: 0, linked: 0, savedBytes: 0 };
+
+  for (const entry of entries) {
+    if (!entry.file) {
+      stats.missing++;
+      continue;
+    }
+    const first = firstByHash.get(entry.sha256);
+    if (!first) {
+      firstByHash.set(entry.sha256, entry);
+      entry.duplicateOf = null;
+      stats.unique++;
+      continue;
+    }
+    if (first.file === entry.file) {
+      // The same file listed twice (e.g. an image repeated in one gallery)
+      entry.duplicateOf = null;
+      continue;
+    }
+
+    entry.duplicateOf = first.file;
+    stats.duplicates++;
+    stats.savedBytes += entry.bytes;
+
+    const source = path.join(outputDir, first.file);
+    const target = path.join(outputDir, entry.file);
+    if (fs.statSync(source).ino !== fs.statSync(target).ino) {
+      linkFile(source, target);
+      stats.linked++;
+    }
+    entry.fileModifiedAt = fs.statSync(target).mtime.toISOString();
+  }
+  return stats;
+}
+
+/**
+ * Reads the pixel size from an image's header.
+ * @param {Buffer} buffer - Image file contents
+ * @param {string} [format] - Image format (see inspectImage)
+ * @returns {{width: number|null, height: number|null}} Size, null if unknown
+ */
+function readImageDimensions(buffer, format) {
+  try {
+    switch (format) {
+      case "png":
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case "gif":
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case "bmp":
+        return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+      case "jpeg":
+        return readJpegDimensions(buffer);
+      case "webp":
+        return readWebpDimensions(buffer);
+      case "avif":
+      case "heic": {
+        // Image spatial extents property: size, "ispe", version/flags, width, height
+        const index = buffer.indexOf("ispe");
+        return index < 0
+          ? unknownDimensions()
+          : { width: buffer.readUInt32BE(index + 8), height: buffer.readUInt32BE(index + 12) };
+      }
+      default:
+        return unknownDimensions();
+    }
+  } catch {
+    return unknownDimensions(); // Header shorter than it claims
+  }
+}
+
+// Walks the JPEG segments up to the first start-of-frame (SOFn) marker
+function readJpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) break;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+      offset += 2; // Markers without a length
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return unknownDimensions();
+}
+
+// Lossy (VP8), lossless (VP8L) and extended (VP8X) WebP
+function readWebpDimensions(buffer) {
+  switch (buffer.toString("latin1", 12, 16)) {
+    case "VP8 ":
+      return {
+        width: buffer.readUInt16LE(26) & 0x3fff,
+        height: buffer.readUInt16LE(28) & 0x3fff,
+      };
+    case "VP8L": {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case "VP8X":
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return unknownDimensions();
+  }
+}
+
+function unknownDimensions() {
+  return { width: null, height: null };
+}
+
+/**
+ * Reads media-manifest.jsonl.
+ * @param {string} manifestFile - Path to the manifest
+ * @returns {Promise<Array<object>>} Entries, empty if the file does not exist
+ */
+async function readMediaManifest(manifestFile) {
+  const entries = [];
+  if (fs.existsSync(manifestFile)) {
+    for await (const entry of readJsonl(manifestFile)) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Writes media-manifest.jsonl (temp file + rename).
+ * @param {string} manifestFile - Path to the manifest
+ * @param {Array<object>} entries - Manifest entries
+ * @returns {Promise<void>}
+ */
+async function writeMediaManifest(manifestFile, entries) {
+  await writeJsonlFile(manifestFile, entries);
+}
+
+function imageKey(shipId, imagePath) {
+  return `${shipId}\n${imagePath}`;
+}
+
+export {
+  MEDIA_MANIFEST_FILE_NAME,
+  MIME_TYPES,
+  buildMediaManifest,
+  readImageDimensions,
+  readMediaManifest,
+  writeMediaManifest,
+};
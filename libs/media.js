@@ -0,0 +1,532 @@
+/**
+ * ========================================
+ * MEDIA DOWNLOADS
+ * ========================================
+ *
+ * Finds the images referenced by scraped ship records and downloads them.
+ * Images already on disk are skipped, so an interrupted download can simply
+ * be started again.
+ *
+ * Which images are downloaded is decided by their imageType (Gallery,
+ * DeckPlan, Logo, ...): an include list (default: Gallery, "*" for all
+ * types) and an exclude list, both case-insensitive. Where they are saved is
+ * decided by the layout, a path template below the media directory:
+ *
+ *   {shipId}/{filename}               (default)
+ *   {shipId}/{imageType}/{filename}
+ *   {shipSlug}/{filename}             (e.g. carnival-conquest/gallery-1.jpg)
+ *
+ * Every download is written to `<file>.partial` and only renamed to its final
+ * name once it is complete and looks like an image: the Content-Type must be
+ * an image type, the byte count must match Content-Length and the file must
+ * start with a known image signature and end with the format's end marker.
+ * An HTML error page served with status 200 is rejected instead of being
+ * saved as `gallery-1.jpg`. With `verify`, images already on disk get the
+ * same file check and corrupt ones are downloaded again.
+ */
+
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { Readable } from "stream";
+import { parseRetryAfter } from "./pool.js";
+import { getImageBaseUrl } from "./storefronts.js";
+
+const GALLERY_IMAGE_TYPE = "Gallery"; // Default filter: gallery images only
+const ALL_IMAGE_TYPES = "*"; // Include list entry matching every imageType
+const DEFAULT_IMAGE_TYPES = [GALLERY_IMAGE_TYPE];
+const DEFAULT_MEDIA_LAYOUT = "{shipId}/{filename}";
+const LAYOUT_PLACEHOLDERS = ["shipId", "shipSlug", "imageType", "filename"];
+const UNKNOWN_IMAGE_TYPE = "unknown"; // {imageType} of images without one
+const MAX_THROTTLE_RETRIES = 3; // Retries of an image answered with 429/Retry-After
+const DEFAULT_THROTTLE_PAUSE_MS = 5000; // Pause after a 429 without Retry-After
+const PARTIAL_SUFFIX = ".partial"; // Downloads in progress, renamed when complete
+const SNIFF_BYTES = 32; // Bytes read from the start and end of a file to check it
+
+// Content types accepted besides image/* (servers that don't know better)
+const GENERIC_CONTENT_TYPES = ["application/octet-stream", "binary/octet-stream"];
+
+/**
+ * Default image filter: gallery images only.
+ * @param {object} image - Image entry from the ship details
+ * @returns {boolean}
+ */
+function isGalleryImage(image) {
+  return image.imageType === GALLERY_IMAGE_TYPE;
+}
+
+/**
+ * Builds an image filter from include and exclude lists of imageTypes.
+ * @param {object} [options]
+ * @param {Array<string>} [options.imageTypes=["Gallery"]] - Types to download, "*" for all
+ * @param {Array<string>} [options.excludeImageTypes=[]] - Types to skip, even if included
+ * @returns {Function} (image) => boolean
+ */
+function createImageTypeFilter({
+  imageTypes = DEFAULT_IMAGE_TYPES,
+  excludeImageTypes = [],
+} = {}) {
+  const include = new Set(imageTypes.map((type) => type.toLowerCase()));
+  const exclude = new Set(excludeImageTypes.map((type) => type.toLowerCase()));
+  return (image) => {
+    const type = String(image.imageType ?? "").toLowerCase();
+    return (include.has(ALL_IMAGE_TYPES) || include.has(type)) && !exclude.has(type);
+  };
+}
+
+/**
+ * Counts the images of each imageType in a list of ship records, whether
+ * they pass the filter or not.
+ * @param {Array<object>} ships - Ship records as stored in ships.jsonl ({shipId, data})
+ * @param {Function} [filter] - (image, ship) => boolean, gallery images by default
+ * @returns {Array<{imageType: string|null, images: number, ships: number, selected: boolean}>}
+ *   One entry per imageType, most frequent first
+ */
+function countImageTypes(ships, filter = isGalleryImage) {
+  const counts = new Map();
+  for (const ship of ships) {
+    const seen = new Set();
+    for (const image of ship.data?.data?.images || []) {
+      const imageType = image.imageType ?? null;
+      const entry = counts.get(imageType) ?? {
+        imageType,
+        images: 0,
+        ships: 0,
+        selected: Boolean(filter(image, ship)),
+      };
+      entry.images++;
+      if (!seen.has(imageType)) {
+        seen.add(imageType);
+        entry.ships++;
+      }
+      counts.set(imageType, entry);
+    }
+  }
+  return [...counts.values()].sort(
+    (a, b) => b.images - a.images || String(a.imageType).localeCompare(String(b.imageType))
+  );
+}
+
+/**
+ * Compiles a layout template into a function returning an image's path
+ * relative to the media directory.
+ * @param {string} [template="{shipId}/{filename}"] - Path template using {shipId},
+ *   {shipSlug}, {imageType} and {filename}
+ * @returns {Function} ({shipId, shipName, image}) => relative path
+ * @throws {Error} If the template is absolute, leaves the media directory,
+ *   lacks {filename} or uses an unknown placeholder
+ */
+function createMediaLayout(template = DEFAULT_MEDIA_LAYOUT) {
+  const unknown = [...template.matchAll(/\{([^}]*)\}/g)]
+    .map(([, name]) => name)
+    .filter((name) => !LAYOUT_PLACEHOLDERS.includes(name));
+  const segments = template.split(/[\\/]/);
+  if (
+    unknown.length > 0 ||
+    !template.includes("{filename}") ||
+    path.isAbsolute(template) ||
+    segments.some((segment) => segment === "" || segment === "." || segment === "..")
+  ) {
+    throw new Error(
+      `Invalid media layout "${template}": expected a relative path template ending in ` +
+      `files named by {filename}, using ${LAYOUT_PLACEHOLDERS.map((name) => `{${name}}`).join(", ")}.`
+    );
+  }
+
+  return ({ shipId, shipName, image }) => {
+    const values = {
+      shipId: String(shipId),
+      shipSlug: slugify(shipName) || `ship-${shipId}`,
+      imageType: image.imageType || UNKNOWN_IMAGE_TYPE,
+      filename: path.basename(image.path),
+    };
+    return path.join(
+      ...segments.map((segment) =>
+        segment.replace(/\{(\w+)\}/g, (_, name) => toPathSegment(values[name]))
+      )
+    );
+  };
+}
+
+// "Carnival Conquest" -> "carnival-conquest"
+function slugify(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Keeps placeholder values from adding directories or leaving the media directory
+function toPathSegment(value) {
+  const segment = value.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_");
+  return segment === "." || segment === ".." ? "_" : segment;
+}
+
+/**
+ * Lists the images of a list of ship records that pass the filter, with
+ * their URL and local file path.
+ *
+ * @param {Array<object>} ships - Ship records as stored in ships.jsonl ({shipId, data})
+ * @param {object} options
+ * @param {string} options.baseUrl - Base URL the image paths are relative to (merged
+ *   multi-storefront records use the base URL of the storefront their images came from)
+ * @param {string} options.mediaDir - Directory to save media files in
+ * @param {Function} [options.filter] - (image, ship) => boolean, gallery images by default
+ * @param {string} [options.layout] - Path template (see createMediaLayout)
+ * @returns {Array<{shipId: string|number, shipName: string, image: object, url: string,
+ *   filepath: string, filename: string}>} Images in ship order
+ */
+function listMediaImages(ships, { baseUrl, mediaDir, filter = isGalleryImage, layout }) {
+  const getPath = createMediaLayout(layout);
+  const result = [];
+  for (const ship of ships) {
+    const shipId = ship.shipId;
+    const shipName = ship.data?.data?.name || `Ship ${shipId}`;
+    const imageBaseUrl = getImageBaseUrl(ship, baseUrl);
+    const images = (ship.data?.data?.images || []).filter(
+      (image) => image.path && filter(image, ship)
+    );
+
+    for (const image of images) {
+      const filename = path.basename(image.path);
+      result.push({
+        shipId,
+        shipName,
+        image,
+        url: `${imageBaseUrl}${image.path}`,
+        filepath: path.join(mediaDir, getPath({ shipId, shipName, image })),
+        filename,
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Collects the download tasks for a list of ship records, skipping images
+ * that were already downloaded. With `verify`, images on disk are checked
+ * (see verifyImageFile) and corrupt ones become tasks again, with the reason
+ * in `task.corrupt`. An image URL used by several ships is downloaded once;
+ * the other missing files are listed in `task.copies` and linked to it.
+ *
+ * @param {Array<object>} ships - Ship records as stored in ships.jsonl ({shipId, data})
+ * @param {object} options
+ * @param {string} options.baseUrl - Base URL the image paths are relative to
+ * @param {string} options.mediaDir - Directory to save media files in
+ * @param {Function} [options.filter] - (image, ship) => boolean, gallery images by default
+ * @param {string} [options.layout] - Path template (see createMediaLayout)
+ * @param {boolean} [options.verify=false] - Check the images already on disk
+ * @returns {{tasks: Array<object>, totalImages: number, alreadyDownloaded: number,
+ *   corrupt: number}} Images still to download, plus the number of matching,
+ *   existing (and valid, when verifying) and corrupt images
+ */
+function planDownloads(
+  ships,
+  { baseUrl, mediaDir, filter = isGalleryImage, layout, verify = false }
+) {
+  const tasks = [];
+  let totalImages = 0;
+  let alreadyDownloaded = 0;
+  let corrupt = 0;
+  const tasksByUrl = new Map();
+
+  for (const { shipId, shipName, image, url, filepath, filename } of listMediaImages(ships, {
+    baseUrl,
+    mediaDir,
+    filter,
+    layout,
+  })) {
+    totalImages++;
+
+    // Skip if already downloaded (resume capability), unless it is corrupt
+    let reason = null;
+    if (fs.existsSync(filepath)) {
+      reason = verify ? verifyImageFile(filepath).error : null;
+      if (!reason) {
+        alreadyDownloaded++;
+        continue;
+      }
+      corrupt++;
+    }
+
+    const planned = tasksByUrl.get(url);
+    if (planned && !reason) {
+      planned.copies.push(filepath);
+      continue;
+    }
+
+    const task = {
+      url,
+      filepath,
+      shipId,
+      shipName,
+      filename,
+      imageType: image.imageType,
+      copies: [],
+      ...(reason && { corrupt: reason }),
+    };
+    tasks.push(task);
+    if (!planned) {
+      tasksByUrl.set(url, task);
+    }
+  }
+
+  return { tasks, totalImages, alreadyDownloaded, corrupt };
+}
+
+/**
+ * Downloads a single image from URL to local file.
+ * Uses streaming to handle large files efficiently. Every attempt waits for a
+ * slot from the media rate limiter; a 429 or a Retry-After header pauses the
+ * limiter for all downloads and the image is tried again.
+ *
+ * The image is streamed to `<filepath>.partial` and renamed once it passed
+ * the checks, replacing any (corrupt) file already there. A failed download
+ * leaves nothing behind, so the next run tries it again.
+ *
+ * @param {string} url - URL of the image to download
+ * @param {string} filepath - Local file path to save the image
+ * @param {object} transport - Transport used for the request
+ * @param {object} limiter - Rate limiter shared by all downloads
+ * @returns {Promise<object>} Result object with success status (plus bytes
+ *   and format on success, the error message on failure)
+ */
+async function downloadImage(url, filepath, transport, limiter) {
+  const tempPath = filepath + PARTIAL_SUFFIX;
+  try {
+    let response;
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire();
+
+      // Fetch the image
+      response = await transport.fetch(url);
+
+      const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+      const throttled = response.status === 429 || retryAfterMs !== null;
+      if (!throttled || response.ok) {
+        break;
+      }
+
+      limiter.pause(retryAfterMs ?? DEFAULT_THROTTLE_PAUSE_MS);
+      await response.body?.cancel();
+      if (attempt >= MAX_THROTTLE_RETRIES) {
+        break;
+      }
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const contentType = checkContentType(response.headers.get("content-type"));
+    if (contentType.error) {
+      await response.body?.cancel();
+      throw new Error(contentType.error);
+    }
+
+    // Ensure parent directory exists
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+    // Download to a temp file using streaming for efficiency, counting the bytes.
+    // The file is opened up front: a stream opening it on its own could create
+    // it after a failed download has already been cleaned up.
+    let bytes = 0;
+    await pipeline(
+      Readable.fromWeb(response.body),
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          bytes += chunk.length;
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(tempPath, { fd: fs.openSync(tempPath, "w") })
+    );
+
+    // Content-Length counts the encoded bytes when the response is compressed
+    const expectedBytes = Number(response.headers.get("content-length"));
+    const encoding = response.headers.get("content-encoding");
+    if ((!encoding || encoding === "identity") && expectedBytes > 0 && bytes !== expectedBytes) {
+      throw new Error(`Incomplete download: ${bytes} of ${expectedBytes} bytes`);
+    }
+    const check = verifyImageFile(tempPath);
+    if (check.error) {
+      throw new Error(check.error);
+    }
+
+    fs.renameSync(tempPath, filepath);
+    return { success: true, url, filepath, bytes, format: check.format };
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    return {
+      success: false,
+      url,
+      filepath,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Checks a Content-Type header. Missing headers are accepted; the file check
+ * after the download still catches anything that isn't an image.
+ * @param {string|null} value - Header value
+ * @returns {{error?: string}} Error message if the response is not an image
+ */
+function checkContentType(value) {
+  const type = value?.split(";")[0].trim().toLowerCase();
+  if (!type || type.startsWith("image/") || GENERIC_CONTENT_TYPES.includes(type)) {
+    return {};
+  }
+  return {
+    error: type === "text/html"
+      ? "Got an HTML page instead of an image (Content-Type: text/html)"
+      : `Unexpected Content-Type: ${type}`,
+  };
+}
+
+/**
+ * Checks whether a file on disk is a complete image: not empty, starting
+ * with a known image signature (JPEG, PNG, GIF, WebP, AVIF/HEIC, BMP, TIFF or
+ * SVG) and, where the format has one, ending with its end marker or matching
+ * the size in its header. Only the first and last bytes are read.
+ *
+ * @param {string} filepath - Image file
+ * @returns {{format?: string, bytes: number, error?: string}} Detected format,
+ *   file size, and what is wrong with the file (absent when it is valid)
+ */
+function verifyImageFile(filepath) {
+  let fd;
+  try {
+    fd = fs.openSync(filepath, "r");
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) {
+      return { bytes: 0, error: "Empty file (0 bytes)" };
+    }
+
+    const head = Buffer.alloc(Math.min(SNIFF_BYTES, size));
+    fs.readSync(fd, head, 0, head.length, 0);
+    const tail = Buffer.alloc(Math.min(SNIFF_BYTES, size));
+    fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+
+    return { bytes: size, ...inspectImage(head, tail, size) };
+  } catch (error) {
+    return { bytes: 0, error: error.message };
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Identifies an image by its first bytes and checks that it is complete.
+ * @param {Buffer} head - First bytes of the file
+ * @param {Buffer} tail - Last bytes of the file
+ * @param {number} size - File size in bytes
+ * @returns {{format?: string, error?: string}} Format, or what is wrong
+ */
+function inspectImage(head, tail, size) {
+  const ascii = (buffer, start, end) => buffer.toString("latin1", start, end);
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    // Some encoders pad after the EOI marker, so look for it near the end
+    return tail.includes(Buffer.from([0xff, 0xd9]))
+      ? { format: "jpeg" }
+      : { format: "jpeg", error: "Truncated JPEG (no end-of-image marker)" };
+  }
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return tail.includes("IEND")
+      ? { format: "png" }
+      : { format: "png", error: "Truncated PNG (no IEND chunk)" };
+  }
+  if (/^GIF8[79]a$/.test(ascii(head, 0, 6))) {
+    return tail[tail.length - 1] === 0x3b
+      ? { format: "gif" }
+      : { format: "gif", error: "Truncated GIF (no trailer)" };
+  }
+  if (ascii(head, 0, 4) === "RIFF" && ascii(head, 8, 12) === "WEBP") {
+    const expected = head.readUInt32LE(4) + 8;
+    return size >= expected
+      ? { format: "webp" }
+      : { format: "webp", error: `Truncated WebP (${size} of ${expected} bytes)` };
+  }
+  if (ascii(head, 0, 2) === "BM") {
+    const expected = head.readUInt32LE(2);
+    return size >= expected
+      ? { format: "bmp" }
+      : { format: "bmp", error: `Truncated BMP (${size} of ${expected} bytes)` };
+  }
+  if (ascii(head, 4, 8) === "ftyp") {
+    // AVIF/HEIC: no cheap completeness check
+    return { format: ascii(head, 8, 11) === "avi" ? "avif" : "heic" };
+  }
+  if (ascii(head, 0, 4) === "II*\0" || ascii(head, 0, 4) === "MM\0*") {
+    return { format: "tiff" };
+  }
+
+  const text = ascii(head, 0, head.length).trimStart().toLowerCase();
+  if (text.startsWith("<svg") || text.startsWith("<?xml")) {
+    return { format: "svg" };
+  }
+  if (text.startsWith("<")) {
+    // <!DOCTYPE html>, <html>, ... : an error or login page served as the image
+    return { error: "HTML page instead of an image" };
+  }
+  return { error: "Not a recognized image format" };
+}
+
+/**
+ * Makes `target` a hard link to `source` (a copy where hard links are not
+ * supported), replacing any file at `target` atomically.
+ * @param {string} source - Existing file
+ * @param {string} target - Path to create or replace
+ */
+function linkFile(source, target) {
+  const tempPath = target + PARTIAL_SUFFIX;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.rmSync(tempPath, { force: true });
+  try {
+    fs.linkSync(source, tempPath);
+  } catch {
+    fs.copyFileSync(source, tempPath);
+  }
+  fs.renameSync(tempPath, target);
+}
+
+/**
+ * Converts a relative path to forward slashes, as written to manifests and indexes.
+ * @param {string} relativePath - Relative path with platform separators
+ * @returns {string} e.g. "media/1/gallery-1.jpg"
+ */
+function toPosix(relativePath) {
+  return relativePath.split(path.sep).join("/");
+}
+
+/**
+ * Checks whether a path is a download still in progress (or left behind by
+ * a crash) rather than a finished image.
+ * @param {string} filepath - File path
+ * @returns {boolean}
+ */
+function isPartialDownload(filepath) {
+  return filepath.endsWith(PARTIAL_SUFFIX);
+}
+
+export {
+  GALLERY_IMAGE_TYPE,
+  ALL_IMAGE_TYPES,
+  DEFAULT_IMAGE_TYPES,
+  DEFAULT_MEDIA_LAYOUT,
+  isGalleryImage,
+  createImageTypeFilter,
+  countImageTypes,
+  createMediaLayout,
+  listMediaImages,
+  planDownloads,
+  downloadImage,
+  verifyImageFile,
+  inspectImage,
+  linkFile,
+  isPartialDownload,
+  toPosix,
+};
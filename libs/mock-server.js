@@ -0,0 +1,716 @@
+/**
+ * ========================================
+ * MOCK ODY SERVER
+ * ========================================
+ *
+ * A small local HTTP server imitating the Ody endpoints used by get-ships
+ * and download-media, for offline end-to-end runs and automated tests.
+ *
+ * Endpoints:
+ *   GET  /swift/cruise                        HTML page that sets session cookies
+ *   GET  /nitroapi/v2/master/allswift         Master data (plain JSON)
+ *   GET  /nitroapi/v2/ship/GetDetails/:id     Ship details (XOR-encrypted JSON); the
+ *                                             languageid header selects a translation
+ *   POST /nitroapi/v2/cruise/search           Sailings (plain JSON; `filters` body, paged
+ *                                             with pageNumber / pageSize)
+ *   GET  /images/ships/...                    Ship images (generated PNGs)
+ *
+ * Control endpoints (for tests):
+ *   GET  /__mock/stats                        Request counters per route and fault
+ *   POST /__mock/faults                       Merge a JSON object into the fault settings
+ *   POST /__mock/reset                        Reset counters and faults
+ *
+ * Faults are injected with a seeded random generator, so a given seed and
+ * request order always produces the same failures.
+ */
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { readJsonlFile, resolveJsonlPath } from "./jsonl.js";
+
+// Must match the key used by libs/ody.js; kept separate on purpose so the
+// mock doesn't share (and hide bugs in) the client's decryption code.
+const ENCRYPTION_KEY = "KCQZBX";
+
+const SESSION_COOKIE_NAME = "Ody_Session_Token";
+
+const DEFAULT_FAULTS = {
+  unauthorizedRate: 0, // Share of API requests answered with 401
+  rateLimitRate: 0, // Share of API requests answered with 429
+  retryAfterSeconds: 1, // Retry-After sent with 429 responses
+  serverErrorRate: 0, // Share of API requests answered with 503
+  malformedJsonRate: 0, // Share of API responses cut in half
+  slowRate: 0, // Share of requests delayed by slowDelayMs
+  slowDelayMs: 2000,
+  truncatedImageRate: 0, // Share of images whose connection drops halfway
+};
+
+const CRUISE_LINES = [
+  { id: 1, name: "Carnival Cruise Line", code: "CCL" },
+  { id: 2, name: "Royal Caribbean International", code: "RCI" },
+  { id: 3, name: "Norwegian Cruise Line", code: "NCL" },
+  { id: 4, name: "Celebrity Cruises", code: "CEL" },
+];
+
+const SHIP_NAME_PARTS = [
+  ["Conquest", "Glory", "Harmony", "Breeze", "Horizon", "Vista", "Dream"],
+  ["of the Seas", "Spirit", "Star", "Edge", "Pride", "Legend", "Wonder"],
+];
+
+const AMENITIES = [
+  { name: "Main Pool", category: "Pools" },
+  { name: "Water Slide", category: "Pools" },
+  { name: "Spa", category: "Wellness" },
+  { name: "Fitness Center", category: "Wellness" },
+  { name: "Theater", category: "Entertainment" },
+  { name: "Casino", category: "Entertainment" },
+  { name: "Kids Club", category: "Family" },
+  { name: "Steakhouse", category: "Dining" },
+];
+
+const PORTS = [
+  { id: 1, name: "Miami", countryCode: "US" },
+  { id: 2, name: "Nassau", countryCode: "BS" },
+  { id: 3, name: "Cozumel", countryCode: "MX" },
+  { id: 4, name: "Barcelona", countryCode: "ES" },
+  { id: 5, name: "Naples", countryCode: "IT" },
+];
+
+const DESTINATIONS = [
+  { id: 1, name: "Caribbean", portIds: [1, 2, 3] },
+  { id: 2, name: "Mediterranean", portIds: [4, 5] },
+];
+
+// languageid -> tag put in front of translated text; other IDs get "[lang<id>]"
+const LANGUAGE_TAGS = { 2: "es", 3: "fr", 4: "de" };
+
+const SAILING_NIGHTS = [3, 4, 5, 7];
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+
+/**
+ * Creates a mock Ody server (not yet listening).
+ * @param {object} [options]
+ * @param {number} [options.ships=25] - Number of synthetic ships to generate
+ * @param {string} [options.fromOutput] - Serve master.jsonl/ships.jsonl from this output directory instead
+ * @param {number} [options.seed=1] - Seed for fault injection
+ * @param {object} [options.faults] - Fault settings (see DEFAULT_FAULTS)
+ * @param {boolean} [options.requireSession=false] - Answer 401 to API requests without a cookie issued by /swift/cruise
+ * @param {boolean} [options.quiet=false] - Don't log requests
+ * @returns {{server: http.Server, dataset: object, state: object}} Server, served data and mutable state
+ */
+function createMockServer(options = {}) {
+  const dataset = options.fromOutput
+    ? loadDatasetFromOutput(options.fromOutput)
+    : generateDataset(options.ships ?? 25);
+
+  const state = {
+    seed: options.seed ?? 1,
+    random: createRandom(options.seed ?? 1),
+    faults: { ...DEFAULT_FAULTS, ...options.faults },
+    stats: {},
+    sessions: new Set(),
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = matchRoute(req.method, url.pathname, dataset);
+    count(state, route.name);
+
+    if (!options.quiet) {
+      console.log(`${req.method} ${url.pathname}${url.search} -> ${route.name}`);
+    }
+
+    try {
+      await route.handle({ req, res, url, dataset, state, options });
+    } catch (error) {
+      console.error(`✗ Mock server error on ${req.url}: ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      } else {
+        res.destroy();
+      }
+    }
+  });
+
+  return { server, dataset, state };
+}
+
+/**
+ * Creates a mock server and starts listening.
+ * @param {object} [options] - See createMockServer, plus:
+ * @param {number} [options.port=0] - Port to listen on (0 = random free port)
+ * @param {string} [options.host="127.0.0.1"] - Interface to bind
+ * @returns {Promise<object>} Server handle with `baseUrl` and `close()`
+ */
+async function startMockServer(options = {}) {
+  const mock = createMockServer(options);
+  await new Promise((resolve, reject) => {
+    mock.server.once("error", reject);
+    mock.server.listen(options.port ?? 0, options.host ?? "127.0.0.1", resolve);
+  });
+
+  const { address, port } = mock.server.address();
+  return {
+    ...mock,
+    baseUrl: `http://${address}:${port}`,
+    close: () =>
+      new Promise((resolve) => {
+        mock.server.close(resolve);
+        mock.server.closeAllConnections();
+      }),
+  };
+}
+
+// ========================================
+// ROUTING
+// ========================================
+
+function matchRoute(method, pathname, dataset) {
+  if (method === "GET" && pathname === "/swift/cruise") {
+    return { name: "cookies", handle: handleCookiePage };
+  }
+  if (method === "GET" && pathname === "/nitroapi/v2/master/allswift") {
+    return { name: "master", handle: handleMaster };
+  }
+  if (method === "POST" && pathname === "/nitroapi/v2/cruise/search") {
+    return { name: "search", handle: handleSearch };
+  }
+  const details = pathname.match(/^\/nitroapi\/v2\/ship\/GetDetails\/(\d+)$/);
+  if (method === "GET" && details) {
+    return {
+      name: "shipDetails",
+      handle: (context) => handleShipDetails(context, Number(details[1])),
+    };
+  }
+  if (method === "GET" && dataset.images.has(pathname)) {
+    return { name: "image", handle: handleImage };
+  }
+  if (method === "GET" && pathname === "/__mock/stats") {
+    return { name: "control", handle: handleStats };
+  }
+  if (method === "POST" && pathname === "/__mock/faults") {
+    return { name: "control", handle: handleFaults };
+  }
+  if (method === "POST" && pathname === "/__mock/reset") {
+    return { name: "control", handle: handleReset };
+  }
+  return { name: "notFound", handle: ({ res }) => sendJson(res, 404, { error: "Not found" }) };
+}
+
+// ========================================
+// HANDLERS
+// ========================================
+
+function handleCookiePage({ res, state }) {
+  const token = `mock-${Date.now().toString(36)}-${state.sessions.size + 1}`;
+  state.sessions.add(token);
+
+  res.writeHead(200, {
+    "Content-Type": "text/html; charset=utf-8",
+    "Set-Cookie": [
+      `${SESSION_COOKIE_NAME}=${token}; Path=/; Max-Age=43200; HttpOnly`,
+      "ody_visitor=mock-visitor; Path=/; Max-Age=31536000",
+    ],
+  });
+  res.end("<!doctype html><html><head><title>Mock Ody</title></head><body>Cruise search</body></html>");
+}
+
+async function handleMaster(context) {
+  if (await injectApiFault(context)) return;
+
+  const body = JSON.stringify({ data: context.dataset.master });
+  sendBody(context.res, 200, "application/json", maybeMalform(context, body));
+}
+
+async function handleShipDetails(context, shipId) {
+  if (await injectApiFault(context)) return;
+
+  const details = context.dataset.details.get(shipId);
+  if (!details) {
+    sendJson(context.res, 404, { error: `Ship ${shipId} not found` });
+    return;
+  }
+
+  const localized = localizeDetails(details, context.req.headers.languageid);
+  const body = maybeMalform(context, JSON.stringify(localized));
+  sendBody(context.res, 200, "text/plain; charset=utf-8", xor(body));
+}
+
+/**
+ * Translates ship details for a languageid other than 1 (English) by tagging
+ * the text, e.g. "[es] Main Pool". To give the client something to report,
+ * every third ship has no long description in other languages and every
+ * fourth keeps its English short description.
+ * @param {object} details - Ship details payload ({data: {...}})
+ * @param {string} [languageId="1"] - languageid request header
+ * @returns {object} Translated copy (the same object for English)
+ */
+function localizeDetails(details, languageId = "1") {
+  if (String(languageId) === "1" || !details?.data) {
+    return details;
+  }
+  const tag = `[${LANGUAGE_TAGS[languageId] ?? `lang${languageId}`}]`;
+  const { data } = details;
+  const contentInfo = { ...data.contentInfo };
+  if (data.id % 4 !== 0 && contentInfo.shortDescription) {
+    contentInfo.shortDescription = `${tag} ${contentInfo.shortDescription}`;
+  }
+  if (data.id % 3 === 0) {
+    delete contentInfo.longDescription;
+  } else if (contentInfo.longDescription) {
+    contentInfo.longDescription = `${tag} ${contentInfo.longDescription}`;
+  }
+
+  return {
+    ...details,
+    data: {
+      ...data,
+      ...(data.contentInfo && { contentInfo }),
+      ...(data.amenities && {
+        amenities: data.amenities.map((amenity) => ({ ...amenity, name: `${tag} ${amenity.name}` })),
+      }),
+      ...(data.images && {
+        images: data.images.map((image) => ({
+          ...image,
+          ...(image.caption && { caption: `${tag} ${image.caption}` }),
+        })),
+      }),
+    },
+  };
+}
+
+async function handleSearch(context) {
+  if (await injectApiFault(context)) return;
+
+  const { filters = [] } = JSON.parse((await readBody(context.req)) || "{}");
+  const matches = context.dataset.sailings.filter((sailing) => matchesFilters(sailing, filters));
+  const pageNumber = Math.max(1, Number(context.url.searchParams.get("pageNumber")) || 1);
+  const pageSize =
+    Math.max(1, Number(context.url.searchParams.get("pageSize")) || DEFAULT_SEARCH_PAGE_SIZE);
+
+  const body = JSON.stringify({
+    data: {
+      sailings: matches.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      totalCount: matches.length,
+      pageNumber,
+      pageSize,
+    },
+  });
+  sendBody(context.res, 200, "application/json", maybeMalform(context, body));
+}
+
+// Supports the filters sent by libs/sailings.js; unknown keys match everything
+function matchesFilters(sailing, filters) {
+  return filters.every(({ key, value }) => {
+    const values = [].concat(value).map(String);
+    switch (key) {
+      case "shipId":
+      case "cruiselineId":
+      case "destinationId":
+        return values.includes(String(sailing[key]));
+      case "departureDateFrom":
+        return sailing.departureDate.slice(0, 10) >= String(value);
+      case "departureDateTo":
+        return sailing.departureDate.slice(0, 10) <= String(value);
+      default:
+        return true;
+    }
+  });
+}
+
+async function handleImage({ res, url, dataset, state }) {
+  await maybeDelay(state);
+
+  const image = dataset.images.get(url.pathname);
+  const bytes = renderImage(image);
+
+  if (roll(state, state.faults.truncatedImageRate, "truncatedImage")) {
+    // Announce the full size, send half of it, then drop the connection
+    res.writeHead(200, {
+      "Content-Type": "image/png",
+      "Content-Length": bytes.length,
+    });
+    res.write(bytes.subarray(0, Math.floor(bytes.length / 2)), () => res.destroy());
+    return;
+  }
+
+  sendBody(res, 200, "image/png", bytes);
+}
+
+function handleStats({ res, state }) {
+  sendJson(res, 200, {
+    seed: state.seed,
+    faults: state.faults,
+    stats: state.stats,
+    sessions: state.sessions.size,
+  });
+}
+
+async function handleFaults({ req, res, state }) {
+  const update = JSON.parse((await readBody(req)) || "{}");
+  state.faults = { ...state.faults, ...update };
+  sendJson(res, 200, { faults: state.faults });
+}
+
+function handleReset({ res, state }) {
+  state.faults = { ...DEFAULT_FAULTS };
+  state.stats = {};
+  state.random = createRandom(state.seed);
+  sendJson(res, 200, { faults: state.faults });
+}
+
+// ========================================
+// FAULT INJECTION
+// ========================================
+
+/**
+ * Applies delay, session and error faults to an API request.
+ * @returns {Promise<boolean>} True if a fault response was sent
+ */
+async function injectApiFault({ req, res, state, options }) {
+  await maybeDelay(state);
+
+  if (options.requireSession && !hasValidSession(req, state)) {
+    count(state, "fault:missingSession");
+    sendJson(res, 401, { error: "Session expired" });
+    return true;
+  }
+  if (roll(state, state.faults.unauthorizedRate, "unauthorized")) {
+    sendJson(res, 401, { error: "Session expired" });
+    return true;
+  }
+  if (roll(state, state.faults.rateLimitRate, "rateLimit")) {
+    res.setHeader("Retry-After", String(state.faults.retryAfterSeconds));
+    sendJson(res, 429, { error: "Too many requests" });
+    return true;
+  }
+  if (roll(state, state.faults.serverErrorRate, "serverError")) {
+    sendJson(res, 503, { error: "Service unavailable" });
+    return true;
+  }
+  return false;
+}
+
+function maybeMalform(context, body) {
+  return roll(context.state, context.state.faults.malformedJsonRate, "malformedJson")
+    ? body.slice(0, Math.floor(body.length / 2))
+    : body;
+}
+
+async function maybeDelay(state) {
+  if (roll(state, state.faults.slowRate, "slow")) {
+    await new Promise((resolve) => setTimeout(resolve, state.faults.slowDelayMs));
+  }
+}
+
+function roll(state, rate, faultName) {
+  if (!(rate > 0) || state.random() >= rate) {
+    return false;
+  }
+  count(state, `fault:${faultName}`);
+  return true;
+}
+
+function hasValidSession(req, state) {
+  const cookieHeader = req.headers.cookie || "";
+  return cookieHeader
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .some(([name, value]) => name === SESSION_COOKIE_NAME && state.sessions.has(value));
+}
+
+function count(state, name) {
+  state.stats[name] = (state.stats[name] || 0) + 1;
+}
+
+/**
+ * Mulberry32 PRNG: tiny, fast and good enough for reproducible fault rolls.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ========================================
+// DATASET
+// ========================================
+
+/**
+ * Generates a deterministic synthetic dataset.
+ * @param {number} shipCount - Number of ships
+ * @returns {object} Dataset with master data, ship details by ID and images by path
+ */
+function generateDataset(shipCount) {
+  const images = new Map();
+  const details = new Map();
+  const ships = [];
+
+  // One logo per cruise line, shared by all its ships (same bytes, several paths)
+  const logoSpec = (line) => ({ width: 120, height: 60, color: colorFor(line.id * 7) });
+
+  for (let id = 1; id <= shipCount; id++) {
+    const line = CRUISE_LINES[(id - 1) % CRUISE_LINES.length];
+    const [firstParts, secondParts] = SHIP_NAME_PARTS;
+    const first = firstParts[id % firstParts.length];
+    const second = secondParts[Math.floor(id / firstParts.length) % secondParts.length];
+    const name = `${line.name.split(" ")[0]} ${first} ${second}`;
+    ships.push({ id, name, cruiselineId: line.id });
+
+    const shipImages = [];
+    const addImage = (imageType, fileName, spec) => {
+      const imagePath = `/images/ships/${id}/${fileName}`;
+      images.set(imagePath, spec);
+      shipImages.push({
+        id: id * 100 + shipImages.length + 1,
+        path: imagePath,
+        imageType,
+        caption: `${name} ${imageType.toLowerCase()}`,
+      });
+    };
+
+    const galleryCount = 3 + (id % 3);
+    for (let n = 1; n <= galleryCount; n++) {
+      addImage("Gallery", `gallery-${n}.png`, {
+        width: 320 + n * 40,
+        height: 240 + n * 20,
+        color: colorFor(id * 31 + n),
+      });
+    }
+    addImage("DeckPlan", "deck-plan.png", { width: 200, height: 400, color: colorFor(id * 13) });
+    addImage("Logo", "logo.png", logoSpec(line));
+
+    details.set(id, {
+      data: {
+        id,
+        name,
+        cruiseLineId: line.id,
+        cruiseLineName: line.name,
+        shipClass: `${first} Class`,
+        tonnage: 70000 + id * 3500,
+        passengerCapacity: 2000 + id * 60,
+        crewCapacity: 900 + id * 20,
+        yearBuilt: 1995 + (id % 28),
+        yearRefurbished: id % 2 === 0 ? 2015 + (id % 9) : null,
+        decks: 10 + (id % 9),
+        length: 850 + id * 4,
+        contentInfo: {
+          shortDescription: `${name} sails with ${line.name}.`,
+          longDescription:
+            `${name} is a ${line.name} ship offering ${AMENITIES.length} signature ` +
+            `experiences, from the main pool to the theater.`,
+        },
+        amenities: AMENITIES.filter((_, index) => (index + id) % 3 !== 0).map(
+          (amenity, index) => ({ id: index + 1, ...amenity })
+        ),
+        images: shipImages,
+      },
+    });
+  }
+
+  const master = {
+    ship: ships,
+    cruiseline: CRUISE_LINES,
+    destination: DESTINATIONS,
+    port: PORTS,
+  };
+  return { master, details, images, sailings: generateSailings(master) };
+}
+
+/**
+ * Generates a few sailings per ship, departing in the months after the
+ * first of the current month, with ports from the master destinations.
+ * @param {object} master - Master data (ship, destination and port lists)
+ * @returns {Array<object>} Raw search results
+ */
+function generateSailings(master) {
+  const destinations = (master.destination || []).filter((destination) => destination.portIds?.length);
+  if (destinations.length === 0) {
+    return [];
+  }
+  const now = new Date();
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const sailings = [];
+
+  for (const ship of master.ship || []) {
+    const count = 3 + (Number(ship.id) % 4);
+    for (let n = 1; n <= count; n++) {
+      const destination = destinations[(Number(ship.id) + n) % destinations.length];
+      const nights = SAILING_NIGHTS[(Number(ship.id) + n) % SAILING_NIGHTS.length];
+      const departure = new Date(start + (n * 21 + (Number(ship.id) % 7)) * dayMs);
+      const [homePortId, ...calls] = destination.portIds;
+
+      const ports = [{ day: 1, portId: homePortId, departureTime: "17:00" }];
+      for (let day = 2; day <= nights; day++) {
+        const portId = day % 2 === 0 ? calls[(day / 2 - 1) % Math.max(calls.length, 1)] : null;
+        ports.push(
+          portId == null
+            ? { day, portName: "At Sea" }
+            : { day, portId, arrivalTime: "08:00", departureTime: "17:00" }
+        );
+      }
+      ports.push({ day: nights + 1, portId: homePortId, arrivalTime: "07:00" });
+
+      sailings.push({
+        id: `${ship.id}-${departure.toISOString().slice(0, 10).replace(/-/g, "")}`,
+        shipId: ship.id,
+        cruiselineId: ship.cruiselineId,
+        name: `${nights} Night ${destination.name}`,
+        departureDate: `${departure.toISOString().slice(0, 10)}T00:00:00`,
+        nights,
+        destinationId: destination.id,
+        destinationName: destination.name,
+        ports,
+      });
+    }
+  }
+  return sailings;
+}
+
+/**
+ * Loads a dataset from an existing output directory, so the mock can serve
+ * real scraped data. Images are generated placeholders.
+ * @param {string} outputDir - Directory containing master.jsonl and ships.jsonl (or ships.jsonl.gz)
+ * @returns {object} Dataset (see generateDataset)
+ */
+function loadDatasetFromOutput(outputDir) {
+  const [masterRecord] = readJsonlFile(path.join(outputDir, "master.jsonl"));
+  const details = new Map();
+  const images = new Map();
+
+  for (const record of readJsonlFile(resolveJsonlPath(path.join(outputDir, "ships.jsonl")))) {
+    if (!record.data) continue;
+    details.set(Number(record.shipId), record.data);
+    for (const image of record.data?.data?.images || []) {
+      if (image.path) {
+        images.set(image.path, {
+          width: 320,
+          height: 240,
+          color: colorFor(images.size + 1),
+        });
+      }
+    }
+  }
+
+  return {
+    master: masterRecord.data,
+    details,
+    images,
+    sailings: generateSailings(masterRecord.data),
+  };
+}
+
+function colorFor(n) {
+  return [(n * 67) % 256, (n * 151) % 256, (n * 211) % 256];
+}
+
+// ========================================
+// ENCODING
+// ========================================
+
+function xor(text) {
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    out += String.fromCharCode(
+      text.charCodeAt(i) ^ ENCRYPTION_KEY.charCodeAt(i % ENCRYPTION_KEY.length)
+    );
+  }
+  return out;
+}
+
+const imageCache = new Map();
+
+/**
+ * Renders a solid-color PNG.
+ * @param {{width: number, height: number, color: Array<number>}} spec - Image spec
+ * @returns {Buffer} PNG bytes
+ */
+function renderImage({ width, height, color }) {
+  const key = `${width}x${height}:${color.join(",")}`;
+  if (imageCache.has(key)) {
+    return imageCache.get(key);
+  }
+
+  // Each scanline: filter byte 0 followed by RGB pixels
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) {
+    row.set(color, 1 + x * 3);
+  }
+  const raw = Buffer.concat(Array.from({ length: height }, () => row));
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+  imageCache.set(key, png);
+  return png;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ========================================
+// HTTP HELPERS
+// ========================================
+
+function sendBody(res, status, contentType, body) {
+  res.writeHead(status, {
+    "Content-Type": contentType,
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function sendJson(res, status, value) {
+  sendBody(res, status, "application/json", JSON.stringify(value));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+export { DEFAULT_FAULTS, createMockServer, startMockServer };
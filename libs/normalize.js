@@ -0,0 +1,358 @@
+/**
+ * ========================================
+ * SHIP NORMALIZATION
+ * ========================================
+ *
+ * Maps the raw GetDetails payload stored in ships.jsonl to the canonical
+ * ship model described by schemas/ship.schema.json, and validates the
+ * result against that schema.
+ *
+ * The Ody field names are not documented, so every canonical field is read
+ * from a list of candidate keys (the first one present wins) and numeric
+ * values published as text ("168,666 GT") are converted. Nothing is thrown
+ * away: raw fields without a mapping are kept under `extra`, and each
+ * normalized record lists the fields that were missing, unknown, unusable
+ * or rejected by the schema. The raw payload itself stays in ships.jsonl.
+ */
+
+import Ajv from "ajv";
+import fs from "fs";
+import { readRecordsByShipId, writeJsonlFile } from "./jsonl.js";
+import { CRUISE_LINE_ID_KEYS, getShipCruiseLineId } from "./selection.js";
+
+const SCHEMA_VERSION = 1;
+const SHIP_SCHEMA = JSON.parse(
+  fs.readFileSync(new URL("../schemas/ship.schema.json", import.meta.url), "utf-8")
+);
+
+// Candidate raw keys per canonical field, most likely first
+const FIELD_KEYS = {
+  id: ["id", "shipId", "shipID"],
+  name: ["name", "shipName", "title"],
+  cruiseLineName: ["cruiseLineName", "cruiselineName", "lineName"],
+  shipClass: ["shipClass", "shipClassName", "class"],
+  tonnage: ["tonnage", "grossTonnage", "gt"],
+  passengerCapacity: ["passengerCapacity", "passengers", "capacity", "guestCapacity"],
+  crewCapacity: ["crewCapacity", "crew", "crewCount"],
+  yearBuilt: ["yearBuilt", "builtYear", "inauguralYear", "launchYear"],
+  yearRefurbished: ["yearRefurbished", "refurbishedYear", "lastRefurbished"],
+  decks: ["decks", "deckCount", "numberOfDecks"],
+  length: ["length", "lengthFeet", "shipLength"],
+  shortDescription: ["shortDescription", "summary"],
+  longDescription: ["longDescription", "description"],
+  amenities: ["amenities", "facilities"],
+  images: ["images", "media"],
+};
+
+// Objects the descriptions may be nested in
+const CONTENT_KEYS = ["contentInfo", "content"];
+
+const KNOWN_KEYS = new Set([
+  ...Object.values(FIELD_KEYS).flat(),
+  ...CRUISE_LINE_ID_KEYS,
+  ...CONTENT_KEYS,
+]);
+
+let validator = null; // Compiled on first use, see validateShip()
+
+/**
+ * Normalizes a raw ship details payload.
+ *
+ * @param {object} payload - GetDetails payload ({data: {...}}), as stored in ships.jsonl
+ * @param {object} [options]
+ * @param {object|null} [options.masterData] - Master data, for cruise line names
+ * @returns {{ship: object, issues: {missingFields: Array<string>,
+ *   unknownFields: Array<string>, invalidFields: Array<string>}}}
+ *   Canonical ship and the fields that could not be mapped cleanly
+ * @throws {Error} If the payload has no data object
+ */
+function normalizeShip(payload, { masterData = null } = {}) {
+  const raw = payload?.data;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Ship details payload has no data object.");
+  }
+
+  const issues = { missingFields: [], unknownFields: [], invalidFields: [] };
+  const contentKey = CONTENT_KEYS.find((key) => isObject(raw[key]));
+  const content = contentKey ? raw[contentKey] : {};
+
+  // Reads a field, converts it and records why it ended up null
+  const read = (field, source, keys, convert, canonicalName = field) => {
+    const key = keys.find((candidate) => source[candidate] != null);
+    if (key === undefined) {
+      issues.missingFields.push(canonicalName);
+      return null;
+    }
+    const value = convert(source[key]);
+    if (value === null) {
+      issues.invalidFields.push(canonicalName);
+    }
+    return value;
+  };
+
+  const cruiseLineId = getShipCruiseLineId(raw);
+  const cruiseLine = {
+    id: cruiseLineId === undefined ? null : toInteger(cruiseLineId),
+    name:
+      toText(FIELD_KEYS.cruiseLineName.map((key) => raw[key]).find((value) => value != null)) ??
+      findCruiseLineName(masterData, cruiseLineId),
+  };
+  if (cruiseLineId === undefined) issues.missingFields.push("cruiseLine.id");
+  else if (cruiseLine.id === null) issues.invalidFields.push("cruiseLine.id");
+  if (cruiseLine.name === null) issues.missingFields.push("cruiseLine.name");
+
+  const ship = {
+    schemaVersion: SCHEMA_VERSION,
+    id: read("id", raw, FIELD_KEYS.id, toInteger),
+    name: read("name", raw, FIELD_KEYS.name, toText),
+    cruiseLine,
+    shipClass: read("shipClass", raw, FIELD_KEYS.shipClass, toText),
+    tonnage: read("tonnage", raw, FIELD_KEYS.tonnage, toNumber),
+    passengerCapacity: read("passengerCapacity", raw, FIELD_KEYS.passengerCapacity, toInteger),
+    crewCapacity: read("crewCapacity", raw, FIELD_KEYS.crewCapacity, toInteger),
+    yearBuilt: read("yearBuilt", raw, FIELD_KEYS.yearBuilt, toYear),
+    yearRefurbished: read("yearRefurbished", raw, FIELD_KEYS.yearRefurbished, toYear),
+    decks: read("decks", raw, FIELD_KEYS.decks, toInteger),
+    length: read("length", raw, FIELD_KEYS.length, toNumber),
+    descriptions: {
+      short: read("short", { ...raw, ...content }, FIELD_KEYS.shortDescription, toText, "descriptions.short"),
+      long: read("long", { ...raw, ...content }, FIELD_KEYS.longDescription, toText, "descriptions.long"),
+      ...(payload.localized && contentKey && {
+        translations: readDescriptionTranslations(payload.localized, contentKey),
+      }),
+    },
+    amenities: read("amenities", raw, FIELD_KEYS.amenities, toList) ?? [],
+    images: read("images", raw, FIELD_KEYS.images, toList) ?? [],
+    extra: {},
+  };
+  ship.amenities = ship.amenities.map(normalizeAmenity);
+  ship.images = ship.images.map(normalizeImage);
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (!KNOWN_KEYS.has(key)) {
+      issues.unknownFields.push(key);
+      ship.extra[key] = value;
+    }
+  }
+  for (const key of Object.keys(content)) {
+    if (!FIELD_KEYS.shortDescription.includes(key) && !FIELD_KEYS.longDescription.includes(key)) {
+      issues.unknownFields.push(`${contentKey}.${key}`);
+    }
+  }
+
+  return { ship, issues };
+}
+
+/**
+ * Reads the descriptions of every language of a multi-language payload
+ * (see libs/languages.js).
+ * @param {object} localized - `localized` of the payload: text by field path and locale
+ * @param {string} contentKey - Object the descriptions are nested in
+ * @returns {object} {locale: {short, long}}
+ */
+function readDescriptionTranslations(localized, contentKey) {
+  const translations = {};
+  const fields = [["short", FIELD_KEYS.shortDescription], ["long", FIELD_KEYS.longDescription]];
+  for (const [field, keys] of fields) {
+    const path = keys.map((key) => `${contentKey}.${key}`).find((candidate) => localized[candidate]);
+    for (const [locale, text] of Object.entries(localized[path] ?? {})) {
+      (translations[locale] ??= { short: null, long: null })[field] = toText(text);
+    }
+  }
+  return translations;
+}
+
+/**
+ * Validates a canonical ship against schemas/ship.schema.json.
+ * @param {object} ship - Canonical ship (see normalizeShip)
+ * @returns {Array<string>} Schema violations, e.g. "/yearBuilt must be <= 2100"; empty if valid
+ */
+function validateShip(ship) {
+  if (!validator) {
+    validator = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(SHIP_SCHEMA);
+  }
+  if (validator(ship)) {
+    return [];
+  }
+  return validator.errors.map(
+    (error) => `${error.instancePath || "/"} ${error.message}`
+  );
+}
+
+/**
+ * Normalizes and validates one line of ships.jsonl.
+ * @param {object} record - Ship record ({timestamp, source, shipId, data})
+ * @param {object|null} masterData - Master data, for cruise line names
+ * @returns {object} Normalized record: the raw envelope fields (including
+ *   `retiredAt` for retired ships and the storefront names of merged
+ *   multi-storefront records), the canonical ship as `data` and the
+ *   record's `issues`
+ */
+function normalizeRecord(record, masterData) {
+  const envelope = {
+    timestamp: record.timestamp,
+    source: record.source,
+    type: "ship",
+    schemaVersion: SCHEMA_VERSION,
+    shipId: record.shipId,
+    ...(record.retiredAt && { retiredAt: record.retiredAt }),
+    ...(record.storefronts && { storefronts: Object.keys(record.storefronts) }),
+  };
+
+  try {
+    const { ship, issues } = normalizeShip(record.data, { masterData });
+    return {
+      ...envelope,
+      data: ship,
+      issues: { ...issues, schemaErrors: validateShip(ship) },
+    };
+  } catch (error) {
+    return {
+      ...envelope,
+      data: null,
+      issues: {
+        missingFields: [],
+        unknownFields: [],
+        invalidFields: [],
+        schemaErrors: [error.message],
+      },
+    };
+  }
+}
+
+/**
+ * Normalizes ships.jsonl into a file of canonical ship records (one per
+ * ship; the latest record wins) and summarizes the issues found.
+ *
+ * @param {string} shipsFile - Path to ships.jsonl (or ships.jsonl.gz)
+ * @param {object|null} masterData - Master data, for cruise line names
+ * @param {string} outFile - Path of the normalized JSONL file to write;
+ *   gzipped if it ends in `.gz`
+ * @returns {Promise<object>} Report with the number of records, valid and invalid
+ *   ships, and per-field counts of missing, unknown and invalid fields and
+ *   schema errors
+ */
+async function normalizeShipsFile(shipsFile, masterData, outFile) {
+  const report = {
+    recordCount: 0,
+    validCount: 0,
+    invalidShipIds: [],
+    missingFields: {},
+    unknownFields: {},
+    invalidFields: {},
+    schemaErrors: {},
+  };
+
+  const normalizedRecords = [];
+  for (const record of (await readRecordsByShipId(shipsFile)).values()) {
+    const normalized = normalizeRecord(record, masterData);
+    normalizedRecords.push(normalized);
+
+    report.recordCount++;
+    const { issues } = normalized;
+    if (issues.schemaErrors.length === 0) {
+      report.validCount++;
+    } else {
+      report.invalidShipIds.push(String(record.shipId));
+    }
+    countInto(report.missingFields, issues.missingFields);
+    countInto(report.unknownFields, issues.unknownFields);
+    countInto(report.invalidFields, issues.invalidFields);
+    countInto(report.schemaErrors, issues.schemaErrors);
+  }
+
+  await writeJsonlFile(outFile, normalizedRecords);
+  return report;
+}
+
+function normalizeAmenity(amenity) {
+  if (!isObject(amenity)) {
+    return { id: null, name: toText(amenity), category: null };
+  }
+  return {
+    id: amenity.id ?? null,
+    name: toText(amenity.name ?? amenity.title),
+    category: toText(amenity.category ?? amenity.type),
+  };
+}
+
+function normalizeImage(image) {
+  if (!isObject(image)) {
+    return { id: null, path: toText(image), type: null, caption: null };
+  }
+  return {
+    id: image.id ?? null,
+    path: toText(image.path ?? image.url ?? image.imagePath),
+    type: toText(image.imageType ?? image.type),
+    caption: toText(image.caption ?? image.title ?? image.alt),
+  };
+}
+
+/**
+ * Looks up a cruise line name in the master data.
+ * @param {object|null} masterData - Master data with a `cruiseline` list
+ * @param {number|string|undefined} cruiseLineId - Cruise line ID
+ * @returns {string|null} Name, or null if unknown
+ */
+function findCruiseLineName(masterData, cruiseLineId) {
+  if (cruiseLineId === undefined) return null;
+  const line = (masterData?.cruiseline || []).find(
+    (entry) => String(entry.id) === String(cruiseLineId)
+  );
+  return toText(line?.name);
+}
+
+/**
+ * Converts a number or numeric text ("168,666 GT", "1,188 ft") to a number.
+ * @param {any} value - Raw value
+ * @returns {number|null} Number, or null if there is none
+ */
+function toNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== "string") return null;
+  const match = value.replace(/[,\s]/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+function toInteger(value) {
+  const number = toNumber(value);
+  return Number.isInteger(number) ? number : null;
+}
+
+// Years may come as dates ("2018-11-09") or text ("Built 2018")
+function toYear(value) {
+  const match = typeof value === "string" ? value.match(/\b(1[89]|2[01])\d{2}\b/) : null;
+  return match ? Number(match[0]) : toInteger(value);
+}
+
+function toText(value) {
+  if (typeof value === "number") return String(value);
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  return text === "" ? null : text;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : null;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function countInto(counts, keys) {
+  for (const key of keys) {
+    counts[key] = (counts[key] || 0) + 1;
+  }
+}
+
+export {
+  SCHEMA_VERSION,
+  SHIP_SCHEMA,
+  normalizeShip,
+  validateShip,
+  normalizeRecord,
+  normalizeShipsFile,
+};
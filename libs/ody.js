@@ -1,122 +1,727 @@
+/**
+ * ========================================
+ * ODY API CLIENT
+ * ========================================
+ *
+ * createOdyClient(config) returns a client with its own session cookies,
+ * transport, cassette and rate limiter. All settings come from the config
+ * object (see libs/config.js for the keys); nothing is read from
+ * process.env. Instead of logging, the client reports what happens through
+ * an EventEmitter:
+ *
+ * - retry          ({url, attempt, maxRetries, delayMs, error})
+ * - cookieRefresh  ({reason, status, url}) reason: "rejected", "session-rejected" or "forced"
+ * - session        ({status, error}) status: "valid", "unverified" or "replay"
+ * - warning        (message)
+ *
+ * The module-level getService, ensureSession, ... functions are kept for
+ * existing callers. They share one default client configured from .env
+ * that logs to the console.
+ */
+
+import EventEmitter from "events";
 import dotenv from "dotenv";
-dotenv.config({ path: "./.env" });
 import puppeteer from "puppeteer";
 import path from "path";
 import fs from "fs";
+import {
+  OdyError,
+  HttpError,
+  NetworkError,
+  DecryptionError,
+  ParseError,
+  CassetteMissError,
+} from "./errors.js";
+import { TRANSPORT_SCRAPERAPI, createTransport } from "./transport.js";
+import {
+  CASSETTE_OFF,
+  CASSETTE_RECORD,
+  CASSETTE_REPLAY,
+  createCassette,
+} from "./cassette.js";
+import { createRateLimiter, parseRetryAfter } from "./pool.js";
+import { loadConfig } from "./config.js";
+import { DEFAULT_LANGUAGE, getAcceptLanguage } from "./languages.js";
 
 const decryptKey = "KCQZBX";
 
-const cookiesFilePath = path.resolve(
+const DEFAULT_COOKIES_FILE = path.resolve(
   import.meta.dirname,
   "../.tmp/cookies.json"
 );
-const scrapeApiUrl = `${process.env.SCRAPEAPI_BASE_URL}/?api_key=${process.env.SCRAPEAPI_KEY}&keep_headers=true&url=`;
-const siteitemid = process.env.OD_SYSTEMID;
-let cookies = null;
-
-async function getService(url, method = "get", filters = [], decrypt = false) {
-  await getCookies();
-  const options = {
-    method: method,
-    headers: getHeaders(),
+// Master data: every site has it, whatever ships it sells
+const DEFAULT_SESSION_CHECK_PATH = "/nitroapi/v2/master/allswift?requestSource=1";
+const DEFAULT_COOKIE_MAX_AGE_MINUTES = 720;
+const DEFAULT_RETRY_SETTINGS = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+// Treat cookies as expired slightly early so in-flight requests don't race the expiry
+const COOKIE_EXPIRY_SAFETY_MARGIN_MS = 60000;
+
+// Number of characters of a failed response body kept on errors
+const ERROR_BODY_PREVIEW_LENGTH = 200;
+
+let defaultClient = null; // Created on first use, see getDefaultClient()
+
+/**
+ * Creates an Ody API client.
+ *
+ * @param {object} config - Client configuration
+ * @param {string} config.baseUrl - Ody site URL
+ * @param {string} [config.systemId] - Site item ID sent with every request
+ * @param {string} [config.storefront] - Storefront name; selects the default cookie file
+ * @param {object} [config.transport] - Transport settings (see libs/transport.js),
+ *   or a ready transport with a fetch function. Default mode: scraperapi
+ * @param {object} [config.cassette] - Cassette settings {mode, dir} (see libs/cassette.js)
+ * @param {object} [config.rateLimit] - Limits {perSecond, perMinute} shared by all requests
+ * @param {object} [config.retry] - {maxRetries, baseDelayMs, maxDelayMs}
+ * @param {object} [config.cookies] - {file, maxAgeMinutes}; file: null keeps cookies in memory only
+ * @param {string} [config.sessionCheckPath] - Plain JSON endpoint used by ensureSession
+ * @param {boolean} [config.headless=true] - Run the cookie browser without a window
+ * @param {EventEmitter} [events] - Emitter the client events are sent to
+ * @returns {object} Client with getService, ensureSession, getTransport,
+ *   getCassette, getRateLimiter and events
+ */
+function createOdyClient(config, events = new EventEmitter()) {
+  const { baseUrl, systemId } = config;
+  const retrySettings = { ...DEFAULT_RETRY_SETTINGS, ...config.retry };
+  const cookieSettings = {
+    // Each storefront keeps its own session: .tmp/cookies.<storefront>.json
+    file:
+      config.cookies?.file !== undefined
+        ? config.cookies.file
+        : config.storefront
+          ? DEFAULT_COOKIES_FILE.replace(/\.json$/, `.${config.storefront}.json`)
+          : DEFAULT_COOKIES_FILE,
+    // Refresh cookies older than this even if none of them carries an expiry
+    maxAgeMs: (config.cookies?.maxAgeMinutes ?? DEFAULT_COOKIE_MAX_AGE_MINUTES) * 60000,
   };
-  if (filters.length > 0) {
-    options.body = JSON.stringify({
-      filters: filters,
-    });
+  const sessionCheckPath = config.sessionCheckPath || DEFAULT_SESSION_CHECK_PATH;
+  const headless = config.headless ?? true;
+
+  let transport = null; // Created on first use, see getTransport()
+  let cassette; // Created on first use, see getCassette()
+  let rateLimiter = null; // Created on first use, see getRateLimiter()
+  let cookies = null;
+  let cookiesObtainedAt = null;
+  let cookieGeneration = 0; // Incremented on every refresh
+  let cookieRefreshInFlight = null; // Shared by concurrent callers
+
+  /**
+   * Requests an Ody API endpoint.
+   *
+   * 429, 5xx, network failures and truncated bodies are retried with
+   * exponential backoff and jitter (honoring Retry-After). A 401/403 refreshes
+   * the session cookies once and repeats the original request unchanged.
+   * Every attempt waits for a slot from the client's rate limiter, and a 429
+   * or Retry-After pauses that limiter for all concurrent callers.
+   *
+   * @param {string} url - Full Ody API URL
+   * @param {string} [method="get"] - HTTP method
+   * @param {Array<object>} [filters=[]] - Filters sent as a JSON POST body
+   * @param {boolean} [decrypt=false] - Whether the body is XOR-encrypted
+   * @param {object} [retryOptions] - Overrides for the client's retry settings
+   * @param {number} [retryOptions.maxRetries] - Retries after the first attempt
+   * @param {number} [retryOptions.baseDelayMs] - Delay before the first retry
+   * @param {number} [retryOptions.maxDelayMs] - Upper bound for a single delay
+   * @param {object} [requestOptions]
+   * @param {{id: string, locale: string}} [requestOptions.language] - Language to
+   *   request the content in (see libs/languages.js), default English
+   * @returns {Promise<any>} Decrypted payload, or the `data` field of a plain JSON response
+   * @throws {HttpError|NetworkError|DecryptionError|ParseError}
+   */
+  async function getService(
+    url,
+    method = "get",
+    filters = [],
+    decrypt = false,
+    retryOptions = {},
+    { language = DEFAULT_LANGUAGE } = {}
+  ) {
+    const settings = { ...retrySettings, ...retryOptions };
+    // Replayed responses need no session, and replay must never launch a browser
+    if (!isReplaying()) {
+      await getCookies();
+    }
+
+    let cookiesRefreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      const generation = cookieGeneration;
+      try {
+        if (!isReplaying()) {
+          await getRateLimiter().acquire();
+        }
+        return await requestOnce(url, method, filters, decrypt, language);
+      } catch (error) {
+        if (
+          error instanceof HttpError &&
+          error.isAuthError &&
+          !cookiesRefreshed &&
+          !isReplaying()
+        ) {
+          // Stale session: get fresh cookies and repeat the same request
+          cookiesRefreshed = true;
+          events.emit("cookieRefresh", { reason: "rejected", status: error.status, url });
+          await renewCookies(generation);
+          attempt--;
+          continue;
+        }
+
+        const delay = getRetryDelay(attempt, settings, error.retryAfterMs);
+        if (error.status === 429 || error.retryAfterMs != null) {
+          // The server is throttling all of us, not just this request
+          getRateLimiter().pause(delay);
+        }
+
+        if (!error.retryable || attempt >= settings.maxRetries) {
+          throw error;
+        }
+
+        events.emit("retry", {
+          url,
+          attempt: attempt + 1,
+          maxRetries: settings.maxRetries,
+          delayMs: delay,
+          error,
+        });
+        await sleep(delay);
+      }
+    }
   }
-  try {
-    // Always use ScraperAPI
-    const fullUrl = `${scrapeApiUrl}${url}`;
-    const response = await fetch(`${fullUrl}`, options);
-    if (decrypt) {
-      const text = await response.text();
-      return JSON.parse(xor(text).replaceAll("\\\\", "/"));
+
+  /**
+   * Returns the client's transport, creating it on first use. In replay mode
+   * this is the cassette's replay transport.
+   * @returns {object} Transport (see libs/transport.js)
+   * @throws {Error} If the transport configuration is invalid
+   */
+  function getTransport() {
+    if (!transport) {
+      if (isReplaying()) {
+        transport = getCassette().toTransport();
+      } else if (typeof config.transport?.fetch === "function") {
+        transport = config.transport;
+      } else {
+        transport = createTransport({ mode: TRANSPORT_SCRAPERAPI, ...config.transport });
+      }
     }
-    const retval = await response.json();
+    return transport;
+  }
 
-    return retval.data;
-  } catch (e) {
-    if (e.code === 401) {
-      await refreshCookies();
-      await getService(url, filters);
+  /**
+   * Returns the client's cassette, creating it on first use.
+   * @returns {object|null} Cassette (see libs/cassette.js), or null when off
+   * @throws {Error} If the cassette configuration is invalid
+   */
+  function getCassette() {
+    if (cassette === undefined) {
+      cassette = createCassette({
+        mode: CASSETTE_OFF,
+        dir: path.resolve(process.cwd(), "cassettes"),
+        ...config.cassette,
+      });
+    }
+    return cassette;
+  }
+
+  /**
+   * Returns the rate limiter shared by all requests of this client.
+   * @returns {object} Rate limiter (see libs/pool.js)
+   */
+  function getRateLimiter() {
+    if (!rateLimiter) {
+      rateLimiter = createRateLimiter(config.rateLimit);
+    }
+    return rateLimiter;
+  }
+
+  /**
+   * Whether requests are answered from a cassette instead of the network.
+   * @returns {boolean}
+   */
+  function isReplaying() {
+    return getCassette()?.mode === CASSETTE_REPLAY;
+  }
+
+  /**
+   * Performs a single request and decodes the response.
+   * @param {string} url - Full Ody API URL
+   * @param {string} method - HTTP method
+   * @param {Array<object>} filters - Filters sent as a JSON POST body
+   * @param {boolean} decrypt - Whether the body is XOR-encrypted
+   * @param {{id: string, locale: string}} [language] - Content language, default English
+   * @returns {Promise<any>} Decoded payload
+   */
+  async function requestOnce(url, method, filters, decrypt, language = DEFAULT_LANGUAGE) {
+    const options = {
+      method: method,
+      headers: getHeaders(language),
+    };
+    if (filters.length > 0) {
+      options.body = JSON.stringify({
+        filters: filters,
+      });
+    }
+
+    let response;
+    let text;
+    try {
+      response = await getTransport().fetch(url, options);
+      text = await response.text();
+    } catch (e) {
+      if (e instanceof OdyError) {
+        throw e;
+      }
+      // Only report the target URL, transports may add credentials to theirs
+      throw new NetworkError(`Request failed for ${method.toUpperCase()} ${url}: ${e.message}`, {
+        url,
+        cause: e,
+      });
+    }
+
+    const activeCassette = getCassette();
+    let payload = null;
+    try {
+      payload = decodeResponse(url, method, response, text, decrypt);
+    } finally {
+      if (activeCassette?.mode === CASSETTE_RECORD) {
+        activeCassette.save(
+          url,
+          options,
+          {
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers),
+            body: text,
+          },
+          decrypt ? payload : null
+        );
+      }
+    }
+
+    if (decrypt && activeCassette?.mode === CASSETTE_REPLAY) {
+      // The replayed body went through xor() again: it must still match the recording
+      const { decrypted } = activeCassette.load(url, options);
+      if (decrypted !== null && JSON.stringify(decrypted) !== JSON.stringify(payload)) {
+        throw new DecryptionError(
+          `Decrypted payload for ${url} differs from the one recorded in ${activeCassette.fileFor(url, options)}`,
+          { url, body: text.slice(0, ERROR_BODY_PREVIEW_LENGTH) }
+        );
+      }
+    }
+
+    return decrypt ? payload : payload.data;
+  }
+
+  function getHeaders(language) {
+    return {
+      accept: "application/json, text/plain, */*",
+      "accept-language": getAcceptLanguage(language),
+      "cache-control": "no-cache",
+      "Content-Type": "application/json",
+      devicetype: "Desktop",
+      languageid: language.id,
+      pragma: "no-cache",
+      "sec-ch-ua":
+        '"Not)A;Brand";v="99", "Google Chrome";v="127", "Chromium";v="127"',
+      "sec-ch-ua-mobile": "?0",
+      "sec-ch-ua-platform": '"Linux"',
+      "sec-fetch-dest": "empty",
+      "sec-fetch-mode": "cors",
+      "sec-fetch-site": "same-origin",
+      siteitemid: systemId,
+      Uniquetid: getDesignData(),
+      cookie: cookiesToString(cookies),
+      Referer: `${baseUrl}/swift/cruise`,
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+    };
+  }
+
+  /**
+   * Makes sure valid session cookies are loaded, reading the cache file or
+   * refreshing through Puppeteer when the cache is missing or expired.
+   */
+  async function getCookies() {
+    if (cookies && !isCookieCacheExpired(cookies, cookiesObtainedAt)) {
+      return;
+    }
+
+    const cache = loadCookieCache();
+    if (cache && !isCookieCacheExpired(cache.cookies, cache.obtainedAt)) {
+      cookies = cache.cookies;
+      cookiesObtainedAt = cache.obtainedAt;
+      return;
+    }
+
+    await renewCookies();
+  }
+
+  /**
+   * Checks the session before a long run: loads (or refreshes) the cookies and
+   * requests the master data (or the configured sessionCheckPath), which
+   * doesn't depend on any ship existing. If the server rejects the session,
+   * the cookies are refreshed and the check is repeated once.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.forceRefresh=false] - Ignore the cache and get new cookies first
+   * @throws {HttpError} If the session is still rejected after a refresh
+   */
+  async function ensureSession({ forceRefresh = false } = {}) {
+    if (isReplaying()) {
+      events.emit("session", { status: "replay" });
+      return;
+    }
+
+    if (forceRefresh) {
+      events.emit("cookieRefresh", { reason: "forced" });
+      await renewCookies();
+    } else {
+      await getCookies();
+    }
+
+    const checkUrl = `${baseUrl}${sessionCheckPath}`;
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const generation = cookieGeneration;
+      try {
+        await getRateLimiter().acquire();
+        await requestOnce(checkUrl, "get", [], false);
+        events.emit("session", { status: "valid" });
+        return;
+      } catch (error) {
+        if (!(error instanceof HttpError && error.isAuthError)) {
+          // Not a session problem; let the regular retries deal with it
+          events.emit("session", { status: "unverified", error });
+          return;
+        }
+        if (attempt > 0) {
+          throw error;
+        }
+        events.emit("cookieRefresh", {
+          reason: "session-rejected",
+          status: error.status,
+          url: checkUrl,
+        });
+        await renewCookies(generation);
+      }
+    }
+  }
+
+  /**
+   * Refreshes the cookies and writes them to the cache. Concurrent callers
+   * share a single in-flight refresh, so only one browser is ever launched.
+   *
+   * @param {number} [staleGeneration] - Cookie generation the caller saw rejected;
+   *   if the cookies have been refreshed since, no new refresh is started
+   */
+  async function renewCookies(staleGeneration) {
+    if (staleGeneration !== undefined && staleGeneration !== cookieGeneration) {
+      return;
+    }
+    if (!cookieRefreshInFlight) {
+      cookieRefreshInFlight = (async () => {
+        try {
+          cookies = await refreshCookies();
+          cookiesObtainedAt = Date.now();
+          cookieGeneration++;
+          saveCookies();
+        } finally {
+          cookieRefreshInFlight = null;
+        }
+      })();
+    }
+    await cookieRefreshInFlight;
+  }
+
+  /**
+   * Reads the cookie cache file.
+   * @returns {{cookies: Array<object>, obtainedAt: number}|null} Cached cookies, or null if unusable
+   */
+  function loadCookieCache() {
+    const file = cookieSettings.file;
+    if (!file || !fs.existsSync(file)) {
+      return null;
+    }
+    try {
+      const cache = JSON.parse(fs.readFileSync(file));
+      if (Array.isArray(cache)) {
+        // Legacy cache without a timestamp: fall back to the file time
+        return {
+          cookies: cache,
+          obtainedAt: fs.statSync(file).mtimeMs,
+        };
+      }
+      return {
+        cookies: cache.cookies,
+        obtainedAt: Date.parse(cache.obtainedAt),
+      };
+    } catch (e) {
+      events.emit("warning", `Ignoring unreadable cookie cache: ${e.message}`);
+      return null;
+    }
+  }
+
+  function saveCookies() {
+    const file = cookieSettings.file;
+    if (!file) {
+      return;
+    }
+
+    // Ensure the cache directory exists
+    const cookiesDir = path.dirname(file);
+    if (!fs.existsSync(cookiesDir)) {
+      fs.mkdirSync(cookiesDir, { recursive: true });
+    }
+
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        obtainedAt: new Date(cookiesObtainedAt).toISOString(),
+        cookies,
+      })
+    );
+  }
+
+  /**
+   * Checks whether cookies have passed the maximum cache age or the earliest
+   * `expires` of any persistent cookie (session cookies use -1).
+   * @param {Array<object>} cookieList - Cookies as returned by Puppeteer
+   * @param {number} obtainedAt - Time the cookies were obtained (ms since epoch)
+   * @returns {boolean} True if the cookies should be refreshed
+   */
+  function isCookieCacheExpired(cookieList, obtainedAt) {
+    if (!Array.isArray(cookieList) || !Number.isFinite(obtainedAt)) {
+      return true;
+    }
+
+    const deadline = Date.now() + COOKIE_EXPIRY_SAFETY_MARGIN_MS;
+    if (obtainedAt + cookieSettings.maxAgeMs <= deadline) {
+      return true;
+    }
+    return cookieList.some(
+      (cookie) => cookie.expires > 0 && cookie.expires * 1000 <= deadline
+    );
+  }
+
+  /**
+   * Opens the site in Puppeteer and collects the session cookies.
+   * @returns {Promise<Array<object>>} Cookies as returned by Puppeteer
+   */
+  async function refreshCookies() {
+    // Route the browser through the same proxy as the API requests
+    const proxy = getTransport().proxyUrl ? new URL(getTransport().proxyUrl) : null;
+    const browser = await puppeteer.launch({
+      headless,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-blink-features=AutomationControlled',
+        ...(proxy ? [`--proxy-server=${proxy.protocol}//${proxy.host}`] : []),
+      ]
+    });
+    try {
+      const pages = await browser.pages();
+      const page = pages[0];
+
+      if (proxy?.username) {
+        await page.authenticate({
+          username: decodeURIComponent(proxy.username),
+          password: decodeURIComponent(proxy.password),
+        });
+      }
+
+      // Set user agent to avoid detection
+      await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+
+      await page.goto(`${baseUrl}/swift/cruise`, {
+        waitUntil: "domcontentloaded",
+        timeout: 60000,
+      });
+
+      // Wait a bit for any dynamic content
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      return await page.cookies();
+    } finally {
+      await browser.close();
     }
   }
-}
 
-function getHeaders() {
   return {
-    accept: "application/json, text/plain, */*",
-    "accept-language": "en-US,en;q=0.9,es;q=0.8",
-    "cache-control": "no-cache",
-    "Content-Type": "application/json",
-    devicetype: "Desktop",
-    languageid: "1",
-    pragma: "no-cache",
-    "sec-ch-ua":
-      '"Not)A;Brand";v="99", "Google Chrome";v="127", "Chromium";v="127"',
-    "sec-ch-ua-mobile": "?0",
-    "sec-ch-ua-platform": '"Linux"',
-    "sec-fetch-dest": "empty",
-    "sec-fetch-mode": "cors",
-    "sec-fetch-site": "same-origin",
-    siteitemid: siteitemid,
-    Uniquetid: getDesignData(),
-    cookie: cookiesToString(),
-    Referer: `${process.env.OD_BASE_URL}/swift/cruise`,
-    "Referrer-Policy": "strict-origin-when-cross-origin",
+    events,
+    getService,
+    ensureSession,
+    getTransport,
+    getCassette,
+    getRateLimiter,
   };
 }
 
-async function getCookies() {
-  if (fs.existsSync(cookiesFilePath)) {
-    cookies = JSON.parse(fs.readFileSync(cookiesFilePath));
-    return;
-  } else {
-    await refreshCookies();
+/**
+ * Turns a response into its payload, decrypting it if needed.
+ * @param {string} url - Ody URL that was requested
+ * @param {string} method - HTTP method used
+ * @param {Response} response - fetch response
+ * @param {string} text - Response body
+ * @param {boolean} decrypt - Whether the body is XOR-encrypted
+ * @returns {any} Decrypted payload, or the whole parsed body of a plain response
+ * @throws {HttpError|DecryptionError|ParseError}
+ */
+function decodeResponse(url, method, response, text, decrypt) {
+  if (!response.ok) {
+    throw new HttpError({
+      url,
+      method,
+      status: response.status,
+      statusText: response.statusText,
+      retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+      body: text.slice(0, ERROR_BODY_PREVIEW_LENGTH),
+    });
+  }
 
-    // Ensure .tmp directory exists
-    const cookiesDir = path.dirname(cookiesFilePath);
-    if (!fs.existsSync(cookiesDir)) {
-      fs.mkdirSync(cookiesDir, { recursive: true });
+  if (decrypt) {
+    const decrypted = xor(text);
+    if (!/^\s*[[{]/.test(decrypted)) {
+      throw new DecryptionError(
+        `Response for ${url} did not decrypt to JSON (body starts with ${JSON.stringify(text.slice(0, 20))})`,
+        { url, body: text.slice(0, ERROR_BODY_PREVIEW_LENGTH) }
+      );
     }
+    return parseJson(decrypted.replaceAll("\\\\", "/"), url);
+  }
 
-    fs.writeFileSync(cookiesFilePath, JSON.stringify(cookies));
+  // Plain responses wrap their result in `data`
+  const payload = parseJson(text, url);
+  if (payload === null || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new ParseError(`Response for ${url} is not a JSON object`, {
+      url,
+      body: text.slice(0, ERROR_BODY_PREVIEW_LENGTH),
+    });
   }
+  return payload;
 }
 
-async function refreshCookies() {
-  const browser = await puppeteer.launch({
-    headless: process.env.HIDE_PUPPETEER === "true",
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-blink-features=AutomationControlled'
-    ]
-  });
-  const pages = await browser.pages();
-  const page = pages[0];
+/**
+ * Parses a JSON response body.
+ * @param {string} text - Body to parse
+ * @param {string} url - Ody URL the body came from
+ * @returns {any} Parsed value
+ * @throws {ParseError} If the body is not valid JSON
+ */
+function parseJson(text, url) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ParseError(`Invalid JSON in response for ${url}: ${e.message}`, {
+      url,
+      body: text.slice(0, ERROR_BODY_PREVIEW_LENGTH),
+      cause: e,
+    });
+  }
+}
 
-  // Set user agent to avoid detection
-  await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+/**
+ * Computes the delay before the next retry: exponential backoff with jitter,
+ * never shorter than what the server asked for via Retry-After.
+ * @param {number} attempt - Zero-based number of the attempt that failed
+ * @param {object} settings - Retry settings
+ * @param {number|null|undefined} retryAfterMs - Server-requested delay
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, settings, retryAfterMs) {
+  const exponential = Math.min(
+    settings.maxDelayMs,
+    settings.baseDelayMs * 2 ** attempt
+  );
+  const withJitter = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.max(withJitter, retryAfterMs || 0);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  await page.goto(`${process.env.OD_BASE_URL}/swift/cruise`, {
-    waitUntil: "domcontentloaded",
-    timeout: 60000,
+/**
+ * Logs the events of an Ody client to the console, the way the scripts do.
+ * @param {EventEmitter} events - Client (or scraper) event emitter
+ */
+function logClientEvents(events) {
+  events.on("retry", ({ url, attempt, maxRetries, delayMs, error }) => {
+    console.warn(
+      `↻ Retry ${attempt}/${maxRetries} for ${url} ` +
+      `in ${(delayMs / 1000).toFixed(1)}s (${error.message})`
+    );
   });
+  events.on("cookieRefresh", ({ reason, status, url }) => {
+    if (reason === "forced") {
+      console.log("🍪 Forcing cookie refresh...");
+    } else if (reason === "session-rejected") {
+      console.warn(`🍪 Session rejected (HTTP ${status}), refreshing cookies...`);
+    } else {
+      console.warn(`🍪 HTTP ${status} for ${url}, refreshing cookies...`);
+    }
+  });
+  events.on("session", ({ status, error }) => {
+    if (status === "replay") {
+      console.log("🎞️  Replaying from cassette, skipping session check");
+    } else if (status === "valid") {
+      console.log("🍪 Session cookies are valid");
+    } else {
+      console.warn(`⚠️  Could not verify session: ${error.message}`);
+    }
+  });
+  events.on("warning", (message) => {
+    console.warn(`⚠️  ${message}`);
+  });
+}
 
-  // Wait a bit for any dynamic content
-  await new Promise(resolve => setTimeout(resolve, 2000));
+/**
+ * Returns the client behind the module-level functions below, configured
+ * from .env and logging to the console.
+ * @returns {object} Ody client
+ */
+function getDefaultClient() {
+  if (!defaultClient) {
+    dotenv.config({ path: "./.env" });
+    const events = new EventEmitter();
+    logClientEvents(events);
+    defaultClient = createOdyClient(loadConfig(), events);
+  }
+  return defaultClient;
+}
+
+/** getService of the default client (see createOdyClient). */
+function getService(...args) {
+  return getDefaultClient().getService(...args);
+}
+
+/** ensureSession of the default client (see createOdyClient). */
+function ensureSession(...args) {
+  return getDefaultClient().ensureSession(...args);
+}
+
+/** getTransport of the default client (see createOdyClient). */
+function getTransport() {
+  return getDefaultClient().getTransport();
+}
+
+/** getCassette of the default client (see createOdyClient). */
+function getCassette() {
+  return getDefaultClient().getCassette();
+}
 
-  cookies = await page.cookies();
-  browser.close();
+/** getRateLimiter of the default client (see createOdyClient). */
+function getRateLimiter() {
+  return getDefaultClient().getRateLimiter();
 }
 
-function cookiesToString() {
+function cookiesToString(cookies) {
   //delete cookies["Ody_Session_Token"];
   let retval = "";
   let separator = "";
-  for (const cookie of cookies) {
+  for (const cookie of cookies || []) {
     retval += `${separator}${cookie.name}=${cookie.value}`;
     separator = "; ";
   }
@@ -196,4 +801,18 @@ function xor(e) {
   return n.join("");
 }
 
-export { getService };
+export {
+  createOdyClient,
+  logClientEvents,
+  getService,
+  ensureSession,
+  getTransport,
+  getCassette,
+  getRateLimiter,
+  OdyError,
+  HttpError,
+  NetworkError,
+  DecryptionError,
+  ParseError,
+  CassetteMissError,
+};
@@ -0,0 +1,126 @@
+/**
+ * ========================================
+ * WORKER POOL & RATE LIMITER
+ * ========================================
+ *
+ * runPool keeps up to N tasks in flight and starts the next one as soon as
+ * any slot frees up, so one slow ship or image never stalls the others.
+ *
+ * createRateLimiter spaces out requests to stay under a requests-per-second
+ * and/or requests-per-minute ceiling, and can be paused for a while when the
+ * server answers 429 or sends Retry-After. Share one limiter between all
+ * workers to get a global ceiling.
+ */
+
+/**
+ * Creates a rate limiter. Without any limit, acquire() only honors pauses.
+ * @param {object} [limits]
+ * @param {number} [limits.perSecond] - Maximum requests per second
+ * @param {number} [limits.perMinute] - Maximum requests per minute
+ * @returns {{acquire: Function, pause: Function, describe: Function}} Rate limiter
+ */
+function createRateLimiter({ perSecond, perMinute } = {}) {
+  // Evenly spaced slots at the strictest of both ceilings
+  const intervalMs = Math.max(
+    perSecond > 0 ? 1000 / perSecond : 0,
+    perMinute > 0 ? 60000 / perMinute : 0
+  );
+  let nextSlotAt = 0;
+  let pausedUntil = 0;
+
+  return {
+    /**
+     * Waits until the next request may be sent and reserves that slot.
+     * @returns {Promise<void>}
+     */
+    async acquire() {
+      for (;;) {
+        const now = Date.now();
+        const readyAt = Math.max(nextSlotAt, pausedUntil);
+        if (readyAt <= now) {
+          nextSlotAt = now + intervalMs;
+          return;
+        }
+        // Re-check after waking up: a pause may have been extended meanwhile
+        await sleep(readyAt - now);
+      }
+    },
+
+    /**
+     * Stops handing out slots for a while (e.g. after a 429 or Retry-After).
+     * Overlapping pauses are merged, the longest one wins.
+     * @param {number} ms - Pause duration in milliseconds
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+
+    /**
+     * Describes the configured ceiling for logs.
+     * @returns {string} e.g. "2/s, 60/min" or "unlimited"
+     */
+    describe() {
+      const parts = [];
+      if (perSecond > 0) parts.push(`${perSecond}/s`);
+      if (perMinute > 0) parts.push(`${perMinute}/min`);
+      return parts.length > 0 ? parts.join(", ") : "unlimited";
+    },
+  };
+}
+
+/**
+ * Runs a worker over all items with a sliding window of `concurrency` tasks.
+ * If a worker throws, no new tasks are started and the first error is
+ * rethrown once the tasks already in flight have settled.
+ *
+ * @param {Array<any>} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Maximum tasks in flight
+ * @returns {Promise<Array<any>>} Worker results, in item order
+ */
+async function runPool(items, worker, { concurrency = 1 } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const runNext = async () => {
+    while (failure === null && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure ??= error;
+      }
+    }
+  };
+
+  const slots = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: slots }, runNext));
+
+  if (failure !== null) {
+    throw failure;
+  }
+  return results;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date).
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export { createRateLimiter, runPool, parseRetryAfter };
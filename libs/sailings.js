@@ -0,0 +1,314 @@
+/**
+ * ========================================
+ * SAILINGS
+ * ========================================
+ *
+ * Builds the requests for the Ody cruise search endpoint and maps its
+ * results to itineraries.
+ *
+ * The search is a POST with a `filters` array in the body (see getService
+ * in libs/ody.js); every filter is a `{key, value}` pair. A ship's sailings
+ * are requested with its ID, its cruise line and the departure date range
+ * as filters, plus any extra filters from the configuration, and paged with
+ * the `pageNumber` / `pageSize` query parameters until the reported total is
+ * reached or a page comes back short.
+ *
+ * Like the ship details, the search results are not documented: every
+ * itinerary field is read from a list of candidate keys (the first one
+ * present wins). Ports only given by ID are named from the master data.
+ * The raw result stays in sailings.jsonl next to the itinerary.
+ */
+
+import { getShipCruiseLineId } from "./selection.js";
+
+const DEFAULT_SAILINGS_API_PATH = "/nitroapi/v2/cruise/search";
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_MAX_PAGES = 100; // Per ship; stops a search that never reports its end
+const DEFAULT_MONTHS_AHEAD = 12; // Date range when no end date is configured
+
+// Filter keys sent to the search endpoint
+const SAILING_FILTER_KEYS = {
+  ship: "shipId",
+  cruiseline: "cruiselineId",
+  departureFrom: "departureDateFrom",
+  departureTo: "departureDateTo",
+};
+
+// Candidate keys of a search page
+const PAGE_KEYS = {
+  items: ["sailings", "results", "items", "cruises", "records"],
+  total: ["totalCount", "totalRecords", "total", "count"],
+};
+
+// Candidate raw keys per itinerary field, most likely first
+const FIELD_KEYS = {
+  sailingId: ["sailingId", "id", "cruiseId", "voyageId", "code"],
+  cruiselineId: ["cruiselineId", "cruiseLineId", "lineId"],
+  name: ["name", "title", "itineraryName", "cruiseName"],
+  departureDate: ["departureDate", "sailDate", "startDate", "embarkDate"],
+  returnDate: ["returnDate", "arrivalDate", "endDate", "disembarkDate"],
+  nights: ["nights", "duration", "durationNights", "noOfNights"],
+  destination: ["destination", "destinationName", "region"],
+  destinationId: ["destinationId", "regionId"],
+  departurePort: ["departurePort", "embarkPort", "fromPort"],
+  departurePortId: ["departurePortId", "embarkPortId", "fromPortId"],
+  arrivalPort: ["arrivalPort", "disembarkPort", "toPort"],
+  arrivalPortId: ["arrivalPortId", "disembarkPortId", "toPortId"],
+  // Only lists count: "itinerary" may also hold a name, "days" would be a duration
+  portsOfCall: ["portsOfCall", "itinerary", "ports", "itineraryDays"],
+};
+
+const PORT_OF_CALL_KEYS = {
+  day: ["day", "dayNumber", "dayNo"],
+  date: ["date", "portDate"],
+  portId: ["portId", "portID"],
+  port: ["port", "portName", "name"],
+  arrival: ["arrivalTime", "arrival", "arrive"],
+  departure: ["departureTime", "departure", "depart"],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const AT_SEA_PATTERN = /^(at|day at) sea$/i; // Named days without a port
+
+// ========================================
+// REQUESTS
+// ========================================
+
+/**
+ * Resolves the departure date range of a search.
+ * @param {object} [range]
+ * @param {string} [range.from] - First departure date (YYYY-MM-DD, default: today)
+ * @param {string} [range.to] - Last departure date (YYYY-MM-DD, default: 12 months after `from`)
+ * @param {Date} [now] - Today
+ * @returns {{from: string, to: string}} Date range
+ * @throws {Error} If a date is not YYYY-MM-DD or `to` is before `from`
+ */
+function resolveDateRange({ from, to } = {}, now = new Date()) {
+  const start = from ?? toDateString(now);
+  assertDate(start, "from");
+  let end = to;
+  if (end === undefined) {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + DEFAULT_MONTHS_AHEAD);
+    end = toDateString(date);
+  }
+  assertDate(end, "to");
+  if (end < start) {
+    throw new Error(`Sailing date range ends (${end}) before it starts (${start}).`);
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Builds the search filters for the sailings of one ship.
+ * @param {object} ship - Master ship entry ({id, cruiselineId, ...})
+ * @param {object} options
+ * @param {{from: string, to: string}} options.dateRange - Departure dates (see resolveDateRange)
+ * @param {number|string} [options.cruiselineId] - Cruise line of the ship
+ * @param {Array<object>} [options.filters=[]] - Extra `{key, value}` filters
+ * @returns {Array<object>} Filters for the POST body
+ */
+function buildSailingFilters(ship, { dateRange, cruiselineId, filters = [] }) {
+  return [
+    { key: SAILING_FILTER_KEYS.ship, value: ship.id },
+    ...(cruiselineId != null ? [{ key: SAILING_FILTER_KEYS.cruiseline, value: cruiselineId }] : []),
+    { key: SAILING_FILTER_KEYS.departureFrom, value: dateRange.from },
+    { key: SAILING_FILTER_KEYS.departureTo, value: dateRange.to },
+    ...filters,
+  ];
+}
+
+/**
+ * Parses extra search filters given as `key=value` items. Numeric values
+ * become numbers, and a key given more than once gets a list of values.
+ * Items that already are `{key, value}` filters are kept as they are.
+ * @param {Array<string|object>} [items] - e.g. ["destinationId=1", "destinationId=2", "minNights=7"]
+ * @returns {Array<object>} `{key, value}` filters
+ * @throws {Error} If an item has no key or no `=`
+ */
+function parseSailingFilters(items = []) {
+  const values = new Map();
+  const filters = [];
+  for (const item of items) {
+    if (typeof item !== "string") {
+      filters.push(item);
+      continue;
+    }
+    const index = item.indexOf("=");
+    const key = item.slice(0, index).trim();
+    if (index < 0 || !key) {
+      throw new Error(`Invalid sailing filter "${item}", expected key=value.`);
+    }
+    const raw = item.slice(index + 1).trim();
+    const value = raw !== "" && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    values.set(key, values.has(key) ? [].concat(values.get(key), value) : value);
+  }
+  return [...filters, ...[...values].map(([key, value]) => ({ key, value }))];
+}
+
+/**
+ * Reads the results and the total count of a search page.
+ * @param {any} page - Payload of one search request
+ * @returns {{items: Array<object>, total: number|null}} Results, and the
+ *   total number of results if the page reports one
+ */
+function parseSailingsPage(page) {
+  if (Array.isArray(page)) {
+    return { items: page, total: null };
+  }
+  const itemsKey = PAGE_KEYS.items.find((key) => Array.isArray(page?.[key]));
+  const totalKey = PAGE_KEYS.total.find((key) => Number.isFinite(Number(page?.[key])));
+  return {
+    items: itemsKey ? page[itemsKey] : [],
+    total: totalKey ? Number(page[totalKey]) : null,
+  };
+}
+
+// ========================================
+// ITINERARIES
+// ========================================
+
+/**
+ * Maps a raw search result to an itinerary.
+ *
+ * @param {object} raw - One search result
+ * @param {object} options
+ * @param {object} options.ship - Master ship entry the search was made for
+ * @param {Map<string, object>} [options.portsById] - Master ports by ID, for port names
+ * @returns {object} Itinerary: sailingId, shipId, cruiselineId, name,
+ *   departureDate, returnDate, nights, destination, departurePort,
+ *   arrivalPort and portsOfCall ([{day, date, port, arrivalTime,
+ *   departureTime, atSea}], port null on days at sea); ports are `{id, name}`,
+ *   dates YYYY-MM-DD
+ */
+function normalizeSailing(raw, { ship, portsById = new Map() }) {
+  const pick = (keys, accept = (value) => value != null) => {
+    const key = keys.find((candidate) => accept(raw[candidate]));
+    return key === undefined ? null : raw[key];
+  };
+
+  const departureDate = toDate(pick(FIELD_KEYS.departureDate));
+  let returnDate = toDate(pick(FIELD_KEYS.returnDate));
+  let nights = toInteger(pick(FIELD_KEYS.nights));
+  if (nights === null && departureDate && returnDate) {
+    nights = Math.round((Date.parse(returnDate) - Date.parse(departureDate)) / DAY_MS);
+  }
+  if (returnDate === null && departureDate && nights !== null) {
+    returnDate = addDays(departureDate, nights);
+  }
+
+  const portsOfCall = (pick(FIELD_KEYS.portsOfCall, Array.isArray) || [])
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry, index) => normalizePortOfCall(entry, index, { departureDate, portsById }));
+
+  return {
+    sailingId: pick(FIELD_KEYS.sailingId),
+    shipId: ship.id,
+    cruiselineId: pick(FIELD_KEYS.cruiselineId) ?? getShipCruiseLineId(ship) ?? null,
+    name: pick(FIELD_KEYS.name),
+    departureDate,
+    returnDate,
+    nights,
+    destination: toReference(pick(FIELD_KEYS.destination), pick(FIELD_KEYS.destinationId)),
+    departurePort:
+      toPort(pick(FIELD_KEYS.departurePort), pick(FIELD_KEYS.departurePortId), portsById) ??
+      portsOfCall.find((call) => call.port)?.port ??
+      null,
+    arrivalPort:
+      toPort(pick(FIELD_KEYS.arrivalPort), pick(FIELD_KEYS.arrivalPortId), portsById) ??
+      portsOfCall.findLast((call) => call.port)?.port ??
+      null,
+    portsOfCall,
+  };
+}
+
+function normalizePortOfCall(entry, index, { departureDate, portsById }) {
+  const pick = (keys) => {
+    const key = keys.find((candidate) => entry[candidate] != null);
+    return key === undefined ? null : entry[key];
+  };
+  const day = toInteger(pick(PORT_OF_CALL_KEYS.day)) ?? index + 1;
+  const port = toPort(pick(PORT_OF_CALL_KEYS.port), pick(PORT_OF_CALL_KEYS.portId), portsById);
+  const atSea = port === null || (port.id == null && AT_SEA_PATTERN.test(port.name ?? ""));
+  return {
+    day,
+    date: toDate(pick(PORT_OF_CALL_KEYS.date)) ?? (departureDate ? addDays(departureDate, day - 1) : null),
+    port: atSea ? null : port,
+    arrivalTime: pick(PORT_OF_CALL_KEYS.arrival),
+    departureTime: pick(PORT_OF_CALL_KEYS.departure),
+    atSea,
+  };
+}
+
+/**
+ * Indexes the master ports by ID.
+ * @param {object|null} masterData - Master data with a `port` list
+ * @returns {Map<string, object>} Ports by ID (as string)
+ */
+function indexPorts(masterData) {
+  return new Map((masterData?.port || []).map((port) => [String(port.id), port]));
+}
+
+// A port given as object, name or ID -> {id, name}
+function toPort(value, id, portsById) {
+  const reference = toReference(value, id);
+  if (!reference) {
+    return null;
+  }
+  if (reference.id != null && reference.name == null) {
+    reference.name = portsById.get(String(reference.id))?.name ?? null;
+  }
+  return reference;
+}
+
+function toReference(value, id) {
+  if (value && typeof value === "object") {
+    return { id: value.id ?? id ?? null, name: value.name ?? null };
+  }
+  if (value == null && id == null) {
+    return null;
+  }
+  return { id: id ?? null, name: value == null ? null : String(value) };
+}
+
+// "2025-11-02T00:00:00" / "2025-11-02" -> "2025-11-02"
+function toDate(value) {
+  if (value == null) return null;
+  const text = String(value);
+  if (DATE_PATTERN.test(text.slice(0, 10))) return text.slice(0, 10);
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : toDateString(new Date(time));
+}
+
+function toInteger(value) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+function addDays(date, days) {
+  return toDateString(new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS));
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function assertDate(value, name) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new Error(`Invalid sailing date "${value}" (${name}), expected YYYY-MM-DD.`);
+  }
+}
+
+export {
+  DEFAULT_SAILINGS_API_PATH,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_MAX_PAGES,
+  SAILING_FILTER_KEYS,
+  resolveDateRange,
+  buildSailingFilters,
+  parseSailingFilters,
+  parseSailingsPage,
+  normalizeSailing,
+  indexPorts,
+};
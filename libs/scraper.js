@@ -0,0 +1,513 @@
+/**
+ * ========================================
+ * SCRAPER API
+ * ========================================
+ *
+ * Programmatic interface used by the scripts, the CLI and services that
+ * embed the scraper. Everything is configured through the object passed to
+ * createScraper (loadConfig() in libs/config.js builds one from .env);
+ * nothing is read from process.env, nothing is written to the console and
+ * the process is never exited. Failures reject the returned promises.
+ *
+ * The scraper is an EventEmitter. Besides the Ody client events (retry,
+ * cookieRefresh, session, warning; see libs/ody.js) it emits:
+ *
+ * - master        (masterData)                                  Master data fetched
+ * - ship          ({ship, data, processed, failed, total})      Ship details fetched and handled
+ * - shipError     ({ship, error, processed, failed, total})     Ship could not be fetched or handled
+ * - sailings      ({ship, sailings, processed, failed, total})  Sailings of a ship fetched and handled
+ * - sailingsError ({ship, error, processed, failed, total})     Sailings of a ship could not be fetched
+ * - mediaPlan     ({tasks, totalImages, alreadyDownloaded})     Images about to be downloaded
+ * - image         ({task, completed, failed, total})            Image downloaded
+ * - imageError    ({task, error, completed, failed, total})     Image download failed
+ * - progress      ({stage, done, total})                        After every ship ("ships", "sailings")
+ *                                                               or image ("media")
+ */
+
+import EventEmitter from "events";
+import fs from "fs";
+import path from "path";
+import { createOdyClient } from "./ody.js";
+import { TRANSPORT_DIRECT, createTransport } from "./transport.js";
+import { createRateLimiter, runPool } from "./pool.js";
+import { selectShips, getShipCruiseLineId } from "./selection.js";
+import {
+  DEFAULT_SAILINGS_API_PATH,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_MAX_PAGES,
+  resolveDateRange,
+  buildSailingFilters,
+  parseSailingFilters,
+  parseSailingsPage,
+  normalizeSailing,
+  indexPorts,
+} from "./sailings.js";
+import { planDownloads, downloadImage, createImageTypeFilter, linkFile } from "./media.js";
+import { parseLanguages, mergeLocalizedDetails } from "./languages.js";
+
+// API endpoints
+const MASTER_API_PATH = "/nitroapi/v2/master/allswift?requestSource=1";
+const SHIP_DETAILS_API_PATH = "/nitroapi/v2/ship/GetDetails";
+
+const DEFAULT_SHIP_CONCURRENCY = 5;
+const DEFAULT_MEDIA_CONCURRENCY = 10;
+const MEDIA_DIR_NAME = "media";
+
+/**
+ * Creates a scraper.
+ *
+ * @param {object} config - Configuration (see libs/config.js). Ody client
+ *   settings (baseUrl, systemId, transport, cassette, rateLimit, retry,
+ *   cookies, ...) are passed to createOdyClient, plus:
+ * @param {number} [config.shipThreads=5] - Parallel ship requests
+ * @param {number} [config.mediaThreads=10] - Parallel image downloads
+ * @param {object} [config.mediaTransport] - Transport settings for images (default: direct)
+ * @param {object} [config.mediaRateLimit] - {perSecond, perMinute} for images
+ * @param {string} [config.outputDir] - Media goes to <outputDir>/media unless a mediaDir is given
+ * @param {object} [config.sailings] - Cruise search settings: apiPath, pageSize,
+ *   maxPages, from, to and extra filters (see libs/sailings.js)
+ * @param {Array<string|object>} [config.languages] - Content languages, primary
+ *   first (see parseLanguages in libs/languages.js; default English only)
+ * @returns {EventEmitter} Scraper with fetchMasterData, fetchShipDetails,
+ *   fetchLocalizedShipDetails, scrapeShips, fetchSailings, scrapeSailings,
+ *   planMedia, downloadMedia, ensureSession, the Ody client and the parsed
+ *   languages
+ * @throws {Error} If baseUrl is missing or a language is invalid
+ */
+function createScraper(config) {
+  if (!config?.baseUrl) {
+    throw new Error("The scraper requires a baseUrl (OD_BASE_URL).");
+  }
+  const languages = parseLanguages(config.languages);
+
+  const scraper = new EventEmitter();
+  const client = createOdyClient(config, scraper);
+  let mediaTransport = null; // Created on first use, see getMediaTransport()
+  let mediaRateLimiter = null;
+
+  /**
+   * Fetches the master list of all ships, cruise lines, destinations and ports.
+   * @returns {Promise<object>} Master data
+   * @throws {Error} If the request fails or the list contains no ships
+   */
+  async function fetchMasterData() {
+    const masterData = await client.getService(`${config.baseUrl}${MASTER_API_PATH}`);
+
+    if (!masterData || !masterData.ship || masterData.ship.length === 0) {
+      throw new Error(
+        "No ships found in master data. The API response may be invalid or empty."
+      );
+    }
+
+    scraper.emit("master", masterData);
+    return masterData;
+  }
+
+  /**
+   * Fetches (and decrypts) the details of a single ship.
+   * @param {number|string} shipId - ID of the ship to fetch
+   * @param {object} [options]
+   * @param {{id: string, locale: string}} [options.language] - Content language
+   *   (default: the primary configured language)
+   * @returns {Promise<object>} Ship details payload ({data: {...}})
+   * @throws {Error} If the request fails or the response is empty
+   */
+  async function fetchShipDetails(shipId, { language = languages[0] } = {}) {
+    const url = `${config.baseUrl}${SHIP_DETAILS_API_PATH}/${shipId}?requestSource=1`;
+    // true = decrypt response
+    const details = await client.getService(url, "get", [], true, {}, { language });
+    if (details === null || details === undefined) {
+      throw new Error("Empty ship details response");
+    }
+    return details;
+  }
+
+  /**
+   * Fetches the details of a ship in every configured language, one after
+   * the other, and merges them (see mergeLocalizedDetails). With a single
+   * language this is fetchShipDetails.
+   * @param {number|string} shipId - ID of the ship to fetch
+   * @returns {Promise<object>} Payload of the primary language, plus `localized`
+   *   and `localizationIssues` when several languages are configured
+   * @throws {Error} If any of the requests fails
+   */
+  async function fetchLocalizedShipDetails(shipId) {
+    if (languages.length === 1) {
+      return await fetchShipDetails(shipId);
+    }
+    const payloads = [];
+    for (const language of languages) {
+      payloads.push([language, await fetchShipDetails(shipId, { language })]);
+    }
+    return mergeLocalizedDetails(payloads);
+  }
+
+  /**
+   * Fetches the details of many ships, in every configured language, with a
+   * sliding window of parallel ships. A failing ship does not stop the
+   * others: it is reported through onShipError / "shipError" and counted in
+   * the result.
+   *
+   * Without `ships`, the ships are selected from the master data; with only
+   * `ids`, they are requested directly without fetching the master data.
+   *
+   * @param {object} [options]
+   * @param {Array<object>} [options.ships] - Master ship entries ({id, ...}) to fetch
+   * @param {Array<number|string>} [options.ids] - Only these ship IDs
+   * @param {string} [options.cruiseline] - Only ships of this cruise line (ID or name)
+   * @param {number} [options.limit] - At most this many ships
+   * @param {number} [options.concurrency] - Parallel requests (default: config.shipThreads)
+   * @param {Function} [options.onShip] - async (ship, details) => void, called for every
+   *   fetched ship; if it throws, the ship counts as failed
+   * @param {Function} [options.onShipError] - async (ship, error) => void
+   * @returns {Promise<{total: number, processed: number, failed: number,
+   *   failures: Array<{shipId: number|string, error: Error}>, elapsedTime: number}>}
+   */
+  async function scrapeShips({
+    ships,
+    ids,
+    cruiseline,
+    limit,
+    concurrency = config.shipThreads ?? DEFAULT_SHIP_CONCURRENCY,
+    onShip,
+    onShipError,
+  } = {}) {
+    const selected = ships ?? (await resolveShips({ ids, cruiseline, limit }));
+    const total = selected.length;
+    const counters = { processed: 0, failed: 0 };
+    const failures = [];
+    const startTime = Date.now();
+
+    await runPool(
+      selected,
+      async (ship) => {
+        try {
+          const data = await fetchLocalizedShipDetails(ship.id);
+          await onShip?.(ship, data);
+          counters.processed++;
+          scraper.emit("ship", { ship, data, ...counters, total });
+        } catch (error) {
+          counters.failed++;
+          failures.push({ shipId: ship.id, error });
+          await onShipError?.(ship, error);
+          scraper.emit("shipError", { ship, error, ...counters, total });
+        }
+        scraper.emit("progress", {
+          stage: "ships",
+          done: counters.processed + counters.failed,
+          total,
+        });
+      },
+      { concurrency }
+    );
+
+    return { total, ...counters, failures, elapsedTime: Date.now() - startTime };
+  }
+
+  /**
+   * Fetches all sailings of one ship from the cruise search, page by page.
+   * Pages are requested until the reported total is reached, a page comes
+   * back short or `maxPages` pages have been read.
+   *
+   * @param {object} ship - Master ship entry ({id, cruiselineId, ...})
+   * @param {object} [options]
+   * @param {{from: string, to: string}} [options.dateRange] - Departure dates
+   *   (default: config.sailings from/to, see resolveDateRange)
+   * @param {Array<object|string>} [options.filters] - Extra `{key, value}` filters
+   *   or `key=value` items (default: config.sailings.filters)
+   * @param {number} [options.pageSize] - Results per page (default: config.sailings.pageSize or 50)
+   * @param {number} [options.maxPages] - Pages at most (default: config.sailings.maxPages or 100)
+   * @returns {Promise<{items: Array<object>, pages: number, total: number|null,
+   *   truncated: boolean}>} Raw search results, pages read, the total the
+   *   endpoint reported, and whether maxPages stopped the paging early
+   * @throws {Error} If a request fails
+   */
+  async function fetchSailings(ship, {
+    dateRange = resolveDateRange(config.sailings),
+    filters = config.sailings?.filters ?? [],
+    pageSize = config.sailings?.pageSize ?? DEFAULT_PAGE_SIZE,
+    maxPages = config.sailings?.maxPages ?? DEFAULT_MAX_PAGES,
+  } = {}) {
+    const apiPath = config.sailings?.apiPath ?? DEFAULT_SAILINGS_API_PATH;
+    const separator = apiPath.includes("?") ? "&" : "?";
+    const body = buildSailingFilters(ship, {
+      dateRange,
+      cruiselineId: getShipCruiseLineId(ship),
+      filters: parseSailingFilters(filters),
+    });
+
+    const items = [];
+    let total = null;
+    let pages = 0;
+    while (pages < maxPages) {
+      pages++;
+      const url =
+        `${config.baseUrl}${apiPath}${separator}requestSource=1&pageNumber=${pages}&pageSize=${pageSize}`;
+      const page = parseSailingsPage(await client.getService(url, "post", body));
+      items.push(...page.items);
+      total = page.total ?? total;
+      if (page.items.length < pageSize || (total !== null && items.length >= total)) {
+        return { items, pages, total, truncated: false };
+      }
+    }
+    return { items, pages, total, truncated: true };
+  }
+
+  /**
+   * Fetches the sailings of many ships with a sliding window of parallel
+   * searches, and maps them to itineraries (see normalizeSailing). A ship
+   * whose search fails is reported through onShipError / "sailingsError"
+   * and does not stop the others.
+   *
+   * @param {object} options
+   * @param {Array<object>} options.ships - Master ship entries to search sailings for
+   * @param {object} [options.masterData] - Master data, for port names
+   * @param {{from: string, to: string}} [options.dateRange] - Departure dates
+   *   (default: config.sailings from/to)
+   * @param {Array<object>} [options.filters] - Extra filters (see fetchSailings)
+   * @param {number} [options.concurrency] - Parallel searches (default: config.shipThreads)
+   * @param {Function} [options.onSailings] - async (ship, sailings) => void, with
+   *   sailings as [{itinerary, data}] (data = raw result); if it throws, the
+   *   ship counts as failed
+   * @param {Function} [options.onShipError] - async (ship, error) => void
+   * @returns {Promise<{total: number, processed: number, failed: number,
+   *   sailings: number, truncated: Array<number|string>,
+   *   failures: Array<{shipId: number|string, error: Error}>, elapsedTime: number}>}
+   *   `truncated` lists the ships with more pages than maxPages
+   * @throws {Error} If the date range or a filter is invalid
+   */
+  async function scrapeSailings({
+    ships,
+    masterData = null,
+    dateRange = resolveDateRange(config.sailings),
+    filters,
+    concurrency = config.shipThreads ?? DEFAULT_SHIP_CONCURRENCY,
+    onSailings,
+    onShipError,
+  }) {
+    const portsById = indexPorts(masterData);
+    const extraFilters = parseSailingFilters(filters ?? config.sailings?.filters); // Throws before any request
+    const total = ships.length;
+    const counters = { processed: 0, failed: 0 };
+    const failures = [];
+    const truncated = [];
+    let sailingCount = 0;
+    const startTime = Date.now();
+
+    await runPool(
+      ships,
+      async (ship) => {
+        try {
+          const result = await fetchSailings(ship, { dateRange, filters: extraFilters });
+          if (result.truncated) {
+            truncated.push(ship.id);
+          }
+          const sailings = dedupeSailings(
+            result.items.map((data) => ({ itinerary: normalizeSailing(data, { ship, portsById }), data }))
+          );
+          await onSailings?.(ship, sailings);
+          counters.processed++;
+          sailingCount += sailings.length;
+          scraper.emit("sailings", { ship, sailings, ...counters, total });
+        } catch (error) {
+          counters.failed++;
+          failures.push({ shipId: ship.id, error });
+          await onShipError?.(ship, error);
+          scraper.emit("sailingsError", { ship, error, ...counters, total });
+        }
+        scraper.emit("progress", {
+          stage: "sailings",
+          done: counters.processed + counters.failed,
+          total,
+        });
+      },
+      { concurrency }
+    );
+
+    return {
+      total,
+      ...counters,
+      sailings: sailingCount,
+      truncated,
+      failures,
+      elapsedTime: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Selects the ships to scrape when the caller passed none.
+   * @param {object} selection - Ship selection (see libs/selection.js)
+   * @returns {Promise<Array<object>>} Master ship entries
+   */
+  async function resolveShips({ ids, cruiseline, limit }) {
+    if (ids && ids.length > 0 && !cruiseline) {
+      return selectShips(ids.map((id) => ({ id })), null, { ids, limit });
+    }
+    const masterData = await fetchMasterData();
+    return selectShips(masterData.ship, masterData, { ids, cruiseline, limit });
+  }
+
+  /**
+   * Lists the images downloadMedia would fetch, without downloading anything.
+   * @param {object} options
+   * @param {Array<object>} options.ships - Ship records as stored in ships.jsonl ({shipId, data})
+   * @param {Function} [options.filter] - (image, ship) => boolean (default: the
+   *   config.media imageTypes / excludeImageTypes, gallery images if unset)
+   * @param {string} [options.mediaDir] - Target directory (default: <outputDir>/media)
+   * @param {string} [options.layout] - Path template below mediaDir (default:
+   *   config.media.layout, see createMediaLayout in libs/media.js)
+   * @param {boolean} [options.verify=false] - Check the images already on disk and
+   *   plan corrupt ones again
+   * @returns {{tasks: Array<object>, totalImages: number, alreadyDownloaded: number,
+   *   corrupt: number}}
+   */
+  function planMedia({
+    ships,
+    filter = createImageTypeFilter(config.media),
+    mediaDir = getDefaultMediaDir(),
+    layout = config.media?.layout,
+    verify = false,
+  }) {
+    return planDownloads(ships, { baseUrl: config.baseUrl, mediaDir, filter, layout, verify });
+  }
+
+  /**
+   * Downloads the images of the given ships with a sliding window of
+   * parallel downloads. Images already on disk are skipped (with `verify`,
+   * only if they pass the file check); failed images are reported and
+   * counted, they do not reject the promise. A corrupt image whose download
+   * fails again is deleted, so the next run retries it even without `verify`.
+   *
+   * @param {object} options
+   * @param {Array<object>} options.ships - Ship records as stored in ships.jsonl ({shipId, data})
+   * @param {Function} [options.filter] - (image, ship) => boolean (default: see planMedia)
+   * @param {string} [options.mediaDir] - Target directory (default: <outputDir>/media)
+   * @param {string} [options.layout] - Path template (default: see planMedia)
+   * @param {number} [options.concurrency] - Parallel downloads (default: config.mediaThreads)
+   * @param {boolean} [options.verify=false] - Re-download corrupt images already on disk
+   * @param {object} [options.plan] - Result of planMedia to download instead of
+   *   planning again (the images on disk are then not checked a second time);
+   *   ships, filter, mediaDir, layout and verify are ignored
+   * @returns {Promise<object>} Counts (totalImages, alreadyDownloaded, corrupt,
+   *   total, completed, failed), failures and elapsedTime
+   */
+  async function downloadMedia({
+    ships,
+    filter,
+    mediaDir,
+    layout,
+    concurrency = config.mediaThreads ?? DEFAULT_MEDIA_CONCURRENCY,
+    verify = false,
+    plan = planMedia({ ships, filter, mediaDir, layout, verify }),
+  }) {
+    scraper.emit("mediaPlan", plan);
+
+    const total = plan.tasks.length;
+    const counters = { completed: 0, failed: 0 };
+    const failures = [];
+    const startTime = Date.now();
+
+    await runPool(
+      plan.tasks,
+      async (task) => {
+        const result = await downloadImage(
+          task.url,
+          task.filepath,
+          getMediaTransport(),
+          getMediaRateLimiter()
+        );
+
+        if (result.success) {
+          // The same image URL on other ships: link instead of downloading again
+          for (const copy of task.copies || []) {
+            linkFile(task.filepath, copy);
+          }
+          counters.completed++;
+          scraper.emit("image", { task, ...counters, total });
+        } else {
+          if (task.corrupt) {
+            fs.rmSync(task.filepath, { force: true });
+          }
+          counters.failed++;
+          failures.push({ url: task.url, error: result.error });
+          scraper.emit("imageError", { task, error: result.error, ...counters, total });
+        }
+        scraper.emit("progress", {
+          stage: "media",
+          done: counters.completed + counters.failed,
+          total,
+        });
+      },
+      { concurrency }
+    );
+
+    return {
+      totalImages: plan.totalImages,
+      alreadyDownloaded: plan.alreadyDownloaded,
+      corrupt: plan.corrupt,
+      total,
+      ...counters,
+      failures,
+      elapsedTime: Date.now() - startTime,
+    };
+  }
+
+  // Results can move between pages while paging: keep the first of each sailing
+  function dedupeSailings(sailings) {
+    const seen = new Set();
+    return sailings.filter(({ itinerary }) => {
+      if (itinerary.sailingId == null) return true;
+      const key = String(itinerary.sailingId);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  function getDefaultMediaDir() {
+    if (!config.outputDir) {
+      throw new Error("Pass a mediaDir or configure an outputDir to download media.");
+    }
+    return path.join(config.outputDir, MEDIA_DIR_NAME);
+  }
+
+  /**
+   * Returns the transport used for images (direct unless configured otherwise).
+   * @returns {object} Transport (see libs/transport.js)
+   */
+  function getMediaTransport() {
+    if (!mediaTransport) {
+      mediaTransport = createTransport({ mode: TRANSPORT_DIRECT, ...config.mediaTransport });
+    }
+    return mediaTransport;
+  }
+
+  /**
+   * Returns the rate limiter shared by all image downloads.
+   * @returns {object} Rate limiter (see libs/pool.js)
+   */
+  function getMediaRateLimiter() {
+    if (!mediaRateLimiter) {
+      mediaRateLimiter = createRateLimiter(config.mediaRateLimit);
+    }
+    return mediaRateLimiter;
+  }
+
+  return Object.assign(scraper, {
+    client,
+    languages,
+    ensureSession: client.ensureSession,
+    fetchMasterData,
+    fetchShipDetails,
+    fetchLocalizedShipDetails,
+    scrapeShips,
+    fetchSailings,
+    scrapeSailings,
+    planMedia,
+    downloadMedia,
+    getMediaTransport,
+    getMediaRateLimiter,
+  });
+}
+
+export { createScraper, MASTER_API_PATH, SHIP_DETAILS_API_PATH };
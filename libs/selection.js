@@ -0,0 +1,135 @@
+/**
+ * ========================================
+ * SHIP SELECTION
+ * ========================================
+ *
+ * Narrows the master ship list down to specific ship IDs, a cruise line
+ * and/or a maximum count, e.g. for debugging runs.
+ */
+
+// Keys the cruise line reference may appear under in a master ship entry
+const CRUISE_LINE_ID_KEYS = ["cruiselineId", "cruiseLineId", "cruiseline_id", "lineId"];
+
+/**
+ * Returns the cruise line ID referenced by a master ship entry.
+ * @param {object} ship - Ship entry from masterData.ship
+ * @returns {number|string|undefined} Cruise line ID
+ */
+function getShipCruiseLineId(ship) {
+  for (const key of CRUISE_LINE_ID_KEYS) {
+    if (ship[key] !== undefined && ship[key] !== null) {
+      return ship[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolves a cruise line given by ID or (partial, case-insensitive) name.
+ * @param {object} masterData - Master data with a `cruiseline` list
+ * @param {string} cruiseline - Cruise line ID or name
+ * @returns {Set<string>} Matching cruise line IDs, as strings
+ * @throws {Error} If no cruise line matches
+ */
+function resolveCruiseLineIds(masterData, cruiseline) {
+  const needle = String(cruiseline).trim().toLowerCase();
+  const lines = masterData?.cruiseline || [];
+
+  const byId = lines.filter((line) => String(line.id) === needle);
+  const matches =
+    byId.length > 0
+      ? byId
+      : lines.filter((line) => String(line.name || "").toLowerCase().includes(needle));
+
+  if (matches.length === 0) {
+    throw new Error(`No cruise line matches "${cruiseline}".`);
+  }
+  return new Set(matches.map((line) => String(line.id)));
+}
+
+/**
+ * Selects ships from the master ship list.
+ * @param {Array<object>} ships - Ship entries from masterData.ship
+ * @param {object} masterData - Master data (for cruise line names)
+ * @param {object} [selection]
+ * @param {Array<number|string>} [selection.ids] - Only these ship IDs
+ * @param {string} [selection.cruiseline] - Only ships of this cruise line (ID or name)
+ * @param {number} [selection.limit] - At most this many ships
+ * @returns {Array<object>} Selected ships, in master order
+ * @throws {Error} If the cruise line does not exist
+ */
+function selectShips(ships, masterData, { ids, cruiseline, limit } = {}) {
+  let selected = ships;
+
+  if (ids && ids.length > 0) {
+    const wanted = new Set(ids.map(String));
+    selected = selected.filter((ship) => wanted.has(String(ship.id)));
+  }
+
+  if (cruiseline) {
+    const lineIds = resolveCruiseLineIds(masterData, cruiseline);
+    selected = selected.filter((ship) =>
+      lineIds.has(String(getShipCruiseLineId(ship)))
+    );
+  }
+
+  if (limit > 0) {
+    selected = selected.slice(0, limit);
+  }
+
+  return selected;
+}
+
+/**
+ * Selects ship records (lines of ships.jsonl) the same way selectShips
+ * selects master ship entries.
+ * @param {Array<object>} records - Ship records with a `shipId`
+ * @param {object|null} masterData - Master data, required to select by cruise line
+ * @param {object} [selection] - See selectShips
+ * @returns {Array<object>} Selected records, in file order
+ * @throws {Error} If selecting by cruise line without master data
+ */
+function selectShipRecords(records, masterData, { ids, cruiseline, limit } = {}) {
+  let selected = records;
+
+  if (cruiseline) {
+    if (!masterData) {
+      throw new Error("Selecting ships by cruise line requires master.jsonl.");
+    }
+    const allowed = new Set(
+      selectShips(masterData.ship, masterData, { cruiseline }).map((ship) =>
+        String(ship.id)
+      )
+    );
+    selected = selected.filter((record) => allowed.has(String(record.shipId)));
+  }
+
+  if (ids && ids.length > 0) {
+    const wanted = new Set(ids.map(String));
+    selected = selected.filter((record) => wanted.has(String(record.shipId)));
+  }
+
+  if (limit > 0) {
+    selected = selected.slice(0, limit);
+  }
+
+  return selected;
+}
+
+/**
+ * Whether a selection restricts the ship list at all.
+ * @param {object} [selection] - See selectShips
+ * @returns {boolean}
+ */
+function hasSelection({ ids, cruiseline, limit } = {}) {
+  return Boolean((ids && ids.length > 0) || cruiseline || limit > 0);
+}
+
+export {
+  CRUISE_LINE_ID_KEYS,
+  getShipCruiseLineId,
+  resolveCruiseLineIds,
+  selectShips,
+  selectShipRecords,
+  hasSelection,
+};
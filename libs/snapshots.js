@@ -0,0 +1,481 @@
+/**
+ * ========================================
+ * SNAPSHOT ARCHIVE
+ * ========================================
+ *
+ * Keeps the history of the output directory. The output directory stays the
+ * working copy that every command reads and writes; after a run it is
+ * archived as an immutable, timestamped snapshot:
+ *
+ *   output/snapshots/
+ *   ├── 2025-10-26T23-27-22-677Z/
+ *   │   ├── manifest.json         # Run, config, counts, failures, file hashes
+ *   │   ├── master.jsonl
+ *   │   ├── ships.jsonl           # or ships.jsonl.gz (OUTPUT_GZIP=true)
+ *   │   ├── ships.normalized.jsonl
+ *   │   ├── ships.checkpoint.json
+ *   │   ├── taxonomies/           # One file per master list
+ *   │   ├── storefronts/          # The same files per storefront (multi-storefront runs)
+ *   │   └── media.json            # Image path -> content hash
+ *   ├── latest -> 2025-10-26T23-27-22-677Z
+ *   └── media-store/              # Images by content hash, shared by all snapshots
+ *       ├── 3f/3fa1...e9.jpg
+ *       └── index.json            # Hash cache (path, size, mtime -> hash)
+ *
+ * Images are stored once per distinct content. Store objects are hard links
+ * to the downloaded files where the file system allows it, so archiving
+ * doesn't even duplicate them on disk; downloads replace files by rename,
+ * which leaves the stored content untouched.
+ *
+ * Old snapshots are pruned by count and age; store objects no snapshot
+ * refers to any more are deleted with them.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { readRecordsByShipId, readMasterData, resolveJsonlPath } from "./jsonl.js";
+import { isPartialDownload, toPosix } from "./media.js";
+import { STOREFRONTS_DIR_NAME } from "./storefronts.js";
+import { TAXONOMY_DIR_NAME } from "./taxonomy.js";
+
+const SNAPSHOTS_DIR_NAME = "snapshots";
+const MEDIA_STORE_DIR_NAME = "media-store";
+const MEDIA_DIR_NAME = "media";
+const LATEST_LINK_NAME = "latest";
+const MANIFEST_FILE_NAME = "manifest.json";
+const MEDIA_INDEX_FILE_NAME = "media.json";
+const HASH_CACHE_FILE_NAME = "index.json";
+const MANIFEST_VERSION = 1;
+
+const DEFAULT_KEEP = 10; // Snapshots to keep, 0 = all
+const DEFAULT_MAX_AGE_DAYS = 0; // Maximum snapshot age, 0 = no limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Files copied from the output directory into each snapshot, if present
+const ARCHIVED_FILES = [
+  "master.jsonl",
+  "ships.jsonl",
+  "ships.jsonl.gz",
+  "ships.normalized.jsonl",
+  "ships.checkpoint.json",
+  "media-manifest.jsonl",
+];
+
+// Directories copied from the output directory into each snapshot, with all their files
+const ARCHIVED_DIRS = [TAXONOMY_DIR_NAME];
+
+/**
+ * Archives the output directory as a new snapshot, points `latest` at it
+ * and prunes old snapshots.
+ *
+ * @param {string} outputDir - Output directory (working copy)
+ * @param {object} [options]
+ * @param {object} [options.run] - What produced the data: command, mode,
+ *   startedAt and result counts; stored as is
+ * @param {object} [options.config] - Run configuration (see libs/config.js);
+ *   credentials are left out of the manifest
+ * @param {number} [options.keep=10] - Snapshots to keep, 0 keeps all
+ * @param {number} [options.maxAgeDays=0] - Prune snapshots older than this, 0 never does
+ * @returns {Promise<{id: string, dir: string, manifest: object, pruned: Array<string>}>}
+ *   New snapshot and the IDs of the pruned ones
+ * @throws {Error} If there is no ships.jsonl to archive
+ */
+async function createSnapshot(
+  outputDir,
+  { run = {}, config = {}, keep = DEFAULT_KEEP, maxAgeDays = DEFAULT_MAX_AGE_DAYS } = {}
+) {
+  if (!fs.existsSync(resolveJsonlPath(path.join(outputDir, "ships.jsonl")))) {
+    throw new Error(`Nothing to archive: ships.jsonl not found in ${outputDir}`);
+  }
+
+  const root = path.join(outputDir, SNAPSHOTS_DIR_NAME);
+  const createdAt = new Date();
+  const id = uniqueSnapshotId(root, createdAt);
+  const dir = path.join(root, id);
+  // Written under a temporary name first, so a crash never leaves a half snapshot
+  removePartialSnapshots(root);
+  const tempDir = path.join(root, `.${id}.partial`);
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  const files = {};
+  for (const name of listArchivedFiles(outputDir)) {
+    const source = path.join(outputDir, name);
+    const target = path.join(tempDir, name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+    files[toPosix(name)] = { sha256: await hashFile(source), bytes: fs.statSync(source).size };
+  }
+
+  const media = await storeMedia(
+    path.join(outputDir, MEDIA_DIR_NAME),
+    path.join(root, MEDIA_STORE_DIR_NAME)
+  );
+  fs.writeFileSync(
+    path.join(tempDir, MEDIA_INDEX_FILE_NAME),
+    JSON.stringify(media.index, null, 2)
+  );
+
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    id,
+    createdAt: createdAt.toISOString(),
+    run,
+    config: describeConfig(config),
+    counts: await countRecords(outputDir),
+    failures: readFailures(path.join(outputDir, "ships.checkpoint.json")),
+    files,
+    media: {
+      index: MEDIA_INDEX_FILE_NAME,
+      files: Object.keys(media.index).length,
+      bytes: media.bytes,
+      newObjects: media.newObjects,
+    },
+  };
+  fs.writeFileSync(path.join(tempDir, MANIFEST_FILE_NAME), JSON.stringify(manifest, null, 2));
+
+  fs.renameSync(tempDir, dir);
+  updateLatestLink(root, id);
+  const pruned = pruneSnapshots(outputDir, { keep, maxAgeDays });
+
+  return { id, dir, manifest, pruned };
+}
+
+/**
+ * Lists the snapshots of an output directory, oldest first.
+ * @param {string} outputDir - Output directory
+ * @returns {Array<{id: string, dir: string, manifest: object|null}>} Snapshots;
+ *   `manifest` is null if it cannot be read
+ */
+function listSnapshots(outputDir) {
+  const root = path.join(outputDir, SNAPSHOTS_DIR_NAME);
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        !entry.name.startsWith(".") &&
+        fs.existsSync(path.join(root, entry.name, MANIFEST_FILE_NAME))
+    )
+    .map((entry) => {
+      const dir = path.join(root, entry.name);
+      let manifest = null;
+      try {
+        manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE_NAME), "utf-8"));
+      } catch {
+        // Listed without details; pruning still works by name
+      }
+      return { id: entry.name, dir, manifest };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Deletes old snapshots and the stored images no remaining snapshot uses.
+ * The newest snapshot is always kept.
+ *
+ * @param {string} outputDir - Output directory
+ * @param {object} [options]
+ * @param {number} [options.keep=10] - Snapshots to keep, 0 keeps all
+ * @param {number} [options.maxAgeDays=0] - Delete snapshots older than this, 0 never does
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Array<string>} IDs of the deleted snapshots
+ */
+function pruneSnapshots(
+  outputDir,
+  { keep = DEFAULT_KEEP, maxAgeDays = DEFAULT_MAX_AGE_DAYS, now = Date.now() } = {}
+) {
+  const snapshots = listSnapshots(outputDir);
+  const newestFirst = [...snapshots].reverse();
+  const pruned = [];
+
+  newestFirst.forEach((snapshot, index) => {
+    if (index === 0) return;
+    const createdAt = Date.parse(snapshot.manifest?.createdAt);
+    const tooMany = keep > 0 && index >= keep;
+    const tooOld = maxAgeDays > 0 && !Number.isNaN(createdAt) && now - createdAt > maxAgeDays * DAY_MS;
+    if (tooMany || tooOld) {
+      fs.rmSync(snapshot.dir, { recursive: true, force: true });
+      pruned.push(snapshot.id);
+    }
+  });
+
+  if (pruned.length > 0) {
+    collectMediaGarbage(outputDir);
+  }
+  return pruned;
+}
+
+/**
+ * Resolves a snapshot ID (or "latest") to its directory.
+ * @param {string} outputDir - Output directory
+ * @param {string} id - Snapshot ID or "latest"
+ * @returns {string|null} Snapshot directory, or null if there is none
+ */
+function resolveSnapshotDir(outputDir, id) {
+  const root = path.join(outputDir, SNAPSHOTS_DIR_NAME);
+  if (id === LATEST_LINK_NAME) {
+    const snapshots = listSnapshots(outputDir);
+    return snapshots.length > 0 ? snapshots[snapshots.length - 1].dir : null;
+  }
+  const dir = path.join(root, id);
+  return fs.existsSync(path.join(dir, MANIFEST_FILE_NAME)) ? dir : null;
+}
+
+// ========================================
+// MEDIA STORE
+// ========================================
+
+/**
+ * Adds the downloaded images to the content-addressed store. Downloads still
+ * in progress (`.partial` files) are left out.
+ * @param {string} mediaDir - Downloaded images (<shipId>/<filename>)
+ * @param {string} storeDir - Media store directory
+ * @returns {Promise<{index: object, bytes: number, newObjects: number}>} Image
+ *   path (relative to mediaDir) -> {sha256, bytes, object}, total size and
+ *   number of images not stored before
+ */
+async function storeMedia(mediaDir, storeDir) {
+  const result = { index: {}, bytes: 0, newObjects: 0 };
+  if (!fs.existsSync(mediaDir)) {
+    return result;
+  }
+
+  const cacheFile = path.join(storeDir, HASH_CACHE_FILE_NAME);
+  const cache = readJsonFile(cacheFile) || {};
+  const nextCache = {};
+
+  for (const relativePath of listFiles(mediaDir)) {
+    if (isPartialDownload(relativePath)) {
+      continue;
+    }
+    const file = path.join(mediaDir, relativePath);
+    const stat = fs.statSync(file);
+    const cached = cache[relativePath];
+    const sha256 =
+      cached && cached.bytes === stat.size && cached.mtimeMs === stat.mtimeMs
+        ? cached.sha256
+        : await hashFile(file);
+    nextCache[relativePath] = { sha256, bytes: stat.size, mtimeMs: stat.mtimeMs };
+
+    const object = path.join(sha256.slice(0, 2), sha256 + path.extname(file).toLowerCase());
+    const objectPath = path.join(storeDir, object);
+    if (!fs.existsSync(objectPath)) {
+      fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+      linkOrCopy(file, objectPath);
+      result.newObjects++;
+    }
+
+    result.index[toPosix(relativePath)] = { sha256, bytes: stat.size, object: toPosix(object) };
+    result.bytes += stat.size;
+  }
+
+  fs.mkdirSync(storeDir, { recursive: true });
+  fs.writeFileSync(cacheFile, JSON.stringify(nextCache));
+  return result;
+}
+
+/**
+ * Deletes store objects that no snapshot's media index refers to.
+ * @param {string} outputDir - Output directory
+ * @returns {number} Number of deleted objects
+ */
+function collectMediaGarbage(outputDir) {
+  const storeDir = path.join(outputDir, SNAPSHOTS_DIR_NAME, MEDIA_STORE_DIR_NAME);
+  if (!fs.existsSync(storeDir)) {
+    return 0;
+  }
+
+  const referenced = new Set();
+  for (const snapshot of listSnapshots(outputDir)) {
+    const index = readJsonFile(path.join(snapshot.dir, MEDIA_INDEX_FILE_NAME)) || {};
+    Object.values(index).forEach((entry) => referenced.add(entry.object));
+  }
+
+  let deleted = 0;
+  for (const object of listFiles(storeDir)) {
+    if (object === HASH_CACHE_FILE_NAME || referenced.has(toPosix(object))) continue;
+    fs.unlinkSync(path.join(storeDir, object));
+    deleted++;
+  }
+  return deleted;
+}
+
+// Hard link where possible (same file system), copy otherwise
+function linkOrCopy(source, target) {
+  try {
+    fs.linkSync(source, target);
+  } catch {
+    fs.copyFileSync(source, target);
+  }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Computes the SHA-256 hash of a file without loading it into memory.
+ * @param {string} file - File path
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(file) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * Counts what the output directory holds.
+ * @param {string} outputDir - Output directory
+ * @returns {object} Master ships and cruise lines, ship records, retired ships and images
+ */
+async function countRecords(outputDir) {
+  const masterData = readMasterData(path.join(outputDir, "master.jsonl"));
+  const shipsFile = resolveJsonlPath(path.join(outputDir, "ships.jsonl"));
+  const records = [...(await readRecordsByShipId(shipsFile)).values()];
+  return {
+    masterShips: masterData?.ship?.length ?? 0,
+    cruiseLines: masterData?.cruiseline?.length ?? 0,
+    shipRecords: records.length,
+    retiredShips: records.filter((record) => record.retiredAt).length,
+    images: records.reduce((sum, record) => sum + (record.data?.data?.images?.length ?? 0), 0),
+  };
+}
+
+/**
+ * Reads the failed ships from a checkpoint file.
+ * @param {string} checkpointFile - Path to ships.checkpoint.json
+ * @returns {Array<{shipId: string, error: string, attempts: number}>} Failures
+ */
+function readFailures(checkpointFile) {
+  const checkpoint = readJsonFile(checkpointFile);
+  return Object.entries(checkpoint?.failed || {}).map(([shipId, failure]) => ({
+    shipId,
+    error: failure.error,
+    attempts: failure.attempts,
+  }));
+}
+
+/**
+ * Picks the settings worth recording from the run configuration. API keys
+ * and proxy URLs (which may contain credentials) are never written.
+ * @param {object} config - Run configuration
+ * @returns {object} Manifest config
+ */
+function describeConfig(config) {
+  return {
+    baseUrl: config.baseUrl ?? null,
+    systemId: config.systemId ?? null,
+    storefronts: config.storefronts ?? null,
+    transport: config.transport?.mode ?? null,
+    mediaTransport: config.mediaTransport?.mode ?? null,
+    shipThreads: config.shipThreads ?? null,
+    mediaThreads: config.mediaThreads ?? null,
+    rateLimit: config.rateLimit ?? null,
+    mediaRateLimit: config.mediaRateLimit ?? null,
+    refresh: config.refresh ?? null,
+    selection: {
+      ids: config.ids ?? null,
+      cruiseline: config.cruiseline ?? null,
+      limit: config.limit ?? null,
+    },
+  };
+}
+
+// Points snapshots/latest at a snapshot; a failed link (e.g. no symlink
+// permission on Windows) is not fatal, resolveSnapshotDir() works without it
+function updateLatestLink(root, id) {
+  const link = path.join(root, LATEST_LINK_NAME);
+  const tempLink = `${link}.${process.pid}.partial`;
+  try {
+    fs.rmSync(tempLink, { force: true });
+    fs.symlinkSync(id, tempLink, "dir");
+    fs.renameSync(tempLink, link);
+  } catch {
+    fs.rmSync(tempLink, { force: true });
+  }
+}
+
+// Leftovers of archiving runs that crashed
+function removePartialSnapshots(root) {
+  if (!fs.existsSync(root)) return;
+  for (const name of fs.readdirSync(root)) {
+    if (name.startsWith(".") && name.endsWith(".partial")) {
+      fs.rmSync(path.join(root, name), { recursive: true, force: true });
+    }
+  }
+}
+
+// IDs sort chronologically and are valid file names on every platform
+function uniqueSnapshotId(root, date) {
+  const base = date.toISOString().replace(/[:.]/g, "-");
+  let id = base;
+  for (let i = 1; fs.existsSync(path.join(root, id)); i++) {
+    id = `${base}-${i}`;
+  }
+  return id;
+}
+
+// Relative paths of the files to archive (ARCHIVED_FILES and ARCHIVED_DIRS) that
+// exist, including those of each storefront directory of a multi-storefront run
+function listArchivedFiles(outputDir) {
+  const files = ARCHIVED_FILES.filter((name) => fs.existsSync(path.join(outputDir, name)));
+  for (const dir of ARCHIVED_DIRS) {
+    if (fs.existsSync(path.join(outputDir, dir))) {
+      files.push(...listFiles(outputDir, dir));
+    }
+  }
+
+  const storefrontsDir = path.join(outputDir, STOREFRONTS_DIR_NAME);
+  if (fs.existsSync(storefrontsDir)) {
+    for (const entry of fs.readdirSync(storefrontsDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        const storefrontDir = path.join(STOREFRONTS_DIR_NAME, entry.name);
+        files.push(
+          ...listArchivedFiles(path.join(outputDir, storefrontDir)).map((name) =>
+            path.join(storefrontDir, name)
+          )
+        );
+      }
+    }
+  }
+  return files;
+}
+
+// Relative paths of all files below a directory
+function listFiles(dir, prefix = "") {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const relativePath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(dir, relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+export {
+  SNAPSHOTS_DIR_NAME,
+  DEFAULT_KEEP,
+  DEFAULT_MAX_AGE_DAYS,
+  createSnapshot,
+  listSnapshots,
+  pruneSnapshots,
+  resolveSnapshotDir,
+};
@@ -0,0 +1,268 @@
+/**
+ * ========================================
+ * STOREFRONTS
+ * ========================================
+ *
+ * Ody powers several booking sites ("storefronts"), e.g. CruiseDirect and
+ * ui.odysol.com, each with its own base URL and site item ID. A
+ * multi-storefront run scrapes each of them into its own directory, with
+ * its own session cookies and thread count, and then reconciles them:
+ *
+ *   output/
+ *   ├── master.jsonl              # Merged master lists
+ *   ├── ships.jsonl               # One merged record per ship
+ *   └── storefronts/
+ *       ├── cruisedirect/         # master.jsonl, ships.jsonl, checkpoint, ...
+ *       └── odysol/
+ *
+ * A ship found on several storefronts (same ship ID) becomes one record.
+ * Each field of the ship comes from the first storefront, in configured
+ * order, that has a value for it, and `provenance` names that storefront
+ * for every field:
+ *
+ *   {"shipId":1,"storefronts":{"cruisedirect":{...},"odysol":{...}},
+ *    "provenance":{"name":"cruisedirect","images":"odysol",...},"data":{...}}
+ *
+ * Translations (`localized` and `localizationIssues`, see libs/languages.js)
+ * follow their field: "amenities[3].name" comes from the storefront the
+ * amenities came from.
+ */
+
+import path from "path";
+
+const STOREFRONTS_DIR_NAME = "storefronts";
+
+// Storefront names end up in directory, file and environment variable names
+const STOREFRONT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Returns the prefix of a storefront's environment variables.
+ * @param {string} name - Storefront name, e.g. "cruise-direct"
+ * @returns {string} e.g. "OD_STOREFRONT_CRUISE_DIRECT_"
+ */
+function storefrontEnvPrefix(name) {
+  return `OD_STOREFRONT_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+}
+
+/**
+ * Checks the configured storefronts and narrows them down to a selection.
+ * @param {Array<object>} storefronts - Storefronts {name, baseUrl, systemId, shipThreads}
+ *   (config.storefronts)
+ * @param {Array<string>} [names] - Only these storefronts (all when empty)
+ * @returns {Array<object>} Selected storefronts, in configured order
+ * @throws {Error} If a name is invalid or used twice, a base URL is missing,
+ *   or a selected name is not configured
+ */
+function resolveStorefronts(storefronts, names = []) {
+  const seen = new Set();
+  for (const { name, baseUrl } of storefronts) {
+    if (!STOREFRONT_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid storefront name "${name}": use letters, digits, "-" and "_" only.`
+      );
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`Storefront "${name}" is configured twice.`);
+    }
+    seen.add(name.toLowerCase());
+    if (!baseUrl) {
+      throw new Error(
+        `Storefront "${name}" has no base URL (${storefrontEnvPrefix(name)}BASE_URL).`
+      );
+    }
+  }
+
+  const wanted = names.map((name) => name.toLowerCase());
+  const unknown = wanted.filter((name) => !seen.has(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown storefront(s): ${unknown.join(", ")} ` +
+      `(configured: ${storefronts.map(({ name }) => name).join(", ")}).`
+    );
+  }
+  return wanted.length > 0
+    ? storefronts.filter(({ name }) => wanted.includes(name.toLowerCase()))
+    : storefronts;
+}
+
+/**
+ * Builds the run configuration of a single storefront: its base URL, site
+ * item ID and threads, its own output directory and session cookies.
+ * @param {object} config - Run configuration (see libs/config.js)
+ * @param {object} storefront - Storefront {name, baseUrl, systemId, shipThreads}
+ * @returns {object} Configuration for getShips / createScraper, with
+ *   `storefront` set to the storefront's name and without the storefront
+ *   list and selection
+ */
+function createStorefrontConfig(config, storefront) {
+  const { storefronts, storefrontNames, ...rest } = config;
+  return {
+    ...rest,
+    storefront: storefront.name,
+    baseUrl: storefront.baseUrl,
+    systemId: storefront.systemId,
+    shipThreads: storefront.shipThreads ?? config.shipThreads,
+    outputDir: path.join(config.outputDir, STOREFRONTS_DIR_NAME, storefront.name),
+  };
+}
+
+// ========================================
+// RECONCILIATION
+// ========================================
+
+/**
+ * Merges the master data of several storefronts: every list is the union of
+ * the storefronts' lists by entity ID, keeping the entity of the first
+ * storefront that has it. Other values come from the first storefront.
+ * @param {Array<[string, object]>} masterByStorefront - [storefront name, master data]
+ *   pairs, in priority order
+ * @returns {object} Merged master data
+ */
+function mergeMasterData(masterByStorefront) {
+  const merged = {};
+  for (const [, masterData] of masterByStorefront) {
+    for (const [key, value] of Object.entries(masterData || {})) {
+      if (!(key in merged)) {
+        merged[key] = Array.isArray(value) ? [...value] : value;
+      } else if (Array.isArray(merged[key]) && Array.isArray(value)) {
+        const ids = new Set(merged[key].map((entity) => String(entity?.id)));
+        merged[key].push(
+          ...value.filter((entity) => entity?.id == null || !ids.has(String(entity.id)))
+        );
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Reconciles the ship records of several storefronts into one record per
+ * ship ID. Each field of the ship (`data.data`) is taken from the first
+ * storefront with a non-empty value and named in `provenance`; `storefronts`
+ * lists where the ship was found, with that storefront's base URL (image
+ * paths are relative to it) and record timestamp. Translations come from the
+ * same storefront as their field. A ship is only retired
+ * once every storefront has retired it.
+ *
+ * @param {Array<[string, Map<string, object>]>} recordsByStorefront -
+ *   [storefront name, records by ship ID] pairs, in priority order
+ * @param {object} [baseUrls={}] - Base URL by storefront name
+ * @returns {Array<object>} Merged records, ordered by first appearance
+ */
+function mergeShipRecords(recordsByStorefront, baseUrls = {}) {
+  const sourcesById = new Map(); // ship ID -> [[storefront, record], ...]
+  for (const [storefront, records] of recordsByStorefront) {
+    for (const [id, record] of records) {
+      if (!record?.data) continue;
+      if (!sourcesById.has(id)) sourcesById.set(id, []);
+      sourcesById.get(id).push([storefront, record]);
+    }
+  }
+  return [...sourcesById.values()].map((sources) => mergeShipSources(sources, baseUrls));
+}
+
+/**
+ * Merges the records of one ship.
+ * @param {Array<[string, object]>} sources - [storefront name, record] pairs, in priority order
+ * @param {object} baseUrls - Base URL by storefront name
+ * @returns {object} Merged record
+ */
+function mergeShipSources(sources, baseUrls) {
+  const [[, first]] = sources;
+  const ship = {};
+  const provenance = {};
+  for (const [storefront, record] of sources) {
+    for (const [field, value] of Object.entries(record.data.data || {})) {
+      // An empty value (null, "", [], {}) only stays if no later storefront has one
+      if (!(field in provenance) || (isEmptyValue(ship[field]) && !isEmptyValue(value))) {
+        ship[field] = value;
+        provenance[field] = storefront;
+      }
+    }
+  }
+
+  const localizedSources = sources.filter(([, record]) => record.data.localized);
+  const translations = localizedSources.length > 0 && mergeTranslations(localizedSources, provenance);
+
+  const timestamps = sources.map(([, record]) => record.timestamp).filter(Boolean).sort();
+  const retired = sources.every(([, record]) => record.retiredAt);
+  const retiredAt = sources.map(([, record]) => record.retiredAt).sort().at(-1);
+
+  return {
+    timestamp: timestamps.at(-1) ?? first.timestamp,
+    source: first.source,
+    type: first.type,
+    shipId: first.shipId,
+    ...(retired && { retiredAt }),
+    storefronts: Object.fromEntries(
+      sources.map(([storefront, record]) => [
+        storefront,
+        {
+          ...(baseUrls[storefront] && { baseUrl: baseUrls[storefront] }),
+          timestamp: record.timestamp,
+          ...(record.retiredAt && { retiredAt: record.retiredAt }),
+        },
+      ])
+    ),
+    provenance,
+    data: { ...first.data, data: ship, ...translations },
+  };
+}
+
+/**
+ * Takes each field's translations and localization issues from the
+ * storefront its value came from.
+ * @param {Array<[string, object]>} sources - [storefront name, record] pairs
+ *   of the records that have translations
+ * @param {object} provenance - Storefront name by ship field
+ * @returns {object} {localized, localizationIssues}
+ */
+function mergeTranslations(sources, provenance) {
+  const localized = {};
+  const localizationIssues = {};
+  for (const [storefront, record] of sources) {
+    // "contentInfo.longDescription" and "amenities[3].name" belong to contentInfo and amenities
+    const isOwn = (fieldPath) => provenance[fieldPath.match(/^[^.[]*/)[0]] === storefront;
+
+    for (const [fieldPath, texts] of Object.entries(record.data.localized)) {
+      if (isOwn(fieldPath)) localized[fieldPath] = texts;
+    }
+    for (const [locale, issues] of Object.entries(record.data.localizationIssues || {})) {
+      const missing = issues.missing.filter(isOwn);
+      const fallback = issues.fallback.filter(isOwn);
+      if (missing.length === 0 && fallback.length === 0) continue;
+      const merged = (localizationIssues[locale] ??= { missing: [], fallback: [] });
+      merged.missing.push(...missing);
+      merged.fallback.push(...fallback);
+    }
+  }
+  return { localized, localizationIssues };
+}
+
+/**
+ * Returns the base URL the image paths of a ship record are relative to:
+ * for a merged record, the one of the storefront its images came from.
+ * @param {object} record - Ship record as stored in ships.jsonl
+ * @param {string} fallback - Base URL of single-storefront records
+ * @returns {string} Base URL
+ */
+function getImageBaseUrl(record, fallback) {
+  const storefront = record.provenance?.images;
+  return record.storefronts?.[storefront]?.baseUrl ?? fallback;
+}
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === "object" && Object.keys(value).length === 0;
+}
+
+export {
+  STOREFRONTS_DIR_NAME,
+  storefrontEnvPrefix,
+  resolveStorefronts,
+  createStorefrontConfig,
+  mergeMasterData,
+  mergeShipRecords,
+  getImageBaseUrl,
+};
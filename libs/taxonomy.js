@@ -0,0 +1,315 @@
+/**
+ * ========================================
+ * MASTER DATA TAXONOMIES
+ * ========================================
+ *
+ * Splits the master payload (GET /master/allswift) into one entity file per
+ * list it contains:
+ *
+ *   output/taxonomies/
+ *   ├── cruiseline.jsonl
+ *   ├── ship.jsonl
+ *   ├── destination.jsonl
+ *   └── port.jsonl
+ *
+ * Every list of objects in the payload is a taxonomy; lists the code has
+ * never heard of get their own file too. Each entity keeps its fields and
+ * gains:
+ *
+ * - resolved references: an ID field pointing into another taxonomy
+ *   (`cruiselineId`, `portIds`, `homePortId`, ...) is kept and the target is
+ *   added next to it as `{id, name}` (`cruiseline`, `ports`, `homePort`)
+ * - `referencedBy`: the IDs of the entities pointing at it, by taxonomy,
+ *   e.g. a cruise line's `referencedBy.ship`
+ *
+ * IDs that point at nothing are listed in the result's `unresolved`.
+ *
+ * The keys of the payload (top-level keys and the fields of each taxonomy)
+ * are also recorded in master-keys.json, so a run can warn when the endpoint
+ * starts returning keys it didn't return before.
+ */
+
+import fs from "fs";
+import path from "path";
+import { writeJsonlFile } from "./jsonl.js";
+
+const TAXONOMY_DIR_NAME = "taxonomies";
+const MASTER_KEYS_FILE_NAME = "master-keys.json";
+const MASTER_KEYS_VERSION = 1;
+
+// ID fields whose name doesn't end in the taxonomy's name
+const REFERENCE_ALIASES = { line: "cruiseline" };
+
+// "cruiselineId", "cruise_line_id", "portIds", "homePortIDs", ...
+const REFERENCE_FIELD_PATTERN = /^(.+?)[_-]?(id|ids)$/i;
+
+/**
+ * Splits master data into taxonomies and resolves the references between them.
+ *
+ * @param {object} masterData - Master payload (`data` of the master record)
+ * @returns {{taxonomies: object, references: Array<object>, unresolved: Array<object>}}
+ *   Entities by taxonomy name; the reference fields found
+ *   ({taxonomy, field, target, as, many}); and the IDs that point at nothing
+ *   ({taxonomy, id, field, value})
+ */
+function extractTaxonomies(masterData) {
+  const lists = Object.entries(masterData || {}).filter(([, value]) => isEntityList(value));
+  const names = lists.map(([name]) => name);
+  const byId = new Map(
+    lists.map(([name, entities]) => [
+      name,
+      new Map(entities.filter((entity) => entity.id != null).map((entity) => [String(entity.id), entity])),
+    ])
+  );
+
+  const references = [];
+  for (const [name, entities] of lists) {
+    const fields = new Set(entities.flatMap((entity) => Object.keys(entity)));
+    for (const field of fields) {
+      const reference = findReferenceTarget(field, names);
+      if (reference && field !== "id") {
+        references.push({ taxonomy: name, field, ...reference });
+      }
+    }
+  }
+
+  const taxonomies = Object.fromEntries(
+    lists.map(([name, entities]) => [name, entities.map((entity) => ({ ...entity }))])
+  );
+  const referencedBy = new Map(); // "taxonomy\nid" -> {source taxonomy: Set of IDs}
+  const unresolved = [];
+
+  for (const { taxonomy, field, target, as, many } of references) {
+    for (const entity of taxonomies[taxonomy]) {
+      const value = entity[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const ids = many ? (Array.isArray(value) ? value : [value]) : [value];
+      const resolved = ids.map((id) => {
+        const found = byId.get(target).get(String(id));
+        if (!found) {
+          unresolved.push({ taxonomy, id: entity.id ?? null, field, value: id });
+          return null;
+        }
+        if (entity.id != null) {
+          const key = `${target}\n${found.id}`;
+          if (!referencedBy.has(key)) referencedBy.set(key, {});
+          const sources = referencedBy.get(key);
+          (sources[taxonomy] ??= new Set()).add(entity.id);
+        }
+        return { id: found.id, name: describeName(found) };
+      });
+      entity[as] = many ? resolved.filter(Boolean) : resolved[0];
+    }
+  }
+
+  for (const [name, entities] of Object.entries(taxonomies)) {
+    for (const entity of entities) {
+      const sources = referencedBy.get(`${name}\n${entity.id}`);
+      if (sources) {
+        entity.referencedBy = Object.fromEntries(
+          Object.entries(sources).map(([source, ids]) => [source, [...ids]])
+        );
+      }
+    }
+  }
+
+  return {
+    taxonomies,
+    references: references.map(({ taxonomy, field, target, as, many }) => ({
+      taxonomy,
+      field,
+      target,
+      as,
+      many,
+    })),
+    unresolved,
+  };
+}
+
+/**
+ * Finds the taxonomy an ID field points into.
+ * @param {string} field - Field name, e.g. "cruiselineId" or "portIds"
+ * @param {Array<string>} names - Taxonomy names in the payload
+ * @returns {{target: string, as: string, many: boolean}|null} Target taxonomy,
+ *   the field the resolved entities are stored in, and whether the field
+ *   holds a list of IDs; null if the field is no reference
+ */
+function findReferenceTarget(field, names) {
+  const match = REFERENCE_FIELD_PATTERN.exec(field);
+  if (!match) {
+    return null;
+  }
+  const prefix = match[1];
+  const many = match[2].toLowerCase() === "ids";
+  const key = prefix.toLowerCase().replace(/[_-]/g, "");
+  const target =
+    names.find((name) => name.toLowerCase() === key) ??
+    names.find((name) => name.toLowerCase() === REFERENCE_ALIASES[key]) ??
+    names.find((name) => key.endsWith(name.toLowerCase()));
+  if (!target) {
+    return null;
+  }
+  const as = toCamelCase(prefix);
+  return { target, as: many ? pluralize(as) : as, many };
+}
+
+/**
+ * Writes one JSONL file per taxonomy (temp file + rename each) and removes
+ * the files of taxonomies no longer in the payload.
+ * @param {string} taxonomyDir - Directory for the files (output/taxonomies)
+ * @param {object} taxonomies - Entities by taxonomy name (see extractTaxonomies)
+ * @returns {Promise<object>} Entity count by file name
+ */
+async function writeTaxonomies(taxonomyDir, taxonomies) {
+  fs.mkdirSync(taxonomyDir, { recursive: true });
+  const counts = {};
+  for (const [name, entities] of Object.entries(taxonomies)) {
+    const fileName = `${toFileName(name)}.jsonl`;
+    counts[fileName] = await writeJsonlFile(path.join(taxonomyDir, fileName), entities);
+  }
+  for (const fileName of fs.readdirSync(taxonomyDir)) {
+    if (fileName.endsWith(".jsonl") && !(fileName in counts)) {
+      fs.rmSync(path.join(taxonomyDir, fileName));
+    }
+  }
+  return counts;
+}
+
+/**
+ * Writes the taxonomy files of a master payload to `<outputDir>/taxonomies`
+ * and compares its keys with the ones recorded in `<outputDir>/master-keys.json`.
+ * @param {string} outputDir - Output directory
+ * @param {object} masterData - Master payload
+ * @returns {Promise<{taxonomyDir: string, counts: object, unresolved: Array<object>,
+ *   newKeys: Array<string>, missingKeys: Array<string>, firstRun: boolean}>}
+ *   Where the files went, entity count by file, dangling references, and the
+ *   key changes (none on the first run)
+ */
+async function updateTaxonomies(outputDir, masterData) {
+  const taxonomyDir = path.join(outputDir, TAXONOMY_DIR_NAME);
+  const { taxonomies, unresolved } = extractTaxonomies(masterData);
+  const counts = await writeTaxonomies(taxonomyDir, taxonomies);
+
+  const keysFile = path.join(outputDir, MASTER_KEYS_FILE_NAME);
+  const previous = readMasterKeys(keysFile);
+  const { newKeys, missingKeys, known } = checkMasterKeys(masterData, previous);
+  writeMasterKeys(keysFile, known);
+
+  return { taxonomyDir, counts, unresolved, newKeys, missingKeys, firstRun: !previous };
+}
+
+// ========================================
+// KEY CHANGES
+// ========================================
+
+/**
+ * Lists the keys of a master payload: the top-level keys, plus
+ * `<taxonomy>.<field>` for every field of the entities in each list.
+ * @param {object} masterData - Master payload
+ * @returns {Array<string>} Keys, sorted
+ */
+function listMasterKeys(masterData) {
+  const keys = new Set();
+  for (const [name, value] of Object.entries(masterData || {})) {
+    keys.add(name);
+    if (isEntityList(value)) {
+      value.forEach((entity) => Object.keys(entity).forEach((field) => keys.add(`${name}.${field}`)));
+    }
+  }
+  return [...keys].sort();
+}
+
+/**
+ * Compares the keys of a master payload with the keys seen before.
+ * @param {object} masterData - Master payload
+ * @param {object|null} known - Keys seen before (see readMasterKeys); null on the first run
+ * @param {string} [now] - Timestamp for new keys (default: now)
+ * @returns {{newKeys: Array<string>, missingKeys: Array<string>, known: object}}
+ *   Keys never seen before (empty on the first run, which only records the
+ *   baseline), keys seen before but absent now, and the updated record
+ */
+function checkMasterKeys(masterData, known, now = new Date().toISOString()) {
+  const current = listMasterKeys(masterData);
+  const seen = { ...(known?.keys || {}) };
+  const newKeys = known ? current.filter((key) => !(key in seen)) : [];
+  const missingKeys = known ? Object.keys(seen).filter((key) => !current.includes(key)) : [];
+
+  current.filter((key) => !(key in seen)).forEach((key) => {
+    seen[key] = now;
+  });
+  return {
+    newKeys,
+    missingKeys,
+    known: {
+      version: MASTER_KEYS_VERSION,
+      updatedAt: now,
+      keys: Object.fromEntries(Object.entries(seen).sort(([a], [b]) => a.localeCompare(b))),
+    },
+  };
+}
+
+/**
+ * Reads master-keys.json.
+ * @param {string} file - Path to master-keys.json
+ * @returns {object|null} Keys seen before ({version, updatedAt, keys: {key: firstSeenAt}}),
+ *   or null if the file does not exist
+ */
+function readMasterKeys(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null;
+}
+
+/**
+ * Writes master-keys.json (temp file + rename).
+ * @param {string} file - Path to master-keys.json
+ * @param {object} known - Keys seen (see checkMasterKeys)
+ */
+function writeMasterKeys(file, known) {
+  const tempPath = `${file}.${process.pid}.partial`;
+  fs.writeFileSync(tempPath, JSON.stringify(known, null, 2));
+  fs.renameSync(tempPath, file);
+}
+
+function isEntityList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((entry) => entry !== null && typeof entry === "object" && !Array.isArray(entry))
+  );
+}
+
+function describeName(entity) {
+  return entity.name ?? entity.title ?? entity.label ?? null;
+}
+
+// "cruise_line" -> "cruiseLine", "homePort" stays
+function toCamelCase(name) {
+  const camel = name.replace(/[_-]+([a-z0-9])/gi, (_, letter) => letter.toUpperCase());
+  return camel.charAt(0).toLowerCase() + camel.slice(1);
+}
+
+// "port" -> "ports", "category" -> "categories", "class" -> "classes"
+function pluralize(name) {
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+  return `${name}s`;
+}
+
+// Keeps taxonomy names from the API safe to use as file names
+function toFileName(name) {
+  return name.replace(/[^A-Za-z0-9_-]+/g, "_") || "_";
+}
+
+export {
+  TAXONOMY_DIR_NAME,
+  MASTER_KEYS_FILE_NAME,
+  extractTaxonomies,
+  findReferenceTarget,
+  writeTaxonomies,
+  updateTaxonomies,
+  listMasterKeys,
+  checkMasterKeys,
+  readMasterKeys,
+  writeMasterKeys,
+};
@@ -0,0 +1,101 @@
+/**
+ * ========================================
+ * HTTP TRANSPORTS
+ * ========================================
+ *
+ * Decides how requests reach the Ody servers:
+ *
+ * - direct      Plain fetch to the target URL
+ * - scraperapi  Routed through ScraperAPI (SCRAPEAPI_BASE_URL + SCRAPEAPI_KEY)
+ * - proxy       Sent through a generic HTTP/HTTPS proxy (e.g. an egress proxy)
+ *
+ * Every transport exposes the same `fetch(url, options)` signature as the
+ * global fetch, so callers never need to know which one is in use.
+ */
+
+import { fetch as undiciFetch, ProxyAgent } from "undici";
+
+const TRANSPORT_DIRECT = "direct";
+const TRANSPORT_SCRAPERAPI = "scraperapi";
+const TRANSPORT_PROXY = "proxy";
+const TRANSPORT_MODES = [TRANSPORT_DIRECT, TRANSPORT_SCRAPERAPI, TRANSPORT_PROXY];
+
+/**
+ * Creates a transport.
+ * @param {object} config - Transport configuration
+ * @param {string} config.mode - One of "direct", "scraperapi" or "proxy"
+ * @param {string} [config.scraperApiBaseUrl] - ScraperAPI endpoint (scraperapi mode)
+ * @param {string} [config.scraperApiKey] - ScraperAPI key (scraperapi mode)
+ * @param {string} [config.proxyUrl] - http:// or https:// proxy URL, credentials allowed (proxy mode)
+ * @returns {{mode: string, proxyUrl: string|null, fetch: Function}} Transport
+ * @throws {Error} If the mode is unknown or its settings are missing
+ */
+function createTransport({ mode, scraperApiBaseUrl, scraperApiKey, proxyUrl }) {
+  switch (mode) {
+    case TRANSPORT_DIRECT:
+      return {
+        mode,
+        proxyUrl: null,
+        fetch: (url, options) => fetch(url, options),
+      };
+
+    case TRANSPORT_SCRAPERAPI: {
+      if (!scraperApiBaseUrl || !scraperApiKey) {
+        throw new Error(
+          "The scraperapi transport requires SCRAPEAPI_BASE_URL and SCRAPEAPI_KEY."
+        );
+      }
+      const scrapeApiUrl = `${scraperApiBaseUrl}/?api_key=${scraperApiKey}&keep_headers=true&url=`;
+      return {
+        mode,
+        proxyUrl: null,
+        fetch: (url, options) => fetch(`${scrapeApiUrl}${url}`, options),
+      };
+    }
+
+    case TRANSPORT_PROXY: {
+      if (!proxyUrl) {
+        throw new Error("The proxy transport requires OD_PROXY_URL.");
+      }
+      const protocol = new URL(proxyUrl).protocol;
+      if (protocol !== "http:" && protocol !== "https:") {
+        throw new Error(
+          `Unsupported proxy protocol "${protocol}" in OD_PROXY_URL (use http:// or https://).`
+        );
+      }
+      const dispatcher = new ProxyAgent(proxyUrl);
+      return {
+        mode,
+        proxyUrl,
+        fetch: (url, options) => undiciFetch(url, { ...options, dispatcher }),
+      };
+    }
+
+    default:
+      throw new Error(
+        `Unknown transport "${mode}". Expected one of: ${TRANSPORT_MODES.join(", ")}.`
+      );
+  }
+}
+
+/**
+ * Describes a transport for logs, without leaking credentials.
+ * @param {object} transport - Transport to describe
+ * @returns {string} e.g. "proxy (http://egress.internal:3128)"
+ */
+function describeTransport(transport) {
+  if (!transport.proxyUrl) {
+    return transport.mode;
+  }
+  const proxy = new URL(transport.proxyUrl);
+  return `${transport.mode} (${proxy.protocol}//${proxy.host})`;
+}
+
+export {
+  TRANSPORT_DIRECT,
+  TRANSPORT_SCRAPERAPI,
+  TRANSPORT_PROXY,
+  TRANSPORT_MODES,
+  createTransport,
+  describeTransport,
+};
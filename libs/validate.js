@@ -0,0 +1,422 @@
+/**
+ * ========================================
+ * OUTPUT VALIDATION
+ * ========================================
+ *
+ * Checks the scraped files in an output directory and reports on the data
+ * quality:
+ *
+ * - structure: unreadable lines, master ships without a details record,
+ *   records without data and duplicate ship IDs
+ * - content: ships without images or descriptions, image paths that cannot
+ *   be downloaded, selected images missing from the media directory, and
+ *   the fill rate of every field of the canonical ship model (see
+ *   libs/normalize.js)
+ *
+ * Each check can be given a threshold; the report lists the thresholds that
+ * are not met in `failures`. Thresholds are `name=value` pairs:
+ *
+ *   missing-ships=0              at most 0 master ships without details
+ *   ships-without-images=5%      at most 5% of the ships without images
+ *   fill:descriptions.long=90%   at least 90% of the ships with a long description
+ *
+ * Counts are absolute numbers or percentages of what the check looks at
+ * (master ships, ships, lines or images). By default the structural checks
+ * allow no problem at all and the content checks only report.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJsonl, readMasterData, resolveJsonlPath } from "./jsonl.js";
+import { normalizeShip } from "./normalize.js";
+import { createImageTypeFilter, listMediaImages } from "./media.js";
+
+// Threshold name -> report list it limits, and how failures describe it
+const COUNT_THRESHOLDS = {
+  "invalid-lines": { key: "invalidLines", label: "Unreadable lines" },
+  "missing-ships": { key: "missingShipIds", label: "Master ships without details" },
+  "empty-records": { key: "emptyShipIds", label: "Records without data" },
+  "duplicate-ships": { key: "duplicateShipIds", label: "Duplicate ship IDs" },
+  "ships-without-images": { key: "shipsWithoutImages", label: "Ships without images" },
+  "ships-without-description": { key: "shipsWithoutDescription", label: "Ships without description" },
+  "broken-image-paths": { key: "brokenImagePaths", label: "Broken image paths" },
+  "missing-images": { key: "missingImages", label: "Images not on disk" },
+};
+const FILL_THRESHOLD_PREFIX = "fill:";
+
+// Structural problems fail validation unless a threshold allows them
+const DEFAULT_THRESHOLDS = {
+  "invalid-lines": { count: 0 },
+  "missing-ships": { count: 0 },
+  "empty-records": { count: 0 },
+  "duplicate-ships": { count: 0 },
+};
+
+// Fields of the canonical ship model whose fill rate is reported
+const FILL_RATE_FIELDS = [
+  "name",
+  "cruiseLine.id",
+  "cruiseLine.name",
+  "shipClass",
+  "tonnage",
+  "passengerCapacity",
+  "crewCapacity",
+  "yearBuilt",
+  "yearRefurbished",
+  "decks",
+  "length",
+  "descriptions.short",
+  "descriptions.long",
+  "amenities",
+  "images",
+];
+
+/**
+ * Validates master.jsonl and ships.jsonl (or ships.jsonl.gz) in an output
+ * directory. The ships file is streamed, not read into memory; ships with
+ * several records are judged by their latest one.
+ *
+ * @param {string} outputDir - Output directory
+ * @param {object} [options]
+ * @param {Array<string>|object} [options.thresholds] - Threshold specs
+ *   ("name=value") or parsed thresholds (see parseThresholds), on top of the defaults
+ * @param {object} [options.media] - Image selection and layout (config.media),
+ *   for the images expected on disk
+ * @returns {Promise<object>} Report with counts, the ship IDs / line numbers /
+ *   images of every problem, `fillRates` by field, the `thresholds` applied
+ *   and the `failures` among them
+ * @throws {Error} If either file is missing, or on an invalid threshold
+ */
+async function validateOutput(outputDir, { thresholds = {}, media = {} } = {}) {
+  const limits = {
+    ...DEFAULT_THRESHOLDS,
+    ...(Array.isArray(thresholds) ? parseThresholds(thresholds) : thresholds),
+  };
+  const masterFile = path.join(outputDir, "master.jsonl");
+  const shipsFile = resolveJsonlPath(path.join(outputDir, "ships.jsonl"));
+  for (const file of [masterFile, shipsFile]) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+  }
+
+  const masterData = readMasterData(masterFile);
+  const mediaDir = path.join(outputDir, "media");
+  const checkMedia = fs.existsSync(mediaDir);
+  const inspect = createShipInspector({
+    masterData,
+    mediaDir,
+    filter: createImageTypeFilter(media),
+    layout: media.layout,
+  });
+
+  const invalidLines = [];
+  const duplicateShipIds = new Set();
+  const ships = new Map(); // Ship ID -> summary of its latest record
+  let recordCount = 0;
+  for await (const record of readJsonl(shipsFile, {
+    onInvalidLine: (lineNumber) => invalidLines.push(lineNumber),
+  })) {
+    recordCount++;
+    const id = String(record.shipId);
+    if (ships.has(id)) {
+      duplicateShipIds.add(id);
+    }
+    ships.set(id, inspect(record));
+  }
+
+  const masterShips = masterData?.ship || [];
+  const missingShipIds = masterShips
+    .map((ship) => String(ship.id))
+    .filter((id) => !ships.has(id));
+
+  const summaries = [...ships.entries()];
+  const withData = summaries.filter(([, ship]) => ship.hasData);
+  const idsWhere = (list, predicate) => list.filter(([, ship]) => predicate(ship)).map(([id]) => id);
+  const imageProblems = (key) =>
+    withData.flatMap(([shipId, ship]) => ship[key].map((image) => ({ shipId, ...image })));
+
+  const report = {
+    masterShipCount: masterShips.length,
+    recordCount,
+    shipCount: ships.size,
+    invalidLines,
+    missingShipIds,
+    emptyShipIds: idsWhere(summaries, (ship) => !ship.hasData),
+    duplicateShipIds: [...duplicateShipIds],
+    shipsWithoutImages: idsWhere(withData, (ship) => ship.imageCount === 0),
+    shipsWithoutDescription: idsWhere(withData, (ship) => !ship.hasDescription),
+    imageCount: withData.reduce((sum, [, ship]) => sum + ship.imageCount, 0),
+    brokenImagePaths: imageProblems("brokenImagePaths"),
+    mediaChecked: checkMedia,
+    selectedImageCount: withData.reduce((sum, [, ship]) => sum + ship.selectedImageCount, 0),
+    missingImages: checkMedia ? imageProblems("missingImages") : [],
+    fillRates: computeFillRates(withData.map(([, ship]) => ship.filledFields)),
+  };
+  report.thresholds = describeThresholds(limits);
+  report.failures = checkThresholds(report, limits);
+  return report;
+}
+
+/**
+ * Creates the function that sums up one ship record for the report.
+ * @param {object} options - masterData, mediaDir, filter and layout
+ * @returns {Function} (record) => {hasData, imageCount, hasDescription,
+ *   filledFields, brokenImagePaths, selectedImageCount, missingImages}
+ */
+function createShipInspector({ masterData, mediaDir, filter, layout }) {
+  return (record) => {
+    const details = record.data?.data;
+    if (!details || typeof details !== "object") {
+      return { hasData: false };
+    }
+
+    let ship = null;
+    try {
+      ({ ship } = normalizeShip(record.data, { masterData }));
+    } catch {
+      // Counted as a ship without any filled field
+    }
+    const images = Array.isArray(details.images) ? details.images : [];
+    const brokenImagePaths = images
+      .map((image) => ({ path: image?.path ?? null, reason: describeBrokenImagePath(image) }))
+      .filter((image) => image.reason);
+    const selected = listMediaImages([record], {
+      baseUrl: "",
+      mediaDir,
+      filter: (image, shipRecord) => isUsableImage(image) && filter(image, shipRecord),
+      layout,
+    });
+
+    return {
+      hasData: true,
+      imageCount: images.length,
+      hasDescription: Boolean(ship?.descriptions.short || ship?.descriptions.long),
+      filledFields: FILL_RATE_FIELDS.filter((field) => ship && isFilled(getField(ship, field))),
+      brokenImagePaths,
+      selectedImageCount: selected.length,
+      missingImages: selected
+        .filter(({ filepath }) => !fs.existsSync(filepath))
+        .map(({ image, filepath }) => ({ path: image.path, file: filepath })),
+    };
+  };
+}
+
+/**
+ * Tells why an image path cannot be downloaded.
+ * @param {object} image - Image from the ship details
+ * @returns {string|null} Reason, or null if the path looks usable
+ */
+function describeBrokenImagePath(image) {
+  const imagePath = image?.path;
+  if (imagePath === undefined || imagePath === null || imagePath === "") {
+    return "no path";
+  }
+  if (typeof imagePath !== "string") {
+    return "path is not a string";
+  }
+  if (!imagePath.startsWith("/")) {
+    return "not a site-relative path";
+  }
+  if (/\s/.test(imagePath)) {
+    return "contains whitespace";
+  }
+  if (!path.posix.basename(imagePath)) {
+    return "no file name";
+  }
+  return null;
+}
+
+function isUsableImage(image) {
+  return describeBrokenImagePath(image) === null;
+}
+
+/**
+ * Computes the share of ships in which each field is filled.
+ * @param {Array<Array<string>>} filledFields - Filled fields per ship
+ * @returns {object} Fill rate (0-1, 4 decimals) by field; 0 when there are no ships
+ */
+function computeFillRates(filledFields) {
+  const counts = Object.fromEntries(FILL_RATE_FIELDS.map((field) => [field, 0]));
+  for (const fields of filledFields) {
+    fields.forEach((field) => counts[field]++);
+  }
+  return Object.fromEntries(
+    Object.entries(counts).map(([field, count]) => [
+      field,
+      filledFields.length > 0 ? Math.round((count / filledFields.length) * 10000) / 10000 : 0,
+    ])
+  );
+}
+
+/**
+ * Parses threshold specs.
+ * @param {Array<string>} specs - "name=value" pairs, e.g. "missing-images=10",
+ *   "ships-without-images=5%" or "fill:name=100%"
+ * @returns {object} Thresholds by name: {count} or {ratio} for the counts,
+ *   {ratio} (minimum) for fill rates
+ * @throws {Error} On unknown names or malformed values
+ */
+function parseThresholds(specs) {
+  const thresholds = {};
+  for (const spec of specs) {
+    const match = /^([a-z.:-]+)=(.+)$/i.exec(String(spec).trim());
+    const name = match?.[1].toLowerCase();
+    const value = match?.[2].trim();
+    if (!match) {
+      throw new Error(`Invalid threshold "${spec}": expected name=value, e.g. missing-images=0.`);
+    }
+
+    if (name.startsWith(FILL_THRESHOLD_PREFIX)) {
+      const field = match[1].slice(FILL_THRESHOLD_PREFIX.length);
+      if (!FILL_RATE_FIELDS.includes(field)) {
+        throw new Error(
+          `Unknown field in threshold "${spec}". Fill rates exist for: ${FILL_RATE_FIELDS.join(", ")}.`
+        );
+      }
+      const ratio = parseRatioValue(value);
+      if (ratio === null) {
+        throw new Error(`Invalid threshold "${spec}": expected a rate like 0.9 or 90%.`);
+      }
+      thresholds[`${FILL_THRESHOLD_PREFIX}${field}`] = { ratio };
+      continue;
+    }
+
+    if (!(name in COUNT_THRESHOLDS)) {
+      throw new Error(
+        `Unknown threshold "${name}". Expected one of: ${Object.keys(COUNT_THRESHOLDS).join(", ")}, ` +
+        `or ${FILL_THRESHOLD_PREFIX}<field>.`
+      );
+    }
+    if (value.endsWith("%")) {
+      const ratio = parseRatioValue(value);
+      if (ratio === null) {
+        throw new Error(`Invalid threshold "${spec}": expected a percentage from 0% to 100%.`);
+      }
+      thresholds[name] = { ratio };
+    } else if (/^\d+$/.test(value)) {
+      thresholds[name] = { count: Number(value) };
+    } else {
+      throw new Error(`Invalid threshold "${spec}": expected a count like 10 or a share like 5%.`);
+    }
+  }
+  return thresholds;
+}
+
+// "0.9" or "90%" -> 0.9; null if not within 0-1
+function parseRatioValue(value) {
+  const percent = value.endsWith("%");
+  const number = Number(percent ? value.slice(0, -1) : value);
+  if (value === "%" || !Number.isFinite(number)) {
+    return null;
+  }
+  const ratio = percent ? number / 100 : number;
+  return ratio >= 0 && ratio <= 1 ? ratio : null;
+}
+
+/**
+ * Compares the report with the thresholds.
+ * @param {object} report - Report from validateOutput (without failures)
+ * @param {object} thresholds - Parsed thresholds
+ * @returns {Array<{threshold: string, actual: number, limit: number, message: string}>}
+ *   Thresholds not met. A missing master list always fails.
+ */
+function checkThresholds(report, thresholds) {
+  const failures = [];
+  if (report.masterShipCount === 0) {
+    failures.push({
+      threshold: "master-ships",
+      actual: 0,
+      limit: 1,
+      message: "master.jsonl lists no ships",
+    });
+  }
+
+  // What each count is a share of
+  const totals = {
+    "invalid-lines": report.recordCount + report.invalidLines.length,
+    "missing-ships": report.masterShipCount,
+    "empty-records": report.shipCount,
+    "duplicate-ships": report.shipCount,
+    "ships-without-images": report.shipCount - report.emptyShipIds.length,
+    "ships-without-description": report.shipCount - report.emptyShipIds.length,
+    "broken-image-paths": report.imageCount,
+    "missing-images": report.selectedImageCount,
+  };
+
+  for (const [name, threshold] of Object.entries(thresholds)) {
+    if (name.startsWith(FILL_THRESHOLD_PREFIX)) {
+      const field = name.slice(FILL_THRESHOLD_PREFIX.length);
+      const actual = report.fillRates[field];
+      if (actual < threshold.ratio) {
+        failures.push({
+          threshold: name,
+          actual,
+          limit: threshold.ratio,
+          message: `Fill rate of ${field}: ${formatPercent(actual)}, ` +
+            `at least ${formatPercent(threshold.ratio)} required`,
+        });
+      }
+      continue;
+    }
+    if (name === "missing-images" && !report.mediaChecked) {
+      continue; // Nothing downloaded yet
+    }
+
+    const { key, label } = COUNT_THRESHOLDS[name];
+    const actual = report[key].length;
+    const total = totals[name];
+    const limit = threshold.count ?? Math.floor(threshold.ratio * total);
+    if (actual > limit) {
+      failures.push({
+        threshold: name,
+        actual,
+        limit,
+        message: `${label}: ${actual}` +
+          (threshold.ratio !== undefined ? ` (${formatPercent(actual / total)} of ${total})` : "") +
+          `, at most ${threshold.count ?? formatPercent(threshold.ratio)} allowed`,
+      });
+    }
+  }
+  return failures;
+}
+
+// Thresholds as "name=value" strings, for the report
+function describeThresholds(thresholds) {
+  return Object.fromEntries(
+    Object.entries(thresholds).map(([name, { count, ratio }]) => [
+      name,
+      count ?? (name.startsWith(FILL_THRESHOLD_PREFIX) ? ratio : formatPercent(ratio)),
+    ])
+  );
+}
+
+/**
+ * Whether a validation report contains any problem that fails a threshold.
+ * @param {object} report - Report from validateOutput
+ * @returns {boolean}
+ */
+function hasProblems(report) {
+  return report.failures.length > 0;
+}
+
+function getField(object, field) {
+  return field.split(".").reduce((value, key) => value?.[key], object);
+}
+
+function isFilled(value) {
+  return value !== null && value !== undefined && value !== "" &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 1000) / 10}%`;
+}
+
+export {
+  DEFAULT_THRESHOLDS,
+  FILL_RATE_FIELDS,
+  validateOutput,
+  parseThresholds,
+  hasProblems,
+};
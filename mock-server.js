@@ -0,0 +1,131 @@
+/**
+ * ========================================
+ * MOCK ODY SERVER
+ * ========================================
+ *
+ * Starts a local stand-in for the Ody API, so get-ships, get-sailings and
+ * download-media can run end to end without network access or a ScraperAPI key.
+ *
+ * Usage:
+ *   node mock-server.js [options]
+ *
+ * Options:
+ *   --port <n>                 Port to listen on (default: 8080)
+ *   --host <addr>              Interface to bind (default: 127.0.0.1)
+ *   --ships <n>                Number of synthetic ships (default: 25)
+ *   --from-output <dir>        Serve master.jsonl/ships.jsonl from an output directory
+ *   --seed <n>                 Seed for fault injection (default: 1)
+ *   --require-session          Answer 401 without a cookie from /swift/cruise
+ *   --fail-401 <rate>          Share of API requests answered with 401
+ *   --fail-429 <rate>          Share of API requests answered with 429
+ *   --retry-after <seconds>    Retry-After sent with 429 responses (default: 1)
+ *   --fail-503 <rate>          Share of API requests answered with 503
+ *   --malformed-json <rate>    Share of API responses cut in half
+ *   --slow <rate>              Share of requests delayed by --slow-ms
+ *   --slow-ms <ms>             Delay for slow requests (default: 2000)
+ *   --truncate-images <rate>   Share of images whose connection drops halfway
+ *   --quiet                    Don't log requests
+ *
+ * Then point the scripts at it:
+ *   OD_TRANSPORT=direct OD_BASE_URL=http://127.0.0.1:8080 npm run get-ships
+ *
+ * @requires ./libs/mock-server.js - Mock Ody server implementation
+ */
+
+import { parseArgs } from "util";
+import { DEFAULT_FAULTS, startMockServer } from "./libs/mock-server.js";
+
+// ========================================
+// CONSTANTS & CONFIGURATION
+// ========================================
+
+const DEFAULT_PORT = 8080;
+
+// CLI flag -> fault setting
+const FAULT_FLAGS = {
+  "fail-401": "unauthorizedRate",
+  "fail-429": "rateLimitRate",
+  "retry-after": "retryAfterSeconds",
+  "fail-503": "serverErrorRate",
+  "malformed-json": "malformedJsonRate",
+  slow: "slowRate",
+  "slow-ms": "slowDelayMs",
+  "truncate-images": "truncatedImageRate",
+};
+
+/**
+ * Parses command-line arguments into mock server options.
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {object} Options for startMockServer
+ * @throws {Error} If an argument is unknown or not a number where one is expected
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      port: { type: "string" },
+      host: { type: "string" },
+      ships: { type: "string" },
+      "from-output": { type: "string" },
+      seed: { type: "string" },
+      "require-session": { type: "boolean" },
+      quiet: { type: "boolean" },
+      ...Object.fromEntries(
+        Object.keys(FAULT_FLAGS).map((flag) => [flag, { type: "string" }])
+      ),
+    },
+  });
+
+  const toNumber = (flag, fallback) => {
+    if (values[flag] === undefined) return fallback;
+    const number = Number(values[flag]);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`--${flag} expects a non-negative number, got "${values[flag]}"`);
+    }
+    return number;
+  };
+
+  const faults = { ...DEFAULT_FAULTS };
+  for (const [flag, setting] of Object.entries(FAULT_FLAGS)) {
+    faults[setting] = toNumber(flag, faults[setting]);
+  }
+
+  return {
+    port: toNumber("port", DEFAULT_PORT),
+    host: values.host,
+    ships: toNumber("ships", undefined),
+    fromOutput: values["from-output"],
+    seed: toNumber("seed", 1),
+    requireSession: values["require-session"] || false,
+    quiet: values.quiet || false,
+    faults,
+  };
+}
+
+// ========================================
+// ENTRY POINT
+// ========================================
+
+(async () => {
+  try {
+    const options = parseOptions(process.argv.slice(2));
+    const mock = await startMockServer(options);
+
+    console.log(`🛳️  Mock Ody server listening on ${mock.baseUrl}`);
+    console.log(`   Ships:    ${mock.dataset.master.ship.length}`);
+    console.log(`   Sailings: ${mock.dataset.sailings.length}`);
+    console.log(`   Images:   ${mock.dataset.images.size}`);
+    console.log(`   Faults:   ${JSON.stringify(mock.state.faults)}`);
+    console.log(`\n   OD_TRANSPORT=direct OD_BASE_URL=${mock.baseUrl} npm run get-ships\n`);
+
+    const shutdown = async () => {
+      await mock.close();
+      process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,195 @@
+/**
+ * ========================================
+ * API SERVER TESTS
+ * ========================================
+ *
+ * Runs the dataset API (libs/api-server.js) on a random port over a small
+ * output directory written by the tests.
+ */
+
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startApiServer } from "../libs/api-server.js";
+import { createTempDir, waitFor, writeJsonlLines } from "./helpers.js";
+
+const CRUISE_LINES = [
+  { id: 1, name: "Aurora Cruises" },
+  { id: 2, name: "Meridian Line" },
+];
+
+function shipRecord(id, cruiseLineId, passengerCapacity, { name = `Ship ${id}`, retiredAt } = {}) {
+  return {
+    timestamp: "2026-01-01T00:00:00.000Z",
+    source: "test",
+    type: "ship",
+    shipId: id,
+    ...(retiredAt && { retiredAt }),
+    data: { data: { id, name, cruiseLineId, passengerCapacity } },
+  };
+}
+
+const FLEET = [
+  shipRecord(1, 1, 2000, { name: "Aurora Star" }),
+  shipRecord(2, 1, 3000, { name: "Aurora Sky" }),
+  shipRecord(3, 2, 1500, { name: "Meridian Star" }),
+  shipRecord(4, 2, 4000, { name: "Old Star", retiredAt: "2026-02-01T00:00:00.000Z" }),
+  shipRecord(5, 1, null, { name: "Tiny" }),
+];
+
+/**
+ * Writes master.jsonl, ships.jsonl, and the media files with their manifest.
+ * @param {string} outputDir - Output directory
+ * @param {object} [options]
+ * @param {Array<object>} [options.ships] - Ship records (see shipRecord)
+ * @param {object} [options.mediaFiles] - Bytes by file path, relative to the
+ *   output directory, of ship 1's images
+ */
+function writeOutput(outputDir, { ships = [shipRecord(1, 1, 2000)], mediaFiles = {} } = {}) {
+  writeJsonlLines(path.join(outputDir, "master.jsonl"), [
+    { timestamp: "2026-01-01T00:00:00.000Z", data: { cruiseline: CRUISE_LINES, ship: [] } },
+  ]);
+  writeJsonlLines(path.join(outputDir, "ships.jsonl"), ships);
+  const entries = Object.entries(mediaFiles).map(([file, content]) => {
+    fs.mkdirSync(path.join(outputDir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, file), content);
+    return {
+      shipId: 1,
+      path: `/images/ships/1/${path.basename(file)}`,
+      imageType: file.split("/")[2],
+      file,
+      mimeType: "image/png",
+    };
+  });
+  writeJsonlLines(path.join(outputDir, "media-manifest.jsonl"), entries);
+}
+
+describe("API server", () => {
+  let dir;
+  let api;
+
+  afterEach(async () => {
+    await api?.close();
+    api = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function start({ reloadIntervalSeconds = 0, ...output } = {}) {
+    dir = createTempDir("api");
+    writeOutput(dir, output);
+    api = await startApiServer({ outputDir: dir, port: 0, reloadIntervalSeconds, quiet: true });
+    return api;
+  }
+
+  async function getShipIds(pathname) {
+    const { status, body } = await get(pathname);
+    assert.equal(status, 200, body.error);
+    return body.data.map((ship) => ship.id);
+  }
+
+  async function get(pathname) {
+    const response = await fetch(api.baseUrl + pathname);
+    const type = response.headers.get("content-type");
+    return {
+      status: response.status,
+      body: type === "application/json" ? await response.json() : await response.text(),
+    };
+  }
+
+  it("serves images with the same file name under different image types", async () => {
+    await start({
+      mediaFiles: {
+        "media/1/Gallery/pool.png": "gallery",
+        "media/1/DeckPlan/pool.png": "deck plan",
+      },
+    });
+
+    const ship = await get("/ships/1");
+
+    assert.deepEqual(
+      ship.body.media.map((image) => image.url),
+      ["/media/1/Gallery/pool.png", "/media/1/DeckPlan/pool.png"]
+    );
+    assert.deepEqual(await get("/media/1/Gallery/pool.png"), { status: 200, body: "gallery" });
+    assert.deepEqual(await get("/media/1/DeckPlan/pool.png"), { status: 200, body: "deck plan" });
+    assert.equal((await get("/media/1/pool.png")).status, 404);
+  });
+
+  it("filters the ships by cruise line, name and capacity", async () => {
+    await start({ ships: FLEET });
+
+    assert.deepEqual(await getShipIds("/ships"), [1, 2, 3, 5]);
+    assert.deepEqual(await getShipIds("/ships?cruiseline=1"), [1, 2, 5]);
+    assert.deepEqual(await getShipIds("/ships?cruiseline=meridian"), [3]);
+    assert.deepEqual(await getShipIds("/ships?name=%20STAR"), [1, 3]);
+    assert.deepEqual(await getShipIds("/ships?minCapacity=2000"), [1, 2]);
+    assert.deepEqual(await getShipIds("/ships?maxCapacity=2000"), [1, 3]);
+    assert.deepEqual(await getShipIds("/ships?minCapacity=1000&maxCapacity=2500"), [1, 3]);
+    const retired = await get("/ships?includeRetired=true&minCapacity=3500");
+    assert.deepEqual(
+      retired.body.data.map((ship) => [ship.id, ship.retiredAt]),
+      [[4, "2026-02-01T00:00:00.000Z"]]
+    );
+    assert.deepEqual((await get("/ships?cruiseline=nowhere")).body, {
+      error: 'No cruise line matches "nowhere".',
+    });
+  });
+
+  it("lists the ships of a cruise line with the same filters", async () => {
+    await start({ ships: FLEET });
+
+    assert.deepEqual(await getShipIds("/cruiselines/2/ships"), [3]);
+    assert.deepEqual(await getShipIds("/cruiselines/2/ships?includeRetired=true"), [3, 4]);
+    assert.deepEqual(await getShipIds("/cruiselines/1/ships?cruiseline=meridian"), []);
+    assert.equal((await get("/cruiselines/9/ships")).status, 404);
+    const lines = await get("/cruiselines");
+    assert.deepEqual(
+      lines.body.data.map((line) => [line.id, line.shipCount]),
+      [[1, 3], [2, 1]]
+    );
+  });
+
+  it("pages the ships and rejects invalid paging and filter values", async () => {
+    await start({ ships: FLEET });
+
+    const { body } = await get("/ships?page=2&pageSize=3");
+    assert.deepEqual(
+      { ...body, data: body.data.map((ship) => ship.id) },
+      { data: [5], page: 2, pageSize: 3, total: 4, totalPages: 2 }
+    );
+    assert.deepEqual(await getShipIds("/ships?page=3&pageSize=3"), []);
+
+    for (const query of ["page=0", "page=1.5", "pageSize=abc", "pageSize=501", "minCapacity=-1"]) {
+      const response = await get(`/ships?${query}`);
+      assert.equal(response.status, 400, query);
+      assert.match(response.body.error, /^(page|pageSize|minCapacity) /, query);
+    }
+  });
+
+  it("serves the new data after a forced reload", async () => {
+    await start({ ships: FLEET });
+    writeJsonlLines(path.join(dir, "ships.jsonl"), [...FLEET, shipRecord(6, 2, 900)]);
+
+    assert.equal((await get("/ships")).body.total, 4);
+    await api.reload();
+
+    assert.deepEqual(await getShipIds("/ships?cruiseline=2"), [3, 6]);
+  });
+
+  it("reloads a finished run on its own and keeps the old data if it is unreadable", async () => {
+    await start({ ships: FLEET, reloadIntervalSeconds: 0.02 });
+    const loaded = api.getDataset();
+
+    writeJsonlLines(path.join(dir, "ships.jsonl"), [...FLEET, shipRecord(6, 2, 900)]);
+    await waitFor(() => api.getDataset() !== loaded);
+    assert.equal((await get("/ships")).body.total, 5);
+
+    const current = api.getDataset();
+    fs.rmSync(path.join(dir, "master.jsonl"));
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    assert.equal(api.getDataset(), current);
+    assert.equal((await get("/ships")).body.total, 5);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * ========================================
+ * CASSETTE TESTS
+ * ========================================
+ *
+ * createCassette: recordings written in record mode and served back by the
+ * replay transport, on their own and through an Ody client recording the
+ * mock server (libs/mock-server.js).
+ */
+
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { CASSETTE_RECORD, CASSETTE_REPLAY, createCassette } from "../libs/cassette.js";
+import { CassetteMissError, DecryptionError } from "../libs/errors.js";
+import { startMockServer } from "../libs/mock-server.js";
+import { createOdyClient } from "../libs/ody.js";
+import { createTempDir } from "./helpers.js";
+
+const MASTER_URL = "http://ody.test/nitroapi/v2/master/allswift?requestSource=1";
+
+describe("createCassette", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir("cassette");
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function record(response, options = { method: "get" }) {
+    createCassette({ mode: CASSETTE_RECORD, dir }).save(MASTER_URL, options, response, null);
+  }
+
+  function replay(options = { method: "get" }) {
+    return createCassette({ mode: CASSETTE_REPLAY, dir }).toTransport().fetch(MASTER_URL, options);
+  }
+
+  it("replays responses that can't have a body", async () => {
+    record({ status: 204, statusText: "No Content", headers: {}, body: "" });
+
+    const response = await replay();
+
+    assert.equal(response.status, 204);
+    assert.equal(await response.text(), "");
+  });
+
+  it("replays a recording of the same request only", async () => {
+    record({ status: 200, statusText: "OK", headers: { "x-test": "1" }, body: "{}" });
+
+    const response = await replay();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("x-test"), "1");
+    assert.equal(await response.text(), "{}");
+    await assert.rejects(replay({ method: "post", body: "[]" }), CassetteMissError);
+  });
+
+  it("records Spanish content apart from English content", async () => {
+    const ok = (body) => ({ status: 200, statusText: "OK", headers: {}, body });
+    record(ok("en"), { method: "get", headers: { languageid: "1" } });
+    record(ok("es"), { method: "get", headers: { languageid: "2" } });
+
+    assert.equal(await (await replay({ method: "get" })).text(), "en");
+    assert.equal(await (await replay({ method: "get", headers: { languageid: "2" } })).text(), "es");
+  });
+});
+
+describe("Ody client with a cassette", () => {
+  let mock;
+  let dir;
+
+  before(async () => {
+    mock = await startMockServer({ ships: 2, quiet: true });
+  });
+  after(() => mock.close());
+
+  beforeEach(() => {
+    dir = createTempDir("cassette-client");
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function createClient(mode) {
+    const cookiesFile = path.join(dir, "cookies.json");
+    fs.writeFileSync(cookiesFile, JSON.stringify({ cookies: [], obtainedAt: new Date().toISOString() }));
+    return createOdyClient({
+      baseUrl: mock.baseUrl,
+      systemId: "1",
+      transport: { mode: "direct" },
+      cookies: { file: cookiesFile },
+      cassette: { mode, dir: path.join(dir, "cassettes") },
+      retry: { maxRetries: 0 },
+    });
+  }
+
+  const shipUrl = () => `${mock.baseUrl}/nitroapi/v2/ship/GetDetails/1?requestSource=1`;
+
+  it("replays recorded responses without the network", async () => {
+    const recorded = await createClient(CASSETTE_RECORD).getService(shipUrl(), "get", [], true);
+    const requestsMade = mock.state.stats.shipDetails;
+    assert.ok(requestsMade > 0);
+
+    const replayed = await createClient(CASSETTE_REPLAY).getService(shipUrl(), "get", [], true);
+
+    assert.deepEqual(replayed, recorded);
+    assert.equal(replayed.data.id, 1);
+    assert.equal(mock.state.stats.shipDetails, requestsMade);
+    await assert.rejects(
+      createClient(CASSETTE_REPLAY).getService(shipUrl().replace("/1?", "/2?"), "get", [], true),
+      CassetteMissError
+    );
+  });
+
+  it("fails a replay whose decryption no longer matches the recording", async () => {
+    await createClient(CASSETTE_RECORD).getService(shipUrl(), "get", [], true);
+    const [file] = fs.readdirSync(path.join(dir, "cassettes"));
+    const cassetteFile = path.join(dir, "cassettes", file);
+    const interaction = JSON.parse(fs.readFileSync(cassetteFile, "utf-8"));
+    interaction.decrypted.data.name = "Changed";
+    fs.writeFileSync(cassetteFile, JSON.stringify(interaction));
+
+    await assert.rejects(
+      createClient(CASSETTE_REPLAY).getService(shipUrl(), "get", [], true),
+      DecryptionError
+    );
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * ========================================
+ * IMAGE DERIVATIVES TESTS
+ * ========================================
+ *
+ * createDerivatives: variant sizes, re-processing only when the source image
+ * or the settings change, stale variants and duplicate images.
+ * resolveDerivativeSettings: size, format and quality validation.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { createDerivatives, resolveDerivativeSettings } from "../libs/derivatives.js";
+import { buildMediaManifest } from "../libs/media-manifest.js";
+import { createTempDir } from "./helpers.js";
+
+const SETTINGS = { sizes: ["thumb:40x30", "web:100"], formats: ["webp"], quality: 80 };
+
+function createImage(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: "#336699" } }).png().toBuffer();
+}
+
+function shipRecord(shipId, imagePaths) {
+  const images = imagePaths.map((imagePath) => ({ path: imagePath, imageType: "Gallery" }));
+  return { shipId, data: { data: { id: shipId, images } } };
+}
+
+describe("createDerivatives", () => {
+  let outputDir;
+  let mediaDir;
+
+  beforeEach(() => {
+    outputDir = createTempDir("derivatives");
+    mediaDir = path.join(outputDir, "media");
+  });
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  async function writeImage(relativePath, width, height) {
+    const file = path.join(mediaDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, await createImage(width, height));
+  }
+
+  // Manifest entries as the download stage leaves them, with the previous variants
+  function manifest(ships, previousEntries = []) {
+    return buildMediaManifest(ships, { baseUrl: "", outputDir, mediaDir, previousEntries }).entries;
+  }
+
+  it("renders every size and format without enlarging small images", async () => {
+    await writeImage("1/a.png", 80, 80);
+    const entries = manifest([shipRecord(1, ["/a.png"])]);
+
+    const result = await createDerivatives(entries, { outputDir, settings: SETTINGS });
+
+    assert.equal(result.created, 2);
+    assert.equal(result.failed, 0);
+    assert.deepEqual(
+      entries[0].variants.map(({ file, format, width, height }) => [file, format, width, height]),
+      [
+        ["derivatives/thumb/1/a.webp", "webp", 40, 30],
+        ["derivatives/web/1/a.webp", "webp", 80, 80],
+      ]
+    );
+    const metadata = await sharp(path.join(outputDir, "derivatives/thumb/1/a.webp")).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ["webp", 40, 30]);
+  });
+
+  it("only processes an image again when the source or the settings change", async () => {
+    await writeImage("1/a.png", 80, 80);
+    await writeImage("1/b.png", 60, 60);
+    const ships = [shipRecord(1, ["/a.png", "/b.png"])];
+    const entries = manifest(ships);
+    await createDerivatives(entries, { outputDir, settings: SETTINGS });
+
+    const unchanged = await createDerivatives(manifest(ships, entries), {
+      outputDir,
+      settings: SETTINGS,
+    });
+    assert.deepEqual([unchanged.created, unchanged.upToDate], [0, 4]);
+
+    await writeImage("1/b.png", 70, 70);
+    const changedSource = manifest(ships, entries);
+    const afterEdit = await createDerivatives(changedSource, { outputDir, settings: SETTINGS });
+    assert.deepEqual([afterEdit.created, afterEdit.upToDate], [2, 2]);
+
+    const requality = await createDerivatives(manifest(ships, changedSource), {
+      outputDir,
+      settings: { ...SETTINGS, quality: 50 },
+    });
+    assert.deepEqual([requality.created, requality.upToDate], [4, 0]);
+  });
+
+  it("deletes the variants of sizes no longer configured", async () => {
+    await writeImage("1/a.png", 80, 80);
+    const entries = manifest([shipRecord(1, ["/a.png"])]);
+    await createDerivatives(entries, { outputDir, settings: SETTINGS });
+
+    const result = await createDerivatives(entries, {
+      outputDir,
+      settings: { ...SETTINGS, sizes: ["web:100"] },
+    });
+
+    assert.deepEqual([result.created, result.upToDate, result.removed], [0, 1, 1]);
+    assert.equal(fs.existsSync(path.join(outputDir, "derivatives/thumb/1/a.webp")), false);
+    assert.deepEqual(entries[0].variants.map((variant) => variant.size), ["web"]);
+  });
+
+  it("links the variants of duplicate images to those of the first copy", async () => {
+    await writeImage("1/a.png", 80, 80);
+    await writeImage("2/a.png", 80, 80);
+    const entries = manifest([shipRecord(1, ["/a.png"]), shipRecord(2, ["/a.png"])]);
+    assert.equal(entries[1].duplicateOf, "media/1/a.png");
+
+    const result = await createDerivatives(entries, { outputDir, settings: SETTINGS });
+
+    assert.deepEqual([result.created, result.linked], [2, 2]);
+    const first = fs.statSync(path.join(outputDir, "derivatives/web/1/a.webp"));
+    const copy = fs.statSync(path.join(outputDir, "derivatives/web/2/a.webp"));
+    assert.equal(copy.ino, first.ino);
+  });
+
+  it("reports images that cannot be processed and carries on", async () => {
+    await writeImage("1/a.png", 80, 80);
+    const broken = path.join(mediaDir, "1/b.png");
+    fs.writeFileSync(broken, (await createImage(80, 80)).subarray(0, 60));
+    const entries = manifest([shipRecord(1, ["/a.png", "/b.png"])]);
+    const reported = [];
+
+    const result = await createDerivatives(entries, {
+      outputDir,
+      settings: SETTINGS,
+      onImage: ({ entry, error }) => reported.push([entry.file, Boolean(error)]),
+    });
+
+    assert.equal(result.created, 2);
+    assert.equal(result.failed, 1);
+    assert.equal(result.failures[0].file, "media/1/b.png");
+    assert.deepEqual(reported.sort(), [
+      ["media/1/a.png", false],
+      ["media/1/b.png", true],
+    ]);
+  });
+});
+
+describe("resolveDerivativeSettings", () => {
+  it("parses size specs, normalizes formats and passes resolved settings through", () => {
+    const settings = resolveDerivativeSettings({
+      sizes: ["thumb:320x240", "web:1200"],
+      formats: ["JPG", "jpeg"],
+    });
+
+    assert.deepEqual(settings, {
+      sizes: [
+        { name: "thumb", width: 320, height: 240 },
+        { name: "web", width: 1200, height: null },
+      ],
+      formats: ["jpeg"],
+      quality: 80,
+    });
+    assert.deepEqual(resolveDerivativeSettings(settings), settings);
+  });
+
+  it("rejects malformed sizes, duplicate names, unknown formats and bad quality", () => {
+    assert.throws(() => resolveDerivativeSettings({ sizes: ["thumb"] }), /Invalid derivative size/);
+    assert.throws(
+      () => resolveDerivativeSettings({ sizes: ["a:10", "a:20"] }),
+      /"a" is defined more than once/
+    );
+    assert.throws(
+      () => resolveDerivativeSettings({ formats: ["gif"] }),
+      /Unknown derivative format "gif"/
+    );
+    assert.throws(() => resolveDerivativeSettings({ quality: 0 }), /between 1 and 100/);
+  });
+});
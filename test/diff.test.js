@@ -0,0 +1,224 @@
+/**
+ * ========================================
+ * SNAPSHOT DIFF TESTS
+ * ========================================
+ *
+ * Field-level changes as JSON paths, image changes matched by path, and
+ * the ship and master data diffs of two snapshots.
+ */
+
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  CHANGE_ADDED,
+  CHANGE_CHANGED,
+  CHANGE_REMOVED,
+  diffImages,
+  diffMasterData,
+  diffShipRecords,
+  diffSnapshots,
+  diffValues,
+} from "../libs/diff.js";
+import { createTempDir, writeJsonlLines } from "./helpers.js";
+
+function shipRecord(shipId, ship, extra = {}) {
+  return { type: "ship", shipId, data: { data: ship }, ...extra };
+}
+
+function byId(...records) {
+  return new Map(records.map((record) => [String(record.shipId), record]));
+}
+
+describe("diffValues", () => {
+  it("returns no changes for equal values", () => {
+    assert.deepEqual(diffValues({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+  });
+
+  it("reports nested changes as JSON paths", () => {
+    assert.deepEqual(
+      diffValues(
+        { name: "Glory", contentInfo: { longDescription: "Old" }, decks: [1, 2] },
+        { name: "Glory", contentInfo: { longDescription: "New" }, decks: [1, 2, 3] }
+      ),
+      [
+        { path: "$.contentInfo.longDescription", type: CHANGE_CHANGED, old: "Old", new: "New" },
+        { path: "$.decks[2]", type: CHANGE_ADDED, new: 3 },
+      ]
+    );
+  });
+
+  it("reports added and removed keys", () => {
+    assert.deepEqual(diffValues({ a: 1 }, { b: 2 }), [
+      { path: "$.a", type: CHANGE_REMOVED, old: 1 },
+      { path: "$.b", type: CHANGE_ADDED, new: 2 },
+    ]);
+  });
+
+  it("quotes keys that are not identifiers", () => {
+    assert.deepEqual(diffValues({ "max guests": 1 }, { "max guests": 2 }), [
+      { path: '$["max guests"]', type: CHANGE_CHANGED, old: 1, new: 2 },
+    ]);
+  });
+
+  it("reports a type change as one change", () => {
+    assert.deepEqual(diffValues({ a: { b: 1 } }, { a: [1] }), [
+      { path: "$.a", type: CHANGE_CHANGED, old: { b: 1 }, new: [1] },
+    ]);
+  });
+});
+
+describe("diffImages", () => {
+  it("matches images by path, so reordering is no change", () => {
+    const images = [{ path: "/a.jpg" }, { path: "/b.jpg" }];
+    assert.deepEqual(diffImages(images, [...images].reverse()), {
+      added: [],
+      removed: [],
+      changes: [],
+    });
+  });
+
+  it("lists added and removed paths and field changes by new index", () => {
+    assert.deepEqual(
+      diffImages(
+        [{ path: "/a.jpg", caption: "Old" }, { path: "/b.jpg" }],
+        [{ path: "/c.jpg" }, { path: "/a.jpg", caption: "New" }]
+      ),
+      {
+        added: ["/c.jpg"],
+        removed: ["/b.jpg"],
+        changes: [{ path: "$.images[1].caption", type: CHANGE_CHANGED, old: "Old", new: "New" }],
+      }
+    );
+  });
+
+  it("treats a missing list as empty", () => {
+    assert.deepEqual(diffImages(undefined, [{ path: "/a.jpg" }]).added, ["/a.jpg"]);
+  });
+});
+
+describe("diffShipRecords", () => {
+  it("sorts ships into added, removed, retired, changed and unchanged", () => {
+    const oldShips = byId(
+      shipRecord(1, { name: "Same" }),
+      shipRecord(2, { name: "Old name" }),
+      shipRecord(3, { name: "Gone" }),
+      shipRecord(4, { name: "Retiring" })
+    );
+    const newShips = byId(
+      shipRecord(1, { name: "Same" }),
+      shipRecord(2, { name: "New name" }),
+      shipRecord(4, { name: "Retiring" }, { retiredAt: "2025-03-01T00:00:00.000Z" }),
+      shipRecord(5, { name: "New ship" })
+    );
+
+    const diff = diffShipRecords(oldShips, newShips);
+
+    assert.deepEqual(diff.added, [{ shipId: "5", name: "New ship" }]);
+    assert.deepEqual(diff.removed, [{ shipId: "3", name: "Gone" }]);
+    assert.deepEqual(diff.retired, [
+      { shipId: "4", name: "Retiring", retiredAt: "2025-03-01T00:00:00.000Z" },
+    ]);
+    assert.deepEqual(diff.changed, [
+      {
+        shipId: "2",
+        name: "New name",
+        changes: [{ path: "$.name", type: CHANGE_CHANGED, old: "Old name", new: "New name" }],
+        images: { added: [], removed: [], changes: [] },
+      },
+    ]);
+    assert.equal(diff.unchanged, 2);
+  });
+
+  it("counts a ship whose only change is an image as changed", () => {
+    const diff = diffShipRecords(
+      byId(shipRecord(1, { name: "A", images: [] })),
+      byId(shipRecord(1, { name: "A", images: [{ path: "/a.jpg" }] }))
+    );
+
+    assert.equal(diff.changed.length, 1);
+    assert.deepEqual(diff.changed[0].changes, []);
+    assert.deepEqual(diff.changed[0].images.added, ["/a.jpg"]);
+  });
+});
+
+describe("diffMasterData", () => {
+  it("compares the lists by id and leaves out lists without changes", () => {
+    const diff = diffMasterData(
+      {
+        cruiseline: [{ id: 1, name: "Carnival" }, { id: 2, name: "Royal" }],
+        port: [{ id: 1, name: "Miami" }],
+      },
+      {
+        cruiseline: [{ id: 1, name: "Carnival Cruise Line" }, { id: 3, name: "Celebrity" }],
+        port: [{ id: 1, name: "Miami" }],
+      }
+    );
+
+    assert.deepEqual(Object.keys(diff), ["cruiseline"]);
+    assert.deepEqual(diff.cruiseline.added, [{ id: "3", name: "Celebrity" }]);
+    assert.deepEqual(diff.cruiseline.removed, [{ id: "2", name: "Royal" }]);
+    assert.deepEqual(diff.cruiseline.changed, [
+      {
+        id: "1",
+        name: "Carnival Cruise Line",
+        changes: [{ path: "$.name", type: CHANGE_CHANGED, old: "Carnival", new: "Carnival Cruise Line" }],
+      },
+    ]);
+  });
+});
+
+describe("diffSnapshots", () => {
+  const dir = createTempDir("diff");
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function writeSnapshot(name, ships, master) {
+    const shipsFile = path.join(dir, name, "ships.jsonl");
+    const masterFile = path.join(dir, name, "master.jsonl");
+    writeJsonlLines(shipsFile, ships);
+    if (master) {
+      writeJsonlLines(masterFile, [{ type: "master", data: master }]);
+    }
+    return { shipsFile, masterFile };
+  }
+
+  it("reads both snapshots and summarizes the changes", async () => {
+    const diff = await diffSnapshots(
+      writeSnapshot("old", [shipRecord(1, { name: "A" }), shipRecord(2, { name: "B" })], {
+        ship: [{ id: 1, name: "A" }, { id: 2, name: "B" }],
+      }),
+      writeSnapshot("new", [shipRecord(1, { name: "A2" }), shipRecord(2, { name: "B" })], {
+        ship: [{ id: 1, name: "A2" }, { id: 2, name: "B" }],
+      })
+    );
+
+    assert.deepEqual(diff.summary, {
+      added: 0,
+      removed: 0,
+      retired: 0,
+      changed: 1,
+      unchanged: 1,
+      master: { ship: { added: 0, removed: 0, changed: 1 } },
+    });
+  });
+
+  it("uses the newest record of a ship appended more than once", async () => {
+    const diff = await diffSnapshots(
+      writeSnapshot("old-appended", [shipRecord(1, { name: "A" })]),
+      writeSnapshot("new-appended", [shipRecord(1, { name: "B" }), shipRecord(1, { name: "A" })])
+    );
+
+    assert.equal(diff.summary.unchanged, 1);
+  });
+
+  it("skips the master diff unless both snapshots have master data", async () => {
+    const diff = await diffSnapshots(
+      writeSnapshot("old-without-master", [shipRecord(1, { name: "A" })]),
+      writeSnapshot("new-with-master", [shipRecord(1, { name: "A" })], { ship: [] })
+    );
+
+    assert.equal(diff.master, null);
+    assert.equal(diff.summary.master, undefined);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * ========================================
+ * END-TO-END TESTS
+ * ========================================
+ *
+ * Runs getShips and downloadMedia in child processes against the mock Ody
+ * server (libs/mock-server.js) with injected faults: 429s, 401s, truncated
+ * images, and a run interrupted with SIGINT and then resumed.
+ */
+
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startMockServer } from "../libs/mock-server.js";
+import { verifyImageFile } from "../libs/media.js";
+import { RUN_MODE_RESUME, RUN_MODE_RETRY_FAILED } from "../get-ships.js";
+import {
+  createRunConfig,
+  createTempDir,
+  readJsonlLines,
+  runCommand,
+  waitFor,
+} from "./helpers.js";
+
+const SIGINT_EXIT_CODE = 130;
+
+// Seed whose fault rolls spare the session check and the master data request
+const SEED = 5;
+
+describe("end-to-end runs against the mock server", () => {
+  let mock;
+  let dir;
+
+  before(async () => {
+    mock = await startMockServer({ ships: 8, seed: SEED, quiet: true });
+  });
+  after(() => mock.close());
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Clears the counters, restarts the fault rolls and sets the faults
+  async function resetMock(faults = {}) {
+    await fetch(`${mock.baseUrl}/__mock/reset`, { method: "POST" });
+    await fetch(`${mock.baseUrl}/__mock/faults`, { method: "POST", body: JSON.stringify(faults) });
+  }
+
+  async function setUp(name, faults) {
+    dir = createTempDir(name);
+    await resetMock(faults);
+    return createRunConfig(mock.baseUrl, dir);
+  }
+
+  function readOutput(config) {
+    const ships = readJsonlLines(path.join(config.outputDir, "ships.jsonl"));
+    const checkpoint = JSON.parse(
+      fs.readFileSync(path.join(config.outputDir, "ships.checkpoint.json"), "utf-8")
+    );
+    return { shipIds: ships.map((record) => String(record.shipId)), checkpoint };
+  }
+
+  it("retries 429 responses and fetches every ship", async () => {
+    const config = await setUp("rate-limit", { rateLimitRate: 0.3, retryAfterSeconds: 0 });
+
+    const run = await runCommand("ships", config);
+
+    assert.equal(run.code, 0, run.output);
+    assert.ok(mock.state.stats["fault:rateLimit"] > 0, "no 429 was injected");
+    assert.equal(run.result.failed, 0);
+    assert.equal(run.result.processed, 8);
+    const { shipIds } = readOutput(config);
+    assert.equal(new Set(shipIds).size, 8);
+  });
+
+  it("records ships rejected with 401 as failed and fetches them with retry-failed", async () => {
+    // The session can't be renewed without a browser, so each 401 fails its ship
+    const config = await setUp("unauthorized", { unauthorizedRate: 0.5 });
+
+    const first = await runCommand("ships", config);
+
+    assert.equal(first.code, 0, first.output);
+    const unauthorized = mock.state.stats["fault:unauthorized"];
+    assert.ok(unauthorized > 0, "no 401 was injected");
+    assert.equal(first.result.failed, unauthorized);
+    const { shipIds, checkpoint } = readOutput(config);
+    const failedIds = Object.keys(checkpoint.failed);
+    assert.equal(failedIds.length, unauthorized);
+    // No ship is lost: each one is either in ships.jsonl or failed in the checkpoint
+    assert.equal(new Set([...shipIds, ...failedIds]).size, 8);
+    assert.ok(failedIds.every((id) => !shipIds.includes(id)));
+
+    await resetMock();
+    const retry = await runCommand("ships", { ...config, mode: RUN_MODE_RETRY_FAILED });
+
+    assert.equal(retry.code, 0, retry.output);
+    assert.equal(retry.result.failed, 0);
+    assert.equal(retry.result.processed, unauthorized);
+    const final = readOutput(config);
+    assert.equal(new Set(final.shipIds).size, 8);
+    assert.deepEqual(final.checkpoint.failed, {});
+  });
+
+  it("never keeps a truncated image and downloads it on the next run", async () => {
+    const config = await setUp("truncated-images");
+    assert.equal((await runCommand("ships", config)).code, 0);
+    await resetMock({ truncatedImageRate: 0.3 });
+
+    const first = await runCommand("media", config);
+
+    assert.equal(first.code, 0, first.output);
+    const truncated = mock.state.stats["fault:truncatedImage"];
+    assert.ok(truncated > 0, "no image was truncated");
+    assert.equal(first.result.failed, truncated);
+    const mediaDir = path.join(config.outputDir, "media");
+    const files = fs.readdirSync(mediaDir, { recursive: true })
+      .map((file) => path.join(mediaDir, file))
+      .filter((file) => fs.statSync(file).isFile());
+    assert.deepEqual(files.filter((file) => file.endsWith(".partial")), []);
+    assert.equal(files.length, first.result.totalImages - truncated);
+    for (const file of files) {
+      assert.equal(verifyImageFile(file).error, undefined, file);
+    }
+
+    await resetMock();
+    const second = await runCommand("media", config);
+
+    assert.equal(second.code, 0, second.output);
+    assert.equal(second.result.failed, 0);
+    assert.equal(second.result.downloaded, truncated);
+  });
+
+  it("resumes an interrupted run where it stopped", async () => {
+    const config = await setUp("resume", { slowRate: 1, slowDelayMs: 100 });
+
+    const interrupted = await runCommand("ships", config, {
+      onSpawn: (child) => {
+        // A few ships in (the session check requests the master data)
+        waitFor(() => mock.state.stats.shipDetails >= 3)
+          .then(() => child.kill("SIGINT"))
+          .catch(() => child.kill("SIGINT"));
+      },
+    });
+
+    assert.equal(interrupted.code, SIGINT_EXIT_CODE, interrupted.output);
+    const { shipIds, checkpoint } = readOutput(config);
+    const completed = Object.keys(checkpoint.completed);
+    assert.ok(completed.length > 0 && completed.length < 8, `${completed.length} ships completed`);
+    // Every line is complete, and the checkpoint claims no more than the file holds
+    assert.deepEqual([...new Set(shipIds)].sort(), [...completed].sort());
+
+    await resetMock();
+    const resumed = await runCommand("ships", { ...config, mode: RUN_MODE_RESUME });
+
+    assert.equal(resumed.code, 0, resumed.output);
+    assert.equal(resumed.result.failed, 0);
+    assert.equal(resumed.result.processed, 8 - completed.length);
+    const final = readOutput(config);
+    assert.equal(new Set(final.shipIds).size, 8);
+    assert.equal(final.shipIds.length, 8, "completed ships were fetched again");
+  });
+});
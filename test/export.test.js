@@ -0,0 +1,129 @@
+/**
+ * ========================================
+ * DATA EXPORT TESTS
+ * ========================================
+ *
+ * buildTables and exportTables: flat tables from ships.jsonl whose foreign
+ * keys always resolve, in CSV and SQLite.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import initSqlJs from "sql.js";
+import { buildTables, exportTables, toCsv } from "../libs/export.js";
+import { createTempDir, writeJsonlLines } from "./helpers.js";
+
+const MASTER_DATA = { cruiseline: [{ id: 1, name: "Aurora Cruises", code: "AUR" }] };
+
+function shipRecord(shipId, raw) {
+  return {
+    timestamp: "2026-01-01T00:00:00.000Z",
+    source: "ody",
+    type: "ship",
+    shipId,
+    data: { data: { id: shipId, ...raw } },
+  };
+}
+
+describe("export", () => {
+  let dir;
+  let shipsFile;
+
+  beforeEach(() => {
+    dir = createTempDir("export");
+    shipsFile = path.join(dir, "ships.jsonl");
+    writeJsonlLines(shipsFile, [
+      shipRecord(1, {
+        name: "Star",
+        cruiseLineId: 1,
+        images: [{ id: 10, path: "/a.jpg" }, { id: 11, path: "/b.jpg" }],
+        amenities: [{ id: 5, name: "Pool" }],
+      }),
+      // A cruise line the master data doesn't list
+      shipRecord(2, { name: "Comet", cruiseLineId: 9, cruiseLineName: "Meridian Line" }),
+      { ...shipRecord(3, {}), data: { data: null } },
+    ]);
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("adds the cruise lines missing from the master data and skips unreadable ships", async () => {
+    const { tables, skippedShipIds } = await buildTables(shipsFile, MASTER_DATA);
+
+    assert.deepEqual(tables.cruise_lines, [
+      { cruise_line_id: 1, name: "Aurora Cruises", code: "AUR" },
+      { cruise_line_id: 9, name: "Meridian Line", code: null },
+    ]);
+    assert.deepEqual(tables.ships.map((ship) => [ship.ship_id, ship.cruise_line_id]), [[1, 1], [2, 9]]);
+    assert.deepEqual(tables.images.map((image) => [image.ship_id, image.position, image.image_id]), [
+      [1, 1, "10"],
+      [1, 2, "11"],
+    ]);
+    assert.deepEqual(tables.amenities.map((amenity) => [amenity.ship_id, amenity.name]), [[1, "Pool"]]);
+    assert.deepEqual(skippedShipIds, ["3"]);
+  });
+
+  it("writes a SQLite database whose foreign keys all resolve", async () => {
+    const outDir = path.join(dir, "export");
+
+    const { rowCounts, files } = await exportTables(shipsFile, MASTER_DATA, {
+      outDir,
+      formats: ["sqlite"],
+    });
+
+    assert.deepEqual(rowCounts, { cruise_lines: 2, ships: 2, images: 2, amenities: 1 });
+    assert.deepEqual(files, [path.join(outDir, "ships.sqlite")]);
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(files[0]));
+    try {
+      const [{ values: foreignKeys }] = db.exec("PRAGMA foreign_key_list(images)");
+      assert.deepEqual(foreignKeys.map(([, , table, from, to]) => [from, table, to]), [
+        ["ship_id", "ships", "ship_id"],
+      ]);
+      assert.deepEqual(db.exec("PRAGMA foreign_key_check"), []);
+      const [{ values }] = db.exec(
+        "SELECT s.name, c.name FROM ships s JOIN cruise_lines c USING (cruise_line_id) " +
+        "ORDER BY s.ship_id"
+      );
+      assert.deepEqual(values, [["Star", "Aurora Cruises"], ["Comet", "Meridian Line"]]);
+    } finally {
+      db.close();
+    }
+  });
+
+  it("writes one CSV file per table", async () => {
+    const outDir = path.join(dir, "export");
+
+    const { files } = await exportTables(shipsFile, MASTER_DATA, { outDir, formats: ["csv"] });
+
+    assert.deepEqual(files.map((file) => path.basename(file)), [
+      "cruise_lines.csv",
+      "ships.csv",
+      "images.csv",
+      "amenities.csv",
+    ]);
+    assert.equal(
+      fs.readFileSync(path.join(outDir, "cruise_lines.csv"), "utf-8"),
+      "cruise_line_id,name,code\n1,Aurora Cruises,AUR\n9,Meridian Line,\n"
+    );
+  });
+
+  it("rejects unknown formats", async () => {
+    await assert.rejects(
+      exportTables(shipsFile, MASTER_DATA, { outDir: dir, formats: ["xlsx"] }),
+      /Unknown export format\(s\): xlsx/
+    );
+  });
+});
+
+describe("toCsv", () => {
+  it("quotes values with commas, quotes and line breaks", () => {
+    assert.equal(
+      toCsv(["a", "b"], [{ a: 'say "hi"', b: "x,y" }, { a: "line\nbreak", b: null }]),
+      'a,b\n"say ""hi""","x,y"\n"line\nbreak",\n'
+    );
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * ========================================
+ * TEST HELPERS
+ * ========================================
+ *
+ * Temporary directories, JSONL fixtures and runs of the scripts in a child
+ * process (see run-command.js) against the mock server.
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const RUN_COMMAND_SCRIPT = path.join(import.meta.dirname, "run-command.js");
+const RESULT_PREFIX = "RESULT ";
+
+/**
+ * Creates an empty temporary directory.
+ * @param {string} name - Part of the directory name
+ * @returns {string} Directory path
+ */
+function createTempDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `cruise-ships-${name}-`));
+}
+
+/**
+ * Writes records to a JSONL file, creating its directory.
+ * @param {string} file - File path
+ * @param {Array<object>} records - Records, one per line
+ */
+function writeJsonlLines(file, records) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, records.map((record) => JSON.stringify(record) + "\n").join(""));
+}
+
+/**
+ * Reads a JSONL file; every line must be valid JSON.
+ * @param {string} file - File path
+ * @returns {Array<object>} Records
+ */
+function readJsonlLines(file) {
+  return fs
+    .readFileSync(file, "utf-8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Builds the configuration overrides of a run against the mock server: direct
+ * transports, fast retries, one ship thread (so seeded faults hit the same
+ * requests every time), no snapshots, and a cookie cache of its own.
+ * @param {string} baseUrl - Mock server URL
+ * @param {string} dir - Test directory; output goes to <dir>/output
+ * @param {object} [overrides] - Further configuration overrides
+ * @returns {object} Overrides for loadConfig
+ */
+function createRunConfig(baseUrl, dir, overrides = {}) {
+  const cookiesFile = path.join(dir, "cookies.json");
+  if (!fs.existsSync(cookiesFile)) {
+    // An empty but fresh cache: the mock server doesn't require a session
+    fs.writeFileSync(cookiesFile, JSON.stringify({ cookies: [], obtainedAt: new Date().toISOString() }));
+  }
+  return {
+    baseUrl,
+    systemId: "1",
+    outputDir: path.join(dir, "output"),
+    transport: { mode: "direct" },
+    mediaTransport: { mode: "direct" },
+    cookies: { file: cookiesFile },
+    retry: { maxRetries: 3, baseDelayMs: 10, maxDelayMs: 50 },
+    shipThreads: 1,
+    snapshots: { enabled: false },
+    headless: true,
+    ...overrides,
+  };
+}
+
+/**
+ * Runs `ships` (getShips) or `media` (downloadMedia) in a child process.
+ *
+ * The child can't launch a browser: PUPPETEER_EXECUTABLE_PATH points at a
+ * file that doesn't exist, so a cookie refresh fails the same way on every
+ * machine.
+ *
+ * @param {string} command - "ships" or "media"
+ * @param {object} config - Configuration overrides (see createRunConfig)
+ * @param {object} [options]
+ * @param {Function} [options.onSpawn] - (child) => void, e.g. to interrupt the run
+ * @returns {Promise<{code: number|null, signal: string|null, output: string,
+ *   result: object|null}>} Exit status, combined output, and the run summary
+ *   (null if the run didn't finish)
+ */
+function runCommand(command, config, { onSpawn } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [RUN_COMMAND_SCRIPT, command, JSON.stringify(config)], {
+      env: { ...process.env, PUPPETEER_EXECUTABLE_PATH: path.join(os.tmpdir(), "no-browser") },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("error", reject);
+    child.on("close", (code, signal) => {
+      const resultLine = output.split("\n").find((line) => line.startsWith(RESULT_PREFIX));
+      resolve({
+        code,
+        signal,
+        output,
+        result: resultLine ? JSON.parse(resultLine.slice(RESULT_PREFIX.length)) : null,
+      });
+    });
+    onSpawn?.(child);
+  });
+}
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition - () => boolean
+ * @param {number} [timeoutMs=10000] - Give up after this long
+ * @returns {Promise<void>}
+ * @throws {Error} On timeout
+ */
+async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+export {
+  RESULT_PREFIX,
+  createTempDir,
+  writeJsonlLines,
+  readJsonlLines,
+  createRunConfig,
+  runCommand,
+  waitFor,
+};
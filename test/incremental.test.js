@@ -0,0 +1,164 @@
+/**
+ * ========================================
+ * INCREMENTAL SCRAPING TESTS
+ * ========================================
+ *
+ * planIncrementalRun: which ships an incremental run fetches.
+ * compactShipsFile: one record per ship, retired ships marked.
+ * findChangedShips: refreshed ships whose details changed.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { compactShipsFile, findChangedShips, planIncrementalRun } from "../libs/incremental.js";
+import { createTempDir, readJsonlLines, writeJsonlLines } from "./helpers.js";
+
+const NOW = Date.parse("2026-03-01T00:00:00.000Z");
+const RECENT = "2026-02-20T00:00:00.000Z";
+const OLD = "2026-01-01T00:00:00.000Z";
+
+const ships = (...ids) => ids.map((id) => ({ id }));
+
+function record(shipId, timestamp, extra = {}) {
+  return { timestamp, type: "ship", shipId, data: { data: { id: shipId } }, ...extra };
+}
+
+function byId(...records) {
+  return new Map(records.map((entry) => [String(entry.shipId), entry]));
+}
+
+describe("planIncrementalRun", () => {
+  it("fetches new, missing, stale and returning ships and lists the retired ones", () => {
+    const masterShips = ships(1, 2, 3, 4, 5);
+    const plan = planIncrementalRun(
+      masterShips,
+      {
+        masterShips,
+        previousMasterShips: ships(1, 2, 3, 5, 6),
+        previousRecords: byId(
+          record(1, RECENT),
+          record(3, OLD),
+          record(5, RECENT, { retiredAt: RECENT }),
+          record(6, RECENT)
+        ),
+      },
+      { maxAgeDays: 30, now: NOW }
+    );
+
+    assert.deepEqual(plan.added, ["4", "5"]);
+    assert.deepEqual(plan.missing, ["2"]);
+    assert.deepEqual(plan.stale, ["3"]);
+    assert.deepEqual(plan.sampled, []);
+    assert.deepEqual(plan.upToDate, ["1"]);
+    assert.deepEqual(plan.retired, ["6"]);
+    assert.deepEqual(plan.ships.map((ship) => ship.id), [2, 3, 4, 5]);
+  });
+
+  it("treats every ship as known without a previous master list", () => {
+    const masterShips = ships(1, 2);
+    const plan = planIncrementalRun(
+      masterShips,
+      { masterShips, previousMasterShips: null, previousRecords: byId(record(1, RECENT)) },
+      { now: NOW }
+    );
+
+    assert.deepEqual(plan.added, []);
+    assert.deepEqual(plan.missing, ["2"]);
+    assert.deepEqual(plan.upToDate, ["1"]);
+  });
+
+  it("never refreshes by age with maxAgeDays 0, and samples a share of the others", () => {
+    const masterShips = ships(1, 2, 3, 4);
+    const plan = planIncrementalRun(
+      masterShips,
+      {
+        masterShips,
+        previousMasterShips: masterShips,
+        previousRecords: byId(record(1, OLD), record(2, OLD), record(3, OLD), record(4, OLD)),
+      },
+      { maxAgeDays: 0, sampleRatio: 0.5, now: NOW, random: () => 0 }
+    );
+
+    assert.deepEqual(plan.stale, []);
+    assert.equal(plan.sampled.length, 2);
+    assert.equal(plan.upToDate.length, 2);
+    assert.deepEqual([...plan.sampled, ...plan.upToDate].sort(), ["1", "2", "3", "4"]);
+    assert.deepEqual(plan.ships.map((ship) => String(ship.id)).sort(), [...plan.sampled].sort());
+  });
+
+  it("only plans the selected ships but retires against the full master list", () => {
+    const plan = planIncrementalRun(
+      ships(1),
+      {
+        masterShips: ships(1, 2),
+        previousMasterShips: ships(1, 2),
+        previousRecords: byId(record(1, RECENT), record(2, RECENT)),
+      },
+      { now: NOW }
+    );
+
+    assert.deepEqual(plan.upToDate, ["1"]);
+    assert.deepEqual(plan.retired, []);
+  });
+});
+
+describe("compactShipsFile", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir("incremental");
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keeps the latest record per ship and retires ships left out of the master list", async () => {
+    const shipsFile = path.join(dir, "ships.jsonl");
+    writeJsonlLines(shipsFile, [
+      record(1, OLD),
+      record(2, OLD),
+      record(3, OLD, { retiredAt: OLD }),
+      record(1, RECENT),
+    ]);
+
+    const { records, retired } = await compactShipsFile(shipsFile, ships(1), RECENT);
+
+    assert.deepEqual(retired, ["2"]);
+    assert.deepEqual(readJsonlLines(shipsFile), [
+      record(1, RECENT),
+      { timestamp: OLD, type: "ship", shipId: 2, retiredAt: RECENT, data: { data: { id: 2 } } },
+      record(3, OLD, { retiredAt: OLD }),
+    ]);
+    assert.equal(records.get("2").retiredAt, RECENT);
+  });
+
+  it("writes a gzipped output file and removes the plain one", async () => {
+    const shipsFile = path.join(dir, "ships.jsonl");
+    writeJsonlLines(shipsFile, [record(1, OLD), record(1, RECENT)]);
+
+    await compactShipsFile(shipsFile, ships(1), RECENT, `${shipsFile}.gz`);
+
+    assert.equal(fs.existsSync(shipsFile), false);
+    const lines = zlib.gunzipSync(fs.readFileSync(`${shipsFile}.gz`)).toString().trim().split("\n");
+    assert.deepEqual(lines.map((line) => JSON.parse(line)), [record(1, RECENT)]);
+  });
+});
+
+describe("findChangedShips", () => {
+  it("compares the details of the refreshed ships", () => {
+    const before = byId(record(1, OLD), record(2, OLD), record(3, OLD));
+    const after = byId(
+      { ...record(1, RECENT), data: { data: { id: 1, name: "New" } } },
+      record(2, RECENT),
+      record(3, OLD)
+    );
+
+    assert.deepEqual(findChangedShips(before, after, ["1", "2", "3", "4"]), {
+      changed: ["1"],
+      unchanged: ["2"],
+    });
+  });
+});
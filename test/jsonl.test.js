@@ -0,0 +1,159 @@
+/**
+ * ========================================
+ * JSONL HELPERS TESTS
+ * ========================================
+ *
+ * readJsonl / readJsonlFile: gzipped files and malformed-line reporting.
+ * writeJsonlFile: whole-file replacement, and temporary files removed on
+ * SIGINT (flushJsonlWritersOnShutdown).
+ * createJsonlWriter: appending.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import {
+  createJsonlWriter,
+  JsonlLineError,
+  readJsonl,
+  readJsonlFile,
+  resolveJsonlPath,
+  writeJsonlFile,
+} from "../libs/jsonl.js";
+import { createTempDir, waitFor } from "./helpers.js";
+
+const JSONL_MODULE = new URL("../libs/jsonl.js", import.meta.url).href;
+
+async function collect(iterable) {
+  const records = [];
+  for await (const record of iterable) {
+    records.push(record);
+  }
+  return records;
+}
+
+describe("jsonl", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir("jsonl");
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes and reads gzipped files and finds them from the plain name", async () => {
+    const file = path.join(dir, "ships.jsonl");
+    const records = [{ shipId: 1 }, { shipId: 2, name: "Ünïcode ⚓" }];
+
+    assert.equal(await writeJsonlFile(`${file}.gz`, records), 2);
+
+    const lines = zlib.gunzipSync(fs.readFileSync(`${file}.gz`)).toString("utf-8");
+    assert.equal(lines, '{"shipId":1}\n{"shipId":2,"name":"Ünïcode ⚓"}\n');
+    assert.equal(resolveJsonlPath(file), `${file}.gz`);
+    assert.deepEqual(await collect(readJsonl(`${file}.gz`)), records);
+    assert.deepEqual(readJsonlFile(`${file}.gz`), records);
+    assert.deepEqual(fs.readdirSync(dir), ["ships.jsonl.gz"]);
+  });
+
+  it("skips malformed lines and reports them with their line number", async () => {
+    const file = path.join(dir, "ships.jsonl");
+    fs.writeFileSync(file, '{"shipId":1}\n\n{"shipId":\n{"shipId":3}\n');
+    const reported = [];
+    const onInvalidLine = (lineNumber, error) => reported.push([lineNumber, error]);
+
+    const records = await collect(readJsonl(file, { onInvalidLine }));
+    readJsonlFile(file, { onInvalidLine });
+
+    assert.deepEqual(records, [{ shipId: 1 }, { shipId: 3 }]);
+    assert.deepEqual(reported.map(([lineNumber]) => lineNumber), [3, 3]);
+    const [, error] = reported[0];
+    assert.ok(error instanceof JsonlLineError);
+    assert.equal(error.filePath, file);
+    assert.equal(error.line, '{"shipId":');
+  });
+
+  it("reports malformed lines as a JsonlWarning by default", async () => {
+    const file = path.join(dir, "master.jsonl");
+    fs.writeFileSync(file, "{oops}\n");
+    const warning = once(process, "warning");
+
+    assert.deepEqual(readJsonlFile(file), []);
+
+    const [{ name, message }] = await warning;
+    assert.equal(name, "JsonlWarning");
+    assert.match(message, /^Skipping malformed line 1 of .*master\.jsonl: /);
+  });
+
+  it("throws on the first malformed line in strict mode", async () => {
+    const file = path.join(dir, "ships.jsonl");
+    fs.writeFileSync(file, '{"shipId":1}\nnot json\n');
+
+    assert.throws(() => readJsonlFile(file, { strict: true }), JsonlLineError);
+    await assert.rejects(collect(readJsonl(file, { strict: true })), /ships\.jsonl:2: /);
+  });
+
+  it("keeps the previous file when writing fails part way", async () => {
+    const file = path.join(dir, "ships.jsonl");
+    await writeJsonlFile(file, [{ shipId: 1 }]);
+    async function* failing() {
+      yield { shipId: 2 };
+      throw new Error("source failed");
+    }
+
+    await assert.rejects(writeJsonlFile(file, failing()), /source failed/);
+
+    assert.deepEqual(readJsonlFile(file), [{ shipId: 1 }]);
+    assert.deepEqual(fs.readdirSync(dir), ["ships.jsonl"]);
+  });
+
+  it("appends to plain files but refuses to append to gzipped ones", async () => {
+    const file = path.join(dir, "ships.jsonl");
+    for (const shipId of [1, 2]) {
+      const writer = createJsonlWriter(file, { append: true });
+      await writer.write({ shipId });
+      await writer.close();
+    }
+
+    assert.deepEqual(readJsonlFile(file), [{ shipId: 1 }, { shipId: 2 }]);
+    assert.throws(() => createJsonlWriter(`${file}.gz`, { append: true }), /Cannot append/);
+  });
+
+  it("removes the temporary file of an interrupted writeJsonlFile on SIGINT", async () => {
+    const file = path.join(dir, "ships.jsonl");
+    fs.writeFileSync(file, '{"shipId":1}\n');
+    const script = `
+      import { flushJsonlWritersOnShutdown, writeJsonlFile } from ${JSON.stringify(JSONL_MODULE)};
+      flushJsonlWritersOnShutdown();
+      async function* endless() {
+        for (let shipId = 1; ; shipId++) {
+          yield { shipId };
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+      }
+      await writeJsonlFile(${JSON.stringify(file)}, endless());
+    `;
+    const child = spawn(process.execPath, ["--input-type=module", "-e", script], {
+      stdio: "ignore",
+    });
+    const exited = once(child, "exit");
+
+    try {
+      await waitFor(() => fs.readdirSync(dir).some((name) => name.endsWith(".partial")));
+      child.kill("SIGINT");
+      const [code] = await exited;
+
+      assert.equal(code, 130);
+      assert.deepEqual(fs.readdirSync(dir), ["ships.jsonl"]);
+      assert.equal(fs.readFileSync(file, "utf-8"), '{"shipId":1}\n');
+    } finally {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill("SIGKILL");
+      }
+    }
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * ========================================
+ * LOCALIZED CONTENT TESTS
+ * ========================================
+ *
+ * mergeLocalizedDetails: the primary payload plus the text of every
+ * language, with missing and untranslated (fallback) fields per locale.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mergeLocalizedDetails } from "../libs/languages.js";
+
+const ENGLISH = { id: "1", locale: "en" };
+const SPANISH = { id: "2", locale: "es" };
+const FRENCH = { id: "3", locale: "fr" };
+
+function payload(description, amenityName) {
+  return {
+    data: {
+      name: "Glory",
+      contentInfo: { longDescription: description },
+      amenities: [{ id: 7, name: amenityName }],
+    },
+  };
+}
+
+describe("mergeLocalizedDetails", () => {
+  it("keeps the primary payload and adds the text by field and locale", () => {
+    const english = payload("A big ship", "Spa");
+    const merged = mergeLocalizedDetails([
+      [ENGLISH, english],
+      [SPANISH, payload("Un barco grande", "Balneario")],
+    ]);
+
+    assert.deepEqual(merged.data, english.data);
+    assert.deepEqual(merged.localized, {
+      "contentInfo.longDescription": { en: "A big ship", es: "Un barco grande" },
+      "amenities[7].name": { en: "Spa", es: "Balneario" },
+    });
+    assert.deepEqual(merged.localizationIssues, {});
+  });
+
+  it("reports missing and untranslated fields per locale", () => {
+    const merged = mergeLocalizedDetails([
+      [ENGLISH, payload("A big ship", "Spa")],
+      [SPANISH, payload("  ", "Spa")],
+      [FRENCH, payload("Un grand navire", "Spa français")],
+    ]);
+
+    assert.deepEqual(merged.localizationIssues, {
+      es: { missing: ["contentInfo.longDescription"], fallback: ["amenities[7].name"] },
+    });
+  });
+
+  it("ignores fields that are empty in the primary language", () => {
+    const merged = mergeLocalizedDetails([
+      [ENGLISH, payload("", "Spa")],
+      [SPANISH, payload("", "Balneario")],
+    ]);
+
+    assert.deepEqual(merged.localizationIssues, {});
+  });
+
+  it("passes a single language through with its text", () => {
+    const merged = mergeLocalizedDetails([[ENGLISH, payload("A big ship", "Spa")]]);
+
+    assert.deepEqual(merged.localized["contentInfo.longDescription"], { en: "A big ship" });
+    assert.deepEqual(merged.localizationIssues, {});
+  });
+});
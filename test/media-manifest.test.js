@@ -0,0 +1,142 @@
+/**
+ * ========================================
+ * MEDIA MANIFEST TESTS
+ * ========================================
+ *
+ * buildMediaManifest: file details, hard links between identical images and
+ * the hash cache of the previous manifest.
+ * readImageDimensions: pixel size from the image headers.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { buildMediaManifest, readImageDimensions } from "../libs/media-manifest.js";
+import { createTempDir } from "./helpers.js";
+
+const BASE_URL = "https://images.example.test";
+
+function createImage(width, height, format = "png") {
+  return sharp({ create: { width, height, channels: 3, background: "#336699" } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+function shipRecord(shipId, imagePaths) {
+  const images = imagePaths.map((imagePath) => ({ path: imagePath, imageType: "Gallery" }));
+  return { shipId, data: { data: { id: shipId, images } } };
+}
+
+describe("buildMediaManifest", () => {
+  let outputDir;
+  let mediaDir;
+
+  beforeEach(() => {
+    outputDir = createTempDir("media-manifest");
+    mediaDir = path.join(outputDir, "media");
+  });
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  function writeImage(relativePath, buffer) {
+    const file = path.join(mediaDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buffer);
+    return file;
+  }
+
+  function build(ships, previousEntries) {
+    return buildMediaManifest(ships, { baseUrl: BASE_URL, outputDir, mediaDir, previousEntries });
+  }
+
+  it("records the file details and links identical images to the first copy", async () => {
+    const image = await createImage(40, 30);
+    const first = writeImage("1/a.png", image);
+    const copy = writeImage("2/b.png", image);
+    writeImage("2/c.png", await createImage(8, 8));
+
+    const { entries, stats } = build([
+      shipRecord(1, ["/a.png", "/missing.png"]),
+      shipRecord(2, ["/b.png", "/c.png"]),
+    ]);
+
+    assert.deepEqual(stats, {
+      images: 4,
+      missing: 1,
+      unique: 2,
+      duplicates: 1,
+      linked: 1,
+      savedBytes: image.length,
+    });
+    const [a, missing, b] = entries;
+    assert.deepEqual(
+      { file: a.file, mimeType: a.mimeType, width: a.width, height: a.height, bytes: a.bytes },
+      { file: "media/1/a.png", mimeType: "image/png", width: 40, height: 30, bytes: image.length }
+    );
+    assert.equal(a.sha256, crypto.createHash("sha256").update(image).digest("hex"));
+    assert.equal(a.url, `${BASE_URL}/a.png`);
+    assert.equal(a.duplicateOf, null);
+    assert.equal(missing.file, null);
+    assert.equal(b.sha256, a.sha256);
+    assert.equal(b.duplicateOf, "media/1/a.png");
+    assert.equal(fs.statSync(copy).ino, fs.statSync(first).ino);
+
+    // Already linked: nothing to do on the next run
+    assert.equal(build([shipRecord(1, ["/a.png"]), shipRecord(2, ["/b.png"])]).stats.linked, 0);
+  });
+
+  it("reuses the previous hashes of unchanged files and reads changed ones again", async () => {
+    const file = writeImage("1/a.png", await createImage(10, 10));
+    const ships = [shipRecord(1, ["/a.png"])];
+    const [previous] = build(ships).entries;
+
+    const cached = build(ships, [{ ...previous, sha256: "cached", variants: { w320: {} } }]);
+    assert.equal(cached.entries[0].sha256, "cached");
+    assert.deepEqual(cached.entries[0].variants, { w320: {} });
+
+    fs.writeFileSync(file, await createImage(20, 10));
+    const changed = build(ships, [{ ...previous, sha256: "cached" }]);
+    assert.notEqual(changed.entries[0].sha256, "cached");
+    assert.equal(changed.entries[0].width, 20);
+  });
+
+  it("keeps entries of other ships and of images the filter leaves out while on disk", async () => {
+    writeImage("1/a.png", await createImage(10, 10));
+    writeImage("1/deck.png", await createImage(12, 10));
+    const other = { shipId: 9, path: "/gone.png", file: "media/9/gone.png", sha256: "x", bytes: 1 };
+    const deck = build([shipRecord(1, ["/deck.png"])]).entries[0];
+
+    const { entries } = build([shipRecord(1, ["/a.png"])], [other, deck]);
+
+    assert.deepEqual(entries.map((entry) => [entry.shipId, entry.path, entry.file]), [
+      [9, "/gone.png", null],
+      [1, "/deck.png", "media/1/deck.png"],
+      [1, "/a.png", "media/1/a.png"],
+    ]);
+  });
+});
+
+describe("readImageDimensions", () => {
+  it("reads JPEG, WebP and GIF headers", async () => {
+    assert.deepEqual(readImageDimensions(await createImage(33, 21, "jpeg"), "jpeg"), {
+      width: 33,
+      height: 21,
+    });
+    assert.deepEqual(readImageDimensions(await createImage(17, 9, "webp"), "webp"), {
+      width: 17,
+      height: 9,
+    });
+    const gif = Buffer.from("GIF89a\x05\x00\x07\x00", "latin1");
+    assert.deepEqual(readImageDimensions(gif, "gif"), { width: 5, height: 7 });
+  });
+
+  it("returns null dimensions for unknown formats and truncated headers", () => {
+    const unknown = { width: null, height: null };
+    assert.deepEqual(readImageDimensions(Buffer.from("plain"), "svg"), unknown);
+    assert.deepEqual(readImageDimensions(Buffer.from("\x89PNG"), "png"), unknown);
+  });
+});
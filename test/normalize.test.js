@@ -0,0 +1,136 @@
+/**
+ * ========================================
+ * SHIP NORMALIZATION TESTS
+ * ========================================
+ *
+ * normalizeShip: raw GetDetails payloads to the canonical ship model.
+ * normalizeRecord: ships.jsonl lines to normalized records with their issues.
+ * validateShip: schemas/ship.schema.json.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeRecord, normalizeShip, SCHEMA_VERSION, validateShip } from "../libs/normalize.js";
+
+const MASTER_DATA = { cruiseline: [{ id: 7, name: "Aurora Cruises" }] };
+
+function shipRecord(raw, extra = {}) {
+  return {
+    timestamp: "2026-01-01T00:00:00.000Z",
+    source: "ody",
+    type: "ship",
+    shipId: raw.id,
+    data: { data: raw },
+    ...extra,
+  };
+}
+
+describe("normalizeShip", () => {
+  it("reads each field from its first candidate key and converts numeric text", () => {
+    const payload = {
+      data: {
+        shipId: "12",
+        shipName: " Aurora Star ",
+        cruiseLineId: 7,
+        grossTonnage: "168,666 GT",
+        passengers: "3,200",
+        crew: 1200,
+        inauguralYear: "2018-11-09",
+        decks: 16,
+        lengthFeet: "1,188 ft",
+        content: { summary: "Short", description: "Long" },
+        amenities: [{ id: 1, title: "Pool", type: "Pools" }, "Spa"],
+        images: [{ id: 3, url: "/a.jpg", imageType: "Gallery", alt: "Deck" }],
+      },
+    };
+
+    const { ship, issues } = normalizeShip(payload, { masterData: MASTER_DATA });
+
+    assert.equal(ship.schemaVersion, SCHEMA_VERSION);
+    assert.equal(ship.id, 12);
+    assert.equal(ship.name, "Aurora Star");
+    assert.deepEqual(ship.cruiseLine, { id: 7, name: "Aurora Cruises" });
+    assert.equal(ship.tonnage, 168666);
+    assert.equal(ship.passengerCapacity, 3200);
+    assert.equal(ship.crewCapacity, 1200);
+    assert.equal(ship.yearBuilt, 2018);
+    assert.equal(ship.length, 1188);
+    assert.deepEqual(ship.descriptions, { short: "Short", long: "Long" });
+    assert.deepEqual(ship.amenities, [
+      { id: 1, name: "Pool", category: "Pools" },
+      { id: null, name: "Spa", category: null },
+    ]);
+    assert.deepEqual(ship.images, [{ id: 3, path: "/a.jpg", type: "Gallery", caption: "Deck" }]);
+    assert.deepEqual(issues.invalidFields, []);
+    assert.deepEqual(validateShip(ship), []);
+  });
+
+  it("keeps unmapped fields under extra and lists missing and invalid ones", () => {
+    const { ship, issues } = normalizeShip({
+      data: { id: 1, name: "A", tonnage: "unknown", registry: "Malta", contentInfo: { tagline: "Hi" } },
+    });
+
+    assert.deepEqual(ship.extra, { registry: "Malta" });
+    assert.deepEqual(issues.unknownFields, ["registry", "contentInfo.tagline"]);
+    assert.deepEqual(issues.invalidFields, ["tonnage"]);
+    assert.ok(issues.missingFields.includes("cruiseLine.id"));
+    assert.ok(issues.missingFields.includes("passengerCapacity"));
+    assert.equal(ship.tonnage, null);
+  });
+
+  it("reads the description translations of a multi-language payload", () => {
+    const { ship } = normalizeShip({
+      data: { id: 1, name: "A", contentInfo: { longDescription: "Big" } },
+      localized: { "contentInfo.longDescription": { en: "Big", es: "Grande" } },
+    });
+
+    assert.deepEqual(ship.descriptions.translations, {
+      en: { short: null, long: "Big" },
+      es: { short: null, long: "Grande" },
+    });
+  });
+
+  it("throws for a payload without a data object", () => {
+    assert.throws(() => normalizeShip({ data: [] }), /no data object/);
+  });
+});
+
+describe("validateShip", () => {
+  it("reports values outside the schema", () => {
+    const { ship } = normalizeShip({ data: { id: 1, name: "A", cruiseLineId: 7 } });
+
+    assert.deepEqual(validateShip({ ...ship, yearBuilt: 2500 }), ["/yearBuilt must be <= 2100"]);
+    assert.deepEqual(validateShip({ ...ship, unexpected: true }), [
+      "/ must NOT have additional properties",
+    ]);
+  });
+});
+
+describe("normalizeRecord", () => {
+  it("keeps the envelope and adds the canonical ship with its issues", () => {
+    const record = shipRecord(
+      { id: 4, name: "B", cruiseLineId: 7 },
+      { retiredAt: "2026-02-01T00:00:00.000Z", storefronts: { cruisedirect: {}, odysol: {} } }
+    );
+
+    const normalized = normalizeRecord(record, MASTER_DATA);
+
+    assert.equal(normalized.timestamp, record.timestamp);
+    assert.equal(normalized.type, "ship");
+    assert.equal(normalized.schemaVersion, SCHEMA_VERSION);
+    assert.equal(normalized.shipId, 4);
+    assert.equal(normalized.retiredAt, "2026-02-01T00:00:00.000Z");
+    assert.deepEqual(normalized.storefronts, ["cruisedirect", "odysol"]);
+    assert.equal(normalized.data.cruiseLine.name, "Aurora Cruises");
+    assert.deepEqual(normalized.issues.schemaErrors, []);
+  });
+
+  it("records schema errors, and a ship without data as null", () => {
+    const invalid = normalizeRecord(shipRecord({ id: 0, name: "C" }), null);
+    const empty = normalizeRecord({ ...shipRecord({ id: 5 }), data: { data: null } }, null);
+
+    assert.deepEqual(invalid.issues.schemaErrors, ["/id must be >= 1"]);
+    assert.equal(empty.data, null);
+    assert.deepEqual(empty.issues.schemaErrors, ["Ship details payload has no data object."]);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * ========================================
+ * ODY CLIENT TESTS
+ * ========================================
+ *
+ * createOdyClient against a fake transport answering from a list of
+ * responses, with a fresh cookie cache so no browser is needed: retries
+ * with backoff and Retry-After, response decoding, the session check and
+ * cookie refreshes after a 401.
+ *
+ * A cookie refresh starts a fake browser that logs its launch and exits
+ * after a moment, so the refresh fails the same way on every machine.
+ */
+
+import { after, afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { HttpError, NetworkError, ParseError } from "../libs/errors.js";
+import { createTempDir } from "./helpers.js";
+
+const BASE_URL = "http://ody.test";
+
+const browserDir = createTempDir("browser");
+const launchLog = path.join(browserDir, "launches.log");
+const fakeBrowser = path.join(browserDir, "chrome");
+fs.writeFileSync(fakeBrowser, `#!/bin/sh\necho launch >> "${launchLog}"\nsleep 0.2\nexit 1\n`, {
+  mode: 0o755,
+});
+// Puppeteer reads its configuration when it is first imported
+process.env.PUPPETEER_EXECUTABLE_PATH = fakeBrowser;
+const { createOdyClient } = await import("../libs/ody.js");
+
+function countBrowserLaunches() {
+  return fs.existsSync(launchLog) ? fs.readFileSync(launchLog, "utf-8").split("\n").length - 1 : 0;
+}
+
+/**
+ * A transport answering each request with the next response of a list.
+ * @param {Array<Function|Response>} responses - Responses, or (url) => Response
+ * @returns {object} Transport, with the requested URLs in `requests`
+ */
+function createFakeTransport(responses) {
+  const transport = {
+    mode: "direct",
+    proxyUrl: null,
+    requests: [],
+    fetch: async (url) => {
+      transport.requests.push(url);
+      const next = responses.shift();
+      assert.ok(next, `unexpected request for ${url}`);
+      return typeof next === "function" ? next(url) : next;
+    },
+  };
+  return transport;
+}
+
+function jsonResponse(body, init) {
+  return new Response(JSON.stringify(body), init);
+}
+
+describe("createOdyClient", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir("ody");
+    fs.rmSync(launchLog, { force: true });
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  after(() => {
+    fs.rmSync(browserDir, { recursive: true, force: true });
+  });
+
+  function createClient(transport, config = {}) {
+    const cookiesFile = path.join(dir, "cookies.json");
+    fs.writeFileSync(cookiesFile, JSON.stringify({ cookies: [], obtainedAt: new Date().toISOString() }));
+    return createOdyClient({
+      baseUrl: BASE_URL,
+      systemId: "1",
+      transport,
+      cookies: { file: cookiesFile },
+      retry: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 },
+      ...config,
+    });
+  }
+
+  it("returns the data of a plain JSON response", async () => {
+    const client = createClient(createFakeTransport([jsonResponse({ data: { id: 1 } })]));
+
+    assert.deepEqual(await client.getService(`${BASE_URL}/master`), { id: 1 });
+  });
+
+  it("rejects a plain response that is not a JSON object", async () => {
+    const client = createClient(
+      createFakeTransport([new Response("null"), new Response("[1]")]),
+      { retry: { maxRetries: 0 } }
+    );
+
+    await assert.rejects(client.getService(`${BASE_URL}/master`), ParseError);
+    await assert.rejects(client.getService(`${BASE_URL}/master`), /is not a JSON object/);
+  });
+
+  it("retries 429s, 5xx responses and network failures, then returns the data", async () => {
+    const transport = createFakeTransport([
+      new Response("busy", { status: 429 }),
+      new Response("down", { status: 503 }),
+      () => {
+        throw new TypeError("fetch failed");
+      },
+      jsonResponse({ data: "ok" }),
+    ]);
+    const client = createClient(transport, { retry: { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 5 } });
+    const retries = [];
+    client.events.on("retry", (event) => retries.push(event));
+
+    assert.equal(await client.getService(`${BASE_URL}/master`), "ok");
+    assert.equal(transport.requests.length, 4);
+    assert.deepEqual(retries.map(({ attempt, error }) => [attempt, error.constructor]), [
+      [1, HttpError],
+      [2, HttpError],
+      [3, NetworkError],
+    ]);
+  });
+
+  it("gives up after maxRetries and throws the last error", async () => {
+    const transport = createFakeTransport([
+      new Response("down", { status: 500 }),
+      new Response("down", { status: 502 }),
+    ]);
+    const client = createClient(transport, { retry: { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 5 } });
+
+    await assert.rejects(client.getService(`${BASE_URL}/master`), { name: "HttpError", status: 502 });
+    assert.equal(transport.requests.length, 2);
+  });
+
+  it("doesn't retry other client errors", async () => {
+    const transport = createFakeTransport([new Response("missing", { status: 404 })]);
+    const client = createClient(transport);
+
+    await assert.rejects(client.getService(`${BASE_URL}/master`), { name: "HttpError", status: 404 });
+    assert.equal(transport.requests.length, 1);
+  });
+
+  it("waits at least as long as Retry-After asks, and pauses the rate limiter", async () => {
+    const transport = createFakeTransport([
+      new Response("busy", { status: 429, headers: { "retry-after": "0.2" } }),
+      jsonResponse({ data: "ok" }),
+    ]);
+    const client = createClient(transport);
+    const retries = [];
+    let otherRequest;
+    client.events.on("retry", (event) => {
+      retries.push(event);
+      // Any other request of the client has to wait as well
+      const pausedAt = Date.now();
+      otherRequest = client.getRateLimiter().acquire().then(() => Date.now() - pausedAt);
+    });
+
+    assert.equal(await client.getService(`${BASE_URL}/master`), "ok");
+    assert.equal(retries.length, 1);
+    assert.ok(retries[0].delayMs >= 200, `${retries[0].delayMs}ms`);
+    const waitedMs = await otherRequest;
+    assert.ok(waitedMs >= 190, `other request waited ${waitedMs}ms`);
+  });
+
+  it("checks the session against the master data", async () => {
+    const transport = createFakeTransport([jsonResponse({ data: { ship: [] } })]);
+    const client = createClient(transport);
+    const sessions = [];
+    client.events.on("session", ({ status }) => sessions.push(status));
+
+    await client.ensureSession();
+
+    assert.deepEqual(transport.requests, [`${BASE_URL}/nitroapi/v2/master/allswift?requestSource=1`]);
+    assert.deepEqual(sessions, ["valid"]);
+  });
+
+  it("refreshes the cookies once for concurrent requests rejected with 401", async () => {
+    const unauthorized = () => new Response("expired", { status: 401 });
+    const client = createClient(createFakeTransport([unauthorized, unauthorized]));
+    const refreshes = [];
+    client.events.on("cookieRefresh", (event) => refreshes.push(event));
+
+    const errors = await Promise.all(
+      [1, 2].map((id) => client.getService(`${BASE_URL}/ship/${id}`).catch((error) => error))
+    );
+
+    assert.equal(refreshes.length, 2);
+    assert.equal(countBrowserLaunches(), 1);
+    // Both requests waited for the same refresh, and failed with it
+    assert.match(errors[0].message, /Failed to launch the browser process/);
+    assert.equal(errors[0], errors[1]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * ========================================
+ * WORKER POOL & RATE LIMITER TESTS
+ * ========================================
+ *
+ * runPool: sliding window, result order and failures.
+ * createRateLimiter: spacing, pauses and description.
+ * parseRetryAfter: seconds and HTTP dates.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, parseRetryAfter, runPool } from "../libs/pool.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("runPool", () => {
+  it("returns the results in item order with at most `concurrency` tasks in flight", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await runPool(
+      [30, 5, 20, 5, 10],
+      async (delay, index) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await sleep(delay);
+        inFlight--;
+        return `${index}:${delay}`;
+      },
+      { concurrency: 2 }
+    );
+
+    assert.deepEqual(results, ["0:30", "1:5", "2:20", "3:5", "4:10"]);
+    assert.equal(maxInFlight, 2);
+  });
+
+  it("keeps the other slots busy while one task is slow", async () => {
+    const finished = [];
+
+    await runPool(
+      ["slow", "a", "b", "c"],
+      async (item) => {
+        await sleep(item === "slow" ? 50 : 1);
+        finished.push(item);
+      },
+      { concurrency: 2 }
+    );
+
+    assert.deepEqual(finished, ["a", "b", "c", "slow"]);
+  });
+
+  it("starts no new task after a failure and rethrows the first error", async () => {
+    const started = [];
+    const finished = [];
+
+    await assert.rejects(
+      runPool(
+        [1, 2, 3, 4, 5],
+        async (item) => {
+          started.push(item);
+          await sleep(item === 1 ? 20 : 1);
+          if (item === 2) throw new Error("item 2 failed");
+          finished.push(item);
+        },
+        { concurrency: 2 }
+      ),
+      /item 2 failed/
+    );
+
+    assert.deepEqual(started, [1, 2]);
+    // The task in flight still settles before the error is thrown
+    assert.deepEqual(finished, [1]);
+  });
+
+  it("returns no results for no items", async () => {
+    assert.deepEqual(await runPool([], async () => assert.fail("no task expected")), []);
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("spaces out the requests at the strictest ceiling", async () => {
+    const limiter = createRateLimiter({ perSecond: 100, perMinute: 1200 }); // 50ms apart
+    const startedAt = Date.now();
+
+    for (let i = 0; i < 4; i++) {
+      await limiter.acquire();
+    }
+
+    const elapsed = Date.now() - startedAt;
+    assert.ok(elapsed >= 140, `4 slots in ${elapsed}ms`);
+  });
+
+  it("holds every caller during a pause, the longest one winning", async () => {
+    const limiter = createRateLimiter();
+    limiter.pause(80);
+    limiter.pause(20);
+    const startedAt = Date.now();
+
+    await Promise.all([limiter.acquire(), limiter.acquire()]);
+
+    const elapsed = Date.now() - startedAt;
+    assert.ok(elapsed >= 70, `released after ${elapsed}ms`);
+  });
+
+  it("describes its ceiling", () => {
+    assert.equal(createRateLimiter({ perSecond: 2, perMinute: 60 }).describe(), "2/s, 60/min");
+    assert.equal(createRateLimiter().describe(), "unlimited");
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("reads seconds and HTTP dates", () => {
+    assert.equal(parseRetryAfter("2"), 2000);
+    assert.equal(parseRetryAfter("0.5"), 500);
+    const delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(delay > 8000 && delay <= 10000, `${delay}ms`);
+  });
+
+  it("never returns a negative delay and ignores invalid values", () => {
+    assert.equal(parseRetryAfter(new Date(Date.now() - 10000).toUTCString()), 0);
+    assert.equal(parseRetryAfter("soon"), null);
+    assert.equal(parseRetryAfter(null), null);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * ========================================
+ * TEST RUNNER CHILD PROCESS
+ * ========================================
+ *
+ * Runs getShips or downloadMedia with the given configuration overrides,
+ * like cli.js does, and prints the run summary as a `RESULT {...}` line.
+ * Used by the end-to-end tests (see helpers.js runCommand).
+ *
+ *   node test/run-command.js <ships|media> '<config overrides as JSON>'
+ */
+
+import { loadConfig } from "../libs/config.js";
+import { flushJsonlWritersOnShutdown } from "../libs/jsonl.js";
+import { getShips } from "../get-ships.js";
+import { downloadMedia } from "../download-media.js";
+import { RESULT_PREFIX } from "./helpers.js";
+
+const COMMANDS = { ships: getShips, media: downloadMedia };
+
+flushJsonlWritersOnShutdown();
+
+const [command, overrides] = process.argv.slice(2);
+try {
+  // No process.env: the developer's .env must not leak into the tests
+  const result = await COMMANDS[command](loadConfig(JSON.parse(overrides), {}));
+  console.log(RESULT_PREFIX + JSON.stringify(result));
+  process.exit(0);
+} catch (error) {
+  console.error(`❌ ${error.stack}`);
+  process.exit(1);
+}
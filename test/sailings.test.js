@@ -0,0 +1,100 @@
+/**
+ * ========================================
+ * SAILINGS TESTS
+ * ========================================
+ *
+ * parseSailingFilters: key=value items to {key, value} search filters.
+ * normalizeSailing: raw search results to itineraries.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSailing, parseSailingFilters } from "../libs/sailings.js";
+
+describe("parseSailingFilters", () => {
+  it("turns numeric values into numbers", () => {
+    assert.deepEqual(parseSailingFilters(["minNights=7", "cabinType=balcony"]), [
+      { key: "minNights", value: 7 },
+      { key: "cabinType", value: "balcony" },
+    ]);
+  });
+
+  it("collects the values of a repeated key in a list", () => {
+    assert.deepEqual(
+      parseSailingFilters(["destinationId=1", "destinationId=2", "destinationId=3"]),
+      [{ key: "destinationId", value: [1, 2, 3] }]
+    );
+  });
+
+  it("keeps ready filters and splits at the first =", () => {
+    assert.deepEqual(parseSailingFilters([{ key: "portId", value: 4 }, " promo = a=b "]), [
+      { key: "portId", value: 4 },
+      { key: "promo", value: "a=b" },
+    ]);
+  });
+
+  it("keeps empty values as empty strings", () => {
+    assert.deepEqual(parseSailingFilters(["promo="]), [{ key: "promo", value: "" }]);
+  });
+
+  it("returns no filters without items", () => {
+    assert.deepEqual(parseSailingFilters(), []);
+  });
+
+  it("rejects items without a key or =", () => {
+    assert.throws(() => parseSailingFilters(["minNights"]), /Invalid sailing filter "minNights"/);
+    assert.throws(() => parseSailingFilters(["=7"]), /Invalid sailing filter "=7"/);
+  });
+});
+
+describe("normalizeSailing", () => {
+  const ship = { id: 5, cruiselineId: 2 };
+
+  it("maps the raw keys and derives the return date from the nights", () => {
+    const sailing = normalizeSailing(
+      { sailingId: "S1", name: "Caribbean", sailDate: "2026-01-01T00:00:00", nights: 7 },
+      { ship }
+    );
+
+    assert.equal(sailing.sailingId, "S1");
+    assert.equal(sailing.shipId, 5);
+    assert.equal(sailing.cruiselineId, 2);
+    assert.equal(sailing.departureDate, "2026-01-01");
+    assert.equal(sailing.returnDate, "2026-01-08");
+    assert.equal(sailing.nights, 7);
+  });
+
+  it("reads ports of call, with days at sea and port names from the master list", () => {
+    const sailing = normalizeSailing(
+      {
+        id: 1,
+        departureDate: "2026-01-01",
+        ports: [{ portId: 1 }, { port: "At Sea" }, { day: 3, port: "Nassau", arrivalTime: "08:00" }],
+      },
+      { ship, portsById: new Map([["1", { id: 1, name: "Miami" }]]) }
+    );
+
+    assert.deepEqual(sailing.portsOfCall.map(({ day, date, port, atSea }) => ({ day, date, port, atSea })), [
+      { day: 1, date: "2026-01-01", port: { id: 1, name: "Miami" }, atSea: false },
+      { day: 2, date: "2026-01-02", port: null, atSea: true },
+      { day: 3, date: "2026-01-03", port: { id: null, name: "Nassau" }, atSea: false },
+    ]);
+    assert.deepEqual(sailing.departurePort, { id: 1, name: "Miami" });
+    assert.deepEqual(sailing.arrivalPort, { id: null, name: "Nassau" });
+  });
+
+  it("ignores a numeric days field", () => {
+    const sailing = normalizeSailing({ id: 1, departureDate: "2026-01-01", days: 7 }, { ship });
+
+    assert.deepEqual(sailing.portsOfCall, []);
+  });
+
+  it("ignores a string itinerary and reads the ports from the next list", () => {
+    const sailing = normalizeSailing(
+      { id: 1, departureDate: "2026-01-01", itinerary: "Western Caribbean", ports: [{ port: "Miami" }] },
+      { ship }
+    );
+
+    assert.deepEqual(sailing.portsOfCall.map((call) => call.port), [{ id: null, name: "Miami" }]);
+  });
+});
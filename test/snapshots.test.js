@@ -0,0 +1,125 @@
+/**
+ * ========================================
+ * SNAPSHOT ARCHIVE TESTS
+ * ========================================
+ *
+ * createSnapshot: archived files and the content-addressed media store.
+ * pruneSnapshots: pruning by count and age, and deleting the stored images
+ * no remaining snapshot uses.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  createSnapshot,
+  listSnapshots,
+  pruneSnapshots,
+  resolveSnapshotDir,
+} from "../libs/snapshots.js";
+import { createTempDir, writeJsonlLines } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("snapshots", () => {
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = createTempDir("snapshots");
+    writeJsonlLines(path.join(outputDir, "master.jsonl"), [
+      { data: { ship: [{ id: 1 }], cruiseline: [{ id: 1 }] } },
+    ]);
+    writeJsonlLines(path.join(outputDir, "ships.jsonl"), [
+      { type: "ship", shipId: 1, data: { data: { id: 1, images: [{ path: "/a.png" }] } } },
+    ]);
+    writeJsonlLines(path.join(outputDir, "taxonomies", "cruiseline.jsonl"), [{ id: 1 }]);
+  });
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  function writeImage(relativePath, content) {
+    const file = path.join(outputDir, "media", relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+
+  function listStoreObjects() {
+    const storeDir = path.join(outputDir, "snapshots", "media-store");
+    return fs
+      .readdirSync(storeDir, { recursive: true })
+      .filter((name) => name !== "index.json" && fs.statSync(path.join(storeDir, name)).isFile())
+      .map((name) => name.split(path.sep).join("/"))
+      .sort();
+  }
+
+  it("archives the output files and stores each distinct image once", async () => {
+    writeImage("1/a.png", "same");
+    writeImage("2/a.png", "same");
+    writeImage("1/b.png", "other");
+    writeImage("1/c.png.partial", "downloading");
+
+    const snapshot = await createSnapshot(outputDir, { run: { command: "ships" } });
+
+    assert.deepEqual(Object.keys(snapshot.manifest.files).sort(), [
+      "master.jsonl",
+      "ships.jsonl",
+      "taxonomies/cruiseline.jsonl",
+    ]);
+    assert.deepEqual(snapshot.manifest.counts, {
+      masterShips: 1,
+      cruiseLines: 1,
+      shipRecords: 1,
+      retiredShips: 0,
+      images: 1,
+    });
+    assert.deepEqual(snapshot.manifest.media, {
+      index: "media.json",
+      files: 3,
+      bytes: 13,
+      newObjects: 2,
+    });
+    const index = JSON.parse(fs.readFileSync(path.join(snapshot.dir, "media.json"), "utf-8"));
+    assert.equal(index["1/a.png"].object, index["2/a.png"].object);
+    assert.equal(listStoreObjects().length, 2);
+    assert.equal(resolveSnapshotDir(outputDir, "latest"), snapshot.dir);
+  });
+
+  it("refuses to archive an output directory without ships.jsonl", async () => {
+    fs.rmSync(path.join(outputDir, "ships.jsonl"));
+
+    await assert.rejects(createSnapshot(outputDir), /Nothing to archive/);
+  });
+
+  it("keeps the newest snapshots and deletes the images only the pruned ones used", async () => {
+    writeImage("1/a.png", "kept");
+    writeImage("1/b.png", "first version");
+    const first = await createSnapshot(outputDir, { keep: 0 });
+    const firstIndex = JSON.parse(fs.readFileSync(path.join(first.dir, "media.json"), "utf-8"));
+    writeImage("1/b.png", "second version");
+    await createSnapshot(outputDir, { keep: 0 });
+    await createSnapshot(outputDir, { keep: 0 });
+    assert.equal(listStoreObjects().length, 3);
+
+    const pruned = pruneSnapshots(outputDir, { keep: 2 });
+
+    assert.deepEqual(pruned, [first.id]);
+    assert.equal(listSnapshots(outputDir).length, 2);
+    const objects = listStoreObjects();
+    assert.equal(objects.length, 2);
+    assert.ok(objects.includes(firstIndex["1/a.png"].object));
+    assert.ok(!objects.includes(firstIndex["1/b.png"].object));
+  });
+
+  it("prunes snapshots by age but always keeps the newest one", async () => {
+    const first = await createSnapshot(outputDir, { keep: 0 });
+    const second = await createSnapshot(outputDir, { keep: 0 });
+
+    const inTwoDays = Date.now() + 2 * DAY_MS;
+    const pruned = pruneSnapshots(outputDir, { keep: 0, maxAgeDays: 1, now: inTwoDays });
+
+    assert.deepEqual(pruned, [first.id]);
+    assert.deepEqual(listSnapshots(outputDir).map((snapshot) => snapshot.id), [second.id]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * ========================================
+ * STOREFRONT RECONCILIATION TESTS
+ * ========================================
+ *
+ * mergeShipRecords: one record per ship ID, each field from the first
+ * storefront with a non-empty value, provenance per field, translations
+ * from the field's storefront.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mergeShipRecords } from "../libs/storefronts.js";
+
+function shipRecord(shipId, ship, extra = {}) {
+  return {
+    timestamp: "2025-01-01T00:00:00.000Z",
+    source: "ody",
+    type: "ship",
+    shipId,
+    data: { data: ship },
+    ...extra,
+  };
+}
+
+function byId(...records) {
+  return new Map(records.map((record) => [String(record.shipId), record]));
+}
+
+describe("mergeShipRecords", () => {
+  it("takes each field from the first storefront that has a value", () => {
+    const [merged] = mergeShipRecords([
+      ["cruisedirect", byId(shipRecord(1, { name: "Glory", images: [], tonnage: null }))],
+      ["odysol", byId(shipRecord(1, { name: "Glory II", images: [{ path: "/a.jpg" }], tonnage: 90000 }))],
+    ]);
+
+    assert.deepEqual(merged.data.data, {
+      name: "Glory",
+      images: [{ path: "/a.jpg" }],
+      tonnage: 90000,
+    });
+    assert.deepEqual(merged.provenance, {
+      name: "cruisedirect",
+      images: "odysol",
+      tonnage: "odysol",
+    });
+  });
+
+  it("keeps an empty value when no storefront has a better one", () => {
+    const [merged] = mergeShipRecords([
+      ["cruisedirect", byId(shipRecord(1, { description: "" }))],
+      ["odysol", byId(shipRecord(1, { description: null }))],
+    ]);
+
+    assert.equal(merged.data.data.description, "");
+    assert.equal(merged.provenance.description, "cruisedirect");
+  });
+
+  it("lists the storefronts with their base URL and the newest timestamp", () => {
+    const [merged] = mergeShipRecords(
+      [
+        ["cruisedirect", byId(shipRecord(1, { name: "Glory" }))],
+        ["odysol", byId(shipRecord(1, { name: "Glory" }, { timestamp: "2025-02-01T00:00:00.000Z" }))],
+      ],
+      { cruisedirect: "https://book.cruisedirect.com" }
+    );
+
+    assert.equal(merged.timestamp, "2025-02-01T00:00:00.000Z");
+    assert.deepEqual(merged.storefronts, {
+      cruisedirect: { baseUrl: "https://book.cruisedirect.com", timestamp: "2025-01-01T00:00:00.000Z" },
+      odysol: { timestamp: "2025-02-01T00:00:00.000Z" },
+    });
+  });
+
+  it("retires a ship only once every storefront has retired it", () => {
+    const retired = { retiredAt: "2025-03-01T00:00:00.000Z" };
+    const [partly, fully] = mergeShipRecords([
+      ["cruisedirect", byId(shipRecord(1, { name: "A" }, retired), shipRecord(2, { name: "B" }, retired))],
+      ["odysol", byId(shipRecord(1, { name: "A" }), shipRecord(2, { name: "B" }, retired))],
+    ]);
+
+    assert.equal(partly.retiredAt, undefined);
+    assert.equal(partly.storefronts.cruisedirect.retiredAt, retired.retiredAt);
+    assert.equal(fully.retiredAt, retired.retiredAt);
+  });
+
+  it("orders ships by first appearance and skips records without data", () => {
+    const merged = mergeShipRecords([
+      ["cruisedirect", byId(shipRecord(2, { name: "B" }), { shipId: 3 })],
+      ["odysol", byId(shipRecord(1, { name: "A" }), shipRecord(2, { name: "B" }))],
+    ]);
+
+    assert.deepEqual(merged.map((record) => record.shipId), [2, 1]);
+  });
+
+  it("takes the translations of each field from the storefront of its value", () => {
+    const translated = (ship, localized, localizationIssues = {}) =>
+      shipRecord(1, ship, { data: { data: ship, localized, localizationIssues } });
+    const [merged] = mergeShipRecords([
+      [
+        "cruisedirect",
+        byId(translated(
+          { contentInfo: { longDescription: "Big" }, amenities: [] },
+          { "contentInfo.longDescription": { en: "Big", es: "Grande" } }
+        )),
+      ],
+      [
+        "odysol",
+        byId(translated(
+          { contentInfo: { longDescription: "Huge" }, amenities: [{ id: 1, name: "Pool" }] },
+          {
+            "contentInfo.longDescription": { en: "Huge", es: "Enorme" },
+            "amenities[0].name": { en: "Pool", es: "Pool" },
+          },
+          { es: { missing: ["contentInfo.shortDescription"], fallback: ["amenities[0].name"] } }
+        )),
+      ],
+    ]);
+
+    assert.deepEqual(merged.provenance, { contentInfo: "cruisedirect", amenities: "odysol" });
+    assert.deepEqual(merged.data.localized, {
+      "contentInfo.longDescription": { en: "Big", es: "Grande" },
+      "amenities[0].name": { en: "Pool", es: "Pool" },
+    });
+    assert.deepEqual(merged.data.localizationIssues, {
+      es: { missing: [], fallback: ["amenities[0].name"] },
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * ========================================
+ * MASTER DATA TAXONOMIES TESTS
+ * ========================================
+ *
+ * extractTaxonomies / findReferenceTarget: references between taxonomies,
+ * referencedBy and dangling IDs.
+ * updateTaxonomies / checkMasterKeys: taxonomy files and the keys the master
+ * endpoint did not return before.
+ */
+
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  checkMasterKeys,
+  extractTaxonomies,
+  findReferenceTarget,
+  updateTaxonomies,
+} from "../libs/taxonomy.js";
+import { createTempDir, readJsonlLines } from "./helpers.js";
+
+const MASTER_DATA = {
+  cruiseline: [
+    { id: 1, name: "Aurora Cruises" },
+    { id: 2, name: "Meridian Line" },
+  ],
+  ship: [
+    { id: 10, name: "Star", cruiselineId: 1, homePortId: 100 },
+    { id: 11, name: "Comet", cruise_line_id: 2, portIds: [100, 101, 999] },
+  ],
+  port: [
+    { id: 100, name: "Miami" },
+    { id: 101, title: "Nassau" },
+  ],
+  version: "2026.1",
+};
+
+describe("extractTaxonomies", () => {
+  it("adds the target of every reference next to its ID field", () => {
+    const { taxonomies } = extractTaxonomies(MASTER_DATA);
+
+    assert.deepEqual(Object.keys(taxonomies), ["cruiseline", "ship", "port"]);
+    const [star, comet] = taxonomies.ship;
+    assert.deepEqual(star.cruiseline, { id: 1, name: "Aurora Cruises" });
+    assert.deepEqual(star.homePort, { id: 100, name: "Miami" });
+    assert.deepEqual(comet.cruiseLine, { id: 2, name: "Meridian Line" });
+    assert.deepEqual(comet.ports, [
+      { id: 100, name: "Miami" },
+      { id: 101, name: "Nassau" },
+    ]);
+    assert.deepEqual(comet.portIds, [100, 101, 999]);
+    // The payload itself is left as it was
+    assert.equal(MASTER_DATA.ship[0].cruiseline, undefined);
+  });
+
+  it("lists the entities pointing at each entity and the IDs that point at nothing", () => {
+    const { taxonomies, unresolved } = extractTaxonomies(MASTER_DATA);
+
+    assert.deepEqual(taxonomies.cruiseline[0].referencedBy, { ship: [10] });
+    assert.deepEqual(taxonomies.port[0].referencedBy, { ship: [10, 11] });
+    assert.equal(taxonomies.ship[0].referencedBy, undefined);
+    assert.deepEqual(unresolved, [{ taxonomy: "ship", id: 11, field: "portIds", value: 999 }]);
+  });
+
+  it("returns nothing for a payload without lists of objects", () => {
+    assert.deepEqual(extractTaxonomies({ version: "1", tags: ["a"], empty: [] }), {
+      taxonomies: {},
+      references: [],
+      unresolved: [],
+    });
+  });
+});
+
+describe("findReferenceTarget", () => {
+  const names = ["cruiseline", "port", "category"];
+
+  it("matches ID fields by name, alias and suffix", () => {
+    assert.deepEqual(findReferenceTarget("cruiselineId", names), {
+      target: "cruiseline",
+      as: "cruiseline",
+      many: false,
+    });
+    assert.deepEqual(findReferenceTarget("lineId", names), {
+      target: "cruiseline",
+      as: "line",
+      many: false,
+    });
+    assert.deepEqual(findReferenceTarget("embark_port_ids", names), {
+      target: "port",
+      as: "embarkPorts",
+      many: true,
+    });
+    assert.deepEqual(findReferenceTarget("categoryIds", names), {
+      target: "category",
+      as: "categories",
+      many: true,
+    });
+  });
+
+  it("ignores fields that are no reference into a known taxonomy", () => {
+    assert.equal(findReferenceTarget("name", names), null);
+    assert.equal(findReferenceTarget("shipId", names), null);
+  });
+});
+
+describe("updateTaxonomies", () => {
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = createTempDir("taxonomy");
+  });
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("writes one file per taxonomy and removes the files of dropped ones", async () => {
+    const first = await updateTaxonomies(outputDir, MASTER_DATA);
+    assert.deepEqual(first.counts, { "cruiseline.jsonl": 2, "ship.jsonl": 2, "port.jsonl": 2 });
+    const ships = readJsonlLines(path.join(first.taxonomyDir, "ship.jsonl"));
+    assert.deepEqual(ships[0].homePort, { id: 100, name: "Miami" });
+
+    const second = await updateTaxonomies(outputDir, { ...MASTER_DATA, port: [] });
+
+    assert.deepEqual(fs.readdirSync(second.taxonomyDir).sort(), ["cruiseline.jsonl", "ship.jsonl"]);
+  });
+
+  it("records the keys on the first run and reports new and missing keys afterwards", async () => {
+    const first = await updateTaxonomies(outputDir, MASTER_DATA);
+    assert.equal(first.firstRun, true);
+    assert.deepEqual([first.newKeys, first.missingKeys], [[], []]);
+
+    const changed = {
+      ...MASTER_DATA,
+      ship: MASTER_DATA.ship.map(({ homePortId, ...ship }) => ({ ...ship, tonnage: 1 })),
+      promotion: [{ id: 1 }],
+    };
+    const second = await updateTaxonomies(outputDir, changed);
+
+    assert.equal(second.firstRun, false);
+    assert.deepEqual(second.newKeys, ["promotion", "promotion.id", "ship.tonnage"]);
+    assert.deepEqual(second.missingKeys, ["ship.homePortId"]);
+
+    // Known from now on, and still known when absent again
+    const third = await updateTaxonomies(outputDir, MASTER_DATA);
+    assert.deepEqual(third.newKeys, []);
+    assert.deepEqual(third.missingKeys, ["promotion", "promotion.id", "ship.tonnage"]);
+  });
+});
+
+describe("checkMasterKeys", () => {
+  it("keeps the time each key was first seen", () => {
+    const { known } = checkMasterKeys({ a: 1 }, null, "2026-01-01T00:00:00.000Z");
+    const { newKeys, known: updated } = checkMasterKeys(
+      { a: 1, b: 2 },
+      known,
+      "2026-02-01T00:00:00.000Z"
+    );
+
+    assert.deepEqual(newKeys, ["b"]);
+    assert.deepEqual(updated.keys, {
+      a: "2026-01-01T00:00:00.000Z",
+      b: "2026-02-01T00:00:00.000Z",
+    });
+  });
+});
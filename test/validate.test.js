@@ -0,0 +1,45 @@
+/**
+ * ========================================
+ * VALIDATION THRESHOLD TESTS
+ * ========================================
+ *
+ * parseThresholds: counts, shares and fill rates given as name=value specs.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseThresholds } from "../libs/validate.js";
+
+describe("parseThresholds", () => {
+  it("parses counts and shares", () => {
+    assert.deepEqual(parseThresholds(["missing-images=10", "ships-without-images=5%"]), {
+      "missing-images": { count: 10 },
+      "ships-without-images": { ratio: 0.05 },
+    });
+  });
+
+  it("parses fill rates as ratios or percentages", () => {
+    assert.deepEqual(parseThresholds(["fill:name=100%", "fill:tonnage=0.9"]), {
+      "fill:name": { ratio: 1 },
+      "fill:tonnage": { ratio: 0.9 },
+    });
+  });
+
+  it("ignores case and surrounding whitespace", () => {
+    assert.deepEqual(parseThresholds([" Missing-Ships=0 "]), {
+      "missing-ships": { count: 0 },
+    });
+  });
+
+  it("rejects unknown names and fields", () => {
+    assert.throws(() => parseThresholds(["missing-cabins=1"]), /Unknown threshold "missing-cabins"/);
+    assert.throws(() => parseThresholds(["fill:cabins=50%"]), /Unknown field/);
+  });
+
+  it("rejects malformed values", () => {
+    assert.throws(() => parseThresholds(["missing-images"]), /expected name=value/);
+    assert.throws(() => parseThresholds(["missing-images=1.5"]), /expected a count/);
+    assert.throws(() => parseThresholds(["missing-images=150%"]), /percentage from 0% to 100%/);
+    assert.throws(() => parseThresholds(["fill:name=2"]), /expected a rate/);
+  });
+});